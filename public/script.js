@@ -11,6 +11,10 @@ let currentEventPlan = null;
 let originalInput = null;
 let loadingStepTimer = null;
 let isRefinementMode = false;
+let pendingClarification = null;
+let pendingFix = null;
+let currentMultiEvent = null;
+let currentBudgetTiers = null;
 function setExample(index) {
     if (index >= 0 && index < examples.length) {
         document.getElementById('eventInput').value = examples[index];
@@ -64,7 +68,12 @@ async function generatePlan() {
 
         const result = await response.json();
 
-        if (result.success) {
+        if (result.multiEvent) {
+            showMultiEventResults(result);
+            showNotification(result.summary.message, result.success ? 'success' : 'warning');
+        } else if (result.needsClarification) {
+            showClarification(result);
+        } else if (result.success) {
             showResults(result);
             
             const qualityScore = result.summary?.qualityScore || result.qualityIndicators?.overallScore;
@@ -77,7 +86,7 @@ async function generatePlan() {
             showRefinementSection();
             
         } else {
-            showError(result.error || 'Failed to generate event plan');
+            showError(result.error || 'Failed to generate event plan', result);
             
             if (result.errorDetails && result.errorDetails.suggestions.length > 0) {
                 console.log('Error suggestions:', result.errorDetails.suggestions);
@@ -129,14 +138,16 @@ async function refinePlan() {
 
         const result = await response.json();
 
-        if (result.success) {
+        if (result.needsClarification) {
+            showClarification(result);
+        } else if (result.success) {
             showResults(result);
             showNotification('Plan refined successfully!', 'success');
             
             // Clear the tweak input after successful refinement
             tweakInput.value = '';
         } else {
-            showError(result.error || 'Failed to refine plan');
+            showError(result.error || 'Failed to refine plan', result);
         }
 
     } catch (error) {
@@ -147,10 +158,158 @@ async function refinePlan() {
     }
 }
 
+/**
+ * Plan from an uploaded email thread or RFP document
+ */
+async function uploadBrief(fileInput) {
+    const file = fileInput.files[0];
+    fileInput.value = '';
+    if (!file) {
+        return;
+    }
+
+    if (!/\.(eml|txt|md)$/i.test(file.name)) {
+        showNotification('Please upload an .eml, .txt or .md file', 'warning');
+        return;
+    }
+
+    resetRefinementMode();
+    originalInput = null;
+    showLoading(`Reading ${file.name}...`);
+    startLoadingSteps();
+
+    try {
+        const content = await file.text();
+
+        const response = await fetch('/api/generate-event-plan/document', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ filename: file.name, content })
+        });
+
+        const result = await response.json();
+
+        if (result.needsClarification) {
+            showClarification(result);
+        } else if (result.success) {
+            // Briefs can be longer than a refinement request allows, so no refine section here
+            showResults(result);
+            showNotification(`Event plan generated from ${file.name}!`, 'success');
+        } else {
+            showError(result.error || 'Failed to generate event plan from the document', result);
+        }
+
+    } catch (error) {
+        console.error('Document upload failed:', error);
+        showError('Network error. Please check your connection and try again.');
+    } finally {
+        stopLoadingSteps();
+    }
+}
+
+/**
+ * Show follow-up questions for missing critical details
+ */
+function showClarification(result) {
+    pendingClarification = result;
+
+    document.getElementById('loading').style.display = 'none';
+    document.getElementById('inputSection').style.display = 'none';
+    document.getElementById('resultSection').style.display = 'none';
+    document.getElementById('errorSection').style.display = 'none';
+    document.getElementById('clarificationSection').style.display = 'block';
+
+    const questions = result.clarification?.questions || [];
+    document.getElementById('clarificationQuestions').innerHTML = questions.map(q => {
+        const inputId = `clarify-${q.field}`;
+        const assumed = q.assumedValue !== undefined ?
+            `<small>If left blank we'll assume: ${escapeHtml(String(q.assumedValue))}</small>` : '';
+        const rejected = q.error ? `<small class="clarification-error">${escapeHtml(q.error)}</small>` : '';
+
+        const control = q.inputType === 'select' ?
+            `<select id="${inputId}" data-field="${q.field}">
+                <option value="">Select...</option>
+                ${(q.options || []).map(o => `<option value="${escapeHtml(o)}">${escapeHtml(q.field === 'eventType' ? formatEventType(o) : o)}</option>`).join('')}
+            </select>` :
+            `<input id="${inputId}" data-field="${q.field}" type="${q.inputType === 'number' ? 'number' : q.inputType === 'date' ? 'date' : 'text'}">`;
+
+        return `
+            <div class="clarification-question">
+                <label for="${inputId}">${escapeHtml(q.question)}</label>
+                ${rejected}
+                ${control}
+                ${assumed}
+            </div>
+        `;
+    }).join('');
+
+    const firstInput = document.querySelector('#clarificationQuestions [data-field]');
+    if (firstInput) {
+        firstInput.focus();
+    }
+
+    showNotification('A few details are missing - please answer the questions to continue', 'info');
+}
+
+/**
+ * Send clarification answers and resume the paused plan
+ */
+async function submitClarification() {
+    if (!pendingClarification) {
+        showNotification('No pending questions to answer', 'warning');
+        return;
+    }
+
+    const answers = {};
+    document.querySelectorAll('#clarificationQuestions [data-field]').forEach(element => {
+        if (element.value.trim()) {
+            answers[element.dataset.field] = element.value.trim();
+        }
+    });
+
+    const executionId = pendingClarification.executionId;
+    document.getElementById('clarificationSection').style.display = 'none';
+    showLoading('Continuing your event plan...');
+    startLoadingSteps();
+
+    try {
+        const response = await fetch('/api/clarify', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ executionId, answers })
+        });
+
+        const result = await response.json();
+
+        if (result.needsClarification) {
+            showClarification(result);
+        } else if (result.success) {
+            pendingClarification = null;
+            showResults(result);
+            showNotification('Event plan generated successfully!', 'success');
+            showRefinementSection();
+        } else {
+            pendingClarification = null;
+            showError(result.error || 'Failed to generate event plan', result);
+        }
+
+    } catch (error) {
+        console.error('Clarification failed:', error);
+        showError('Network error. Please check your connection and try again.');
+    } finally {
+        stopLoadingSteps();
+    }
+}
+
 /**
  * Show loading section with custom message
  */
 function showLoading(message = 'Generating your event plan...') {
+    document.getElementById('clarificationSection').style.display = 'none';
     document.getElementById('inputSection').style.display = 'none';
     document.getElementById('loading').style.display = 'block';
     document.getElementById('resultSection').style.display = 'none';
@@ -215,6 +374,7 @@ function stopLoadingSteps() {
 function showResults(result) {
     currentEventPlan = result;
 
+    document.getElementById('clarificationSection').style.display = 'none';
     document.getElementById('loading').style.display = 'none';
     document.getElementById('errorSection').style.display = 'none';
     document.getElementById('inputSection').style.display = 'none';
@@ -233,10 +393,18 @@ function showResults(result) {
         timeElement.textContent = timeText;
     }
     
+    // Display parsed event details with their sources
+    displayEventDetails(result.eventData, result.fieldProvenance);
+    
     // Display the event plan
     const planElement = document.getElementById('eventPlan');
     if (planElement) {
-        planElement.textContent = result.eventPlan || 'No plan generated';
+        planElement.classList.toggle('structured-plan', !!result.structuredPlan);
+        if (result.structuredPlan) {
+            planElement.innerHTML = renderStructuredPlan(result.structuredPlan);
+        } else {
+            planElement.textContent = result.eventPlan || 'No plan generated';
+        }
     }
     
     // Display venues
@@ -244,15 +412,368 @@ function showResults(result) {
     
     // Display warnings if any
     if (result.warnings && result.warnings.length > 0) {
-        displayWarnings(result.warnings);
+        displayWarnings(result.warnings, result);
     }
     
+    // Display policy compliance and the approver above the warnings
+    displayPolicy(result.policy);
+    
     // Scroll to results
     document.getElementById('resultSection').scrollIntoView({ 
         behavior: 'smooth' 
     });
 }
 
+/**
+ * Show the events of a multi-event request with their combined budget
+ */
+function showMultiEventResults(result) {
+    currentMultiEvent = result;
+    currentEventPlan = null;
+    resetRefinementMode();
+    document.querySelectorAll('.warnings-section').forEach(el => el.remove());
+
+    document.getElementById('clarificationSection').style.display = 'none';
+    document.getElementById('loading').style.display = 'none';
+    document.getElementById('errorSection').style.display = 'none';
+    document.getElementById('inputSection').style.display = 'none';
+    document.getElementById('resultSection').style.display = 'block';
+
+    document.getElementById('generationTime').textContent =
+        `${result.events.length} events • ${result.summary.message} • ${result.generationTime}`;
+
+    const rollup = result.budgetRollup;
+    const statusLabels = {
+        planned: '✅ Planned',
+        'needs-clarification': '❓ Needs details',
+        failed: '❌ Failed'
+    };
+    const rows = rollup.events.map(row => `
+        <tr>
+            <td>${row.index}. ${escapeHtml(row.label)}</td>
+            <td>${escapeHtml(row.location || 'N/A')}</td>
+            <td>${escapeHtml(row.date || 'N/A')}</td>
+            <td>${row.attendees || 'N/A'}</td>
+            <td>${row.budgetInINR ? `₹${row.budgetInINR.toLocaleString()}` : 'N/A'}</td>
+            <td>${statusLabels[row.status]}</td>
+            <td><button class="control-btn" onclick="showEventFromGroup(${row.index - 1})">${row.status === 'needs-clarification' ? 'Answer questions' : 'View'}</button></td>
+        </tr>
+    `).join('');
+    const categories = Object.values(rollup.byCategory)
+        .map(({ label, amount }) => `<li>${escapeHtml(label)}: ₹${amount.toLocaleString()}</li>`)
+        .join('');
+
+    document.getElementById('eventDetails').innerHTML = `
+        <table class="rollup-table">
+            <thead>
+                <tr><th>Event</th><th>Location</th><th>Date</th><th>Attendees</th><th>Budget</th><th>Status</th><th></th></tr>
+            </thead>
+            <tbody>${rows}</tbody>
+            <tfoot>
+                <tr><td colspan="3">Total (planned events)</td><td>${rollup.totalAttendees}</td><td>₹${rollup.totalBudgetInINR.toLocaleString()}</td><td colspan="2"></td></tr>
+            </tfoot>
+        </table>
+    `;
+    document.getElementById('eventPlan').innerHTML = categories ?
+        `<h4>Combined budget by category</h4><ul class="rollup-categories">${categories}</ul>` :
+        'No events planned yet';
+    displayVenues([]);
+
+    if (result.warnings && result.warnings.length > 0) {
+        displayWarnings(result.warnings);
+    }
+
+    document.getElementById('resultSection').scrollIntoView({ 
+        behavior: 'smooth' 
+    });
+}
+
+/**
+ * Open one event of a multi-event request
+ */
+function showEventFromGroup(index) {
+    const event = currentMultiEvent?.events[index];
+    if (!event) return;
+
+    // Refinements and clarification answers apply to this event's own description
+    originalInput = event.input;
+    document.querySelectorAll('.warnings-section').forEach(el => el.remove());
+
+    if (event.needsClarification) {
+        showClarification(event);
+    } else if (event.success) {
+        showResults(event);
+        showRefinementSection();
+    } else {
+        showError(`Event ${index + 1}: ${event.error || 'Failed to generate event plan'}`, event);
+        return;
+    }
+
+    const backLink = document.createElement('button');
+    backLink.className = 'link-btn back-to-events';
+    backLink.textContent = '← All events';
+    backLink.onclick = () => showMultiEventResults(currentMultiEvent);
+    document.querySelectorAll('.back-to-events').forEach(el => el.remove());
+    const section = event.needsClarification ? 'clarificationSection' : 'resultSection';
+    document.getElementById(section).prepend(backLink);
+}
+
+/**
+ * Plan the current event at economy, standard and premium budgets
+ */
+async function compareBudgetTiers() {
+    const eventData = currentEventPlan?.eventData;
+    if (!eventData) {
+        showNotification('Generate a plan first to compare budget tiers', 'warning');
+        return;
+    }
+
+    showLoading('Planning economy, standard and premium versions...');
+    startLoadingSteps();
+
+    try {
+        const response = await fetch('/api/generate-event-plan/tiers', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ eventData })
+        });
+
+        const result = await response.json();
+
+        if (result.budgetTiers) {
+            showBudgetTierResults(result);
+            showNotification(result.summary.message, result.success ? 'success' : 'warning');
+        } else {
+            showError(result.error || 'Failed to plan budget tiers', result);
+        }
+
+    } catch (error) {
+        console.error('Budget tier request failed:', error);
+        showError('Network error. Please check your connection and try again.');
+    } finally {
+        stopLoadingSteps();
+    }
+}
+
+/**
+ * Show the budget tiers side by side with what changes between them
+ */
+function showBudgetTierResults(result) {
+    currentBudgetTiers = result;
+    currentEventPlan = null;
+    resetRefinementMode();
+    document.querySelectorAll('.warnings-section, .back-to-events').forEach(el => el.remove());
+
+    document.getElementById('clarificationSection').style.display = 'none';
+    document.getElementById('loading').style.display = 'none';
+    document.getElementById('errorSection').style.display = 'none';
+    document.getElementById('inputSection').style.display = 'none';
+    document.getElementById('resultSection').style.display = 'block';
+
+    document.getElementById('generationTime').textContent =
+        `${result.summary.message} • ${result.generationTime}`;
+
+    const { tiers, costs, changes, sharedVenues } = result.comparison;
+    const amount = value => value === null || value === undefined ? '-' : `₹${value.toLocaleString()}`;
+    const row = (label, render) => `
+        <tr><td>${escapeHtml(label)}</td>${tiers.map(tier => `<td>${render(tier)}</td>`).join('')}</tr>`;
+    const planned = render => tier => tier.status === 'planned' ? render(tier) : '-';
+
+    document.getElementById('eventDetails').innerHTML = `
+        <table class="rollup-table tier-table">
+            <thead>
+                <tr><th></th>${tiers.map(tier => `<th>${escapeHtml(tier.label)}</th>`).join('')}</tr>
+            </thead>
+            <tbody>
+                ${row('Plan', tier => tier.status === 'planned' ? '✅ Planned' : `${tier.status === 'unavailable' ? '➖' : '❌'} ${escapeHtml(tier.error)}`)}
+                ${row('Budget', tier => amount(tier.budgetInINR))}
+                ${row('Per person', tier => amount(tier.perPersonInINR))}
+                ${costs.map(cost => row(cost.label, tier => amount(cost.amounts[tier.tier]))).join('')}
+                ${row(sharedVenues ? 'Venues (same for all tiers)' : 'Venues', planned(tier => escapeHtml(tier.venues.join(', ') || '-')))}
+                ${row('Approval', planned(tier => escapeHtml(tier.approvalRequiredBy || '-')))}
+                ${row('', tier => `<button class="control-btn" onclick="showTierPlan('${tier.tier}')">View</button>`)}
+            </tbody>
+        </table>
+    `;
+    document.getElementById('eventPlan').innerHTML = changes.length > 0 ?
+        changes.map(change => `
+            <h4>${escapeHtml(tiers.find(tier => tier.tier === change.from).label)} → ${escapeHtml(tiers.find(tier => tier.tier === change.to).label)}</h4>
+            <ul class="rollup-categories">${change.changes.map(line => `<li>${escapeHtml(line)}</li>`).join('')}</ul>
+        `).join('') :
+        'Not enough tiers planned to compare';
+    displayVenues([]);
+
+    if (result.warnings && result.warnings.length > 0) {
+        displayWarnings(result.warnings);
+    }
+
+    document.getElementById('resultSection').scrollIntoView({ 
+        behavior: 'smooth' 
+    });
+}
+
+/**
+ * Open the plan of one budget tier
+ */
+function showTierPlan(tierName) {
+    const tier = currentBudgetTiers?.tiers.find(item => item.tier === tierName);
+    if (!tier) return;
+
+    document.querySelectorAll('.warnings-section').forEach(el => el.remove());
+
+    if (tier.success) {
+        showResults(tier);
+    } else {
+        showError(`${tier.label}: ${tier.error || 'Failed to generate event plan'}`, tier);
+        return;
+    }
+
+    const backLink = document.createElement('button');
+    backLink.className = 'link-btn back-to-events';
+    backLink.textContent = '← All budget tiers';
+    backLink.onclick = () => showBudgetTierResults(currentBudgetTiers);
+    document.querySelectorAll('.back-to-events').forEach(el => el.remove());
+    document.getElementById('resultSection').prepend(backLink);
+}
+
+/**
+ * Display parsed event details with per-field source and confidence
+ */
+function displayEventDetails(eventData, provenance = {}) {
+    const detailsElement = document.getElementById('eventDetails');
+    if (!detailsElement) return;
+    
+    if (!eventData) {
+        detailsElement.innerHTML = '';
+        return;
+    }
+    
+    const fields = [
+        { key: 'eventType', label: 'Type', format: formatEventType },
+        { key: 'numberOfAttendees', label: 'Attendees' },
+        { key: 'location', label: 'Location' },
+        { key: 'date', label: 'Date', format: (value, data) => data.endDate ? `${value} → ${data.endDate}` : value },
+        { key: 'startTime', label: 'Time', format: (value, data) => data.endTime ? `${value} – ${data.endTime}` : `From ${value}` },
+        { key: 'budgetInINR', label: 'Budget', format: value => `₹${Number(value).toLocaleString()}` },
+        { key: 'durationInHours', label: 'Duration', format: (value, data) => data.hoursPerDay ? `${value} hours (${data.hoursPerDay}h/day)` : `${value} hours` },
+        { key: 'dietary', label: 'Dietary', format: formatDietary },
+        { key: 'accessibility', label: 'Accessibility', format: formatAccessibility }
+    ];
+    
+    const sourceLabels = {
+        llm: 'AI extracted',
+        regex: 'Pattern matched',
+        default: 'Assumed',
+        eventType: 'Typical for type',
+        refinement: 'From refinement',
+        clarification: 'You provided',
+        structured: 'Supplied'
+    };
+    
+    const items = fields.map(({ key, label, format }) => {
+        const value = eventData[key];
+        const origin = provenance?.[key];
+        const displayValue = value !== undefined && value !== null ? (format ? format(value, eventData) : value) : 'N/A';
+        
+        let badge = '';
+        if (origin) {
+            const confidence = Math.round(origin.confidence * 100);
+            const title = origin.detail ? ` title="${escapeHtml(origin.detail)}"` : '';
+            badge = `<span class="source-badge source-${origin.source}"${title}>${sourceLabels[origin.source] || origin.source} • ${confidence}%</span>`;
+        }
+        
+        return `
+            <div class="event-detail ${origin?.source === 'default' ? 'event-detail-assumed' : ''}">
+                <span class="event-detail-label">${label}</span>
+                <span class="event-detail-value">${escapeHtml(String(displayValue))}</span>
+                ${badge}
+            </div>
+        `;
+    }).join('');
+    
+    const assumedCount = Object.values(provenance || {}).filter(origin => origin.source === 'default').length;
+    const assumedNote = assumedCount > 0 ?
+        `<p class="event-details-note">⚠️ ${assumedCount} value${assumedCount > 1 ? 's were' : ' was'} assumed - check before relying on this plan.</p>` : '';
+    
+    detailsElement.innerHTML = `<div class="event-details-grid">${items}</div>${assumedNote}`;
+}
+
+/**
+ * Render a structured plan (see structuredPlan in the API docs) as HTML
+ * Sections follow the same order as the Markdown plan
+ */
+function renderStructuredPlan(plan) {
+    const amount = value => value === null || value === undefined ? '' : `₹${value.toLocaleString()}`;
+    const labelled = (label, value) => label ?
+        `<strong>${escapeHtml(label)}:</strong> ${escapeHtml(value)}` : escapeHtml(value);
+    const section = (heading, body) => body ? `<h3>${escapeHtml(heading)}</h3>${body}` : '';
+    const extraSections = key => plan.sections
+        .filter(item => item.key === key)
+        .map(item => section(item.heading, `<ul class="plan-lines">${item.lines.map(line => `<li>${formatPlanLine(line)}</li>`).join('')}</ul>`))
+        .join('');
+    const list = (items, render) => items.length > 0 ? `<ul>${items.map(item => `<li>${render(item)}</li>`).join('')}</ul>` : '';
+
+    const itinerary = plan.itinerary.map(day => `
+        ${plan.itinerary.length > 1 ? `<h4>Day ${day.day}${day.date ? ` - ${escapeHtml(day.date)}` : ''}</h4>` : ''}
+        <table class="plan-table">
+            <tbody>${day.items.map(item => `
+                <tr>
+                    <td class="plan-time">${escapeHtml(item.time || '')}</td>
+                    <td><strong>${escapeHtml(item.activity)}</strong>${item.details ? ` - ${escapeHtml(item.details)}` : ''}</td>
+                </tr>`).join('')}
+            </tbody>
+        </table>`).join('');
+
+    const costs = plan.costs.lines.length === 0 ? '' : `
+        <table class="plan-table">
+            <tbody>${plan.costs.lines.map(line => `
+                <tr>
+                    <td>${escapeHtml(line.label)}${line.note ? ` <span class="plan-note">${escapeHtml(line.note)}</span>` : ''}${line.overshoot ? ` <span class="plan-overshoot">⚠️ planned ${amount(line.plannedAmount)}, ${amount(line.overshoot)} over the allocation</span>` : ''}</td>
+                    <td class="plan-amount">${amount(line.amount)}</td>
+                </tr>${line.items.map(item => `
+                <tr class="plan-subitem">
+                    <td>${escapeHtml(item.label)}</td>
+                    <td class="plan-amount">${amount(item.amount)}</td>
+                </tr>`).join('')}`).join('')}
+            </tbody>
+            ${plan.costs.total !== null ? `<tfoot><tr><td>Total</td><td class="plan-amount">${amount(plan.costs.total)}</td></tr></tfoot>` : ''}
+        </table>`;
+
+    const { attendees, location, dates, timeWindow, budgetInINR } = plan.overview;
+
+    return `
+        <h2>${escapeHtml(plan.title)}</h2>
+        <p class="plan-overview">${attendees} people • ${escapeHtml(location)} • ${escapeHtml(dates)} • ${escapeHtml(timeWindow)} • Budget ${amount(budgetInINR)}</p>
+        ${section('Event Brief', plan.brief ? plan.brief.split('\n').map(line => `<p>${escapeHtml(line)}</p>`).join('') : '')}
+        ${extraSections('refinements')}
+        ${extraSections('timeline')}
+        ${section('Detailed Itinerary', itinerary)}
+        ${section('Cost Breakdown', costs)}
+        ${extraSections('accommodation')}
+        ${section('Meal Plan', list(plan.meals, meal => labelled(meal.label, meal.menu)))}
+        ${extraSections('accessibility')}
+        ${extraSections('weather')}
+        ${section('Speaker Recommendations', plan.speakers.length > 0 ?
+            `<ol>${plan.speakers.map(speaker => `<li><strong>${escapeHtml(speaker.name)}</strong>${[speaker.expertise, speaker.availability].filter(Boolean).map(text => ` - ${escapeHtml(text)}`).join('')}</li>`).join('')}</ol>` : '')}
+        ${section('Logistics & Setup', list(plan.logistics, item => labelled(item.label, item.details)))}
+        ${section('Energizer Activities', list(plan.activities, escapeHtml))}
+        ${extraSections('other')}
+        ${plan.notes.map(note => `<p class="plan-note">${escapeHtml(note)}</p>`).join('')}
+    `;
+}
+
+/**
+ * Format one Markdown line of a plan section: drops the bullet and turns
+ * **bold** and *italic* into HTML
+ */
+function formatPlanLine(line) {
+    return escapeHtml(line.replace(/^\s*[-*•]\s+/, ''))
+        .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
+        .replace(/\*(.+?)\*/g, '<em>$1</em>');
+}
+
 /**
  * Display venue suggestions with enhanced data
  */
@@ -296,6 +817,10 @@ function displayVenues(venues) {
                 venueHtml += `<p class="venue-features"><strong>Features:</strong> ${venue.features.map(f => escapeHtml(f)).join(', ')}</p>`;
             }
             
+            if (venue.preferredVendor !== undefined) {
+                venueHtml += `<p class="venue-vendor"><strong>Vendor:</strong> ${venue.preferredVendor ? 'Preferred' : 'Not a preferred vendor - needs a policy exception'}</p>`;
+            }
+            
             if (venue.bookingUrgency) {
                 venueHtml += `<p class="venue-urgency"><strong>Booking:</strong> ${escapeHtml(venue.bookingUrgency)}</p>`;
             }
@@ -313,14 +838,18 @@ function displayVenues(venues) {
 /**
  * Display warnings section
  */
-function displayWarnings(warnings) {
+function displayWarnings(warnings, issues = []) {
     if (!warnings || warnings.length === 0) return;
     
+    // Structured issues carry the field and a fix; other warnings are shown as text
+    const warningIssues = (issues || []).filter(issue => issue.severity !== 'error');
+    const covered = new Set(warningIssues.map(issue => issue.message));
     const warningsHtml = `
         <div class="warnings-section">
             <h4>⚠️ Important Notes:</h4>
             <ul>
-                ${warnings.map(warning => `<li>${escapeHtml(warning)}</li>`).join('')}
+                ${warningIssues.map(renderIssue).join('')}
+                ${warnings.filter(warning => !covered.has(warning)).map(warning => `<li>${escapeHtml(warning)}</li>`).join('')}
             </ul>
         </div>
     `;
@@ -334,6 +863,64 @@ function displayWarnings(warnings) {
     }
 }
 
+/**
+ * Render a structured issue as a list item with its field and suggested fix
+ */
+function renderIssue(issue) {
+    const field = issue.field ? `<span class="issue-field">${escapeHtml(issue.field)}</span> ` : '';
+    const fix = describeFix(issue.fix);
+    
+    return `<li class="issue issue-${issue.severity}">${field}${escapeHtml(issue.message)}${fix ? `<br><em>${escapeHtml(fix)}</em>` : ''}</li>`;
+}
+
+/**
+ * Describe an issue's fix suggestion in words
+ */
+function describeFix(fix) {
+    if (!fix) return null;
+    const field = fix.field || 'the input';
+    const format = value => typeof value === 'number' ? value.toLocaleString() : value;
+    
+    switch (fix.action) {
+        case 'set':
+            return `Suggested: set ${field} to ${format(fix.value)}`;
+        case 'range':
+            if (fix.min !== undefined && fix.max !== undefined) return `Suggested: ${field} between ${format(fix.min)} and ${format(fix.max)}`;
+            return fix.min !== undefined ? `Suggested: ${field} of at least ${format(fix.min)}` : `Suggested: ${field} of at most ${format(fix.max)}`;
+        case 'oneOf':
+            return `Suggested: ${field} one of ${fix.options.map(format).join(', ')}`;
+        case 'format':
+            return `Suggested: write ${field} as ${fix.format}`;
+        default:
+            return fix.description ? `Suggested: ${fix.description}` : null;
+    }
+}
+
+/**
+ * Display expense policy compliance and who has to approve the event
+ */
+function displayPolicy(policy) {
+    if (!policy) return;
+    
+    const violations = policy.violations.map(violation => `
+        <li>${escapeHtml(violation.message)}${violation.fix ? `<br><em>${escapeHtml(violation.fix)}</em>` : ''}</li>
+    `).join('');
+    const policyHtml = `
+        <div class="warnings-section policy-section ${policy.compliant ? 'compliant' : ''}">
+            <h4>📋 ${policy.compliant ? 'Within expense policy' : `${policy.violations.length} expense policy violation${policy.violations.length > 1 ? 's' : ''}`}</h4>
+            <p><strong>Approval required by:</strong> ${escapeHtml(policy.approvalRequiredBy)} <span class="policy-reason">(${escapeHtml(policy.approvalReason)})</span></p>
+            ${violations ? `<ul>${violations}</ul>` : ''}
+        </div>
+    `;
+    
+    const timeElement = document.getElementById('generationTime');
+    if (timeElement && timeElement.parentNode) {
+        const policyDiv = document.createElement('div');
+        policyDiv.innerHTML = policyHtml;
+        timeElement.parentNode.insertBefore(policyDiv, timeElement.nextSibling);
+    }
+}
+
 /**
  * Show refinement section
  */
@@ -380,17 +967,27 @@ function resetRefinementMode() {
 /**
  * Show error section
  */
-function showError(message) {
+function showError(message, details = null) {
+    document.getElementById('clarificationSection').style.display = 'none';
     document.getElementById('loading').style.display = 'none';
     document.getElementById('resultSection').style.display = 'none';
     document.getElementById('inputSection').style.display = 'none';
     document.getElementById('errorSection').style.display = 'block';
     
+    // Structured issues replace the joined message with one line per problem
+    const errorIssues = (details?.issues || []).filter(issue => issue.severity === 'error');
     const errorMessageElement = document.getElementById('errorMessage');
     if (errorMessageElement) {
-        errorMessageElement.textContent = message;
+        errorMessageElement.textContent = errorIssues.length > 0 ? 'Please fix the following and try again:' : message;
     }
     
+    const errorIssuesElement = document.getElementById('errorIssues');
+    if (errorIssuesElement) {
+        errorIssuesElement.innerHTML = errorIssues.map(renderIssue).join('');
+    }
+    
+    displayFixProposals(details);
+    
     document.getElementById('errorSection').scrollIntoView({ 
         behavior: 'smooth' 
     });
@@ -398,6 +995,69 @@ function showError(message) {
     showNotification(message, 'error');
 }
 
+/**
+ * Offer the fix proposals of a failed response as one-click buttons
+ */
+function displayFixProposals(details) {
+    const proposals = details?.eventData ? details.fixProposals || [] : [];
+    pendingFix = proposals.length > 0 ? { eventData: details.eventData, proposals } : null;
+    
+    const fixesElement = document.getElementById('errorFixes');
+    if (!fixesElement) return;
+    
+    fixesElement.innerHTML = proposals.length > 0 ? `
+        <h4>🩹 Quick fixes</h4>
+        ${proposals.map((proposal, index) => `
+            <button class="secondary-btn fix-btn" onclick="applyFix(${index})">
+                ${escapeHtml(proposal.label)}${proposal.resolvesAll ? '' : ' <small>(other issues remain)</small>'}
+            </button>
+        `).join('')}
+    ` : '';
+}
+
+/**
+ * Apply a fix proposal and generate the plan again
+ */
+async function applyFix(index) {
+    const proposal = pendingFix?.proposals[index];
+    if (!proposal) {
+        showNotification('This fix is no longer available', 'warning');
+        return;
+    }
+
+    document.getElementById('errorSection').style.display = 'none';
+    showLoading(`${proposal.label}...`);
+    startLoadingSteps();
+
+    try {
+        const response = await fetch('/api/apply-fix', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ eventData: pendingFix.eventData, proposal })
+        });
+
+        const result = await response.json();
+
+        if (result.success) {
+            pendingFix = null;
+            showResults(result);
+            showNotification(`Applied: ${proposal.label}`, 'success');
+        } else {
+            // Schema failures carry no eventData; further fixes apply to the fixed data
+            const eventData = result.eventData || { ...pendingFix.eventData, ...proposal.changes };
+            showError(result.error || 'Failed to generate event plan', { ...result, eventData });
+        }
+
+    } catch (error) {
+        console.error('Applying fix failed:', error);
+        showError('Network error. Please check your connection and try again.');
+    } finally {
+        stopLoadingSteps();
+    }
+}
+
 /**
  * Start a new plan - reset to input section
  */
@@ -410,8 +1070,14 @@ function newPlan() {
     document.getElementById('eventInput').value = '';
     document.getElementById('eventInput').focus();
     
+    document.getElementById('clarificationSection').style.display = 'none';
+    
     currentEventPlan = null;
     originalInput = null;
+    pendingClarification = null;
+    currentMultiEvent = null;
+    currentBudgetTiers = null;
+    document.querySelectorAll('.back-to-events').forEach(el => el.remove());
     resetRefinementMode();
     
     // Clear any existing warnings
@@ -510,7 +1176,7 @@ function sharePlan() {
     if (navigator.share) {
         const eventData = currentEventPlan.eventData;
         const title = eventData ? 
-            `${eventData.eventType} Event Plan - ${eventData.numberOfAttendees} people in ${eventData.location}` :
+            `${formatEventType(eventData.eventType)} Event Plan - ${eventData.numberOfAttendees} people in ${eventData.location}` :
             'Corporate Event Plan';
             
         navigator.share({
@@ -540,20 +1206,30 @@ function formatPlanForDownload(plan) {
     content += `\n${'='.repeat(60)}\n\n`;
     
     if (plan.eventData) {
+        const assumed = field => plan.fieldProvenance?.[field]?.source === 'default' ? ' (assumed)' : '';
         content += `EVENT DETAILS:\n`;
-        content += `- Type: ${plan.eventData.eventType || 'N/A'}\n`;
-        content += `- Attendees: ${plan.eventData.numberOfAttendees || 'N/A'}\n`;
-        content += `- Location: ${plan.eventData.location || 'N/A'}\n`;
-        content += `- Date: ${plan.eventData.date || 'N/A'}\n`;
-        content += `- Budget: ₹${plan.eventData.budgetInINR ? plan.eventData.budgetInINR.toLocaleString() : 'N/A'}\n`;
-        content += `- Duration: ${plan.eventData.durationInHours || 'N/A'} hours\n`;
+        content += `- Type: ${plan.eventData.eventType ? formatEventType(plan.eventData.eventType) : 'N/A'}${assumed('eventType')}\n`;
+        content += `- Attendees: ${plan.eventData.numberOfAttendees || 'N/A'}${assumed('numberOfAttendees')}\n`;
+        content += `- Location: ${plan.eventData.location || 'N/A'}${assumed('location')}\n`;
+        content += `- Date: ${plan.eventData.date || 'N/A'}${plan.eventData.endDate ? ` to ${plan.eventData.endDate}` : ''}${assumed('date')}\n`;
+        if (plan.eventData.startTime) {
+            content += `- Time: ${plan.eventData.startTime}${plan.eventData.endTime ? ` to ${plan.eventData.endTime}` : ''}\n`;
+        }
+        content += `- Budget: ₹${plan.eventData.budgetInINR ? plan.eventData.budgetInINR.toLocaleString() : 'N/A'}${assumed('budgetInINR')}\n`;
+        content += `- Duration: ${plan.eventData.durationInHours || 'N/A'} hours${assumed('durationInHours')}\n`;
         if (plan.eventData.requirements && plan.eventData.requirements.length > 0) {
             content += `- Requirements: ${plan.eventData.requirements.join(', ')}\n`;
         }
+        if (plan.eventData.dietary) {
+            content += `- Dietary: ${formatDietary(plan.eventData.dietary)}\n`;
+        }
+        if (plan.eventData.accessibility && plan.eventData.accessibility.length > 0) {
+            content += `- Accessibility: ${formatAccessibility(plan.eventData.accessibility)}\n`;
+        }
         content += `\n`;
     }
     
-    content += plan.eventPlan;
+    content += plan.eventPlanText || plan.eventPlan;
     
     if (plan.venues && Array.isArray(plan.venues) && plan.venues.length > 0) {
         content += `\n\n${'='.repeat(60)}\n`;
@@ -665,6 +1341,50 @@ function escapeHtml(text) {
     return div.innerHTML;
 }
 
+/**
+ * Format an event type value for display (e.g. product_launch → Product Launch)
+ */
+function formatEventType(type) {
+    return String(type || '')
+        .split('_')
+        .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+        .join(' ');
+}
+
+/**
+ * Format dietary counts for display (e.g. "25 veg · 10 non-veg · 2 gluten-free")
+ */
+function formatDietary(dietary) {
+    const labels = {
+        veg: 'veg',
+        nonVeg: 'non-veg',
+        vegan: 'vegan',
+        jain: 'Jain',
+        halal: 'halal',
+        glutenFree: 'gluten-free',
+        allergy: 'allergy'
+    };
+
+    return Object.entries(labels)
+        .filter(([key]) => dietary?.[key])
+        .map(([key, label]) => `${dietary[key]} ${label}`)
+        .join(' · ');
+}
+
+/**
+ * Format accessibility needs for display (e.g. "Wheelchair access, Hearing loop")
+ */
+function formatAccessibility(needs) {
+    const labels = {
+        wheelchair: 'Wheelchair access',
+        signLanguage: 'Sign-language interpretation',
+        hearingLoop: 'Hearing loop',
+        quietRoom: 'Quiet room'
+    };
+
+    return (needs || []).map(need => labels[need] || need).join(', ') || 'None stated';
+}
+
 // Event listeners and initialization
 document.addEventListener('DOMContentLoaded', function() {
     document.getElementById('eventInput').focus();
@@ -708,6 +1428,20 @@ document.addEventListener('DOMContentLoaded', function() {
             padding-left: 1.5rem;
         }
         
+        .policy-section.compliant {
+            background: #ecfdf5;
+            border-color: #10b981;
+        }
+        
+        .policy-section.compliant h4 {
+            color: #047857;
+        }
+        
+        .policy-reason {
+            color: #6b7280;
+            font-size: 0.875rem;
+        }
+        
         .refinement-section {
             background: #f3f4f6;
             border-radius: 8px;
@@ -720,7 +1454,7 @@ document.addEventListener('DOMContentLoaded', function() {
             color: #374151;
         }
         
-        .venue-cost, .venue-score, .venue-capacity, .venue-features, .venue-urgency {
+        .venue-cost, .venue-score, .venue-capacity, .venue-features, .venue-vendor, .venue-urgency {
             font-size: 0.875rem;
             margin: 0.25rem 0;
             color: #6b7280;
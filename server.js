@@ -4,6 +4,8 @@ import cors from 'cors';
 import rateLimit from 'express-rate-limit';
 import { config } from './src/config/config.js';
 import { logger } from './src/utils/logger.js';
+import { getBusinessRules } from './src/config/businessRules.js';
+import { getExpensePolicy } from './src/config/expensePolicy.js';
 import { CorporateEventPlannerGraph } from './src/core/CorporateEventPlannerGraph.js';
 import { setupApiRoutes } from './src/api/routes.js';
 
@@ -11,6 +13,11 @@ async function startServer() {
   try {
     config.validate();
     
+    // Fail fast on a broken company rule set or policy rather than on the first request
+    const businessRules = getBusinessRules();
+    logger.info(`📏 Business rules "${businessRules.name}" loaded (${businessRules.rules.length} rules)`);
+    logger.info(`📋 Expense policy "${getExpensePolicy().name}" loaded`);
+    
     const app = express();
     
     app.use(cors());
@@ -49,15 +56,23 @@ async function startServer() {
         config: config.getSummary(),
         endpoints: {
           'POST /api/generate-event-plan': 'Generate event plan using graph flow',
+          'POST /api/generate-event-plan/structured': 'Generate event plan from typed eventData (skips parsing)',
+          'POST /api/generate-event-plan/tiers': 'Generate economy, standard and premium plans from typed eventData and compare them',
+          'POST /api/generate-event-plan/document': 'Generate event plan from an uploaded .eml, .txt or .md brief',
+          'POST /api/clarify': 'Answer clarification questions and resume planning',
           'POST /api/refine-plan': 'Refine existing plan with tweaks',
+          'POST /api/apply-fix': 'Apply a fix proposal from a failed response and plan again',
+          'GET /api/rules': 'Active business rule set',
+          'GET /api/policy': 'Active travel and event expense policy',
+          'POST /api/rules/dry-run': 'Evaluate a business rule set against sample events',
           'GET /api/examples': 'Get example inputs',
           'GET /api/health': 'Health check',
           'GET /api/graph/stats': 'Graph execution statistics',
           'GET /api/docs': 'API documentation'
         },
         graphFlow: {
-          nodes: ['parse', 'validate', 'plan', 'venueSearch', 'error'],
-          features: ['sequential execution', 'plan refinement', 'caching', 'error handling']
+          nodes: ['parse', 'parseDocument', 'clarify', 'validate', 'plan', 'venueSearch', 'error'],
+          features: ['sequential execution', 'clarification questions', 'plan refinement', 'caching', 'error handling']
         }
       });
     });
@@ -68,7 +83,15 @@ async function startServer() {
         error: 'API endpoint not found',
         availableEndpoints: [
           'POST /api/generate-event-plan',
+          'POST /api/generate-event-plan/structured',
+          'POST /api/generate-event-plan/tiers',
+          'POST /api/generate-event-plan/document',
+          'POST /api/clarify',
           'POST /api/refine-plan',
+          'POST /api/apply-fix',
+          'GET /api/rules',
+          'GET /api/policy',
+          'POST /api/rules/dry-run',
           'GET /api/examples',
           'GET /api/health',
           'GET /api/graph/stats',
@@ -0,0 +1,223 @@
+// src/agents/clarifier.js
+import { interrupt } from '@langchain/langgraph';
+import { markField } from '../utils/provenance.js';
+import { resolveEventDate, getISTToday, addDays, formatDate } from '../utils/dateResolver.js';
+import { parseAmount } from '../utils/amountParser.js';
+import { EVENT_TYPE_NAMES } from '../config/eventTypes.js';
+import { createIssue, withIssues } from '../utils/issues.js';
+import { logger } from '../utils/logger.js';
+
+// Fields a plan cannot be trusted without
+export const CRITICAL_FIELDS = ['eventType', 'numberOfAttendees', 'location', 'date', 'budgetInINR'];
+
+// How far ahead the example date in the date question is
+const EXAMPLE_DATE_DAYS_AHEAD = 30;
+
+/**
+ * Get critical fields that were filled in by defaults during parsing
+ * @param {string[]} defaultedFields - Fields defaulted by the parser
+ * @returns {string[]} Missing critical fields
+ */
+export function getMissingCriticalFields(defaultedFields = []) {
+  return CRITICAL_FIELDS.filter(field => defaultedFields.includes(field));
+}
+
+/**
+ * Clarification node for the event planning graph
+ * Pauses execution with follow-up questions for missing critical fields and
+ * merges the answers into eventData when the execution is resumed
+ * @param {Object} state - Current graph state
+ * @returns {Object} Updated state with answered fields
+ */
+export async function clarifyNode(state) {
+  logger.info('❓ Clarify Node - Requesting missing event details...');
+
+  const missingFields = getMissingCriticalFields(state.parseMetadata?.defaultedFields);
+  const questions = buildQuestions(missingFields, state.eventData);
+
+  // Pauses the graph here; returns the answers once the execution is resumed.
+  // Unusable answers are asked again, one interrupt per round (a resumed node
+  // replays the earlier rounds with their stored answers).
+  // Must stay outside try/catch so the interrupt reaches the graph runtime.
+  const answers = {};
+  let pending = { missingFields, questions };
+  while (pending) {
+    const round = interrupt(pending) || {};
+    const rejected = pending.missingFields.filter(field => hasAnswer(round[field]) && coerceAnswer(field, round[field]) === null);
+    pending.missingFields
+      .filter(field => !rejected.includes(field))
+      .forEach(field => { answers[field] = round[field]; });
+
+    pending = rejected.length > 0 ?
+      { missingFields: rejected, questions: buildQuestions(rejected, state.eventData, round) } :
+      null;
+    if (pending) {
+      logger.info('❓ Clarify Node - Asking again for unusable answers', { rejected });
+    }
+  }
+
+  try {
+    const { eventData, answeredFields, issues } = applyAnswers(state.eventData, missingFields, answers);
+
+    logger.info('✅ Clarify Node - Answers applied', {
+      answeredFields,
+      stillAssumed: missingFields.filter(field => !answeredFields.includes(field))
+    });
+
+    return {
+      ...state,
+      ...withIssues(state, issues),
+      eventData,
+      parseMetadata: {
+        ...state.parseMetadata,
+        defaultedFields: (state.parseMetadata?.defaultedFields || []).filter(field => !answeredFields.includes(field)),
+        fieldProvenance: answeredFields.reduce(
+          (provenance, field) => markField(provenance, field, 'clarification'),
+          { ...state.parseMetadata?.fieldProvenance }
+        )
+      },
+      clarification: {
+        missingFields,
+        questions,
+        answers,
+        answeredAt: new Date().toISOString()
+      },
+      nextAction: "validate"
+    };
+
+  } catch (error) {
+    logger.error('❌ Clarify Node failed:', error.message);
+
+    return {
+      ...state,
+      ...withIssues(state, [createIssue('clarification-failed', `Clarification failed: ${error.message}`, { category: 'system' })]),
+      nextAction: "error"
+    };
+  }
+}
+
+/**
+ * Build follow-up questions for missing fields
+ * @param {string[]} missingFields - Fields to ask about
+ * @param {Object} eventData - Parsed event data with assumed values
+ * @param {Object} rejectedAnswers - Unusable answers from the previous round, keyed by field
+ * @returns {Array} Question objects; re-asked ones carry rejectedAnswer and error
+ */
+function buildQuestions(missingFields, eventData = {}, rejectedAnswers = {}) {
+  // An example date that is still ahead, so copying it gives a valid answer
+  const exampleDate = formatDate(addDays(getISTToday(), EXAMPLE_DATE_DAYS_AHEAD));
+  const templates = {
+    eventType: {
+      question: 'What kind of event is this?',
+      inputType: 'select',
+      options: EVENT_TYPE_NAMES,
+      hint: 'Pick one of the listed event types'
+    },
+    numberOfAttendees: {
+      question: 'How many people will attend?',
+      inputType: 'number',
+      hint: 'Enter a whole number of people above zero'
+    },
+    location: {
+      question: 'Which city will the event be held in?',
+      inputType: 'text',
+      hint: 'Enter a city name'
+    },
+    date: {
+      question: `What date is the event? (e.g. ${exampleDate} or "next Friday")`,
+      inputType: 'date',
+      hint: `Enter a date such as ${exampleDate} or "next Friday"`
+    },
+    budgetInINR: {
+      question: 'What is the total budget in ₹?',
+      inputType: 'number',
+      hint: 'Enter an amount above zero, e.g. 150000 or "1.5 lakhs"'
+    }
+  };
+
+  return missingFields.map(field => {
+    const { hint, ...template } = templates[field];
+    return {
+      field,
+      ...template,
+      assumedValue: eventData[field],
+      ...(field in rejectedAnswers && {
+        rejectedAnswer: rejectedAnswers[field],
+        error: `"${rejectedAnswers[field]}" is not a valid answer. ${hint}`
+      })
+    };
+  });
+}
+
+/**
+ * Merge clarification answers into event data
+ * Unanswered fields keep the assumed value and produce a warning issue
+ * (unusable answers have been asked again by then)
+ * @param {Object} eventData - Parsed event data
+ * @param {string[]} missingFields - Fields that were asked about
+ * @param {Object} answers - Answers keyed by field name
+ * @returns {Object} Updated event data, answered fields and issues
+ */
+function applyAnswers(eventData, missingFields, answers) {
+  const updated = { ...eventData };
+  const answeredFields = [];
+  const issues = [];
+
+  missingFields.forEach(field => {
+    const raw = answers[field];
+    const value = hasAnswer(raw) ? coerceAnswer(field, raw) : null;
+
+    if (value === null) {
+      issues.push(createIssue('clarification-unanswered', `No valid ${field} provided - assuming ${eventData[field]}`, {
+        field,
+        severity: 'warning',
+        fix: { action: 'review', field, description: `Confirm the assumed ${field} of ${eventData[field]}` }
+      }));
+      return;
+    }
+
+    updated[field] = value;
+    answeredFields.push(field);
+  });
+
+  return { eventData: updated, answeredFields, issues };
+}
+
+function hasAnswer(raw) {
+  return raw !== undefined && raw !== null && String(raw).trim() !== '';
+}
+
+/**
+ * Convert a raw answer to the eventData field type
+ * @param {string} field - Field name
+ * @param {string|number} raw - Raw answer
+ * @returns {*} Coerced value or null if invalid
+ */
+function coerceAnswer(field, raw) {
+  const text = String(raw).trim();
+
+  switch (field) {
+    case 'eventType': {
+      const type = text.toLowerCase().replace(/[\s-]+/g, '_');
+      return EVENT_TYPE_NAMES.includes(type) ? type : null;
+    }
+
+    case 'numberOfAttendees': {
+      const count = parseInt(text.replace(/,/g, ''));
+      return Number.isInteger(count) && count > 0 ? count : null;
+    }
+
+    case 'budgetInINR':
+      // parseAmount reads "-5" as 5
+      return /^(?:-|−|minus\b)/i.test(text) ? null : parseAmount(text);
+
+    case 'date':
+      return resolveEventDate(text)?.date || null;
+
+    case 'location':
+      return text.length >= 2 ? text : null;
+
+    default:
+      return text;
+  }
+}
@@ -0,0 +1,262 @@
+// src/agents/documentParser.js
+import { InputParser } from '../core/InputParser.js';
+import { chunkText } from '../utils/documentText.js';
+import { getMissingCriticalFields } from './clarifier.js';
+import { getResolutionIssues } from './inputParser.js';
+import { markField, getDefaultedFields } from '../utils/provenance.js';
+import { DIETARY_FIELDS } from '../utils/dietaryProfile.js';
+import { normalizeAccessibilityNeeds } from '../utils/accessibility.js';
+import { normalizeCityName } from '../config/cities.js';
+import { createIssue, withIssues } from '../utils/issues.js';
+import { config } from '../config/config.js';
+import { logger } from '../utils/logger.js';
+
+const inputParser = new InputParser();
+
+// Fields reconciled together because they only make sense from the same statement
+const FIELD_GROUPS = [
+  ['eventType'],
+  ['numberOfAttendees'],
+  ['location'],
+  ['date', 'endDate'],
+  ['budgetInINR'],
+  ['durationInHours', 'hoursPerDay'],
+  ['startTime', 'endTime']
+];
+
+// Resolver metadata that belongs to the chunk a group's value was taken from
+const GROUP_RESOLUTIONS = {
+  date: ['dateResolution'],
+  startTime: ['timeResolution'],
+  budgetInINR: ['budgetResolution', 'budgetRaise']
+};
+
+/**
+ * Document parse node for the event planning graph
+ * Parses a long brief chunk by chunk - each message of a thread separately -
+ * and reconciles the values found across chunks before validation
+ * @param {Object} state - Current graph state
+ * @returns {Object} Updated state with reconciled event data
+ */
+export async function parseDocumentNode(state) {
+  logger.info('📄 Parse Document Node - Starting document parsing...');
+
+  try {
+    const chunks = chunkText(state.userInput.naturalInput, config.documentChunkLength);
+
+    if (chunks.length === 0) {
+      return {
+        ...state,
+        ...withIssues(state, [createIssue('document-no-details', 'The document contains no event details to parse', { category: 'parsing' })]),
+        nextAction: "error"
+      };
+    }
+
+    // One LLM call per chunk, in document order
+    const results = [];
+    for (const [index, chunk] of chunks.entries()) {
+      logger.info(`📄 Parsing chunk ${index + 1} of ${chunks.length} (${chunk.length} characters)`);
+      results.push(await inputParser.parseUserInput(chunk));
+    }
+
+    const { eventData, fieldProvenance, resolutions, conflicts } = reconcileChunkResults(results);
+    const defaultedFields = getDefaultedFields(fieldProvenance);
+
+    logger.info('✅ Parse Document Node - Reconciled document details:', {
+      chunks: chunks.length,
+      eventType: eventData.eventType,
+      attendees: eventData.numberOfAttendees,
+      location: eventData.location,
+      budget: eventData.budgetInINR,
+      conflicts: conflicts.length,
+      defaultedFields
+    });
+
+    const missingFields = getMissingCriticalFields(defaultedFields);
+    const needsClarification = config.enableClarification && missingFields.length > 0;
+
+    if (needsClarification) {
+      logger.info('❓ Critical fields missing from document, requesting clarification:', missingFields);
+    }
+
+    return {
+      ...state,
+      ...withIssues(state, [...conflicts, ...getResolutionIssues(resolutions, eventData)]),
+      eventData,
+      rawParseResult: JSON.stringify(results, null, 2),
+      parseMetadata: {
+        defaultedFields,
+        fieldProvenance,
+        ...resolutions,
+        parsedAt: new Date().toISOString()
+      },
+      executionMetadata: {
+        ...state.executionMetadata,
+        llmAttempts: [
+          ...(state.executionMetadata?.llmAttempts || []),
+          ...results.flatMap(result => result.llmAttempts || [])
+        ]
+      },
+      nextAction: needsClarification ? "clarify" : "validate"
+    };
+
+  } catch (error) {
+    logger.error('❌ Parse Document Node failed:', error.message);
+
+    return {
+      ...state,
+      ...withIssues(state, [createIssue('document-parse-failed', `Document parsing failed: ${error.message}`, { category: 'parsing' })]),
+      nextAction: "error"
+    };
+  }
+}
+
+/**
+ * Reconcile event details parsed from each chunk of a document
+ * Values the chunk actually stated beat defaults. When chunks disagree, the
+ * value with the most summed confidence wins and ties go to the earlier chunk
+ * (the latest message in a pasted thread, the summary in an RFP). Lists are
+ * merged and dietary counts take the largest stated count.
+ * @param {Array} results - InputParser results in chunk order
+ * @returns {Object} { eventData, fieldProvenance, resolutions, conflicts } - conflicts are warning issues
+ */
+function reconcileChunkResults(results) {
+  const eventData = {};
+  const fieldProvenance = {};
+  const resolutions = {};
+  const conflicts = [];
+
+  for (const group of FIELD_GROUPS) {
+    const candidates = results
+      .map((result, index) => ({ result, index, stated: group.filter(field => isStated(result, field)) }))
+      .filter(candidate => candidate.stated.length > 0);
+
+    if (candidates.length === 0) {
+      // Nothing stated anywhere - keep the first chunk's defaults
+      copyGroup(group, results[0], eventData, fieldProvenance);
+      continue;
+    }
+
+    const options = new Map();
+    candidates.forEach(({ result, index, stated }) => {
+      const key = JSON.stringify(group.map(field => stated.includes(field) ? comparableValue(field, result[field]) : null));
+      const weight = Math.max(...stated.map(field => result.provenance[field].confidence));
+      const option = options.get(key) || { result, index, weight: 0, mentions: 0 };
+      option.weight += weight;
+      option.mentions += 1;
+      options.set(key, option);
+    });
+
+    const ranked = [...options.values()].sort((a, b) => b.weight - a.weight || a.index - b.index);
+    const [chosen] = ranked;
+    const totalWeight = ranked.reduce((sum, option) => sum + option.weight, 0);
+
+    copyGroup(group, chosen.result, eventData, fieldProvenance);
+    group.filter(field => isStated(chosen.result, field)).forEach(field => {
+      markField(fieldProvenance, field, chosen.result.provenance[field].source, {
+        confidence: Math.round(chosen.result.provenance[field].confidence * chosen.weight / totalWeight * 100) / 100,
+        detail: `chunk ${chosen.index + 1} of ${results.length}${ranked.length > 1 ? ', conflicting values found' : ''}`
+      });
+    });
+
+    (GROUP_RESOLUTIONS[group[0]] || []).forEach(resolution => {
+      if (chosen.result[resolution]) {
+        resolutions[resolution] = chosen.result[resolution];
+      }
+    });
+
+    if (ranked.length > 1) {
+      const values = ranked.map(option => formatGroupValue(group, option.result));
+      conflicts.push(createIssue('document-conflict',
+        `Document check: ${describeGroup(group)} stated as ${values.join(', ')} - using ${values[0]} (chunk ${chosen.index + 1}, ${chosen.mentions} mention${chosen.mentions > 1 ? 's' : ''})`,
+        {
+          field: group[0],
+          severity: 'warning',
+          category: 'parsing',
+          fix: { action: 'oneOf', field: group[0], options: ranked.map(option => option.result[group[0]]) }
+        }));
+    }
+  }
+
+  mergeListsAndCounts(results, eventData, fieldProvenance);
+
+  return { eventData, fieldProvenance, resolutions, conflicts };
+}
+
+/**
+ * Merge requirements, accessibility needs and dietary counts from all chunks
+ * @param {Array} results - InputParser results in chunk order
+ * @param {Object} eventData - Reconciled event data, mutated
+ * @param {Object} fieldProvenance - Provenance map, mutated
+ */
+function mergeListsAndCounts(results, eventData, fieldProvenance) {
+  const requirements = [...new Set(results.flatMap(result => result.requirements || []))];
+  eventData.requirements = requirements;
+  const requirementSource = results.find(result => result.requirements?.length > 0);
+  if (requirementSource?.provenance?.requirements) {
+    fieldProvenance.requirements = requirementSource.provenance.requirements;
+  }
+
+  const accessibility = normalizeAccessibilityNeeds(results.flatMap(result => result.accessibility || []));
+  if (accessibility.length > 0) {
+    eventData.accessibility = accessibility;
+    fieldProvenance.accessibility = results.find(result => result.accessibility?.length > 0).provenance.accessibility;
+  }
+
+  const dietary = {};
+  results.forEach(result => {
+    DIETARY_FIELDS.forEach(field => {
+      if (result.dietary?.[field] > (dietary[field] || 0)) dietary[field] = result.dietary[field];
+    });
+  });
+  if (Object.keys(dietary).length > 0) {
+    eventData.dietary = dietary;
+    fieldProvenance.dietary = results.find(result => result.dietary).provenance.dietary;
+  }
+}
+
+function isStated(result, field) {
+  const source = result.provenance?.[field]?.source;
+  return result[field] !== undefined && result[field] !== null && !!source && source !== 'default';
+}
+
+// "Bengaluru" in one chunk and "Bangalore" in another are the same city
+function comparableValue(field, value) {
+  return field === 'location' ? normalizeCityName(value) : value;
+}
+
+function copyGroup(group, result, eventData, fieldProvenance) {
+  group.forEach(field => {
+    if (result[field] === undefined || result[field] === null) return;
+    eventData[field] = result[field];
+    if (result.provenance?.[field]) fieldProvenance[field] = result.provenance[field];
+  });
+}
+
+function describeGroup(group) {
+  const labels = {
+    eventType: 'event type',
+    numberOfAttendees: 'headcount',
+    location: 'location',
+    date: 'date',
+    budgetInINR: 'budget',
+    durationInHours: 'duration',
+    startTime: 'time'
+  };
+  return labels[group[0]];
+}
+
+function formatGroupValue(group, result) {
+  switch (group[0]) {
+    case 'budgetInINR':
+      return `₹${result.budgetInINR.toLocaleString('en-IN')}`;
+    case 'date':
+      return result.endDate ? `${result.date} to ${result.endDate}` : result.date;
+    case 'durationInHours':
+      return `${result.durationInHours}h`;
+    case 'startTime':
+      return [result.startTime, result.endTime].filter(Boolean).join('–');
+    default:
+      return String(result[group[0]]);
+  }
+}
@@ -1,10 +1,12 @@
+import { ISSUE_CATEGORIES, describeFix } from '../utils/issues.js';
 import { logger } from '../utils/logger.js';
 
 export async function errorHandlerNode(state) {
   logger.error('❌ Error Handler Node - Processing errors:', state.errors);
 
   try {
-    const errorCategories = categorizeErrors(state.errors);
+    const errorIssues = (state.issues || []).filter(issue => issue.severity === 'error');
+    const errorCategories = categorizeErrors(state.errors, errorIssues);
     const userMessage = generateUserFriendlyError(errorCategories, state);
     logErrorDetails(state, errorCategories);
 
@@ -14,8 +16,9 @@ export async function errorHandlerNode(state) {
       error: userMessage,
       errorDetails: {
         categories: errorCategories,
-        recoverable: isRecoverable(errorCategories),
-        suggestions: getRecoverySuggestions(errorCategories)
+        issues: errorIssues,
+        recoverable: isRecoverable(errorCategories) || state.fixProposals?.length > 0,
+        suggestions: getRecoverySuggestions(errorCategories, errorIssues, state.fixProposals || [])
       },
       nextAction: "END"
     };
@@ -31,29 +34,17 @@ export async function errorHandlerNode(state) {
   }
 }
 
-function categorizeErrors(errors) {
-  const categories = {
-    validation: [],
-    parsing: [],
-    external: [],
-    system: [],
-    unknown: []
-  };
-
-  errors.forEach(error => {
-    const errorLower = error.toLowerCase();
-
-    if (errorLower.includes('validation') || errorLower.includes('invalid')) {
-      categories.validation.push(error);
-    } else if (errorLower.includes('parsing') || errorLower.includes('understand')) {
-      categories.parsing.push(error);
-    } else if (errorLower.includes('api') || errorLower.includes('network') || errorLower.includes('timeout')) {
-      categories.external.push(error);
-    } else if (errorLower.includes('system') || errorLower.includes('internal')) {
-      categories.system.push(error);
-    } else {
-      categories.unknown.push(error);
-    }
+// Messages added without an issue are counted as unknown
+function categorizeErrors(errors, issues) {
+  const categories = Object.fromEntries([...ISSUE_CATEGORIES, 'unknown'].map(category => [category, []]));
+
+  issues.forEach(issue => {
+    categories[issue.category].push(issue.message);
+  });
+
+  const reported = new Set(issues.map(issue => issue.message));
+  errors.filter(error => !reported.has(error)).forEach(error => {
+    categories.unknown.push(error);
   });
 
   return categories;
@@ -106,8 +97,11 @@ function isRecoverable(errorCategories) {
   return false;
 }
 
-function getRecoverySuggestions(errorCategories) {
-  const suggestions = [];
+function getRecoverySuggestions(errorCategories, issues, fixProposals) {
+  // Checked one-click fixes come first, else the fixes attached to the issues; the generic advice follows
+  const suggestions = fixProposals.length > 0 ?
+    fixProposals.map(proposal => proposal.label) :
+    [...new Set(issues.map(issue => describeFix(issue.fix)).filter(Boolean))];
 
   if (errorCategories.validation.length > 0) {
     suggestions.push('Check that all required fields are provided');
@@ -1,6 +1,10 @@
 // src/agents/inputParser.js
 import { InputParser } from '../core/InputParser.js';
 import { validateNaturalInput } from '../utils/validation.js';
+import { createIssue, withIssues } from '../utils/issues.js';
+import { getMissingCriticalFields } from './clarifier.js';
+import { markField, getDefaultedFields } from '../utils/provenance.js';
+import { config } from '../config/config.js';
 import { logger } from '../utils/logger.js';
 
 const inputParser = new InputParser();
@@ -19,11 +23,11 @@ export async function parseInputNode(state) {
     const tweakPrompt = state.userInput.tweakPrompt;
     
     // Validate input format and length
-    const inputValidationErrors = validateNaturalInput(naturalInput);
-    if (inputValidationErrors.length > 0) {
+    const inputValidationIssues = validateNaturalInput(naturalInput);
+    if (inputValidationIssues.length > 0) {
       return {
         ...state,
-        errors: [...state.errors, ...inputValidationErrors],
+        ...withIssues(state, inputValidationIssues),
         nextAction: "error"
       };
     }
@@ -36,34 +40,64 @@ export async function parseInputNode(state) {
     }
 
     // Parse the input using the core InputParser
-    const eventData = await inputParser.parseUserInput(processedInput);
+    const parsedData = await inputParser.parseUserInput(processedInput);
     
-    if (!eventData) {
+    if (!parsedData) {
       return {
         ...state,
-        errors: [...state.errors, 'Could not understand the event requirements. Please include: event type, number of people, location, date, and budget.'],
+        ...withIssues(state, [createIssue('unparseable-input', 'Could not understand the event requirements. Please include: event type, number of people, location, date, and budget.', { category: 'parsing' })]),
         nextAction: "error"
       };
     }
 
+    const { provenance = {}, dateResolution, timeResolution, budgetResolution, budgetRaise, llmAttempts = [], ...eventData } = parsedData;
+
     // Apply basic refinements if this is a tweak request
     const refinedEventData = tweakPrompt ? 
       applyBasicRefinements(eventData, tweakPrompt) : 
       eventData;
 
+    const fieldProvenance = tweakPrompt ?
+      markRefinedFields({ ...provenance }, eventData, refinedEventData) :
+      provenance;
+    const defaultedFields = getDefaultedFields(fieldProvenance);
+
     logger.info('✅ Parse Input Node - Successfully parsed input:', {
       eventType: refinedEventData.eventType,
       attendees: refinedEventData.numberOfAttendees,
       location: refinedEventData.location,
       budget: refinedEventData.budgetInINR,
-      isRefinement: !!tweakPrompt
+      isRefinement: !!tweakPrompt,
+      defaultedFields
     });
-    
+
+    // Ask the user rather than planning on invented critical values
+    const missingFields = getMissingCriticalFields(defaultedFields);
+    const needsClarification = config.enableClarification && missingFields.length > 0;
+
+    if (needsClarification) {
+      logger.info('❓ Critical fields missing, requesting clarification:', missingFields);
+    }
+
     return {
       ...state,
+      ...withIssues(state, getResolutionIssues({ dateResolution, timeResolution, budgetResolution, budgetRaise }, refinedEventData)),
       eventData: refinedEventData,
-      rawParseResult: JSON.stringify(eventData, null, 2),
-      nextAction: "validate"
+      rawParseResult: JSON.stringify(parsedData, null, 2),
+      parseMetadata: {
+        defaultedFields,
+        fieldProvenance,
+        ...(dateResolution && { dateResolution }),
+        ...(timeResolution && { timeResolution }),
+        ...(budgetResolution && { budgetResolution }),
+        ...(budgetRaise && { budgetRaise }),
+        parsedAt: new Date().toISOString()
+      },
+      executionMetadata: {
+        ...state.executionMetadata,
+        llmAttempts: [...(state.executionMetadata?.llmAttempts || []), ...llmAttempts]
+      },
+      nextAction: needsClarification ? "clarify" : "validate"
     };
 
   } catch (error) {
@@ -71,12 +105,67 @@ export async function parseInputNode(state) {
     
     return {
       ...state,
-      errors: [...state.errors, `Parsing failed: ${error.message}`],
+      ...withIssues(state, [createIssue('parse-failed', `Parsing failed: ${error.message}`, { category: 'parsing' })]),
       nextAction: "error"
     };
   }
 }
 
+/**
+ * Warning issues for values the deterministic resolvers corrected after the
+ * LLM read, and for a stated budget raised to the configured minimum
+ * @param {Object} resolutions - { dateResolution, timeResolution, budgetResolution, budgetRaise }
+ * @param {Object} eventData - Final event data
+ * @returns {Array} Issues
+ */
+export function getResolutionIssues({ dateResolution, timeResolution, budgetResolution, budgetRaise }, eventData) {
+  const issues = [];
+  const corrected = (code, field, message) => createIssue(code, message, { field, severity: 'warning', category: 'parsing' });
+
+  if (dateResolution && !dateResolution.agrees) {
+    issues.push(corrected('date-corrected', 'date',
+      `Date check: "${dateResolution.expression}" resolves to ${dateResolution.resolvedDate}, not ${dateResolution.llmDate} as first read - using ${dateResolution.resolvedDate}`));
+  }
+  // Times the first read left out are filled in silently; only corrections are reported
+  if (timeResolution && !timeResolution.agrees && (timeResolution.llmStart || timeResolution.llmEnd)) {
+    const resolvedTimes = [timeResolution.resolvedStart, timeResolution.resolvedEnd].filter(Boolean).join('–');
+    const llmTimes = [timeResolution.llmStart, timeResolution.llmEnd].filter(Boolean).join('–');
+    issues.push(corrected('time-corrected', timeResolution.resolvedStart ? 'startTime' : 'endTime',
+      `Time check: "${timeResolution.expression}" resolves to ${resolvedTimes}, not ${llmTimes} as first read - using ${resolvedTimes}`));
+  }
+  if (budgetResolution && !budgetResolution.agrees) {
+    issues.push(corrected('budget-corrected', 'budgetInINR',
+      `Budget check: "${budgetResolution.expression}" reads as ₹${budgetResolution.resolvedBudget.toLocaleString('en-IN')}, not ₹${budgetResolution.llmBudget.toLocaleString('en-IN')} as first read - using ₹${eventData.budgetInINR.toLocaleString('en-IN')}`));
+  }
+  if (budgetRaise) {
+    issues.push(createIssue('budget-raised', `Budget of ₹${budgetRaise.requestedBudget.toLocaleString('en-IN')} is below the ₹${budgetRaise.minimumBudget.toLocaleString('en-IN')} minimum - planning with ₹${eventData.budgetInINR.toLocaleString('en-IN')}`, {
+      field: 'budgetInINR',
+      severity: 'warning',
+      category: 'parsing',
+      fix: { action: 'review', field: 'budgetInINR', description: `Confirm a budget of at least ₹${budgetRaise.minimumBudget.toLocaleString('en-IN')}` }
+    }));
+  }
+
+  return issues;
+}
+
+/**
+ * Mark fields changed by refinements in the provenance map
+ * @param {Object} provenance - Provenance map to update
+ * @param {Object} original - Event data before refinements
+ * @param {Object} refined - Event data after refinements
+ * @returns {Object} Updated provenance map
+ */
+function markRefinedFields(provenance, original, refined) {
+  Object.keys(refined).forEach(field => {
+    if (JSON.stringify(refined[field]) !== JSON.stringify(original[field])) {
+      markField(provenance, field, 'refinement');
+    }
+  });
+
+  return provenance;
+}
+
 /**
  * Apply basic refinement modifications to parsed event data
  * @param {Object} eventData - Parsed event data
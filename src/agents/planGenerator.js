@@ -1,5 +1,9 @@
 // src/agents/planGenerator.js
 import { PlanGenerator } from '../core/PlanGenerator.js';
+import { getEventDays, MAX_DAILY_HOURS } from '../utils/eventSchedule.js';
+import { shiftTime } from '../utils/timeResolver.js';
+import { createIssue, withIssues } from '../utils/issues.js';
+import { renderPlanMarkdown } from '../utils/planModel.js';
 import { logger } from '../utils/logger.js';
 
 const planGenerator = new PlanGenerator();
@@ -17,7 +21,7 @@ export async function generatePlanNode(state) {
     if (!state.eventData) {
       return {
         ...state,
-        errors: [...state.errors, 'No event data for plan generation'],
+        ...withIssues(state, [createIssue('missing-event-data', 'No event data for plan generation', { category: 'system' })]),
         nextAction: "error"
       };
     }
@@ -34,34 +38,42 @@ export async function generatePlanNode(state) {
     }
 
     // Generate the event plan using core class
-    const eventPlan = await planGenerator.generateEventPlan(eventData);
+    const structuredPlan = await planGenerator.generateEventPlan(eventData);
     
-    if (!eventPlan || eventPlan.trim().length === 0) {
+    if (!structuredPlan.brief && structuredPlan.itinerary.length === 0 && structuredPlan.costs.lines.length === 0) {
       throw new Error('Generated plan is empty');
     }
 
     // Add refinement notice if this was a tweak
     const finalPlan = state.userInput.tweakPrompt ? 
-      addRefinementNotice(eventPlan, state.userInput.tweakPrompt) : 
-      eventPlan;
+      addRefinementNotice(structuredPlan, state.userInput.tweakPrompt) : 
+      structuredPlan;
+    const eventPlan = renderPlanMarkdown(finalPlan);
+    const correctedLines = finalPlan.costs.lines.filter(line => line.plannedAmount != null && line.plannedAmount !== line.amount);
 
     // Generate simple metadata for the workflow
     const planMetadata = {
       generatedAt: new Date().toISOString(),
       isRefinement: !!state.userInput.tweakPrompt,
       refinementPrompt: state.userInput.tweakPrompt,
-      budgetPerPerson: Math.floor(eventData.budgetInINR / eventData.numberOfAttendees)
+      budgetPerPerson: Math.floor(eventData.budgetInINR / eventData.numberOfAttendees),
+      costCorrections: correctedLines.length
     };
 
     logger.info('✅ Generate Plan Node - Plan generated successfully', {
-      planLength: finalPlan.length,
+      planLength: eventPlan.length,
+      itineraryDays: finalPlan.itinerary.length,
+      costLines: finalPlan.costs.lines.length,
+      costCorrections: correctedLines.length,
       isRefinement: !!state.userInput.tweakPrompt
     });
     
     return {
       ...state,
-      eventPlan: finalPlan,
-      rawPlanResult: eventPlan,
+      ...withIssues(state, getOvershootIssues(finalPlan)),
+      eventPlan,
+      structuredPlan: finalPlan,
+      rawPlanResult: renderPlanMarkdown(structuredPlan),
       planMetadata,
       nextAction: "venueSearch"
     };
@@ -75,8 +87,12 @@ export async function generatePlanNode(state) {
       
       return {
         ...state,
-        eventPlan: fallbackPlan,
-        warnings: [...state.warnings, `Plan generation failed: ${error.message}`, 'Using fallback plan generation'],
+        eventPlan: renderPlanMarkdown(fallbackPlan),
+        structuredPlan: fallbackPlan,
+        ...withIssues(state, [
+          createIssue('plan-generation-failed', `Plan generation failed: ${error.message}`, { severity: 'warning', category: 'external' }),
+          createIssue('fallback-plan-used', 'Using fallback plan generation', { severity: 'warning', category: 'system' })
+        ]),
         planMetadata: {
           isFallback: true,
           originalError: error.message,
@@ -90,13 +106,36 @@ export async function generatePlanNode(state) {
       
       return {
         ...state,
-        errors: [...state.errors, `Plan generation failed: ${error.message}`, `Fallback also failed: ${fallbackError.message}`],
+        ...withIssues(state, [
+          createIssue('plan-generation-failed', `Plan generation failed: ${error.message}`, { category: 'external' }),
+          createIssue('fallback-plan-failed', `Fallback also failed: ${fallbackError.message}`, { category: 'system' })
+        ]),
         nextAction: "error"
       };
     }
   }
 }
 
+/**
+ * Warn about cost lines the generated plan took over their allocation
+ * The plan already carries the allocated amounts; the warning says what was cut
+ * @param {Object} plan - Structured plan
+ * @returns {Array} Issues
+ */
+function getOvershootIssues(plan) {
+  return plan.costs.lines
+    .filter(line => line.overshoot)
+    .map(line => createIssue(
+      'cost-overshoot',
+      `The plan put ${line.label} at ₹${line.plannedAmount.toLocaleString()}, ₹${line.overshoot.toLocaleString()} over its ₹${line.amount.toLocaleString()} allocation; the amount was reset to the allocation`,
+      {
+        field: 'budgetInINR',
+        severity: 'warning',
+        fix: { action: 'review', field: 'budgetInINR', description: `Check that ${line.label.toLowerCase()} can be delivered for ₹${line.amount.toLocaleString()}, or raise the budget` }
+      }
+    ));
+}
+
 /**
  * Enhance event data for refinement requests
  * @param {Object} eventData - Original event data
@@ -156,11 +195,19 @@ function enhanceEventDataForRefinement(eventData, tweakPrompt) {
     ...additionalRequirements
   ].filter((req, index, arr) => arr.indexOf(req) === index);
   
-  // Adjust duration if specified
+  // Adjust duration if specified (2 hours per day for multi-day events)
+  const days = getEventDays(enhanced);
   if (tweakLower.includes('extend') || tweakLower.includes('longer')) {
-    enhanced.durationInHours = Math.min(12, enhanced.durationInHours + 2);
+    enhanced.durationInHours = Math.min(days * MAX_DAILY_HOURS, enhanced.durationInHours + 2 * days);
   } else if (tweakLower.includes('shorter') || tweakLower.includes('compact')) {
-    enhanced.durationInHours = Math.max(2, enhanced.durationInHours - 2);
+    enhanced.durationInHours = Math.max(2 * days, enhanced.durationInHours - 2 * days);
+  }
+  if (enhanced.hoursPerDay) {
+    enhanced.hoursPerDay = Math.ceil(enhanced.durationInHours / days);
+  }
+  // A stated window keeps its start and moves its end
+  if (enhanced.startTime && enhanced.endTime) {
+    enhanced.endTime = shiftTime(enhanced.startTime, Math.ceil(enhanced.durationInHours / days) * 60);
   }
   
   return enhanced;
@@ -168,21 +215,20 @@ function enhanceEventDataForRefinement(eventData, tweakPrompt) {
 
 /**
  * Add refinement notice to the generated plan
- * @param {string} originalPlan - Original generated plan
+ * The notice is rendered after the event brief
+ * @param {Object} originalPlan - Original structured plan
  * @param {string} tweakPrompt - Refinement instructions
- * @returns {string} Plan with refinement notice
+ * @returns {Object} Plan with refinement notice
  */
 function addRefinementNotice(originalPlan, tweakPrompt) {
-  const refinementNotice = `\n## 🔧 REFINEMENTS APPLIED\n**User Request**: ${tweakPrompt}\n*The plan below has been adjusted to incorporate your requested changes.*\n\n`;
-  
-  // Find insertion point (after event brief)
-  const briefEndIndex = originalPlan.indexOf('## DETAILED ITINERARY');
-  if (briefEndIndex !== -1) {
-    return originalPlan.slice(0, briefEndIndex) + 
-           refinementNotice + 
-           originalPlan.slice(briefEndIndex);
-  } else {
-    // If structure is different, add at the beginning
-    return refinementNotice + originalPlan;
-  }
+  const refinementNotice = {
+    key: 'refinements',
+    heading: '🔧 REFINEMENTS APPLIED',
+    lines: [
+      `**User Request**: ${tweakPrompt}`,
+      '*The plan below has been adjusted to incorporate your requested changes.*'
+    ]
+  };
+
+  return { ...originalPlan, sections: [refinementNotice, ...originalPlan.sections] };
 }
\ No newline at end of file
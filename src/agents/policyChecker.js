@@ -0,0 +1,102 @@
+// src/agents/policyChecker.js
+import { getExpensePolicy } from '../config/expensePolicy.js';
+import { checkEventPolicy, reviewPlanPolicy, summarizePolicyCompliance } from '../utils/policyCompliance.js';
+import { createIssue, withIssues } from '../utils/issues.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Policy check node for the event planning graph
+ * Checks validated event data against the expense policy before planning
+ * @param {Object} state - Current graph state
+ * @returns {Object} Updated state with policy compliance
+ */
+export async function checkPolicyNode(state) {
+  logger.info('📋 Policy Check Node - Checking event against expense policy...');
+
+  try {
+    if (!state.eventData) {
+      return {
+        ...state,
+        ...withIssues(state, [createIssue('missing-event-data', 'No event data for policy check', { category: 'system' })]),
+        nextAction: "error"
+      };
+    }
+
+    const policy = getExpensePolicy();
+    const violations = checkEventPolicy(state.eventData, policy);
+    const policyCompliance = summarizePolicyCompliance(state.eventData, violations, policy, 'validation');
+
+    logger.info('✅ Policy Check Node - Policy check completed', {
+      violations: violations.map(violation => violation.code),
+      approvalRequiredBy: policyCompliance.approvalRequiredBy
+    });
+
+    return {
+      ...state,
+      policyCompliance,
+      nextAction: "plan"
+    };
+
+  } catch (error) {
+    // A broken policy should not block planning; report it and carry on
+    logger.error('❌ Policy Check Node failed:', error.message);
+
+    return {
+      ...state,
+      ...withIssues(state, [createIssue('policy-check-failed', `Policy check failed: ${error.message}`, {
+        severity: 'warning',
+        category: 'system',
+        fix: { action: 'review', description: 'Check the plan against the expense policy manually' }
+      })]),
+      nextAction: "plan"
+    };
+  }
+}
+
+/**
+ * Policy review node for the event planning graph
+ * Checks the generated plan and venue suggestions against the expense policy
+ * Plan findings replace the pre-plan estimate for the same check
+ * @param {Object} state - Current graph state
+ * @returns {Object} Updated state with final policy compliance
+ */
+export async function reviewPolicyNode(state) {
+  logger.info('📋 Policy Review Node - Reviewing plan against expense policy...');
+
+  try {
+    const policy = getExpensePolicy();
+    const { violations: planViolations, venues } = reviewPlanPolicy(state, policy);
+    const planCodes = new Set(planViolations.map(violation => violation.code));
+    const violations = [
+      ...(state.policyCompliance?.violations || []).filter(violation => !planCodes.has(violation.code)),
+      ...planViolations
+    ];
+    const policyCompliance = summarizePolicyCompliance(state.eventData, violations, policy, 'plan');
+
+    logger.info('✅ Policy Review Node - Policy review completed', {
+      compliant: policyCompliance.compliant,
+      violations: violations.map(violation => violation.code),
+      approvalRequiredBy: policyCompliance.approvalRequiredBy
+    });
+
+    return {
+      ...state,
+      venues,
+      policyCompliance,
+      nextAction: "END"
+    };
+
+  } catch (error) {
+    logger.error('❌ Policy Review Node failed:', error.message);
+
+    return {
+      ...state,
+      ...withIssues(state, [createIssue('policy-review-failed', `Policy review failed: ${error.message}`, {
+        severity: 'warning',
+        category: 'system',
+        fix: { action: 'review', description: 'Check the plan against the expense policy manually' }
+      })]),
+      nextAction: "END"
+    };
+  }
+}
@@ -1,7 +1,22 @@
 // src/agents/validator.js
 import { validateEventInput, sanitizeEventData, getValidationSummary } from '../utils/validation.js';
+import { EVENT_TYPES } from '../config/eventTypes.js';
+import { getCityProfile } from '../config/cities.js';
+import { getBusinessRules } from '../config/businessRules.js';
+import { evaluateRules, formatRuleResult } from '../utils/ruleEngine.js';
+import { createIssue, getIssueMessages, withIssues } from '../utils/issues.js';
+import { buildFixCandidates, applyFixProposal } from '../utils/autoFix.js';
+import { estimateAccommodation, getEventDays, getOptimalDuration } from '../utils/eventSchedule.js';
+import { DIETARY_NEEDS, countMealPreferences } from '../utils/dietaryProfile.js';
+import { getAccessibilityTotal } from '../utils/accessibility.js';
+import { hasHolidayCalendar, findHolidayConflicts, suggestHolidayFreeDates, describeHolidayConflict, formatDayLabel } from '../utils/holidayCalendar.js';
+import { assessWeatherRisk, getOutdoorElements, getSeasonalRisks } from '../utils/weatherRisk.js';
+import { assessLeadTime, describeUrgentBookings, describeTimeLeft } from '../utils/leadTime.js';
 import { logger } from '../utils/logger.js';
 
+// Times a fix is adjusted when it runs into another limit on the same field
+const MAX_FIX_STEPS = 3;
+
 /**
  * Validation node for the event planning graph
  * Validates and sanitizes parsed event data
@@ -15,7 +30,7 @@ export async function validateDataNode(state) {
     if (!state.eventData) {
       return {
         ...state,
-        errors: [...state.errors, 'No event data to validate'],
+        ...withIssues(state, [createIssue('missing-event-data', 'No event data to validate', { category: 'system' })]),
         nextAction: "error"
       };
     }
@@ -27,7 +42,8 @@ export async function validateDataNode(state) {
       logger.warn('Validation failed:', validationSummary.errors);
       return {
         ...state,
-        errors: [...state.errors, ...validationSummary.errors],
+        ...withIssues(state, validationSummary.issues),
+        fixProposals: proposeFixes(state.eventData, validationSummary.issues),
         nextAction: "error"
       };
     }
@@ -35,22 +51,21 @@ export async function validateDataNode(state) {
     // Sanitize the event data
     const sanitizedData = sanitizeEventData(state.eventData);
     
-    // Add any warnings from validation
-    const warnings = [...state.warnings, ...validationSummary.warnings];
-    
-    // Perform business logic validation
-    const businessValidationResults = performBusinessValidation(sanitizedData);
+    // Perform business logic validation against the active rule set
+    const ruleSet = getBusinessRules();
+    const businessValidationResults = performBusinessValidation(sanitizedData, ruleSet);
+    const issueUpdate = withIssues(state, [...validationSummary.issues, ...businessValidationResults.issues]);
     
     if (businessValidationResults.errors.length > 0) {
       return {
         ...state,
-        errors: [...state.errors, ...businessValidationResults.errors],
+        ...issueUpdate,
+        fixProposals: proposeFixes(sanitizedData, businessValidationResults.issues, businessValidationResults.results, ruleSet),
         nextAction: "error"
       };
     }
 
-    // Add business warnings
-    warnings.push(...businessValidationResults.warnings);
+    const { warnings } = issueUpdate;
 
     logger.info('✅ Validate Data Node - Validation successful:', {
       eventType: sanitizedData.eventType,
@@ -63,14 +78,20 @@ export async function validateDataNode(state) {
     return {
       ...state,
       eventData: sanitizedData,
-      warnings,
+      ...issueUpdate,
       validationMetadata: {
         originalValid: validationSummary.isValid,
         sanitized: true,
         businessRulesApplied: true,
+        ruleSet: ruleSet.name,
+        rulesTriggered: businessValidationResults.results.map(result => result.ruleId),
+        holidayConflicts: businessValidationResults.holidays.conflicts,
+        alternativeDates: businessValidationResults.holidays.alternativeDates,
+        weatherRisks: businessValidationResults.weather.risks,
+        leadTime: businessValidationResults.leadTime,
         validatedAt: new Date().toISOString()
       },
-      nextAction: "plan"
+      nextAction: "policyCheck"
     };
 
   } catch (error) {
@@ -78,7 +99,7 @@ export async function validateDataNode(state) {
     
     return {
       ...state,
-      errors: [...state.errors, `Validation failed: ${error.message}`],
+      ...withIssues(state, [createIssue('validation-failed', `Validation failed: ${error.message}`, { category: 'system' })]),
       nextAction: "error"
     };
   }
@@ -86,229 +107,285 @@ export async function validateDataNode(state) {
 
 /**
  * Perform business logic validation beyond basic data validation
+ * Policy checks come from the declarative rule set; dietary counts are a
+ * data consistency check and stay in code
  * @param {Object} eventData - Sanitized event data
- * @returns {Object} Business validation results
+ * @param {Object} ruleSet - Rule set to apply (defaults to the active one)
+ * @returns {Object} { issues, errors, warnings, results, holidays, weather, leadTime } with errors and warnings as messages and results from the rule engine
  */
-function performBusinessValidation(eventData) {
-  const errors = [];
-  const warnings = [];
-  
-  const {
-    eventType,
-    numberOfAttendees,
-    budgetInINR,
-    durationInHours,
-    date,
-    location,
-    requirements = []
-  } = eventData;
-
-  // Business rule: Budget per person validation
-  const budgetPerPerson = budgetInINR / numberOfAttendees;
-  
-  if (budgetPerPerson < 500) {
-    errors.push('Budget is too low - minimum ₹500 per person required for a quality event');
-  } else if (budgetPerPerson < 1000) {
-    warnings.push('Budget per person is quite low - this may limit venue and catering options');
-  }
+export function performBusinessValidation(eventData, ruleSet = getBusinessRules()) {
+  const results = evaluateRules(ruleSet, buildRuleFacts(eventData));
+
+  const issues = results.map(result => createIssue(result.ruleId, formatRuleResult(result), {
+    field: result.field || null,
+    severity: result.severity,
+    fix: result.suggestion ?
+      { ...result.suggestion, ...(result.fix && { description: result.fix }) } :
+      result.fix ? { action: 'review', field: result.field || null, description: result.fix } : null
+  }));
+
+  // Dietary counts must account for every attendee
+  issues.push(...checkDietaryCounts(eventData.dietary, eventData.numberOfAttendees));
+
+  // Holidays in the event's city, with nearby dates that avoid them
+  const holidays = checkHolidayConflicts(eventData);
+  issues.push(...holidays.issues);
+
+  // Seasonal weather against outdoor plans and destination travel
+  const weather = assessWeatherRisk(eventData);
+  issues.push(...weather.warnings.map(warning => createIssue('seasonal-weather-risk', warning, {
+    field: 'date',
+    severity: 'warning',
+    fix: { action: 'review', field: 'date', description: 'Plan an indoor backup or move the event out of the season' }
+  })));
+
+  // Time left to book the venue, catering, speakers and so on
+  const leadTime = checkLeadTime(eventData);
+  issues.push(...leadTime.issues);
+
+  return {
+    issues,
+    errors: getIssueMessages(issues, 'error'),
+    warnings: getIssueMessages(issues, ['warning', 'info']),
+    results,
+    holidays: { conflicts: holidays.conflicts, alternativeDates: holidays.alternativeDates },
+    weather: { risks: weather.risks, outdoor: weather.outdoor },
+    leadTime: leadTime.assessment
+  };
+}
 
-  // Business rule: Event type and duration compatibility
-  const durationCompatibility = checkEventTypeDurationCompatibility(eventType, durationInHours);
-  if (!durationCompatibility.isCompatible) {
-    warnings.push(durationCompatibility.message);
-  }
+/**
+ * Propose concrete fixes for the blocking issues, e.g. the minimum budget for
+ * the current headcount, the maximum headcount for the current budget or the
+ * nearest valid date
+ * Every candidate is validated again; candidates that leave their own issue
+ * in place are dropped
+ * @param {Object} eventData - Event data that failed validation
+ * @param {Array} issues - Issues from validation
+ * @param {Array} results - Rule engine results; rule alternatives are tried as well
+ * @param {Object} ruleSet - Rule set to re-check against
+ * @returns {Array} Proposals: [{ id, issueCode, field, label, changes, resolvesAll }]
+ */
+export function proposeFixes(eventData, issues, results = [], ruleSet = getBusinessRules()) {
+  const seen = new Set();
 
-  // Business rule: Location and budget compatibility
-  const locationBudgetCheck = checkLocationBudgetCompatibility(location, budgetInINR, numberOfAttendees);
-  if (locationBudgetCheck.warning) {
-    warnings.push(locationBudgetCheck.warning);
-  }
+  return issues.filter(issue => issue.severity === 'error').flatMap(issue => {
+    const alternatives = results.find(result => result.ruleId === issue.code)?.alternatives || [];
 
-  // Business rule: Requirements feasibility
-  const requirementsFeasibility = checkRequirementsFeasibility(requirements, budgetPerPerson, eventType);
-  warnings.push(...requirementsFeasibility.warnings);
-  errors.push(...requirementsFeasibility.errors);
+    return buildFixCandidates(eventData, issue, [issue.fix, ...alternatives]).flatMap(initial => {
+      let candidate = initial;
+      let remaining = findBlockingIssues(applyFixProposal(eventData, candidate), ruleSet);
 
-  // Business rule: Date validation (weekends vs weekdays)
-  const dateValidation = validateEventDate(date, eventType);
-  if (dateValidation.warning) {
-    warnings.push(dateValidation.warning);
-  }
+      // A fix can run into a stricter limit on the same field (a per-person
+      // budget rule above the configured minimum); follow it
+      for (let step = 0; step < MAX_FIX_STEPS; step++) {
+        const fixed = applyFixProposal(eventData, candidate);
+        const next = remaining.flatMap(item => buildFixCandidates(fixed, item, [item.fix])).find(item => item.field === candidate.field);
+        if (!next) break;
 
-  // Business rule: Attendee count and venue compatibility
-  const venueCompatibility = checkAttendeeVenueCompatibility(numberOfAttendees, location);
-  if (venueCompatibility.warning) {
-    warnings.push(venueCompatibility.warning);
-  }
+        candidate = { ...candidate, label: next.label, changes: { ...candidate.changes, ...next.changes } };
+        remaining = findBlockingIssues(applyFixProposal(eventData, candidate), ruleSet);
+      }
+
+      const key = JSON.stringify(candidate.changes);
+      if (seen.has(key) || remaining.some(item => item.code === issue.code)) return [];
+      seen.add(key);
 
-  return { errors, warnings };
+      return [{ ...candidate, resolvesAll: remaining.length === 0 }];
+    });
+  });
 }
 
 /**
- * Check if event type and duration are compatible
- * @param {string} eventType - Type of event
- * @param {number} durationInHours - Duration in hours
- * @returns {Object} Compatibility result
+ * Build the facts business rules are evaluated against
+ * Every event field is available, plus:
+ * - budgetPerPerson, dayOfWeek (0 = Sunday), isWeekend, eventDays
+ * - city { name, state, tier: 1-3, costIndex, destination, known } from the
+ *   city dataset, costAdjustedBudgetPerPerson (budget per person / costIndex)
+ * - eventTypeLabel, preferredDays, typicalDuration { min, max, optimal },
+ *   optimalDuration (the optimal held to the daily-hours limit over the event
+ *   days), durationGap (hours away from optimalDuration)
+ * - accommodation { nights, rooms, ratePerNight, amount }, accommodationShare,
+ *   accommodationSharePercent (multi-day events only)
+ * - accessibilityTotal, accessibilityShare, accessibilitySharePercent
+ * - holidays (names of holidays on the event days), adjacentHolidays (the day
+ *   before or after)
+ * - outdoor (outdoor or beach requirements), weatherRisks (seasonal hazards
+ *   in the city during the event: monsoon, heat, cold, cyclone)
+ * - daysUntilEvent, leadTimeStatus (ok | compressed | infeasible | unknown)
+ *   and leadTimeRecommendedDays from the booking lead times
+ * @param {Object} eventData - Sanitized event data
+ * @returns {Object} Facts
  */
-function checkEventTypeDurationCompatibility(eventType, durationInHours) {
-  const typicalDurations = {
-    'meeting': { min: 1, max: 4, optimal: 2 },
-    'workshop': { min: 2, max: 8, optimal: 4 },
-    'training': { min: 4, max: 16, optimal: 8 },
-    'seminar': { min: 2, max: 8, optimal: 6 },
-    'conference': { min: 8, max: 24, optimal: 12 },
-    'offsite': { min: 8, max: 48, optimal: 16 }
+export function buildRuleFacts(eventData) {
+  const { eventType, numberOfAttendees, budgetInINR, durationInHours, date } = eventData;
+  const profile = EVENT_TYPES[eventType];
+  const dayOfWeek = date ? new Date(date).getDay() : null;
+  const accommodation = estimateAccommodation(eventData);
+  const accessibilityTotal = getAccessibilityTotal(eventData);
+  const holidayConflicts = findHolidayConflicts(eventData);
+  const city = getCityProfile(eventData.location);
+  const budgetPerPerson = numberOfAttendees > 0 ? budgetInINR / numberOfAttendees : null;
+  const leadTime = assessLeadTime(eventData);
+  const optimalDuration = profile ? getOptimalDuration(eventType, getEventDays(eventData)).hours : null;
+
+  return {
+    requirements: [],
+    accessibility: [],
+    ...eventData,
+    budgetPerPerson,
+    city,
+    costAdjustedBudgetPerPerson: budgetPerPerson === null ? null : budgetPerPerson / city.costIndex,
+    dayOfWeek,
+    isWeekend: dayOfWeek === null ? null : dayOfWeek === 0 || dayOfWeek === 6,
+    eventDays: getEventDays(eventData),
+    eventTypeLabel: profile?.label || eventType,
+    preferredDays: profile?.preferredDays || 'any',
+    typicalDuration: profile?.duration || null,
+    optimalDuration,
+    durationGap: optimalDuration && durationInHours ? Math.abs(durationInHours - optimalDuration) : null,
+    accommodation,
+    accommodationShare: accommodation && budgetInINR ? accommodation.amount / budgetInINR : null,
+    accommodationSharePercent: accommodation && budgetInINR ? Math.round(accommodation.amount / budgetInINR * 100) : null,
+    accessibilityTotal,
+    accessibilityShare: budgetInINR ? accessibilityTotal / budgetInINR : null,
+    accessibilitySharePercent: budgetInINR ? Math.round(accessibilityTotal / budgetInINR * 100) : null,
+    holidays: holidayConflicts.filter(conflict => conflict.relation === 'during').map(conflict => conflict.name),
+    adjacentHolidays: holidayConflicts.filter(conflict => conflict.relation !== 'during').map(conflict => conflict.name),
+    outdoor: getOutdoorElements(eventData).outdoor,
+    weatherRisks: getSeasonalRisks(eventData).map(risk => risk.risk),
+    daysUntilEvent: leadTime.daysUntilEvent,
+    leadTimeStatus: leadTime.status,
+    leadTimeRecommendedDays: leadTime.recommendedDays
   };
+}
 
-  const typical = typicalDurations[eventType];
-  if (!typical) {
-    return { isCompatible: true };
-  }
-
-  if (durationInHours < typical.min) {
-    return {
-      isCompatible: false,
-      message: `${eventType} events typically need at least ${typical.min} hours. Consider extending duration or changing event type.`
-    };
-  }
-
-  if (durationInHours > typical.max) {
-    return {
-      isCompatible: false,
-      message: `${eventType} events are typically no longer than ${typical.max} hours. Consider reducing duration or changing event type.`
-    };
-  }
-
-  if (Math.abs(durationInHours - typical.optimal) > 2) {
-    return {
-      isCompatible: true,
-      message: `${eventType} events work best with around ${typical.optimal} hours duration.`
-    };
-  }
+/**
+ * Run input and business validation and keep the blocking issues
+ * @param {Object} eventData - Event data
+ * @param {Object} ruleSet - Rule set
+ * @returns {Array} Error issues
+ */
+function findBlockingIssues(eventData, ruleSet) {
+  const summary = getValidationSummary(eventData);
+  const issues = summary.isValid ? performBusinessValidation(sanitizeEventData(eventData), ruleSet).issues : summary.issues;
 
-  return { isCompatible: true };
+  return issues.filter(issue => issue.severity === 'error');
 }
 
 /**
- * Check location and budget compatibility
- * @param {string} location - Event location
- * @param {number} budget - Total budget
+ * Check that dietary counts add up to the attendee count
+ * @param {Object} dietary - Dietary profile
  * @param {number} attendees - Number of attendees
- * @returns {Object} Compatibility result
+ * @returns {Array} Warning and info issues
  */
-function checkLocationBudgetCompatibility(location, budget, attendees) {
-  const expensiveCities = ['Mumbai', 'Delhi', 'Bangalore', 'Hyderabad', 'Pune', 'Chennai'];
-  const moderateCities = ['Ahmedabad', 'Kolkata', 'Surat', 'Jaipur', 'Lucknow'];
-  
-  const budgetPerPerson = budget / attendees;
-  
-  if (expensiveCities.includes(location)) {
-    if (budgetPerPerson < 1500) {
-      return {
-        warning: `${location} is an expensive city. Consider increasing budget for better venue and catering options.`
-      };
-    }
-  } else if (moderateCities.includes(location)) {
-    if (budgetPerPerson > 5000) {
-      return {
-        warning: `Budget seems high for ${location}. You could potentially reduce costs or upgrade to premium options.`
-      };
-    }
+function checkDietaryCounts(dietary, attendees) {
+  if (!dietary) {
+    return [];
   }
 
-  return {};
-}
+  const issues = [];
+  const counted = countMealPreferences(dietary);
+
+  if (counted > attendees) {
+    issues.push(createIssue('dietary-count-mismatch', `Dietary counts add up to ${counted}, more than the ${attendees} attendees - check the veg/non-veg/vegan/Jain/halal numbers`, {
+      field: 'dietary',
+      severity: 'warning',
+      fix: { action: 'review', field: 'dietary', description: `Make the dietary counts add up to ${attendees}` }
+    }));
+  } else if (counted > 0 && counted < attendees) {
+    issues.push(createIssue('dietary-count-partial', `Dietary counts cover ${counted} of ${attendees} attendees - the other ${attendees - counted} will be catered with the standard mixed menu`, {
+      field: 'dietary',
+      severity: 'info'
+    }));
+  }
 
-/**
- * Check if requirements are feasible with given budget and event type
- * @param {Array} requirements - Event requirements
- * @param {number} budgetPerPerson - Budget per person
- * @param {string} eventType - Event type
- * @returns {Object} Feasibility results
- */
-function checkRequirementsFeasibility(requirements, budgetPerPerson, eventType) {
-  const warnings = [];
-  const errors = [];
-
-  requirements.forEach(requirement => {
-    switch (requirement) {
-      case 'premium':
-        if (budgetPerPerson < 2000) {
-          warnings.push('Premium requirements may not be fully achievable with current budget');
-        }
-        break;
-        
-      case 'outdoor':
-        if (['conference', 'training'].includes(eventType)) {
-          warnings.push('Outdoor venues may not be ideal for formal training/conference events');
-        }
-        break;
-        
-      case 'technology focus':
-        if (budgetPerPerson < 1200) {
-          warnings.push('Technology-focused events typically require higher budget for equipment');
-        }
-        break;
-        
-      case 'guest speakers':
-        if (budgetPerPerson < 1000) {
-          warnings.push('Professional speakers may require additional budget allocation');
-        }
-        break;
+  Object.entries(DIETARY_NEEDS).forEach(([field, { label }]) => {
+    if (dietary[field] > attendees) {
+      issues.push(createIssue('dietary-count-exceeds-attendees', `${label} count (${dietary[field]}) is more than the ${attendees} attendees`, {
+        field: `dietary.${field}`,
+        severity: 'warning',
+        fix: { action: 'range', field: `dietary.${field}`, max: attendees }
+      }));
     }
   });
 
-  return { warnings, errors };
+  return issues;
 }
 
 /**
- * Validate event date for business appropriateness
- * @param {string} date - Event date in YYYY-MM-DD format
- * @param {string} eventType - Event type
- * @returns {Object} Date validation result
+ * Check the event days against the holiday calendar for its city
+ * @param {Object} eventData - Sanitized event data
+ * @returns {Object} { issues, conflicts, alternativeDates }
  */
-function validateEventDate(date, eventType) {
-  const eventDate = new Date(date);
-  const dayOfWeek = eventDate.getDay(); // 0 = Sunday, 6 = Saturday
-  
-  const corporateEventTypes = ['training', 'conference', 'seminar', 'meeting'];
-  const casualEventTypes = ['offsite', 'workshop'];
+function checkHolidayConflicts(eventData) {
+  if (!eventData.date) {
+    return { issues: [], conflicts: [], alternativeDates: [] };
+  }
 
-  if (corporateEventTypes.includes(eventType) && (dayOfWeek === 0 || dayOfWeek === 6)) {
+  if (!hasHolidayCalendar(eventData.date)) {
     return {
-      warning: 'Corporate events are typically scheduled on weekdays for better attendance'
+      issues: [createIssue('holiday-calendar-missing', `No holiday calendar for ${eventData.date.slice(0, 4)} yet - check local holidays in ${eventData.location} before booking`, {
+        field: 'date',
+        severity: 'info'
+      })],
+      conflicts: [],
+      alternativeDates: []
     };
   }
 
-  if (casualEventTypes.includes(eventType) && dayOfWeek >= 1 && dayOfWeek <= 5) {
-    return {
-      warning: 'Team offsites and workshops often work better on weekends when people are more relaxed'
-    };
+  const conflicts = findHolidayConflicts(eventData);
+  if (conflicts.length === 0) {
+    return { issues: [], conflicts, alternativeDates: [] };
+  }
+
+  const alternativeDates = suggestHolidayFreeDates(eventData);
+  const fix = alternativeDates.length > 0 ?
+    { action: 'oneOf', field: 'date', options: alternativeDates } :
+    { action: 'review', field: 'date', description: 'Pick a date clear of local holidays' };
+  const issues = conflicts.map(conflict => createIssue('holiday-conflict', describeHolidayConflict(conflict, eventData.location), {
+    field: 'date',
+    severity: 'warning',
+    fix
+  }));
+  if (alternativeDates.length > 0) {
+    issues.push(createIssue('holiday-free-dates', `Nearby dates clear of holidays: ${alternativeDates.map(formatDayLabel).join(', ')}`, {
+      field: 'date',
+      severity: 'info',
+      fix
+    }));
   }
 
-  return {};
+  return { issues, conflicts, alternativeDates };
 }
 
 /**
- * Check attendee count and venue availability in location
- * @param {number} attendees - Number of attendees
- * @param {string} location - Event location
- * @returns {Object} Venue compatibility result
+ * Check the time left before the event against its booking lead times
+ * Too little time for any booking blocks planning; less than the recommended
+ * lead time is a warning
+ * @param {Object} eventData - Sanitized event data
+ * @returns {Object} { issues, assessment } with assessment from assessLeadTime
  */
-function checkAttendeeVenueCompatibility(attendees, location) {
-  const smallCities = ['Mysore', 'Kochi', 'Vadodara', 'Nashik', 'Rajkot'];
-  
-  if (smallCities.includes(location) && attendees > 200) {
-    return {
-      warning: `Large events (${attendees} people) may have limited venue options in ${location}`
-    };
+function checkLeadTime(eventData) {
+  const assessment = assessLeadTime(eventData);
+  const { status, daysUntilEvent } = assessment;
+  // Past dates are reported by input validation
+  if (status === 'ok' || status === 'unknown' || daysUntilEvent < 0) {
+    return { issues: [], assessment };
   }
 
-  if (attendees > 500) {
-    return {
-      warning: 'Very large events require specialized convention centers and advance booking'
-    };
-  }
+  const urgent = describeUrgentBookings(assessment).join(', ');
+  const timeLeft = describeTimeLeft(daysUntilEvent);
+  const issue = status === 'infeasible' ?
+    createIssue('lead-time-infeasible', `${timeLeft} left to book a ${eventData.numberOfAttendees}-person event in ${eventData.location}: ${urgent}`, {
+      field: 'date',
+      fix: { action: 'range', field: 'date', min: assessment.earliestFeasibleDate, description: `Move the event to ${formatDayLabel(assessment.earliestFeasibleDate)} or later` }
+    }) :
+    createIssue('lead-time-compressed', `Compressed timeline: ${timeLeft.toLowerCase()} left, book these first: ${urgent}`, {
+      field: 'date',
+      severity: 'warning',
+      fix: { action: 'range', field: 'date', min: assessment.recommendedDate, description: `Book immediately, or move the event to ${formatDayLabel(assessment.recommendedDate)} or later for the usual choice and rates` }
+    });
 
-  return {};
-}
\ No newline at end of file
+  return { issues: [issue], assessment };
+}
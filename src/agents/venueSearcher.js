@@ -1,5 +1,6 @@
 // src/agents/venueSearcher.js
 import { VenueSearcher } from '../core/VenueSearcher.js';
+import { createIssue, withIssues } from '../utils/issues.js';
 import { logger } from '../utils/logger.js';
 
 const venueSearcher = new VenueSearcher();
@@ -17,7 +18,7 @@ export async function searchVenuesNode(state) {
     if (!state.eventData) {
       return {
         ...state,
-        errors: [...state.errors, 'No event data for venue search'],
+        ...withIssues(state, [createIssue('missing-event-data', 'No event data for venue search', { category: 'system' })]),
         nextAction: "error"
       };
     }
@@ -55,7 +56,7 @@ export async function searchVenuesNode(state) {
       rawVenueResult: JSON.stringify(venueSearchResults, null, 2),
       venueMetadata,
       success: true,
-      nextAction: "END"
+      nextAction: "policyReview"
     };
 
   } catch (error) {
@@ -64,17 +65,17 @@ export async function searchVenuesNode(state) {
     return {
       ...state,
       venues: [],
-      warnings: [
-        ...state.warnings,
-        `Venue search failed: ${error.message}`,
-        'Manual venue selection will be required'
-      ],
+      ...withIssues(state, [createIssue('venue-search-failed', `Venue search failed: ${error.message}`, {
+        severity: 'warning',
+        category: 'external',
+        fix: { action: 'review', description: 'Manual venue selection will be required' }
+      })]),
       venueMetadata: {
         failedCompletely: true,
         searchedAt: new Date().toISOString()
       },
       success: true,
-      nextAction: "END"
+      nextAction: "policyReview"
     };
   }
 }
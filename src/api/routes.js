@@ -1,5 +1,11 @@
 // src/api/routes.js
 import { logger } from '../utils/logger.js';
+import { getBusinessRules } from '../config/businessRules.js';
+import { getExpensePolicy } from '../config/expensePolicy.js';
+import { RULE_OPERATORS, RULE_SEVERITIES } from '../utils/ruleEngine.js';
+
+// Sample events accepted by one rule dry run
+const MAX_DRY_RUN_EVENTS = 50;
 
 /**
  * Setup all API routes for graph-based event planner
@@ -38,7 +44,8 @@ export function setupApiRoutes(app, planner) {
       const duration = ((Date.now() - startTime) / 1000).toFixed(2);
       logger.info(`📤 Graph response sent in ${duration}s - Success: ${result.success}`);
       
-      if (result.success) {
+      // A multi-event response carries per-event outcomes, so any progress is a 200
+      if (result.success || result.needsClarification || (result.multiEvent && result.budgetRollup.counts.failed < result.events.length)) {
         res.json(result);
       } else {
         res.status(400).json(result);
@@ -56,6 +63,174 @@ export function setupApiRoutes(app, planner) {
     }
   });
 
+  // Typed event fields for programmatic clients - skips LLM parsing
+  app.post('/api/generate-event-plan/structured', async (req, res) => {
+    const startTime = Date.now();
+    
+    try {
+      const { eventData, tweakPrompt } = req.body;
+      
+      if (!eventData || typeof eventData !== 'object' || Array.isArray(eventData)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Please provide eventData as an object of event fields'
+        });
+      }
+
+      const clientIP = req.ip || req.connection.remoteAddress;
+      logger.info(`📨 New structured request from ${clientIP}: ${eventData.eventType} for ${eventData.numberOfAttendees} in ${eventData.location}`);
+      
+      const result = await planner.createEventPlanFromData(eventData, tweakPrompt);
+
+      const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+      logger.info(`📤 Structured response sent in ${duration}s - Success: ${result.success}`);
+      
+      if (result.success) {
+        res.json(result);
+      } else {
+        res.status(400).json(result);
+      }
+      
+    } catch (error) {
+      const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+      logger.error(`❌ Structured request failed in ${duration}s:`, error.message);
+      
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        message: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+      });
+    }
+  });
+
+  // Economy, standard and premium plans of the same event, compared side by side
+  app.post('/api/generate-event-plan/tiers', async (req, res) => {
+    const startTime = Date.now();
+    
+    try {
+      const { eventData } = req.body;
+      
+      if (!eventData || typeof eventData !== 'object' || Array.isArray(eventData)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Please provide eventData as an object of event fields'
+        });
+      }
+
+      const clientIP = req.ip || req.connection.remoteAddress;
+      logger.info(`📨 New budget tier request from ${clientIP}: ${eventData.eventType} for ${eventData.numberOfAttendees} in ${eventData.location}`);
+      
+      const result = await planner.createBudgetTierPlans(eventData);
+
+      const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+      logger.info(`📤 Budget tier response sent in ${duration}s - Success: ${result.success}`);
+      
+      // Like multi-event responses, any planned tier is a 200
+      if (result.success || (result.budgetTiers && result.comparison.tiers.some(tier => tier.status === 'planned'))) {
+        res.json(result);
+      } else {
+        res.status(400).json(result);
+      }
+      
+    } catch (error) {
+      const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+      logger.error(`❌ Budget tier request failed in ${duration}s:`, error.message);
+      
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        message: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+      });
+    }
+  });
+
+  // Uploaded briefs: email threads (.eml) and RFP documents (.txt, .md)
+  app.post('/api/generate-event-plan/document', async (req, res) => {
+    const startTime = Date.now();
+    
+    try {
+      const { filename, content } = req.body;
+      
+      if (!filename || typeof filename !== 'string' || !content || typeof content !== 'string') {
+        return res.status(400).json({
+          success: false,
+          error: 'Please provide the document as { filename, content } with the file text in content'
+        });
+      }
+
+      const clientIP = req.ip || req.connection.remoteAddress;
+      logger.info(`📨 New document request from ${clientIP}: ${filename} (${content.length} characters)`);
+      
+      const result = await planner.createEventPlanFromDocument(content, filename);
+
+      const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+      logger.info(`📤 Document response sent in ${duration}s - Success: ${result.success}`);
+      
+      if (result.success || result.needsClarification) {
+        res.json(result);
+      } else {
+        res.status(400).json(result);
+      }
+      
+    } catch (error) {
+      const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+      logger.error(`❌ Document request failed in ${duration}s:`, error.message);
+      
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        message: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+      });
+    }
+  });
+
+  // Answer clarification questions and resume the paused execution
+  app.post('/api/clarify', async (req, res) => {
+    const startTime = Date.now();
+    
+    try {
+      const { executionId, answers } = req.body;
+      
+      if (!executionId || typeof executionId !== 'string') {
+        return res.status(400).json({
+          success: false,
+          error: 'executionId from the clarification response is required'
+        });
+      }
+
+      if (!answers || typeof answers !== 'object' || Array.isArray(answers)) {
+        return res.status(400).json({
+          success: false,
+          error: 'answers must be an object keyed by field name'
+        });
+      }
+
+      const clientIP = req.ip || req.connection.remoteAddress;
+      logger.info(`❓ Clarification answers from ${clientIP} for ${executionId}`);
+      
+      const result = await planner.answerClarification(executionId, answers);
+
+      const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+      logger.info(`📤 Clarification response sent in ${duration}s - Success: ${result.success}`);
+      
+      if (result.success || result.needsClarification) {
+        res.json(result);
+      } else {
+        res.status(400).json(result);
+      }
+      
+    } catch (error) {
+      const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+      logger.error(`❌ Clarification request failed in ${duration}s:`, error.message);
+      
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        message: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+      });
+    }
+  });
+
   // Refinement endpoint for tweaking existing plans
   app.post('/api/refine-plan', async (req, res) => {
     const startTime = Date.now();
@@ -92,6 +267,47 @@ export function setupApiRoutes(app, planner) {
     }
   });
 
+  // Apply a fix proposal from a failed response and plan again
+  app.post('/api/apply-fix', async (req, res) => {
+    const startTime = Date.now();
+    
+    try {
+      const { eventData, proposal, tweakPrompt } = req.body;
+      
+      if (!eventData || typeof eventData !== 'object' || Array.isArray(eventData) ||
+          !proposal || !proposal.changes || typeof proposal.changes !== 'object' || Array.isArray(proposal.changes)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Please provide eventData and a proposal from fixProposals'
+        });
+      }
+
+      const clientIP = req.ip || req.connection.remoteAddress;
+      logger.info(`🩹 Fix request from ${clientIP}: ${proposal.id || Object.keys(proposal.changes).join(', ')}`);
+      
+      const result = await planner.applyFix(eventData, proposal, tweakPrompt);
+
+      const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+      logger.info(`📤 Fix response sent in ${duration}s - Success: ${result.success}`);
+      
+      if (result.success) {
+        res.json(result);
+      } else {
+        res.status(400).json(result);
+      }
+      
+    } catch (error) {
+      const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+      logger.error(`❌ Fix request failed in ${duration}s:`, error.message);
+      
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        message: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+      });
+    }
+  });
+
   // Graph-specific health check
   app.get('/api/health', async (req, res) => {
     try {
@@ -130,6 +346,73 @@ export function setupApiRoutes(app, planner) {
     }
   });
 
+  // Active business rule set
+  app.get('/api/rules', (req, res) => {
+    try {
+      res.json({
+        success: true,
+        ruleSet: getBusinessRules(),
+        operators: RULE_OPERATORS,
+        severities: RULE_SEVERITIES
+      });
+    } catch (error) {
+      logger.error('❌ Failed to load business rules:', error.message);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to load business rules'
+      });
+    }
+  });
+
+  // Active expense policy
+  app.get('/api/policy', (req, res) => {
+    try {
+      res.json({
+        success: true,
+        policy: getExpensePolicy()
+      });
+    } catch (error) {
+      logger.error('❌ Failed to load expense policy:', error.message);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to load expense policy'
+      });
+    }
+  });
+
+  // Try a rule set against sample events without generating plans
+  app.post('/api/rules/dry-run', (req, res) => {
+    try {
+      const { ruleSet, events } = req.body;
+
+      if (ruleSet !== undefined && (!ruleSet || typeof ruleSet !== 'object' || Array.isArray(ruleSet))) {
+        return res.status(400).json({
+          success: false,
+          error: 'ruleSet must be a rule set object (omit it to use the active rules)'
+        });
+      }
+
+      if (!Array.isArray(events) || events.length === 0 || events.length > MAX_DRY_RUN_EVENTS) {
+        return res.status(400).json({
+          success: false,
+          error: `Please provide events as an array of 1-${MAX_DRY_RUN_EVENTS} eventData objects`
+        });
+      }
+
+      const result = planner.dryRunBusinessRules(ruleSet || null, events);
+      res.status(result.success ? 200 : 400).json(result);
+      
+    } catch (error) {
+      logger.error('❌ Rule dry run failed:', error.message);
+      
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        message: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+      });
+    }
+  });
+
   // Cache management
   app.get('/api/cache/stats', (req, res) => {
     try {
@@ -170,7 +453,8 @@ export function setupApiRoutes(app, planner) {
         "Corporate training for 50 people in Bangalore on June 10th. Budget ₹1.5 lakhs.",
         "Team offsite for 30 people in Goa next Friday. Budget 2 lakhs. Need vegetarian food.",
         "Leadership seminar for 25 executives in Mumbai on December 15th. Budget ₹3 lakhs.",
-        "Annual conference for 100 people in Delhi on March 20th. Budget ₹5 lakhs. Premium setup."
+        "Annual conference for 100 people in Delhi on March 20th. Budget ₹5 lakhs. Premium setup.",
+        "Leadership offsite for 20 people in Goa on 12 May and a sales kickoff for 80 people in Pune on 10 June. Budget ₹4 lakhs each."
       ],
       refinementExamples: [
         {
@@ -193,7 +477,7 @@ export function setupApiRoutes(app, planner) {
         }
       ],
       graphFlow: {
-        steps: ["parse", "validate", "plan", "venues"],
+        steps: ["parse", "clarify", "validate", "policyCheck", "plan", "venues", "policyReview"],
         description: "Each request flows through parsing, validation, planning, and venue search nodes",
         parallelSupport: false,
         tweakingSupported: true
@@ -218,14 +502,80 @@ export function setupApiRoutes(app, planner) {
           response: {
             success: "boolean",
             eventData: "object - Parsed event details",
-            eventPlan: "string - Formatted event plan",
+            fieldProvenance: "object - Per-field { source: llm|regex|default|eventType|refinement|clarification|structured, confidence: 0-1, detail? }",
+            eventPlan: "string - Formatted event plan (Markdown, rendered from structuredPlan)",
+            eventPlanText: "string - The same plan as plain text",
+            structuredPlan: "object - The plan as data: { title, overview, brief, itinerary: [{ day, date, items: [{ time, activity, details }] }], costs: { lines: [{ label, category, amount, note, items, plannedAmount?, overshoot? }], total } (amounts follow the budget allocation and add up to the budget; plannedAmount is the generated amount when it was corrected, overshoot how far it went over), meals: [{ label, menu }], speakers: [{ name, expertise, availability }], logistics: [{ label, details }], activities, sections: [{ key, heading, lines }], notes }",
             venues: "array - Venue suggestions",
+            holidays: "object - conflicts: holidays on or next to the event days in its city ({ name, type, date, relation: during|dayBefore|dayAfter }); alternativeDates: nearby holiday-free start dates",
+            weather: "object - risks: seasonal hazards in the event's city during its dates ({ risk: monsoon|heat|cold|cyclone, label, month }); outdoor and destination events also get warnings and a WEATHER CONTINGENCY plan section",
+            leadTime: "object - Booking lead times: { daysUntilEvent, status: ok|compressed|infeasible|unknown, minimumDays, recommendedDays, bookings: [{ booking, label, minimumDays, recommendedDays, status }], earliestFeasibleDate, recommendedDate }; infeasible dates block the plan, compressed ones get a warning and a COMPRESSED TIMELINE plan section",
+            policy: "object - Expense policy result: { policy, compliant, violations: [{ code, stage: validation|plan, message, fix }], approvalRequiredBy, approvalThreshold, approvalReason }",
+            approvalRequiredBy: "string - Who has to approve the event, from the policy's budget thresholds (raised when there are violations)",
+            errors: "array - Error messages",
+            warnings: "array - Warning messages",
+            issues: "array - Structured errors and warnings: { code, field, severity: error|warning|info, category: validation|parsing|external|system, message, fix: { action: set|range|oneOf|format|review, field, value?, min?, max?, options?, format?, description? } | null }",
+            fixProposals: "array - One-click fixes when validation blocked the plan: { id, issueCode, field, label, changes, resolvesAll }; send one to POST /api/apply-fix with eventData",
             generationTime: "string - Time taken",
             graphMetadata: "object - Graph execution details",
             summary: "object - Executive summary",
-            qualityIndicators: "object - Quality metrics"
+            qualityIndicators: "object - Quality metrics",
+            needsClarification: "boolean - True when critical details are missing (no plan yet)",
+            multiEvent: "boolean - True when the input described several events; each is in events[] and the budgets are totalled in budgetRollup",
+            events: "array - Per-event responses (multi-event only), each with the input it was planned from",
+            budgetRollup: "object - Per-event budgets, totals and category amounts across planned events (multi-event only)",
+            executionId: "string - Pass to /api/clarify to resume (clarification only)",
+            clarification: "object - missingFields and questions (clarification only)"
+          }
+        },
+        "POST /api/generate-event-plan/structured": {
+          description: "Generate event plan from typed event fields, skipping LLM parsing (graph starts at validate)",
+          body: {
+            eventData: "object - eventType, numberOfAttendees, location, date (YYYY-MM-DD), budgetInINR required; durationInHours, endDate, hoursPerDay, startTime, endTime, requirements, dietary, accessibility optional. Unknown fields are rejected",
+            tweakPrompt: "string - Refinement instructions (optional)"
+          },
+          response: "Same as POST /api/generate-event-plan; fieldProvenance sources are 'structured' (or 'default' for a filled-in duration)"
+        },
+        "POST /api/generate-event-plan/tiers": {
+          description: "Plan the same event at economy (70% budget, budget-friendly vendors), standard (as requested) and premium (140% budget, premium vendors) levels and compare them",
+          body: {
+            eventData: "object - Same fields as POST /api/generate-event-plan/structured"
+          },
+          response: {
+            success: "boolean - True when every tier that is possible was planned",
+            budgetTiers: "boolean - Always true",
+            tiers: "array - One response per tier, as from POST /api/generate-event-plan/structured, plus tier (economy|standard|premium) and label; each has its own structuredPlan costs and venues",
+            comparison: "object - Side by side: tiers: [{ tier, label, status: planned|failed|unavailable (a cheaper tier the business rules allow no budget for), budgetInINR, perPersonInINR, requirements, venues, approvalRequiredBy, error }], costs: [{ category, label, amounts: { economy, standard, premium } }], changes: [{ from, to, changes: [string] }] between consecutive planned tiers, sharedVenues: true when no tier has its own venue shortlist",
+            comparisonMarkdown: "string - The comparison as a Markdown table followed by the changes",
+            errors: "array - Error messages prefixed with the tier",
+            warnings: "array - Warning messages prefixed with the tier"
           }
         },
+        "POST /api/generate-event-plan/document": {
+          description: "Generate event plan from an uploaded brief. Signatures and disclaimers are stripped, each message of a thread (quoted replies included) is parsed in its own chunks and conflicting values are reconciled (reported as document-conflict issues)",
+          body: {
+            filename: "string - File name ending in .eml, .txt or .md (required)",
+            content: "string - File text (required)"
+          },
+          response: "Same as POST /api/generate-event-plan, including clarification when the brief misses critical details"
+        },
+        "POST /api/clarify": {
+          description: "Answer clarification questions and resume the paused execution",
+          body: {
+            executionId: "string - executionId from the clarification response",
+            answers: "object - Answers keyed by field (e.g. { budgetInINR: 150000, date: 'next Friday' })"
+          },
+          response: "Same as POST /api/generate-event-plan. Unusable answers (unparseable, zero or negative) are asked again: the response needs clarification for those fields, and their questions carry rejectedAnswer and error"
+        },
+        "POST /api/apply-fix": {
+          description: "Apply a fix proposal from a failed response and generate the plan again (runs as a structured request)",
+          body: {
+            eventData: "object - eventData from the failed response (or the eventData you sent)",
+            proposal: "object - One entry of fixProposals; its changes are merged into eventData",
+            tweakPrompt: "string - Refinement instructions (optional)"
+          },
+          response: "Same as POST /api/generate-event-plan/structured, plus appliedFix { id, label, changes }"
+        },
         "POST /api/refine-plan": {
           description: "Refine existing plan with additional instructions",
           body: {
@@ -233,6 +583,24 @@ export function setupApiRoutes(app, planner) {
             tweakPrompt: "string - Refinement instructions"
           }
         },
+        "GET /api/rules": {
+          description: "Get the active business rule set (bundled defaults, or BUSINESS_RULES_FILE)"
+        },
+        "GET /api/policy": {
+          description: "Get the active travel and event expense policy (bundled defaults, or EXPENSE_POLICY_FILE)"
+        },
+        "POST /api/rules/dry-run": {
+          description: "Evaluate a rule set against sample events without generating plans",
+          body: {
+            ruleSet: "object - { name, version?, rules: [{ id, when, severity: error|warning|info, message, fix?, field?, suggestion?, alternatives? }] } (optional, defaults to the active rule set)",
+            events: "array - Sample eventData objects, same fields as the structured endpoint (1-50)"
+          },
+          response: {
+            events: "array - Per event: matched rules, issues, errors, warnings, wouldBlock and the facts the rules saw",
+            ruleCounts: "object - Number of sample events each rule matched",
+            details: "array - Rule set problems as 'path: message' (invalid rule set only)"
+          }
+        },
         "GET /api/graph/stats": {
           description: "Get graph execution statistics and architecture info"
         },
@@ -241,7 +609,7 @@ export function setupApiRoutes(app, planner) {
         }
       },
       graphFlow: {
-        nodes: ["parse", "validate", "plan", "venues", "error"],
+        nodes: ["parse", "parseDocument", "clarify", "validate", "policyCheck", "plan", "venues", "policyReview", "error"],
         execution: "sequential with conditional routing",
         refinement: "supported via tweakPrompt",
         caching: "enabled for non-tweaked requests",
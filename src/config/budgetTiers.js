@@ -0,0 +1,38 @@
+/**
+ * Budget tiers
+ *
+ * The tiers endpoint plans the same event once per tier, in this order, and
+ * compares the plans. Each tier defines:
+ * - label: Display name
+ * - budgetFactor: Multiplier on the requested budget (rounded to ₹1,000, and
+ *   at least the lowest budget the business rules accept for the headcount)
+ * - addRequirements: Requirements added for the tier; "premium" selects
+ *   high-end vendors in the plan prompt, venue search and cost engine, and
+ *   "budget-friendly" looks for affordable venues
+ * - dropRequirements: Requirements matching this pattern are removed (optional)
+ *
+ * The standard tier is the event as requested; the others are compared with it.
+ */
+export const BUDGET_TIERS = {
+  economy: {
+    label: 'Economy',
+    budgetFactor: 0.7,
+    addRequirements: ['budget-friendly'],
+    dropRequirements: /premium|luxury|high[- ]end/i
+  },
+  standard: {
+    label: 'Standard',
+    budgetFactor: 1,
+    addRequirements: []
+  },
+  premium: {
+    label: 'Premium',
+    budgetFactor: 1.4,
+    addRequirements: ['premium'],
+    dropRequirements: /budget[- ]friendly|low[- ]cost|economy/i
+  }
+};
+
+export const BUDGET_TIER_NAMES = Object.keys(BUDGET_TIERS);
+
+export const BASE_BUDGET_TIER = 'standard';
@@ -0,0 +1,26 @@
+/**
+ * Active business rule set
+ *
+ * Loaded once from BUSINESS_RULES_FILE, or from the bundled businessRules.json
+ * when no company rule set is configured. See utils/ruleEngine.js for the format.
+ */
+import { fileURLToPath } from 'url';
+import { loadRuleSet } from '../utils/ruleEngine.js';
+import { config } from './config.js';
+
+export const DEFAULT_BUSINESS_RULES_FILE = fileURLToPath(new URL('./businessRules.json', import.meta.url));
+
+let activeRuleSet = null;
+
+/**
+ * Get the active business rule set, loading it on first use
+ * @returns {Object} Validated rule set
+ * @throws {Error} When the configured file is missing or invalid
+ */
+export function getBusinessRules() {
+  if (!activeRuleSet) {
+    activeRuleSet = loadRuleSet(config.businessRulesFile || DEFAULT_BUSINESS_RULES_FILE);
+  }
+
+  return activeRuleSet;
+}
@@ -0,0 +1,209 @@
+/**
+ * City reference data
+ *
+ * Each city defines:
+ * - state: State or union territory (selects regional holidays)
+ * - tier: 1 metro (expensive) | 2 large city (moderate costs) | 3 smaller
+ *   city (few venues for large groups)
+ * - costIndex: Venue, catering and hotel prices relative to the national
+ *   average (1.0)
+ * - aliases: Other names and spellings, matched case-insensitively
+ * - destination: Leisure destination where resort pricing is normal (optional)
+ * - venues: Known venues offered when venue search is unavailable (optional),
+ *   each with a priceBand (VENUE_PRICE_BANDS) so budget tiers get venues in
+ *   their price range
+ *
+ * Cities not listed here keep the name as entered and are treated as tier 2
+ * at the national average cost.
+ */
+export const VENUE_PRICE_BANDS = ['budget', 'mid', 'premium'];
+
+export const CITIES = {
+  Mumbai: {
+    state: 'Maharashtra',
+    tier: 1,
+    costIndex: 1.35,
+    aliases: ['Bombay', 'Navi Mumbai'],
+    venues: [
+      {
+        name: 'ITC Grand Central - Conference Center',
+        url: 'https://www.itchotels.com/in/itcgrandcentral/',
+        description: 'Premium business hotel with state-of-the-art conference facilities in Parel, Mumbai.',
+        priceBand: 'premium'
+      },
+      {
+        name: 'The Leela Mumbai - Meeting Rooms',
+        url: 'https://www.theleela.com/mumbai/',
+        description: 'Luxury hotel offering sophisticated meeting spaces and professional event services.',
+        priceBand: 'premium'
+      }
+    ]
+  },
+  Delhi: {
+    state: 'Delhi',
+    tier: 1,
+    costIndex: 1.25,
+    aliases: ['New Delhi', 'Delhi NCR', 'NCR'],
+    venues: [
+      {
+        name: 'ITC Maurya - Convention Center',
+        url: 'https://www.itchotels.com/in/itcmaurya/',
+        description: 'Large-scale convention facilities with professional event management services.',
+        priceBand: 'premium'
+      },
+      {
+        name: 'The Leela Palace New Delhi',
+        url: 'https://www.theleela.com/newdelhi/',
+        description: 'Luxury hotel with sophisticated conference facilities in the heart of Delhi.',
+        priceBand: 'premium'
+      }
+    ]
+  },
+  Bangalore: {
+    state: 'Karnataka',
+    tier: 1,
+    costIndex: 1.2,
+    aliases: ['Bengaluru', 'Blr'],
+    venues: [
+      {
+        name: 'ITC Gardenia - Conference Halls',
+        url: 'https://www.itchotels.com/in/itcgardenia/',
+        description: 'Business hotel with multiple conference rooms and modern A/V facilities in Bangalore.',
+        priceBand: 'premium'
+      },
+      {
+        name: 'The Leela Palace Bangalore',
+        url: 'https://www.theleela.com/bangalore/',
+        description: 'Premium venue with elegant meeting spaces and comprehensive business services.',
+        priceBand: 'premium'
+      }
+    ]
+  },
+  Hyderabad: { state: 'Telangana', tier: 1, costIndex: 1.1, aliases: ['Secunderabad', 'Cyberabad'] },
+  Pune: {
+    state: 'Maharashtra',
+    tier: 1,
+    costIndex: 1.1,
+    aliases: ['Poona'],
+    venues: [
+      {
+        name: 'JW Marriott Pune - Meeting Spaces',
+        url: 'https://www.marriott.com/hotels/travel/pnqjw-jw-marriott-pune/',
+        description: 'Modern business hotel with flexible meeting rooms and event spaces.',
+        priceBand: 'premium'
+      },
+      {
+        name: 'Hyatt Regency Pune - Conference Center',
+        url: 'https://www.hyatt.com/en-US/hotel/india/hyatt-regency-pune/punpr',
+        description: 'Professional venue with comprehensive conference facilities and catering services.',
+        priceBand: 'mid'
+      }
+    ]
+  },
+  Chennai: { state: 'Tamil Nadu', tier: 1, costIndex: 1.1, aliases: ['Madras'] },
+  Gurugram: { state: 'Haryana', tier: 1, costIndex: 1.25, aliases: ['Gurgaon'] },
+  Noida: { state: 'Uttar Pradesh', tier: 1, costIndex: 1.1, aliases: ['Greater Noida'] },
+
+  Ahmedabad: { state: 'Gujarat', tier: 2, costIndex: 0.9, aliases: ['Amdavad'] },
+  Kolkata: { state: 'West Bengal', tier: 2, costIndex: 0.95, aliases: ['Calcutta'] },
+  Surat: { state: 'Gujarat', tier: 2, costIndex: 0.85, aliases: [] },
+  Jaipur: { state: 'Rajasthan', tier: 2, costIndex: 0.95, aliases: ['Pink City'] },
+  Lucknow: { state: 'Uttar Pradesh', tier: 2, costIndex: 0.85, aliases: [] },
+  Chandigarh: { state: 'Punjab', tier: 2, costIndex: 0.95, aliases: ['Mohali', 'Panchkula'] },
+  Indore: { state: 'Madhya Pradesh', tier: 2, costIndex: 0.8, aliases: [] },
+  Nagpur: { state: 'Maharashtra', tier: 2, costIndex: 0.8, aliases: [] },
+  Coimbatore: { state: 'Tamil Nadu', tier: 2, costIndex: 0.85, aliases: ['Kovai'] },
+  Goa: { state: 'Goa', tier: 2, costIndex: 1.15, aliases: ['Panaji', 'Panjim', 'North Goa', 'South Goa'], destination: true },
+
+  Mysore: { state: 'Karnataka', tier: 3, costIndex: 0.8, aliases: ['Mysuru'] },
+  Kochi: { state: 'Kerala', tier: 3, costIndex: 0.9, aliases: ['Cochin', 'Ernakulam'] },
+  Vadodara: { state: 'Gujarat', tier: 3, costIndex: 0.8, aliases: ['Baroda'] },
+  Nashik: { state: 'Maharashtra', tier: 3, costIndex: 0.75, aliases: ['Nasik'] },
+  Rajkot: { state: 'Gujarat', tier: 3, costIndex: 0.75, aliases: [] },
+  Bhopal: { state: 'Madhya Pradesh', tier: 3, costIndex: 0.8, aliases: [] },
+  Visakhapatnam: { state: 'Andhra Pradesh', tier: 3, costIndex: 0.8, aliases: ['Vizag'] },
+  Bhubaneswar: { state: 'Odisha', tier: 3, costIndex: 0.8, aliases: [] },
+  Patna: { state: 'Bihar', tier: 3, costIndex: 0.75, aliases: [] },
+  Thiruvananthapuram: { state: 'Kerala', tier: 3, costIndex: 0.85, aliases: ['Trivandrum'] },
+  Amritsar: { state: 'Punjab', tier: 3, costIndex: 0.8, aliases: [] },
+  Udaipur: { state: 'Rajasthan', tier: 3, costIndex: 1.1, aliases: [], destination: true },
+  Coorg: { state: 'Karnataka', tier: 3, costIndex: 1.0, aliases: ['Kodagu', 'Madikeri'], destination: true },
+  Lonavala: { state: 'Maharashtra', tier: 3, costIndex: 0.95, aliases: ['Khandala'], destination: true },
+  Rishikesh: { state: 'Uttarakhand', tier: 3, costIndex: 0.9, aliases: [], destination: true }
+};
+
+export const CITY_TIERS = {
+  1: 'Metro',
+  2: 'Large city',
+  3: 'Smaller city'
+};
+
+const DEFAULT_TIER = 2;
+const DEFAULT_COST_INDEX = 1;
+
+// Lower-case name or alias -> canonical name
+const CITY_LOOKUP = new Map(Object.entries(CITIES).flatMap(([name, city]) =>
+  [name, ...city.aliases].map(key => [key.toLowerCase(), name])));
+
+/**
+ * Find a city by name or alias
+ * @param {string} location - City as entered
+ * @returns {Object|null} { name, ...city } or null for unknown cities
+ */
+export function findCity(location) {
+  if (!location || typeof location !== 'string') return null;
+
+  const name = CITY_LOOKUP.get(location.trim().replace(/\s+/g, ' ').toLowerCase());
+  return name ? { name, ...CITIES[name] } : null;
+}
+
+/**
+ * Get the canonical name for a city
+ * Known cities and aliases map to their dataset name; other names are
+ * title-cased
+ * @param {string} location - City as entered
+ * @returns {string} City name
+ */
+export function normalizeCityName(location) {
+  const city = findCity(location);
+  if (city) return city.name;
+
+  return location.toString().trim().replace(/\s+/g, ' ')
+    .split(' ')
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase())
+    .join(' ');
+}
+
+/**
+ * Get the profile used for pricing and checks, with defaults for unknown cities
+ * @param {string} location - City as entered
+ * @returns {Object} { name, state, tier, costIndex, destination, known }
+ */
+export function getCityProfile(location) {
+  const city = findCity(location);
+
+  return {
+    name: city?.name || location,
+    state: city?.state || null,
+    tier: city?.tier || DEFAULT_TIER,
+    costIndex: city?.costIndex || DEFAULT_COST_INDEX,
+    destination: !!city?.destination,
+    known: !!city
+  };
+}
+
+/**
+ * Describe a city's tier and price level for prompts
+ * @param {string} location - City as entered
+ * @returns {string|null} e.g. "Maharashtra; metro, prices ~35% above the national average", null for unknown cities
+ */
+export function describeCity(location) {
+  const city = findCity(location);
+  if (!city) return null;
+
+  const difference = Math.round((city.costIndex - 1) * 100);
+  const prices = difference === 0 ? 'prices at the national average' :
+    `prices ~${Math.abs(difference)}% ${difference > 0 ? 'above' : 'below'} the national average`;
+
+  return `${city.state}; ${CITY_TIERS[city.tier].toLowerCase()}${city.destination ? ' and leisure destination' : ''}, ${prices}`;
+}
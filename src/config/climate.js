@@ -0,0 +1,76 @@
+/**
+ * Offline seasonal climate table
+ *
+ * CLIMATE_RISKS describes each seasonal hazard:
+ * - label: Display name
+ * - outdoor: What it does to open-air sessions
+ * - beach: What it does to beach and water activities (optional)
+ * - travel: What it does to getting there (optional; indoor events are
+ *   otherwise unaffected)
+ *
+ * CITY_CLIMATE lists, per city in config/cities.js, the months (1-12) each
+ * hazard affects. Cities not listed have no seasonal assessment. Seasons
+ * shift by a few weeks from year to year; check the IMD forecast closer to
+ * the date.
+ */
+export const CLIMATE_RISKS = {
+  monsoon: {
+    label: 'Monsoon',
+    outdoor: 'heavy rain and waterlogging make open-air sessions unreliable',
+    beach: 'seas are rough, beaches are closed to swimming and water sports are suspended',
+    travel: 'heavy rain delays flights and floods roads'
+  },
+  heat: {
+    label: 'Peak heat',
+    outdoor: 'afternoon temperatures reach 40°C or more, so outdoor activity between 11:00 and 16:00 risks heat exhaustion'
+  },
+  cold: {
+    label: 'Cold wave',
+    outdoor: 'nights drop to around 5°C, so evening sessions outdoors need heating',
+    travel: 'dense morning fog delays flights and trains'
+  },
+  cyclone: {
+    label: 'Cyclone season',
+    outdoor: 'cyclones and very heavy rain can cancel outdoor plans at short notice',
+    beach: 'cyclone warnings close beaches and stop water activities',
+    travel: 'cyclone warnings can close airports and coastal roads'
+  }
+};
+
+export const CITY_CLIMATE = {
+  Mumbai: { heat: [4, 5], monsoon: [6, 7, 8, 9] },
+  Delhi: { cold: [12, 1], heat: [4, 5, 6], monsoon: [7, 8, 9] },
+  Bangalore: { monsoon: [6, 7, 8, 9, 10] },
+  Hyderabad: { heat: [4, 5], monsoon: [7, 8, 9] },
+  Pune: { heat: [4, 5], monsoon: [6, 7, 8, 9] },
+  Chennai: { heat: [4, 5, 6], cyclone: [10, 11, 12] },
+  Gurugram: { cold: [12, 1], heat: [4, 5, 6], monsoon: [7, 8, 9] },
+  Noida: { cold: [12, 1], heat: [4, 5, 6], monsoon: [7, 8, 9] },
+
+  Ahmedabad: { heat: [4, 5, 6], monsoon: [7, 8, 9] },
+  Kolkata: { heat: [4, 5], monsoon: [6, 7, 8, 9] },
+  Surat: { heat: [4, 5], monsoon: [6, 7, 8, 9] },
+  Jaipur: { cold: [12, 1], heat: [4, 5, 6], monsoon: [7, 8] },
+  Lucknow: { cold: [12, 1], heat: [4, 5, 6], monsoon: [7, 8, 9] },
+  Chandigarh: { cold: [12, 1], heat: [5, 6], monsoon: [7, 8] },
+  Indore: { heat: [4, 5], monsoon: [7, 8, 9] },
+  Nagpur: { heat: [4, 5, 6], monsoon: [7, 8, 9] },
+  Coimbatore: { monsoon: [10, 11] },
+  Goa: { heat: [4, 5], monsoon: [6, 7, 8, 9] },
+
+  Mysore: { monsoon: [6, 7, 8, 9] },
+  Kochi: { monsoon: [6, 7, 8, 9, 10] },
+  Vadodara: { heat: [4, 5, 6], monsoon: [7, 8, 9] },
+  Nashik: { heat: [4, 5], monsoon: [6, 7, 8, 9] },
+  Rajkot: { heat: [4, 5, 6], monsoon: [7, 8] },
+  Bhopal: { cold: [12, 1], heat: [4, 5, 6], monsoon: [7, 8, 9] },
+  Visakhapatnam: { heat: [4, 5, 6], cyclone: [10, 11, 12] },
+  Bhubaneswar: { heat: [4, 5, 6], monsoon: [7, 8, 9], cyclone: [10, 11] },
+  Patna: { cold: [12, 1], heat: [4, 5, 6], monsoon: [7, 8, 9] },
+  Thiruvananthapuram: { monsoon: [6, 7, 8, 9, 10] },
+  Amritsar: { cold: [12, 1], heat: [5, 6], monsoon: [7, 8] },
+  Udaipur: { heat: [4, 5, 6], monsoon: [7, 8] },
+  Coorg: { monsoon: [6, 7, 8, 9] },
+  Lonavala: { monsoon: [6, 7, 8, 9] },
+  Rishikesh: { cold: [12, 1], heat: [5, 6], monsoon: [7, 8, 9] }
+};
@@ -9,8 +9,13 @@ export const config = {
   groqApiKey: process.env.GROQ_API_KEY,
   tavilyApiKey: process.env.TAVILY_API_KEY,
   
+  llmProvider: process.env.LLM_PROVIDER || 'groq', // groq | openai | ollama | mock
   llmModel: process.env.LLM_MODEL || 'llama3-70b-8192',
+  llmBaseUrl: process.env.LLM_BASE_URL, // Required for openai, optional for ollama
+  llmApiKey: process.env.LLM_API_KEY, // Falls back to GROQ_API_KEY for groq
+  llmMockResponsesFile: process.env.LLM_MOCK_RESPONSES_FILE,
   llmTimeout: parseInt(process.env.LLM_TIMEOUT) || 45000, // 45 seconds
+  llmRepairAttempts: parseInt(process.env.LLM_REPAIR_ATTEMPTS ?? '2'), // Retries when LLM JSON fails schema validation
   
   enableCaching: process.env.ENABLE_CACHING !== 'false', // Default true
   cacheExpiryMinutes: parseInt(process.env.CACHE_EXPIRY_MINUTES) || 60, // 1 hour
@@ -26,27 +31,51 @@ export const config = {
   maxVenueResults: parseInt(process.env.MAX_VENUE_RESULTS) || 5,
   
   defaultEventDuration: parseInt(process.env.DEFAULT_EVENT_DURATION) || 8, // 8 hours
+  maxEventDays: parseInt(process.env.MAX_EVENT_DAYS) || 7, // Longest multi-day event
   minBudget: parseInt(process.env.MIN_BUDGET) || 10000, // ₹10,000
+  businessRulesFile: process.env.BUSINESS_RULES_FILE, // Company rule set (JSON); bundled defaults when unset
+  expensePolicyFile: process.env.EXPENSE_POLICY_FILE, // Company travel and event policy (JSON); bundled defaults when unset
   maxAttendees: parseInt(process.env.MAX_ATTENDEES) || 1000,
   
-  maxInputLength: parseInt(process.env.MAX_INPUT_LENGTH) || 1000, // Max input characters
+  maxInputLength: parseInt(process.env.MAX_INPUT_LENGTH) || 2000, // Max input characters
   minInputLength: parseInt(process.env.MIN_INPUT_LENGTH) || 10,
+  maxDocumentLength: parseInt(process.env.MAX_DOCUMENT_LENGTH) || 20000, // Max cleaned text of an uploaded brief
+  documentChunkLength: parseInt(process.env.DOCUMENT_CHUNK_LENGTH) || 1500, // Characters parsed per LLM call
   
   enableVenueSearch: process.env.ENABLE_VENUE_SEARCH !== 'false',
   enableFallbackParsing: process.env.ENABLE_FALLBACK_PARSING !== 'false',
+  enableClarification: process.env.ENABLE_CLARIFICATION !== 'false',
+  clarificationTtlMinutes: parseInt(process.env.CLARIFICATION_TTL_MINUTES) || 30, // Paused executions expire
   enableHealthChecks: process.env.ENABLE_HEALTH_CHECKS !== 'false',
 
   validate() {
     const errors = [];
     
-    if (!this.groqApiKey) {
+    const providers = ['groq', 'openai', 'ollama', 'mock'];
+    if (!providers.includes(this.llmProvider)) {
+      errors.push(`LLM_PROVIDER must be one of: ${providers.join(', ')}`);
+    }
+    
+    if (this.llmProvider === 'groq' && !this.groqApiKey && !this.llmApiKey) {
       errors.push('GROQ_API_KEY is required');
     }
     
+    if (this.llmProvider === 'openai' && !this.llmBaseUrl) {
+      errors.push('LLM_BASE_URL is required for the openai provider');
+    }
+    
     if (this.enableVenueSearch && !this.tavilyApiKey) {
       console.warn('⚠️  TAVILY_API_KEY not set - venue search will use fallback data');
     }
     
+    if (!(this.llmRepairAttempts >= 0 && this.llmRepairAttempts <= 5)) {
+      errors.push('LLM_REPAIR_ATTEMPTS must be between 0 and 5');
+    }
+    
+    if (this.documentChunkLength < 200 || this.documentChunkLength > this.maxInputLength) {
+      errors.push('DOCUMENT_CHUNK_LENGTH must be between 200 and MAX_INPUT_LENGTH');
+    }
+    
     if (this.port < 1 || this.port > 65535) {
       errors.push('PORT must be between 1 and 65535');
     }
@@ -70,6 +99,7 @@ export const config = {
     return {
       environment: this.nodeEnv,
       port: this.port,
+      llmProvider: this.llmProvider,
       llmModel: this.llmModel,
       cachingEnabled: this.enableCaching,
       venueSearchEnabled: this.enableVenueSearch
@@ -0,0 +1,41 @@
+/**
+ * Budget allocation adjustments
+ *
+ * The cost engine (utils/costEngine.js) starts from the event type's costSplit
+ * (config/eventTypes.js) and weights the shares by city tier and
+ * requirements; the weighted shares are scaled back to fill the budget.
+ *
+ * - CITY_TIER_WEIGHTS: Multipliers by cost category for each city tier
+ * - REQUIREMENT_WEIGHTS: Requirements matching pattern multiply the
+ *   categories in weights; categories in adds are added with that share when
+ *   the event type has none
+ * - TRANSPORT: Groups larger than minAttendees, or requirements matching
+ *   pattern, get a transport line; otherwise its share moves to miscellaneous
+ * - CONTINGENCY_SHARES: Share of the budget held back for overruns, by city tier
+ * - OVERSHOOT_TOLERANCE: How far (as a share) a generated cost line may exceed
+ *   its allocation before it is flagged
+ */
+export const CITY_TIER_WEIGHTS = {
+  // Metro venues cost more; transport is easier to arrange
+  1: { venue: 1.15, transport: 0.9 },
+  2: {},
+  // Venues are cheaper, but A/V and speakers often travel from the nearest metro
+  3: { venue: 0.85, av: 1.15, speakers: 1.15, transport: 1.2 }
+};
+
+export const REQUIREMENT_WEIGHTS = [
+  { pattern: /premium|luxury|high[- ]end/i, weights: { venue: 1.15, catering: 1.2 } },
+  { pattern: /speaker|keynote|panel|expert/i, weights: { speakers: 1.25 }, adds: { speakers: 0.08 } },
+  { pattern: /technolog|digital|hybrid|live ?stream|projector|a\/v/i, weights: { av: 1.3 }, adds: { av: 0.08 } },
+  { pattern: /material|stationery|workbook|kit\b|swag|merch/i, weights: { materials: 1.3 }, adds: { materials: 0.05 } },
+  { pattern: /team building|activit|games|adventure/i, weights: { activities: 1.25 }, adds: { activities: 0.08 } }
+];
+
+export const TRANSPORT = {
+  minAttendees: 30,
+  pattern: /transport|pick-?up|drop|shuttle|coach|cab/i
+};
+
+export const CONTINGENCY_SHARES = { 1: 0.05, 2: 0.05, 3: 0.08 };
+
+export const OVERSHOOT_TOLERANCE = 0.1;
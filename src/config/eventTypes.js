@@ -0,0 +1,293 @@
+/**
+ * Event type taxonomy
+ *
+ * Each type defines:
+ * - label: Display name
+ * - keywords: Pattern used by fallback parsing (types are tried in order)
+ * - duration: Typical hours { min, max, optimal }
+ * - startHour: Default start time (24h, fractions allowed)
+ * - itinerary: Default agenda as [activity, share of programme time]; meals and
+ *   tea breaks are placed by the scheduler (src/utils/eventSchedule.js)
+ * - costSplit: Default budget shares by cost category (sums to 1); the cost
+ *   engine (src/utils/costEngine.js) weights them by city tier and requirements
+ * - venueTerms: Extra venue search terms
+ * - preferredDays: weekday | weekend | any
+ */
+export const EVENT_TYPES = {
+  product_launch: {
+    label: 'Product Launch',
+    keywords: /product\s+launch|launch\s+(?:event|party)/i,
+    duration: { min: 2, max: 6, optimal: 3 },
+    startHour: 18,
+    itinerary: [
+      ['Guest arrival & registration', 0.15],
+      ['Welcome address', 0.05],
+      ['Product reveal', 0.15],
+      ['Live demo', 0.2],
+      ['Leadership & customer talks', 0.15],
+      ['Media Q&A', 0.1],
+      ['Networking cocktails', 0.2]
+    ],
+    costSplit: { venue: 0.25, production: 0.25, catering: 0.2, av: 0.1, marketing: 0.1, transport: 0.03, misc: 0.07 },
+    venueTerms: ['product launch venue', 'stage', 'LED wall'],
+    preferredDays: 'weekday'
+  },
+
+  town_hall: {
+    label: 'Town Hall',
+    keywords: /town\s*hall|all[-\s]hands/i,
+    duration: { min: 1, max: 3, optimal: 2 },
+    startHour: 16,
+    itinerary: [
+      ['Arrival & seating', 0.1],
+      ['Leadership address', 0.2],
+      ['Business updates', 0.25],
+      ['Recognitions', 0.1],
+      ['Open Q&A', 0.3],
+      ['Closing remarks', 0.05]
+    ],
+    costSplit: { venue: 0.25, av: 0.25, catering: 0.25, production: 0.1, transport: 0.05, misc: 0.1 },
+    venueTerms: ['auditorium', 'town hall'],
+    preferredDays: 'weekday'
+  },
+
+  hackathon: {
+    label: 'Hackathon',
+    keywords: /hackathon|hack\s+day|codefest/i,
+    duration: { min: 8, max: 36, optimal: 24 },
+    startHour: 10,
+    itinerary: [
+      ['Check-in & breakfast', 0.04],
+      ['Kickoff & problem statements', 0.05],
+      ['Team formation', 0.04],
+      ['Hacking sprint 1', 0.25],
+      ['Hacking sprint 2', 0.29],
+      ['Mentor check-ins', 0.06],
+      ['Dinner', 0.04],
+      ['Final submissions', 0.05],
+      ['Demos & judging', 0.1],
+      ['Awards', 0.04]
+    ],
+    costSplit: { venue: 0.2, catering: 0.3, prizes: 0.2, av: 0.1, materials: 0.07, transport: 0.03, misc: 0.1 },
+    venueTerms: ['hackathon venue', 'coworking space', '24 hour access', 'high-speed wifi'],
+    preferredDays: 'weekend'
+  },
+
+  awards_night: {
+    label: 'Awards Night',
+    keywords: /awards?\s+(?:night|ceremony|gala)|annual\s+awards/i,
+    duration: { min: 3, max: 6, optimal: 4 },
+    startHour: 19,
+    itinerary: [
+      ['Red carpet & welcome drinks', 0.15],
+      ['Host welcome', 0.05],
+      ['Awards - first half', 0.2],
+      ['Entertainment performance', 0.15],
+      ['Awards - second half', 0.2],
+      ['Dinner', 0.2],
+      ['Closing toast', 0.05]
+    ],
+    costSplit: { venue: 0.25, catering: 0.3, prizes: 0.15, entertainment: 0.15, production: 0.08, transport: 0.02, misc: 0.05 },
+    venueTerms: ['awards night venue', 'ballroom', 'stage'],
+    preferredDays: 'any'
+  },
+
+  team_dinner: {
+    label: 'Team Dinner',
+    keywords: /team\s+dinner|(?:office|company|team)\s+(?:dinner|party)/i,
+    duration: { min: 2, max: 4, optimal: 3 },
+    startHour: 19.5,
+    itinerary: [
+      ['Arrival & welcome drinks', 0.2],
+      ['Leadership toast', 0.05],
+      ['Dinner service', 0.45],
+      ['Games & activities', 0.2],
+      ['Wrap-up', 0.1]
+    ],
+    costSplit: { catering: 0.6, venue: 0.1, entertainment: 0.15, transport: 0.08, misc: 0.07 },
+    venueTerms: ['restaurant', 'private dining'],
+    preferredDays: 'any'
+  },
+
+  client_summit: {
+    label: 'Client Summit',
+    keywords: /(?:client|customer|partner)\s+(?:summit|meet)/i,
+    duration: { min: 4, max: 16, optimal: 8 },
+    startHour: 9,
+    itinerary: [
+      ['Registration & breakfast', 0.07],
+      ['Welcome address', 0.05],
+      ['Keynote', 0.1],
+      ['Client success stories', 0.15],
+      ['Product roadmap', 0.13],
+      ['Breakout roundtables', 0.17],
+      ['Executive panel', 0.1],
+      ['Networking reception', 0.08]
+    ],
+    costSplit: { venue: 0.28, catering: 0.27, av: 0.1, speakers: 0.1, materials: 0.05, hospitality: 0.08, transport: 0.05, misc: 0.07 },
+    venueTerms: ['business hotel', 'summit venue', 'breakout rooms'],
+    preferredDays: 'weekday'
+  },
+
+  training: {
+    label: 'Training',
+    keywords: /training|skill|learn/i,
+    duration: { min: 4, max: 16, optimal: 8 },
+    startHour: 9,
+    itinerary: [
+      ['Registration & welcome', 0.05],
+      ['Opening session', 0.1],
+      ['Training module 1', 0.2],
+      ['Training module 2', 0.15],
+      ['Hands-on exercises', 0.2],
+      ['Q&A & assessment', 0.1],
+      ['Closing & feedback', 0.05]
+    ],
+    costSplit: { venue: 0.25, catering: 0.3, av: 0.08, materials: 0.1, speakers: 0.12, transport: 0.05, misc: 0.1 },
+    venueTerms: ['training rooms', 'classroom setup'],
+    preferredDays: 'weekday'
+  },
+
+  conference: {
+    label: 'Conference',
+    keywords: /conference|convention/i,
+    duration: { min: 8, max: 24, optimal: 12 },
+    startHour: 9,
+    itinerary: [
+      ['Registration & networking', 0.08],
+      ['Opening keynote', 0.1],
+      ['Panel discussion', 0.15],
+      ['Breakout sessions', 0.2],
+      ['Track sessions', 0.17],
+      ['Closing keynote', 0.1],
+      ['Networking reception', 0.05]
+    ],
+    costSplit: { venue: 0.3, catering: 0.3, av: 0.12, materials: 0.05, speakers: 0.13, transport: 0.03, misc: 0.07 },
+    venueTerms: ['conference centre', 'breakout rooms'],
+    preferredDays: 'weekday'
+  },
+
+  offsite: {
+    label: 'Offsite',
+    keywords: /offsite|retreat|outing/i,
+    duration: { min: 8, max: 48, optimal: 16 },
+    startHour: 9,
+    itinerary: [
+      ['Arrival & welcome', 0.05],
+      ['Leadership address', 0.1],
+      ['Team-building activity', 0.2],
+      ['Strategy breakouts', 0.2],
+      ['Outdoor activity', 0.15],
+      ['Reflections & recognition', 0.1],
+      ['Dinner & social', 0.1]
+    ],
+    costSplit: { venue: 0.35, catering: 0.3, activities: 0.15, transport: 0.1, materials: 0.02, misc: 0.08 },
+    venueTerms: ['resort', 'team outing'],
+    preferredDays: 'weekend'
+  },
+
+  seminar: {
+    label: 'Seminar',
+    keywords: /seminar|session/i,
+    duration: { min: 2, max: 8, optimal: 6 },
+    startHour: 10,
+    itinerary: [
+      ['Registration', 0.08],
+      ['Welcome address', 0.07],
+      ['Keynote talk', 0.2],
+      ['Expert session', 0.25],
+      ['Panel Q&A', 0.2],
+      ['Closing remarks', 0.05],
+      ['Networking', 0.1]
+    ],
+    costSplit: { venue: 0.25, catering: 0.25, av: 0.1, materials: 0.08, speakers: 0.2, transport: 0.04, misc: 0.08 },
+    venueTerms: ['seminar hall', 'auditorium'],
+    preferredDays: 'weekday'
+  },
+
+  workshop: {
+    label: 'Workshop',
+    keywords: /workshop/i,
+    duration: { min: 2, max: 8, optimal: 4 },
+    startHour: 10,
+    itinerary: [
+      ['Welcome & objectives', 0.1],
+      ['Concept session', 0.2],
+      ['Hands-on exercise 1', 0.25],
+      ['Hands-on exercise 2', 0.25],
+      ['Showcase & feedback', 0.1],
+      ['Wrap-up', 0.05]
+    ],
+    costSplit: { venue: 0.25, catering: 0.25, av: 0.08, materials: 0.17, speakers: 0.12, transport: 0.05, misc: 0.08 },
+    venueTerms: ['workshop space', 'breakout rooms'],
+    preferredDays: 'weekend'
+  },
+
+  meeting: {
+    label: 'Meeting',
+    keywords: /meeting|discussion/i,
+    duration: { min: 1, max: 4, optimal: 2 },
+    startHour: 10,
+    itinerary: [
+      ['Welcome & agenda', 0.1],
+      ['Updates', 0.3],
+      ['Discussion', 0.35],
+      ['Decisions & action items', 0.2],
+      ['Close', 0.05]
+    ],
+    costSplit: { venue: 0.35, catering: 0.35, av: 0.1, materials: 0.08, transport: 0.04, misc: 0.08 },
+    venueTerms: ['meeting rooms', 'boardroom'],
+    preferredDays: 'weekday'
+  }
+};
+
+export const EVENT_TYPE_NAMES = Object.keys(EVENT_TYPES);
+
+// Fallback when the input doesn't name a recognisable type
+export const DEFAULT_EVENT_TYPE = 'meeting';
+
+export const COST_CATEGORY_LABELS = {
+  accommodation: 'Accommodation',
+  accessibility: 'Accessibility',
+  venue: 'Venue Rental',
+  catering: 'Catering',
+  av: 'A/V Equipment',
+  materials: 'Stationery & Materials',
+  speakers: 'Speaker Fees',
+  activities: 'Activities',
+  production: 'Stage & Production',
+  marketing: 'Marketing & Media',
+  prizes: 'Prizes & Awards',
+  entertainment: 'Entertainment',
+  hospitality: 'Client Gifts & Hospitality',
+  transport: 'Transport',
+  contingency: 'Contingency',
+  misc: 'Miscellaneous'
+};
+
+/**
+ * Get the profile for an event type
+ * @param {string} eventType - Event type name
+ * @returns {Object} Type profile (the default type's profile for unknown types)
+ */
+export function getEventTypeProfile(eventType) {
+  return EVENT_TYPES[eventType] || EVENT_TYPES[DEFAULT_EVENT_TYPE];
+}
+
+/**
+ * Get the display label for an event type
+ * @param {string} eventType - Event type name
+ * @returns {string} Label, or the raw value for unknown types
+ */
+export function getEventTypeLabel(eventType) {
+  return EVENT_TYPES[eventType]?.label || eventType;
+}
+
+/**
+ * Detect the event type from free text using each type's keywords
+ * @param {string} text - Input text
+ * @returns {string|null} Event type name or null if none matched
+ */
+export function detectEventType(text) {
+  return EVENT_TYPE_NAMES.find(type => EVENT_TYPES[type].keywords.test(text || '')) || null;
+}
@@ -0,0 +1,97 @@
+/**
+ * Active travel and event expense policy
+ *
+ * Loaded once from EXPENSE_POLICY_FILE, or from the bundled expensePolicy.json
+ * when no company policy is configured. A policy has:
+ * - mealCapsPerHead: Most that may be spent per person on each meal
+ *   (breakfast, lunch, snacks, dinner), in INR
+ * - alcohol: allowedEventTypes where alcohol may be served (empty for none)
+ *   and the serving conditions that apply there
+ * - approvalThresholds: [{ above, approver }]; the approver of the highest
+ *   threshold the budget exceeds signs off the event
+ * - exceptionApprover: Approver for events with policy violations, one of the
+ *   threshold approvers (the more senior of the two signs off)
+ * - preferredVendors: Vendor names per category (venue, accommodation);
+ *   suppliers outside the list need an exception
+ */
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { z } from 'zod';
+import { EVENT_TYPE_NAMES } from './eventTypes.js';
+import { config } from './config.js';
+
+export const DEFAULT_EXPENSE_POLICY_FILE = fileURLToPath(new URL('./expensePolicy.json', import.meta.url));
+
+const amountSchema = z.number().min(0);
+
+export const expensePolicySchema = z.object({
+  name: z.string().min(1),
+  version: z.union([z.string(), z.number()]).optional(),
+  description: z.string().optional(),
+  mealCapsPerHead: z.object({
+    breakfast: amountSchema,
+    lunch: amountSchema,
+    snacks: amountSchema,
+    dinner: amountSchema
+  }).strict(),
+  alcohol: z.object({
+    allowedEventTypes: z.array(z.enum(EVENT_TYPE_NAMES)).default([]),
+    conditions: z.string().min(1).optional()
+  }).strict(),
+  approvalThresholds: z.array(z.object({
+    above: amountSchema,
+    approver: z.string().min(1)
+  }).strict()).min(1),
+  exceptionApprover: z.string().min(1).optional(),
+  preferredVendors: z.object({
+    venue: z.array(z.string().min(1)).optional(),
+    accommodation: z.array(z.string().min(1)).optional()
+  }).strict().default({})
+}).strict().superRefine((policy, ctx) => {
+  policy.approvalThresholds.forEach((threshold, index) => {
+    if (index > 0 && threshold.above <= policy.approvalThresholds[index - 1].above) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['approvalThresholds', index, 'above'], message: 'Thresholds must be in increasing order' });
+    }
+  });
+  if (policy.exceptionApprover && !policy.approvalThresholds.some(threshold => threshold.approver === policy.exceptionApprover)) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['exceptionApprover'], message: `"${policy.exceptionApprover}" is not a threshold approver` });
+  }
+});
+
+let activePolicy = null;
+
+/**
+ * Load and validate an expense policy from a JSON file
+ * @param {string} filePath - Path to the policy
+ * @returns {Object} Policy
+ * @throws {Error} When the file cannot be read or the policy is invalid
+ */
+export function loadExpensePolicy(filePath) {
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to read expense policy from ${filePath}: ${error.message}`);
+  }
+
+  const result = expensePolicySchema.safeParse(raw);
+  if (!result.success) {
+    const errors = result.error.issues.map(issue => `${issue.path.join('.') || 'policy'}: ${issue.message}`);
+    throw new Error(`Invalid expense policy in ${filePath}: ${errors.join('; ')}`);
+  }
+
+  return result.data;
+}
+
+/**
+ * Get the active expense policy, loading it on first use
+ * @returns {Object} Validated policy
+ * @throws {Error} When the configured file is missing or invalid
+ */
+export function getExpensePolicy() {
+  if (!activePolicy) {
+    activePolicy = loadExpensePolicy(config.expensePolicyFile || DEFAULT_EXPENSE_POLICY_FILE);
+  }
+
+  return activePolicy;
+}
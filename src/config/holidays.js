@@ -0,0 +1,117 @@
+/**
+ * Offline Indian holiday calendar, one list per year
+ *
+ * Each entry has:
+ * - date: YYYY-MM-DD, with endDate for holidays spanning several days
+ * - name: Display name
+ * - type: national (closed everywhere) | festival (major festival, widely
+ *   observed) | regional (state holiday, only in `states`) | observance
+ *   (fasting period - affects menus, not availability)
+ * - states: States where a regional holiday or observance applies (omit for
+ *   all); the event city's state comes from config/cities.js
+ * - meal: Key into HOLIDAY_MEAL_NOTES when the day changes what people eat
+ *
+ * Festival dates follow the lunar calendar and Islamic dates depend on the
+ * moon sighting, so they can move by a day; check the state's published list
+ * before booking.
+ */
+
+export const HOLIDAY_TYPES = {
+  national: 'National holiday',
+  festival: 'Festival',
+  regional: 'State holiday',
+  observance: 'Observance'
+};
+
+export const HOLIDAY_MEAL_NOTES = {
+  navratri: 'Fasting-friendly (vrat) menu alongside the regular one: sabudana, kuttu or singhara atta, fruit and dairy; no grains, onion or garlic',
+  ramadan: 'Iftar at sunset for those fasting, a light sehri option before dawn for overnight stays, and no food-centred activities during the day',
+  fasting: 'Fasting-friendly (vrat) snacks and fruit alongside the regular menu',
+  jain: 'Extended Jain options (no onion, garlic or root vegetables) for the whole group',
+  meatFree: 'A meat-free main course option for those observing the day',
+  festive: 'Festive sweets and a celebratory dish in keeping with the day'
+};
+
+export const HOLIDAYS = {
+  2026: [
+    { date: '2026-01-14', endDate: '2026-01-15', name: 'Makar Sankranti / Uttarayan', type: 'regional', states: ['Gujarat', 'Andhra Pradesh', 'Telangana', 'Karnataka'], meal: 'festive' },
+    { date: '2026-01-14', endDate: '2026-01-16', name: 'Pongal', type: 'regional', states: ['Tamil Nadu'], meal: 'festive' },
+    { date: '2026-01-26', name: 'Republic Day', type: 'national' },
+    { date: '2026-02-15', name: 'Maha Shivaratri', type: 'festival', meal: 'fasting' },
+    { date: '2026-02-19', name: 'Chhatrapati Shivaji Maharaj Jayanti', type: 'regional', states: ['Maharashtra'] },
+    { date: '2026-02-19', endDate: '2026-03-20', name: 'Ramadan', type: 'observance', meal: 'ramadan' },
+    { date: '2026-03-04', name: 'Holi', type: 'festival', meal: 'festive' },
+    { date: '2026-03-19', name: 'Gudi Padwa / Ugadi', type: 'regional', states: ['Maharashtra', 'Karnataka', 'Andhra Pradesh', 'Telangana', 'Goa'], meal: 'festive' },
+    { date: '2026-03-19', endDate: '2026-03-27', name: 'Chaitra Navratri', type: 'observance', meal: 'navratri' },
+    { date: '2026-03-21', name: 'Eid al-Fitr', type: 'festival', meal: 'festive' },
+    { date: '2026-03-26', name: 'Ram Navami', type: 'festival' },
+    { date: '2026-03-30', name: 'Rajasthan Day', type: 'regional', states: ['Rajasthan'] },
+    { date: '2026-03-31', name: 'Mahavir Jayanti', type: 'festival', meal: 'jain' },
+    { date: '2026-04-03', name: 'Good Friday', type: 'festival', meal: 'meatFree' },
+    { date: '2026-04-14', name: 'Ambedkar Jayanti', type: 'festival' },
+    { date: '2026-04-14', name: 'Baisakhi / Tamil New Year / Vishu', type: 'regional', states: ['Punjab', 'Tamil Nadu', 'Kerala'], meal: 'festive' },
+    { date: '2026-04-15', name: 'Poila Boishakh', type: 'regional', states: ['West Bengal'], meal: 'festive' },
+    { date: '2026-05-01', name: 'Buddha Purnima', type: 'festival' },
+    { date: '2026-05-01', name: 'Maharashtra Day', type: 'regional', states: ['Maharashtra'] },
+    { date: '2026-05-27', name: 'Eid al-Adha', type: 'festival', meal: 'festive' },
+    { date: '2026-06-02', name: 'Telangana Formation Day', type: 'regional', states: ['Telangana'] },
+    { date: '2026-06-26', name: 'Muharram', type: 'festival' },
+    { date: '2026-08-15', name: 'Independence Day', type: 'national' },
+    { date: '2026-08-25', endDate: '2026-08-26', name: 'Onam', type: 'regional', states: ['Kerala'], meal: 'festive' },
+    { date: '2026-08-26', name: 'Milad-un-Nabi', type: 'festival' },
+    { date: '2026-08-28', name: 'Raksha Bandhan', type: 'festival' },
+    { date: '2026-09-04', name: 'Janmashtami', type: 'festival', meal: 'fasting' },
+    { date: '2026-09-14', name: 'Ganesh Chaturthi', type: 'regional', states: ['Maharashtra', 'Karnataka', 'Telangana', 'Andhra Pradesh', 'Goa'], meal: 'festive' },
+    { date: '2026-10-02', name: 'Gandhi Jayanti', type: 'national' },
+    { date: '2026-10-11', endDate: '2026-10-19', name: 'Sharad Navratri', type: 'observance', meal: 'navratri' },
+    { date: '2026-10-17', endDate: '2026-10-20', name: 'Durga Puja', type: 'regional', states: ['West Bengal', 'Odisha'], meal: 'festive' },
+    { date: '2026-10-20', name: 'Dussehra', type: 'festival' },
+    { date: '2026-11-01', name: 'Karnataka Rajyotsava', type: 'regional', states: ['Karnataka'] },
+    { date: '2026-11-08', name: 'Diwali', type: 'festival', meal: 'festive' },
+    { date: '2026-11-15', endDate: '2026-11-16', name: 'Chhath Puja', type: 'regional', states: ['Bihar'] },
+    { date: '2026-11-24', name: 'Guru Nanak Jayanti', type: 'festival' },
+    { date: '2026-12-19', name: 'Goa Liberation Day', type: 'regional', states: ['Goa'] },
+    { date: '2026-12-25', name: 'Christmas', type: 'festival', meal: 'festive' }
+  ],
+
+  2027: [
+    { date: '2027-01-14', endDate: '2027-01-15', name: 'Makar Sankranti / Uttarayan', type: 'regional', states: ['Gujarat', 'Andhra Pradesh', 'Telangana', 'Karnataka'], meal: 'festive' },
+    { date: '2027-01-14', endDate: '2027-01-16', name: 'Pongal', type: 'regional', states: ['Tamil Nadu'], meal: 'festive' },
+    { date: '2027-01-26', name: 'Republic Day', type: 'national' },
+    { date: '2027-02-08', endDate: '2027-03-09', name: 'Ramadan', type: 'observance', meal: 'ramadan' },
+    { date: '2027-02-19', name: 'Chhatrapati Shivaji Maharaj Jayanti', type: 'regional', states: ['Maharashtra'] },
+    { date: '2027-03-06', name: 'Maha Shivaratri', type: 'festival', meal: 'fasting' },
+    { date: '2027-03-10', name: 'Eid al-Fitr', type: 'festival', meal: 'festive' },
+    { date: '2027-03-22', name: 'Holi', type: 'festival', meal: 'festive' },
+    { date: '2027-03-26', name: 'Good Friday', type: 'festival', meal: 'meatFree' },
+    { date: '2027-03-30', name: 'Rajasthan Day', type: 'regional', states: ['Rajasthan'] },
+    { date: '2027-04-07', name: 'Gudi Padwa / Ugadi', type: 'regional', states: ['Maharashtra', 'Karnataka', 'Andhra Pradesh', 'Telangana', 'Goa'], meal: 'festive' },
+    { date: '2027-04-07', endDate: '2027-04-15', name: 'Chaitra Navratri', type: 'observance', meal: 'navratri' },
+    { date: '2027-04-14', name: 'Ambedkar Jayanti', type: 'festival' },
+    { date: '2027-04-14', name: 'Baisakhi / Tamil New Year / Vishu', type: 'regional', states: ['Punjab', 'Tamil Nadu', 'Kerala'], meal: 'festive' },
+    { date: '2027-04-15', name: 'Ram Navami', type: 'festival' },
+    { date: '2027-04-15', name: 'Poila Boishakh', type: 'regional', states: ['West Bengal'], meal: 'festive' },
+    { date: '2027-04-19', name: 'Mahavir Jayanti', type: 'festival', meal: 'jain' },
+    { date: '2027-05-01', name: 'Maharashtra Day', type: 'regional', states: ['Maharashtra'] },
+    { date: '2027-05-17', name: 'Eid al-Adha', type: 'festival', meal: 'festive' },
+    { date: '2027-05-20', name: 'Buddha Purnima', type: 'festival' },
+    { date: '2027-06-02', name: 'Telangana Formation Day', type: 'regional', states: ['Telangana'] },
+    { date: '2027-06-15', name: 'Muharram', type: 'festival' },
+    { date: '2027-08-15', name: 'Independence Day', type: 'national' },
+    { date: '2027-08-15', name: 'Milad-un-Nabi', type: 'festival' },
+    { date: '2027-08-17', name: 'Raksha Bandhan', type: 'festival' },
+    { date: '2027-08-25', name: 'Janmashtami', type: 'festival', meal: 'fasting' },
+    { date: '2027-09-04', name: 'Ganesh Chaturthi', type: 'regional', states: ['Maharashtra', 'Karnataka', 'Telangana', 'Andhra Pradesh', 'Goa'], meal: 'festive' },
+    { date: '2027-09-11', endDate: '2027-09-12', name: 'Onam', type: 'regional', states: ['Kerala'], meal: 'festive' },
+    { date: '2027-09-30', endDate: '2027-10-08', name: 'Sharad Navratri', type: 'observance', meal: 'navratri' },
+    { date: '2027-10-02', name: 'Gandhi Jayanti', type: 'national' },
+    { date: '2027-10-05', endDate: '2027-10-08', name: 'Durga Puja', type: 'regional', states: ['West Bengal', 'Odisha'], meal: 'festive' },
+    { date: '2027-10-09', name: 'Dussehra', type: 'festival' },
+    { date: '2027-10-29', name: 'Diwali', type: 'festival', meal: 'festive' },
+    { date: '2027-11-01', name: 'Karnataka Rajyotsava', type: 'regional', states: ['Karnataka'] },
+    { date: '2027-11-04', endDate: '2027-11-05', name: 'Chhath Puja', type: 'regional', states: ['Bihar'] },
+    { date: '2027-11-14', name: 'Guru Nanak Jayanti', type: 'festival' },
+    { date: '2027-12-19', name: 'Goa Liberation Day', type: 'regional', states: ['Goa'] },
+    { date: '2027-12-25', name: 'Christmas', type: 'festival', meal: 'festive' }
+  ]
+};
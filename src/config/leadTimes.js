@@ -0,0 +1,58 @@
+/**
+ * Booking lead times
+ *
+ * BOOKINGS describes what has to be booked ahead:
+ * - label: Display name
+ * - minimumDays: Fewest days ahead it can still be booked (below this the
+ *   date is not feasible)
+ * - recommendedDays: Days ahead for a normal choice of suppliers and rates
+ * - scalesWithHeadcount: Larger groups need longer (optional)
+ *
+ * EVENT_TYPE_BOOKINGS lists the bookings each event type depends on. Hotel
+ * rooms are added for overnight events and external speakers whenever the
+ * requirements ask for speakers.
+ *
+ * Days are for a group of up to 50 in a tier 2 city; HEADCOUNT_FACTORS and
+ * CITY_TIER_FACTORS scale them (results round up to whole days).
+ */
+export const BOOKINGS = {
+  venue: { label: 'Venue', minimumDays: 1, recommendedDays: 14, scalesWithHeadcount: true },
+  catering: { label: 'Catering', minimumDays: 1, recommendedDays: 7, scalesWithHeadcount: true },
+  av: { label: 'A/V equipment', minimumDays: 1, recommendedDays: 7, scalesWithHeadcount: true },
+  production: { label: 'Stage and production', minimumDays: 5, recommendedDays: 30, scalesWithHeadcount: true },
+  speakers: { label: 'External speakers', minimumDays: 7, recommendedDays: 30 },
+  entertainment: { label: 'Entertainment', minimumDays: 5, recommendedDays: 21 },
+  activities: { label: 'Activities', minimumDays: 2, recommendedDays: 14, scalesWithHeadcount: true },
+  accommodation: { label: 'Hotel rooms', minimumDays: 2, recommendedDays: 21, scalesWithHeadcount: true }
+};
+
+export const EVENT_TYPE_BOOKINGS = {
+  product_launch: ['venue', 'catering', 'av', 'production'],
+  town_hall: ['venue', 'catering', 'av'],
+  hackathon: ['venue', 'catering', 'av'],
+  awards_night: ['venue', 'catering', 'production', 'entertainment'],
+  team_dinner: ['venue', 'catering'],
+  client_summit: ['venue', 'catering', 'av', 'speakers'],
+  training: ['venue', 'catering', 'av'],
+  conference: ['venue', 'catering', 'av', 'speakers'],
+  offsite: ['venue', 'catering', 'activities'],
+  seminar: ['venue', 'catering', 'av', 'speakers'],
+  workshop: ['venue', 'catering', 'av'],
+  meeting: ['venue', 'catering']
+};
+
+// Checked in order; the first band the headcount fits applies
+export const HEADCOUNT_FACTORS = [
+  { upTo: 50, minimum: 1, recommended: 1 },
+  { upTo: 150, minimum: 2, recommended: 1.5 },
+  { upTo: 300, minimum: 4, recommended: 2 },
+  { upTo: Infinity, minimum: 7, recommended: 3 }
+];
+
+// Metro venues book out early but there are plenty at short notice; smaller
+// cities have few event suppliers, so everything takes longer
+export const CITY_TIER_FACTORS = {
+  1: { minimum: 1, recommended: 1.25 },
+  2: { minimum: 1, recommended: 1 },
+  3: { minimum: 1.5, recommended: 1.5 }
+};
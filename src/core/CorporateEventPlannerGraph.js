@@ -1,6 +1,21 @@
 // src/core/CorporateEventPlannerGraph.js
-import { executeEventPlanning, validateGraphConfiguration, getGraphStatistics } from '../graph/EventPlannerGraph.js';
-import { StateHelpers } from '../graph/state.js';
+import { executeEventPlanning, executeStructuredEventPlanning, executeDocumentEventPlanning, resumeEventPlanning, validateGraphConfiguration, getGraphStatistics } from '../graph/EventPlannerGraph.js';
+import { StateHelpers, structuredEventDataSchema } from '../graph/state.js';
+import { EVENT_TYPES } from '../config/eventTypes.js';
+import { getEventDays, getOptimalDuration, MAX_DAILY_HOURS } from '../utils/eventSchedule.js';
+import { getTimeSpan } from '../utils/timeResolver.js';
+import { markField } from '../utils/provenance.js';
+import { validateNaturalInput, validateDocumentInput, validateDocumentText, getValidationSummary, sanitizeEventData } from '../utils/validation.js';
+import { performBusinessValidation, buildRuleFacts, proposeFixes } from '../agents/validator.js';
+import { applyFixProposal } from '../utils/autoFix.js';
+import { parseRuleSet } from '../utils/ruleEngine.js';
+import { getBusinessRules } from '../config/businessRules.js';
+import { extractDocumentText } from '../utils/documentText.js';
+import { createIssue, getIssueMessages } from '../utils/issues.js';
+import { splitMultiEventInput, buildBudgetRollup } from '../utils/multiEvent.js';
+import { BUDGET_TIER_NAMES, BUDGET_TIERS } from '../config/budgetTiers.js';
+import { buildTierEventData, getUnavailableTierReason, compareBudgetTiers, renderTierComparison } from '../utils/budgetTiers.js';
+import { renderPlanText } from '../utils/planModel.js';
 import { cache } from '../utils/cache.js';
 import { logger } from '../utils/logger.js';
 import { config } from '../config/config.js';
@@ -51,7 +66,15 @@ export class CorporateEventPlannerGraph {
       // Step 1: Input validation
       const inputValidation = this.validateInput(naturalInput);
       if (!inputValidation.valid) {
-        throw new Error(inputValidation.error);
+        throw this.createIssueError(inputValidation.issues);
+      }
+
+      // Inputs describing several events get one plan each
+      if (!tweakPrompt) {
+        const eventInputs = splitMultiEventInput(naturalInput);
+        if (eventInputs) {
+          return await this.createMultiEventPlan(eventInputs, startTime, requestId);
+        }
       }
 
       // Step 2: Cache check (only for non-refinement requests)
@@ -99,6 +122,346 @@ export class CorporateEventPlannerGraph {
     }
   }
 
+  /**
+   * Plan each event of a multi-event input and group the results
+   * Events run one after another; each can pause for its own clarification
+   * @param {string[]} eventInputs - One description per event
+   * @param {number} startTime - Request start timestamp
+   * @param {string} requestId - Request identifier
+   * @returns {Object} Grouped response with a budget roll-up
+   */
+  async createMultiEventPlan(eventInputs, startTime, requestId) {
+    logger.info(`🗂️ [${requestId}] Input describes ${eventInputs.length} events - planning each separately`);
+
+    const events = [];
+    for (const input of eventInputs) {
+      const result = await this.createEventPlan(input);
+      events.push({ ...result, input });
+    }
+
+    const statuses = events.map(event => event.success ? 'planned' :
+      event.needsClarification ? 'needs-clarification' : 'failed');
+    const budgetRollup = buildBudgetRollup(events.map((event, index) => ({
+      eventData: event.eventData,
+      status: statuses[index]
+    })));
+    const { planned, needsClarification, failed } = budgetRollup.counts;
+    const prefixed = key => events.flatMap((event, index) => (event[key] || []).map(message => `Event ${index + 1}: ${message}`));
+
+    logger.info(`✅ [${requestId}] Multi-event planning completed`, budgetRollup.counts);
+
+    return {
+      success: planned === events.length,
+      multiEvent: true,
+      generationTime: `${((Date.now() - startTime) / 1000).toFixed(2)} seconds`,
+      timestamp: new Date().toISOString(),
+      cached: false,
+      requestId,
+      events,
+      budgetRollup,
+      errors: prefixed('errors'),
+      warnings: prefixed('warnings'),
+      summary: {
+        status: planned === events.length ? 'Completed' : planned > 0 ? 'Partially completed' : 'Failed',
+        message: [
+          `${planned} of ${events.length} events planned`,
+          needsClarification > 0 ? `${needsClarification} need more details` : null,
+          failed > 0 ? `${failed} failed` : null
+        ].filter(Boolean).join(', ')
+      }
+    };
+  }
+
+  /**
+   * Create an event plan from typed event fields, skipping LLM parsing
+   * @param {Object} eventData - Event fields (see structuredEventDataSchema)
+   * @param {string} tweakPrompt - Optional refinement prompt
+   * @returns {Object} Complete event plan response
+   */
+  async createEventPlanFromData(eventData, tweakPrompt = null) {
+    const startTime = Date.now();
+    const requestId = this.generateRequestId();
+    
+    logger.info(`🚀 [${requestId}] Starting graph-based event plan generation from structured data`, {
+      fields: Object.keys(eventData || {}),
+      isRefinement: !!tweakPrompt
+    });
+
+    try {
+      // Step 1: Schema validation
+      const parsed = structuredEventDataSchema.safeParse(eventData);
+      if (!parsed.success) {
+        const error = new Error(`Invalid eventData: ${this.formatSchemaIssues(parsed.error.issues)}`);
+        error.issues = this.toSchemaIssues(parsed.error.issues);
+        // Proposals are checked against the data as it would be planned, with the duration filled in
+        const { data } = EVENT_TYPES[eventData?.eventType] ? this.completeStructuredData(eventData, []) : { data: eventData };
+        error.fixProposals = proposeFixes(data, error.issues);
+        throw error;
+      }
+
+      // Step 2: Execute the graph flow from validate
+      const { data, fieldProvenance } = this.completeStructuredData(parsed.data, Object.keys(eventData));
+      const graphResult = await executeStructuredEventPlanning(data, fieldProvenance, tweakPrompt);
+
+      // Step 3: Process and enhance the result
+      const processedResult = this.processGraphResult(graphResult, startTime, requestId);
+
+      logger.info(`✅ [${requestId}] Structured event plan completed`, {
+        success: processedResult.success,
+        executionTime: processedResult.generationTime
+      });
+      
+      return processedResult;
+
+    } catch (error) {
+      const executionTime = `${((Date.now() - startTime) / 1000).toFixed(2)} seconds`;
+      
+      logger.error(`❌ [${requestId}] Structured event plan generation failed`, {
+        error: error.message,
+        executionTime
+      });
+      
+      return this.createErrorResponse(error, executionTime, null, tweakPrompt);
+    }
+  }
+
+  /**
+   * Plan the same event at economy, standard and premium budgets and compare them
+   * Tiers run one after another as structured requests; invalid eventData
+   * gets the structured error response (with fix proposals) instead
+   * @param {Object} eventData - Event fields (see structuredEventDataSchema)
+   * @returns {Object} Grouped response with one plan per tier and a side-by-side comparison
+   */
+  async createBudgetTierPlans(eventData) {
+    const startTime = Date.now();
+    const requestId = this.generateRequestId();
+
+    if (!structuredEventDataSchema.safeParse(eventData).success) {
+      return this.createEventPlanFromData(eventData);
+    }
+
+    logger.info(`🪜 [${requestId}] Planning ${BUDGET_TIER_NAMES.length} budget tiers for ${eventData.eventType} in ${eventData.location}`);
+
+    const minBudget = this.getMinimumBudget(eventData);
+    const plans = [];
+    for (const tier of BUDGET_TIER_NAMES) {
+      const tierData = buildTierEventData(eventData, tier, minBudget);
+      const unavailable = getUnavailableTierReason(eventData, tierData, tier);
+      const result = unavailable ?
+        { success: false, unavailable: true, error: unavailable, warnings: [unavailable] } :
+        await this.createEventPlanFromData(tierData);
+      plans.push({ tier, eventData: tierData, result });
+    }
+
+    const comparison = compareBudgetTiers(plans);
+    const planned = comparison.tiers.filter(tier => tier.status === 'planned').length;
+    const possible = comparison.tiers.filter(tier => tier.status !== 'unavailable').length;
+    const prefixed = key => plans.flatMap(({ tier, result }) => (result[key] || []).map(message => `${BUDGET_TIERS[tier].label}: ${message}`));
+
+    logger.info(`✅ [${requestId}] Budget tier planning completed`, { planned, possible, tiers: plans.length });
+
+    return {
+      success: planned === possible,
+      budgetTiers: true,
+      generationTime: `${((Date.now() - startTime) / 1000).toFixed(2)} seconds`,
+      timestamp: new Date().toISOString(),
+      cached: false,
+      requestId,
+      tiers: plans.map(({ tier, result }) => ({ tier, label: BUDGET_TIERS[tier].label, ...result })),
+      comparison,
+      comparisonMarkdown: renderTierComparison(comparison),
+      errors: prefixed('errors'),
+      warnings: prefixed('warnings'),
+      summary: {
+        status: planned === possible ? 'Completed' : planned > 0 ? 'Partially completed' : 'Failed',
+        message: `${planned} of ${plans.length} budget tiers planned${possible < plans.length ? ` (${plans.length - possible} not possible at this headcount)` : ''}`
+      }
+    };
+  }
+
+  /**
+   * Lowest budget the business rules accept for the event's headcount
+   * The event is checked at the configured minimum budget and raised by the
+   * budget fix the rules propose, e.g. ₹500 per person
+   * @param {Object} eventData - Schema-checked event data
+   * @returns {number} Budget in INR
+   */
+  getMinimumBudget(eventData) {
+    const probe = { ...eventData, budgetInINR: config.minBudget };
+    const { issues, results } = performBusinessValidation(sanitizeEventData(probe));
+    const budgetIssues = issues.filter(issue => issue.severity === 'error' && issue.field === 'budgetInINR');
+    const proposal = proposeFixes(probe, budgetIssues, results).find(candidate => candidate.field === 'budgetInINR');
+
+    return Math.max(config.minBudget, proposal?.changes.budgetInINR || 0);
+  }
+
+  /**
+   * Create an event plan from an uploaded brief (.eml, .txt or .md)
+   * @param {string} content - Raw file content
+   * @param {string} filename - File name (selects the format)
+   * @returns {Object} Complete event plan response
+   */
+  async createEventPlanFromDocument(content, filename) {
+    const startTime = Date.now();
+    const requestId = this.generateRequestId();
+    
+    logger.info(`🚀 [${requestId}] Starting graph-based event plan generation from document`, {
+      filename,
+      contentLength: content?.length || 0
+    });
+
+    try {
+      // Step 1: Document validation and text extraction
+      const documentIssues = validateDocumentInput(filename, content);
+      if (documentIssues.length > 0) {
+        throw this.createIssueError(documentIssues);
+      }
+
+      const documentText = extractDocumentText(content, filename);
+      const textIssues = validateDocumentText(documentText);
+      if (textIssues.length > 0) {
+        throw this.createIssueError(textIssues);
+      }
+
+      // Step 2: Execute the graph flow from parseDocument
+      const graphResult = await executeDocumentEventPlanning(documentText, filename);
+
+      // Step 3: Process and enhance the result
+      const processedResult = this.processGraphResult(graphResult, startTime, requestId);
+
+      logger.info(`✅ [${requestId}] Document event plan completed`, {
+        success: processedResult.success,
+        needsClarification: !!processedResult.needsClarification,
+        executionTime: processedResult.generationTime
+      });
+      
+      return processedResult;
+
+    } catch (error) {
+      const executionTime = `${((Date.now() - startTime) / 1000).toFixed(2)} seconds`;
+      
+      logger.error(`❌ [${requestId}] Document event plan generation failed`, {
+        error: error.message,
+        filename,
+        executionTime
+      });
+      
+      return this.createErrorResponse(error, executionTime, null, null);
+    }
+  }
+
+  /**
+   * Fill optional fields the validator needs and record where every field came from
+   * @param {Object} eventData - Schema-checked event data
+   * @param {string[]} suppliedFields - Fields the client actually sent
+   * @returns {Object} { data, fieldProvenance }
+   */
+  completeStructuredData(eventData, suppliedFields) {
+    const data = { ...eventData };
+    const fieldProvenance = {};
+    
+    suppliedFields.forEach(field => markField(fieldProvenance, field, 'structured'));
+
+    const span = getTimeSpan(data.startTime, data.endTime);
+    if (!data.durationInHours && span) {
+      data.durationInHours = getEventDays(data) * Math.ceil(span / 60);
+      markField(fieldProvenance, 'durationInHours', 'structured', { detail: 'from startTime and endTime' });
+    } else if (!data.durationInHours) {
+      const days = getEventDays(data);
+      if (days > 1) {
+        data.durationInHours = days * (data.hoursPerDay || 8);
+        markField(fieldProvenance, 'durationInHours', 'default', { detail: `${days} days` });
+      } else {
+        const duration = getOptimalDuration(data.eventType);
+        data.durationInHours = duration.hours;
+        markField(fieldProvenance, 'durationInHours', 'eventType', {
+          detail: `typical ${data.eventType} duration${duration.capped ? `, capped at ${MAX_DAILY_HOURS} hours a day` : ''}`
+        });
+      }
+    }
+
+    return { data, fieldProvenance };
+  }
+
+  /**
+   * Convert Zod issues into validation issues, one per field
+   * @param {Array} issues - Zod issues
+   * @returns {Array} Error issues with the field path
+   */
+  toSchemaIssues(issues) {
+    return issues.map(issue => {
+      const field = issue.path.join('.') || null;
+      return createIssue('invalid-field', `${field || 'eventData'}: ${issue.message}`, {
+        field,
+        fix: issue.options ? { action: 'oneOf', field, options: issue.options } :
+          issue.type === 'number' && issue.code === 'too_small' ? { action: 'range', field, min: Number(issue.minimum) } :
+          issue.type === 'number' && issue.code === 'too_big' ? { action: 'range', field, max: Number(issue.maximum) } :
+          null
+      });
+    });
+  }
+
+  /**
+   * Create an error carrying the issues that caused it
+   * @param {Array} issues - Error issues
+   * @returns {Error} Error whose message joins the issue messages
+   */
+  createIssueError(issues) {
+    const error = new Error(getIssueMessages(issues).join('; '));
+    error.issues = issues;
+    return error;
+  }
+
+  /**
+   * Format Zod issues as "field: message" pairs
+   * @param {Array} issues - Zod issues
+   * @returns {string} Formatted issues
+   */
+  formatSchemaIssues(issues) {
+    return issues
+      .map(issue => issue.path.length > 0 ? `${issue.path.join('.')}: ${issue.message}` : issue.message)
+      .join('; ');
+  }
+
+  /**
+   * Resume a plan that paused for clarification
+   * @param {string} executionId - Execution identifier from the clarification response
+   * @param {Object} answers - Answers keyed by field name
+   * @returns {Object} Complete event plan response
+   */
+  async answerClarification(executionId, answers) {
+    const startTime = Date.now();
+    const requestId = this.generateRequestId();
+    
+    logger.info(`▶️ [${requestId}] Resuming execution ${executionId} with clarification answers`, {
+      answeredFields: Object.keys(answers || {})
+    });
+
+    try {
+      if (!executionId || typeof executionId !== 'string') {
+        throw new Error('executionId is required to answer clarification questions');
+      }
+
+      if (!answers || typeof answers !== 'object' || Array.isArray(answers)) {
+        throw new Error('Answers must be an object keyed by field name');
+      }
+
+      const graphResult = await resumeEventPlanning(executionId, answers);
+      
+      return this.processGraphResult(graphResult, startTime, requestId);
+
+    } catch (error) {
+      const executionTime = `${((Date.now() - startTime) / 1000).toFixed(2)} seconds`;
+      
+      logger.error(`❌ [${requestId}] Clarification resume failed`, {
+        error: error.message,
+        executionId
+      });
+      
+      return this.createErrorResponse(error, executionTime, null, null);
+    }
+  }
+
   /**
    * Refine an existing plan with additional instructions
    * @param {string} originalInput - Original input
@@ -119,25 +482,103 @@ export class CorporateEventPlannerGraph {
   }
 
   /**
-   * Validate input parameters
-   * @param {string} naturalInput - Input to validate
-   * @returns {Object} Validation result
+   * Apply an auto-fix proposal and plan the event again
+   * @param {Object} eventData - Event data the proposal was made for (eventData from the failed response)
+   * @param {Object} proposal - Proposal from fixProposals; its changes are applied
+   * @param {string} tweakPrompt - Optional refinement prompt
+   * @returns {Object} Event plan response with appliedFix
    */
-  validateInput(naturalInput) {
-    if (!naturalInput || typeof naturalInput !== 'string') {
-      return { valid: false, error: 'Input must be a non-empty string' };
+  async applyFix(eventData, proposal, tweakPrompt = null) {
+    logger.info('🩹 Applying fix proposal', { id: proposal.id, changes: proposal.changes });
+
+    const result = await this.createEventPlanFromData(applyFixProposal(eventData, proposal), tweakPrompt);
+    if (result.fieldProvenance) {
+      Object.keys(proposal.changes).forEach(field => markField(result.fieldProvenance, field, 'structured', {
+        detail: `Auto-fix: ${proposal.label || proposal.id}`
+      }));
     }
 
-    const trimmed = naturalInput.trim();
-    if (trimmed.length < 10) {
-      return { valid: false, error: 'Please provide a detailed event description (at least 10 characters)' };
-    }
+    return {
+      ...result,
+      appliedFix: { id: proposal.id, label: proposal.label, changes: proposal.changes }
+    };
+  }
 
-    if (trimmed.length > 2000) {
-      return { valid: false, error: 'Input is too long (maximum 2000 characters)' };
+  /**
+   * Dry-run a business rule set against sample events without planning them
+   * Events go through the same checks as the structured endpoint before the
+   * rules are applied
+   * @param {Object|null} ruleSet - Rule set document, or null for the active rule set
+   * @param {Array} events - Sample eventData objects
+   * @returns {Object} { success, ruleSet, events, ruleCounts } or { success: false, error, details }
+   */
+  dryRunBusinessRules(ruleSet, events) {
+    let rules = getBusinessRules();
+    if (ruleSet) {
+      const parsed = parseRuleSet(ruleSet);
+      if (!parsed.success) {
+        return { success: false, error: 'Invalid rule set', details: parsed.errors };
+      }
+      rules = parsed.ruleSet;
     }
 
-    return { valid: true };
+    const ruleCounts = Object.fromEntries(rules.rules.map(rule => [rule.id, 0]));
+
+    const results = events.map((eventData, index) => {
+      const parsed = structuredEventDataSchema.safeParse(eventData);
+      if (!parsed.success) {
+        const issues = this.toSchemaIssues(parsed.error.issues);
+        return { index, valid: false, issues, errors: [`Invalid eventData: ${this.formatSchemaIssues(parsed.error.issues)}`] };
+      }
+
+      const { data } = this.completeStructuredData(parsed.data, Object.keys(eventData));
+      const summary = getValidationSummary(data);
+      if (!summary.isValid) {
+        return { index, valid: false, issues: summary.issues, errors: summary.errors };
+      }
+
+      const sanitized = sanitizeEventData(data);
+      const { issues, errors, warnings, results: matched } = performBusinessValidation(sanitized, rules);
+      matched.forEach(result => { ruleCounts[result.ruleId] += 1; });
+
+      return {
+        index,
+        valid: true,
+        eventData: sanitized,
+        facts: buildRuleFacts(sanitized),
+        matched,
+        wouldBlock: errors.length > 0,
+        issues,
+        errors,
+        warnings
+      };
+    });
+
+    logger.info(`🧪 Dry-ran rule set "${rules.name}" against ${events.length} event(s)`, {
+      rules: rules.rules.length,
+      blocked: results.filter(result => result.wouldBlock).length
+    });
+
+    return {
+      success: true,
+      ruleSet: { name: rules.name, version: rules.version, rules: rules.rules.length },
+      events: results,
+      ruleCounts
+    };
+  }
+
+  /**
+   * Validate input parameters
+   * @param {string} naturalInput - Input to validate
+   * @returns {Object} Validation result
+   */
+  validateInput(naturalInput) {
+    // Same limits the parse node applies (config.minInputLength/maxInputLength)
+    const issues = validateNaturalInput(naturalInput);
+
+    return issues.length > 0 ?
+      { valid: false, error: getIssueMessages(issues).join('; '), issues } :
+      { valid: true };
   }
 
   /**
@@ -200,14 +641,37 @@ export class CorporateEventPlannerGraph {
       cached: false,
       requestId,
       errors: graphResult.errors || [],
-      warnings: graphResult.warnings || []
+      warnings: graphResult.warnings || [],
+      issues: graphResult.issues || []
     };
 
-    if (graphResult.success) {
+    if (graphResult.needsClarification) {
+      // Paused for follow-up questions - resume via executionId
+      response.needsClarification = true;
+      response.executionId = graphResult.executionId;
+      response.clarification = graphResult.clarification;
+      response.eventData = graphResult.eventData;
+      response.fieldProvenance = graphResult.parseMetadata?.fieldProvenance || {};
+      response.summary = graphResult.summary;
+      
+    } else if (graphResult.success) {
       // Successful response
       response.eventData = graphResult.eventData;
+      response.fieldProvenance = graphResult.parseMetadata?.fieldProvenance || {};
       response.eventPlan = graphResult.eventPlan;
+      response.eventPlanText = graphResult.structuredPlan ? renderPlanText(graphResult.structuredPlan) : graphResult.eventPlan;
+      response.structuredPlan = graphResult.structuredPlan || null;
       response.venues = graphResult.venues || [];
+      response.holidays = {
+        conflicts: graphResult.validationMetadata?.holidayConflicts || [],
+        alternativeDates: graphResult.validationMetadata?.alternativeDates || []
+      };
+      response.weather = {
+        risks: graphResult.validationMetadata?.weatherRisks || []
+      };
+      response.leadTime = graphResult.validationMetadata?.leadTime || null;
+      response.policy = graphResult.policyCompliance || null;
+      response.approvalRequiredBy = graphResult.policyCompliance?.approvalRequiredBy || null;
       
       // Add graph execution metadata
       response.graphMetadata = {
@@ -227,6 +691,10 @@ export class CorporateEventPlannerGraph {
       response.error = graphResult.errors?.length > 0 ? 
         graphResult.errors.join('; ') : 
         'Event plan generation failed';
+
+      // Event data and one-click fixes when validation blocked the plan (see applyFix)
+      response.eventData = graphResult.eventData;
+      response.fixProposals = graphResult.fixProposals || [];
         
       // Add error details if available
       if (graphResult.errorDetails) {
@@ -260,8 +728,9 @@ export class CorporateEventPlannerGraph {
   // Plan richness (0-25 points)
   if (graphResult.eventPlan) {
     const planLength = graphResult.eventPlan.length;
-    const hasDetailedSections = graphResult.eventPlan.includes('## DETAILED ITINERARY') && 
-                               graphResult.eventPlan.includes('## COST BREAKDOWN');
+    const plan = graphResult.structuredPlan;
+    const hasDetailedSections = !!plan && plan.itinerary.some(day => day.items.length > 0) &&
+                               plan.costs.lines.length > 0;
     
     indicators.planRichness = Math.min(25, 
       (planLength > 2000 ? 15 : planLength > 1000 ? 10 : 5) +
@@ -304,6 +773,8 @@ export class CorporateEventPlannerGraph {
       error: error.message,
       errors: [error.message],
       warnings: [],
+      issues: error.issues || [createIssue('request-failed', error.message, { category: 'system' })],
+      fixProposals: error.fixProposals || [],
       generationTime,
       timestamp: new Date().toISOString(),
       cached: false,
@@ -393,6 +864,7 @@ export class CorporateEventPlannerGraph {
         components: {
           stateGraph: graphValidation.valid ? 'operational' : 'failed',
           parseNode: testResult.summary?.completedSteps?.includes('parse') ? 'operational' : 'unknown',
+          clarifyNode: 'operational',
           validateNode: testResult.summary?.completedSteps?.includes('validate') ? 'operational' : 'unknown',
           planNode: testResult.summary?.completedSteps?.includes('plan') ? 'operational' : 'unknown',
           venueNode: testResult.summary?.completedSteps?.includes('venues') ? 'operational' : 'unknown',
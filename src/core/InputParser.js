@@ -1,10 +1,19 @@
-import axios from 'axios';
 import { config } from '../config/config.js';
 import { logger } from '../utils/logger.js';
+import { createLLMProvider } from './LLMProvider.js';
+import { markField, SOURCE_CONFIDENCE } from '../utils/provenance.js';
+import { getISTToday, formatDate, getTomorrow, addDays, parseISODate, resolveEventDate, checkDateAgainstInput } from '../utils/dateResolver.js';
+import { MAX_DAILY_HOURS, getOptimalDuration } from '../utils/eventSchedule.js';
+import { parseBudget, checkBudgetAgainstInput } from '../utils/amountParser.js';
+import { parseTime, getTimeSpan, resolveEventTime, checkTimeAgainstInput } from '../utils/timeResolver.js';
+import { parseDietaryProfile, normalizeDietaryProfile, describeDietaryProfile, isVegetarianOnly } from '../utils/dietaryProfile.js';
+import { ACCESSIBILITY_NEED_NAMES, detectAccessibilityNeeds, normalizeAccessibilityNeeds } from '../utils/accessibility.js';
+import { parsedEventDataSchema } from '../graph/state.js';
+import { EVENT_TYPES, EVENT_TYPE_NAMES, DEFAULT_EVENT_TYPE, detectEventType } from '../config/eventTypes.js';
 
 export class InputParser {
-  constructor() {
-    this.groqApiKey = config.groqApiKey;
+  constructor(llmProvider = createLLMProvider()) {
+    this.llm = llmProvider;
     this.defaultDuration = 8; // Default 8 hours for corporate events
   }
 
@@ -15,47 +24,27 @@ export class InputParser {
    */
   async parseUserInput(naturalInput) {
     const parsePrompt = this.createParsePrompt(naturalInput);
+    const attempts = [];
 
     try {
       logger.info('🧠 Calling LLM for input parsing...');
       
-      const response = await axios.post(
-        "https://api.groq.com/openai/v1/chat/completions",
-        {
-          model: config.llmModel,
-          messages: [
-            { 
-              role: "system", 
-              content: "You are a data extraction expert. Extract corporate event details and return ONLY valid JSON. Be precise and consistent." 
-            },
-            { 
-              role: "user", 
-              content: parsePrompt 
-            }
-          ],
-          temperature: 0.1, // Low temperature for consistent parsing
-          max_tokens: 500
+      const parsedData = await this.completeWithValidation([
+        { 
+          role: "system", 
+          content: "You are a data extraction expert. Extract corporate event details and return ONLY valid JSON. Be precise and consistent." 
         },
-        {
-          headers: {
-            "Content-Type": "application/json",
-            Authorization: `Bearer ${this.groqApiKey}`,
-          },
-          timeout: 30000 // 30 second timeout
+        { 
+          role: "user", 
+          content: parsePrompt 
         }
-      );
-
-      const content = response.data.choices[0].message.content;
-      logger.info('📥 LLM response received for parsing');
-      
-      const jsonMatch = content.match(/\{[\s\S]*\}/);
-      if (!jsonMatch) {
-        throw new Error('No JSON found in LLM response');
-      }
-
-      const parsedData = JSON.parse(jsonMatch[0]);
+      ], attempts);
       
-      const processedData = this.postProcessParsedData(parsedData);
+      const processedData = this.verifyParsedNeeds(naturalInput, this.verifyParsedBudget(
+        naturalInput,
+        this.verifyParsedTime(naturalInput, this.verifyParsedDate(naturalInput, this.postProcessParsedData(parsedData)))
+      ));
+      processedData.llmAttempts = attempts;
       
       logger.info('✅ Input parsing successful:', processedData);
       return processedData;
@@ -66,6 +55,7 @@ export class InputParser {
       const fallbackData = this.fallbackParsing(naturalInput);
       if (fallbackData) {
         logger.info('🔄 Fallback parsing successful');
+        fallbackData.llmAttempts = attempts;
         return fallbackData;
       }
       
@@ -92,46 +82,28 @@ async parseUserInputWithRefinement(naturalInput, refinementPrompt = null) {
     this.createRefinementParsePrompt(combinedInput, refinementPrompt) : 
     this.createParsePrompt(combinedInput);
 
+  const attempts = [];
+
   try {
     logger.info(refinementPrompt ? '🔧 Calling LLM for refinement parsing...' : '🧠 Calling LLM for input parsing...');
     
-    const response = await axios.post(
-      "https://api.groq.com/openai/v1/chat/completions",
-      {
-        model: config.llmModel,
-        messages: [
-          { 
-            role: "system", 
-            content: "You are a data extraction expert. Extract corporate event details and return ONLY valid JSON. Be precise and consistent." + 
-                    (refinementPrompt ? " Pay special attention to refinement requirements." : "")
-          },
-          { 
-            role: "user", 
-            content: parsePrompt 
-          }
-        ],
-        temperature: 0.1,
-        max_tokens: 500
+    const parsedData = await this.completeWithValidation([
+      { 
+        role: "system", 
+        content: "You are a data extraction expert. Extract corporate event details and return ONLY valid JSON. Be precise and consistent." + 
+                (refinementPrompt ? " Pay special attention to refinement requirements." : "")
       },
-      {
-        headers: {
-          "Content-Type": "application/json",
-          Authorization: `Bearer ${this.groqApiKey}`,
-        },
-        timeout: 30000
+      { 
+        role: "user", 
+        content: parsePrompt 
       }
-    );
+    ], attempts);
 
-    const content = response.data.choices[0].message.content;
-    logger.info('📥 LLM response received for parsing');
-    
-    const jsonMatch = content.match(/\{[\s\S]*\}/);
-    if (!jsonMatch) {
-      throw new Error('No JSON found in LLM response');
-    }
-
-    const parsedData = JSON.parse(jsonMatch[0]);
-    const processedData = this.postProcessParsedData(parsedData);
+    const processedData = this.verifyParsedNeeds(combinedInput, this.verifyParsedBudget(
+      combinedInput,
+      this.verifyParsedTime(combinedInput, this.verifyParsedDate(combinedInput, this.postProcessParsedData(parsedData)))
+    ));
+    processedData.llmAttempts = attempts;
     
     logger.info('✅ Input parsing successful:', processedData);
     return processedData;
@@ -148,6 +120,7 @@ async parseUserInputWithRefinement(naturalInput, refinementPrompt = null) {
     const fallbackData = this.fallbackParsing(combinedInput);
     if (fallbackData) {
       logger.info('🔄 Fallback parsing successful');
+      fallbackData.llmAttempts = attempts;
       return fallbackData;
     }
     
@@ -186,79 +159,277 @@ SPECIAL INSTRUCTIONS:
    * @returns {string} Formatted prompt
    */
   createParsePrompt(input) {
-    const currentDate = new Date().toISOString().split('T')[0];
+    const today = getISTToday();
+    const currentDate = formatDate(today);
+    const weekday = today.toLocaleDateString('en-US', { weekday: 'long', timeZone: 'UTC' });
+    const typeGuide = EVENT_TYPE_NAMES
+      .map(type => `${type} (${EVENT_TYPES[type].label.toLowerCase()}, typically ${EVENT_TYPES[type].duration.optimal}h)`)
+      .join(', ');
     
     return `
 Extract event details from this text: "${input}"
 
-Current date: ${currentDate}
+Current date: ${currentDate} (${weekday}, India Standard Time)
 
 Return ONLY a JSON object with these exact fields:
 {
-  "eventType": "training|conference|offsite|seminar|workshop|meeting",
+  "eventType": "${EVENT_TYPE_NAMES.join('|')}",
   "numberOfAttendees": number,
   "location": "city name",
   "date": "YYYY-MM-DD format",
+  "endDate": "YYYY-MM-DD or null",
   "budgetInINR": number,
   "durationInHours": number,
-  "requirements": ["requirement1", "requirement2"]
+  "hoursPerDay": number or null,
+  "startTime": "HH:MM or null",
+  "endTime": "HH:MM or null",
+  "requirements": ["requirement1", "requirement2"],
+  "dietary": {"veg": number, "nonVeg": number, "vegan": number, "jain": number, "halal": number, "glutenFree": number, "allergy": number} or null,
+  "accessibility": ["${ACCESSIBILITY_NEED_NAMES.join('|')}"] or null
 }
 
 PARSING RULES:
-- eventType: Identify from keywords (training, conference, offsite, seminar, workshop, meeting)
+- eventType: One of ${typeGuide}
 - numberOfAttendees: Extract exact number mentioned
 - location: City name only (e.g., "Mumbai", "Bangalore")
-- date: Convert relative dates ("tomorrow", "next Friday") to YYYY-MM-DD
-- budgetInINR: Convert all formats (₹1.5L, 1.5 lakhs, 150000) to integer
-- durationInHours: Default 8 for full day, 4 for half day, or extract if mentioned
+- date: Convert relative dates ("tomorrow", "next Friday") to YYYY-MM-DD. "next Friday" is the Friday of next week; dates without a year that have passed are next year
+- budgetInINR: Total budget as an integer. Convert all formats (₹1.5L, 1.5 lakhs, Rs. 1,50,000, 80k, 1.2 crore). For a range ("1.5–2 lakhs") use the lower bound; for a per-person amount ("₹2,000 per person") multiply by numberOfAttendees
+- durationInHours: Extract if mentioned, 8 for full day, 4 for half day, otherwise the type's typical duration
+- Multi-day events ("3-day offsite", "12-14 March"): date is the first day, endDate the last day, hoursPerDay the daily programme hours and durationInHours the total across all days. Single-day events use null for endDate and hoursPerDay
+- startTime/endTime: 24-hour IST clock times when stated ("6–10pm" → "18:00"/"22:00"). A part of the day sets only startTime: morning "09:00", post-lunch or afternoon "14:00", evening "18:00". A bare "9 to 5" is working hours ("09:00"/"17:00"). Times of meals or breaks ("lunch at 1pm") are not the event's time. Use null when no time is given. With both times, durationInHours (or hoursPerDay for multi-day events) is the time between them
 - requirements: Extract keywords like "vegetarian", "premium", "outdoor", "a/v equipment"
+- dietary: Headcounts per diet only when stated ("25 veg, 10 non-veg, 5 Jain", "2 gluten-free", "1 nut allergy"). veg, nonVeg, vegan, jain and halal are each attendee's meal preference; glutenFree and allergy are extra needs on top of it. "All vegetarian" or "pure veg" means veg = numberOfAttendees. Leave out diets that are not mentioned; null if no diet is mentioned
+- accessibility: Needs of attendees with disabilities, only when stated: wheelchair (wheelchair users, step-free access), signLanguage (sign-language interpretation, deaf attendees), hearingLoop (hearing loop, hard of hearing), quietRoom (quiet or sensory room). null if none are mentioned
 
 EXAMPLES:
 "Corporate training for 50 people in Bangalore on June 10th. Budget ₹1.5 lakhs."
-→ {"eventType": "training", "numberOfAttendees": 50, "location": "Bangalore", "date": "2025-06-10", "budgetInINR": 150000, "durationInHours": 8, "requirements": []}
+→ {"eventType": "training", "numberOfAttendees": 50, "location": "Bangalore", "date": "${resolveEventDate('June 10th').date}", "budgetInINR": 150000, "durationInHours": 8, "requirements": []}
 
 "Team offsite for 30 people in Goa tomorrow. Budget 2 lakhs. Need vegetarian food."
 → {"eventType": "offsite", "numberOfAttendees": 30, "location": "Goa", "date": "${this.getTomorrowDate()}", "budgetInINR": 200000, "durationInHours": 8, "requirements": ["vegetarian"]}
 
 "Half-day workshop for 25 executives in Mumbai next week. Premium setup required."
 → {"eventType": "workshop", "numberOfAttendees": 25, "location": "Mumbai", "date": "${this.getNextWeekDate()}", "budgetInINR": 0, "durationInHours": 4, "requirements": ["premium"]}
+
+"Product launch for 75 people in Mumbai on 20 March, 6-10pm. Budget ₹4 lakhs."
+→ {"eventType": "product_launch", "numberOfAttendees": 75, "location": "Mumbai", "date": "${resolveEventDate('20 March').date}", "budgetInINR": 400000, "durationInHours": 4, "startTime": "18:00", "endTime": "22:00", "requirements": []}
+
+"3-day leadership offsite for 40 people in Coorg from 12-14 March. Budget 8 lakhs."
+→ {"eventType": "offsite", "numberOfAttendees": 40, "location": "Coorg", "date": "${resolveEventDate('12-14 March').date}", "endDate": "${resolveEventDate('12-14 March').endDate}", "budgetInINR": 800000, "durationInHours": 24, "hoursPerDay": 8, "requirements": []}
+`;
+  }
+
+  /**
+   * Request event JSON from the LLM and check it against the parse output schema
+   * Schema failures are sent back to the model for repair, at most
+   * config.llmRepairAttempts times. Every call is appended to `attempts`.
+   * @param {Array} messages - Chat messages for the first attempt
+   * @param {Array} attempts - Attempt log, mutated
+   * @returns {Object} Valid JSON, or the last readable JSON if repairs run out
+   */
+  async completeWithValidation(messages, attempts) {
+    const conversation = [...messages];
+    const maxAttempts = 1 + config.llmRepairAttempts;
+    let lastReadable = null;
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      const task = attempt === 1 ? 'parse' : 'parse-repair';
+      const startedAt = Date.now();
+      let content;
+
+      try {
+        content = await this.llm.complete({
+          task,
+          messages: conversation,
+          temperature: 0.1, // Low temperature for consistent parsing
+          maxTokens: 500,
+          timeout: 30000 // 30 second timeout
+        });
+      } catch (error) {
+        attempts.push({ task, attempt, valid: false, errors: [error.message], durationMs: Date.now() - startedAt });
+        // A failed repair still leaves the last readable answer to work with
+        if (lastReadable) break;
+        throw error;
+      }
+
+      logger.info('📥 LLM response received for parsing');
+
+      const { data, errors } = this.validateLLMOutput(content);
+      attempts.push({ task, attempt, valid: errors.length === 0, errors, durationMs: Date.now() - startedAt });
+
+      if (errors.length === 0) {
+        return data;
+      }
+
+      logger.warn(`🔁 LLM parse attempt ${attempt}/${maxAttempts} failed validation:`, errors);
+      if (data) lastReadable = data;
+
+      conversation.push(
+        { role: "assistant", content },
+        { role: "user", content: this.createRepairPrompt(errors) }
+      );
+    }
+
+    if (!lastReadable) {
+      throw new Error(`No valid JSON in LLM response after ${attempts.length} attempt(s)`);
+    }
+
+    logger.warn('⚠️ Using last readable LLM response after exhausting repair attempts');
+    return lastReadable;
+  }
+
+  /**
+   * Extract the JSON object from an LLM response and validate it
+   * null, empty and 0 values mean "not stated" and are left to post-processing
+   * @param {string} content - Raw LLM response
+   * @returns {Object} { data, errors } - data is null if no JSON could be read
+   */
+  validateLLMOutput(content) {
+    const jsonMatch = content.match(/\{[\s\S]*\}/);
+    if (!jsonMatch) {
+      return { data: null, errors: ['Response did not contain a JSON object'] };
+    }
+
+    let data;
+    try {
+      data = JSON.parse(jsonMatch[0]);
+    } catch (error) {
+      return { data: null, errors: [`Invalid JSON: ${error.message}`] };
+    }
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      return { data: null, errors: ['Response JSON must be an object'] };
+    }
+
+    const stated = Object.fromEntries(
+      Object.entries(data).filter(([, value]) => value !== null && value !== '' && value !== 0)
+    );
+    const result = parsedEventDataSchema.safeParse(stated);
+
+    const errors = result.success ? [] : result.error.issues.map(issue =>
+      issue.path.length > 0 ? `${issue.path.join('.')}: ${issue.message}` : issue.message
+    );
+
+    return { data, errors };
+  }
+
+  /**
+   * Create the follow-up prompt asking the LLM to fix schema errors
+   * @param {string[]} errors - Validation errors
+   * @returns {string} Repair prompt
+   */
+  createRepairPrompt(errors) {
+    return `
+Your JSON did not match the required format:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Return ONLY the corrected JSON object with the same fields. Use null for any value the text does not state.
 `;
   }
 
   /**
    * Post-process parsed data to ensure consistency
+   * Records where each field came from in `provenance`
    * @param {Object} data - Raw parsed data
    * @returns {Object} Processed data
    */
   postProcessParsedData(data) {
     const processed = { ...data };
-
-    if (!processed.eventType) processed.eventType = 'meeting';
-    if (!processed.numberOfAttendees) processed.numberOfAttendees = 20;
-    if (!processed.location) processed.location = 'Mumbai';
-    if (!processed.date) processed.date = this.getTomorrowDate();
-    if (!processed.budgetInINR) processed.budgetInINR = 50000;
-    if (!processed.durationInHours) processed.durationInHours = this.defaultDuration;
+    const provenance = {};
+
+    const defaults = {
+      eventType: DEFAULT_EVENT_TYPE,
+      numberOfAttendees: 20,
+      location: 'Mumbai',
+      date: this.getTomorrowDate(),
+      budgetInINR: 50000,
+      durationInHours: this.defaultDuration
+    };
+
+    for (const [field, value] of Object.entries(defaults)) {
+      if (!processed[field]) {
+        processed[field] = value;
+        markField(provenance, field, 'default');
+      } else {
+        markField(provenance, field, 'llm');
+      }
+    }
     if (!processed.requirements) processed.requirements = [];
+    markField(provenance, 'requirements', 'llm');
 
-    processed.numberOfAttendees = Math.max(1, parseInt(processed.numberOfAttendees) || 20);
-    processed.budgetInINR = Math.max(config.minBudget, parseInt(processed.budgetInINR) || config.minBudget);
-    processed.durationInHours = Math.max(1, Math.min(12, parseInt(processed.durationInHours) || 8));
+    const attendees = parseInt(processed.numberOfAttendees);
+    if (!attendees) {
+      markField(provenance, 'numberOfAttendees', 'default', { detail: `unreadable value "${processed.numberOfAttendees}"` });
+    }
+    processed.numberOfAttendees = Math.max(1, attendees || 20);
+
+    const budget = parseInt(processed.budgetInINR);
+    if (!budget) {
+      markField(provenance, 'budgetInINR', 'default', { detail: `unreadable value "${processed.budgetInINR}"` });
+    } else if (budget < config.minBudget) {
+      processed.budgetRaise = this.createBudgetRaise(budget);
+      markField(provenance, 'budgetInINR', 'llm', { confidence: 0.5, detail: this.describeBudgetRaise(processed.budgetRaise) });
+    }
+    processed.budgetInINR = Math.max(config.minBudget, budget || config.minBudget);
 
-    const validEventTypes = ['training', 'conference', 'offsite', 'seminar', 'workshop', 'meeting'];
-    if (!validEventTypes.includes(processed.eventType)) {
-      processed.eventType = 'meeting';
+    const duration = parseInt(processed.durationInHours);
+    const maxDuration = config.maxEventDays * MAX_DAILY_HOURS;
+    if (duration > maxDuration) {
+      markField(provenance, 'durationInHours', 'llm', { confidence: 0.5, detail: `capped from ${duration} hours` });
+    }
+    processed.durationInHours = Math.max(1, Math.min(maxDuration, duration || 8));
+
+    // Multi-day fields are optional; drop values that can't be used
+    if (!processed.endDate || !/^\d{4}-\d{2}-\d{2}$/.test(processed.endDate) || processed.endDate <= processed.date) {
+      delete processed.endDate;
+    } else {
+      markField(provenance, 'endDate', 'llm');
+    }
+    if (!(parseInt(processed.hoursPerDay) >= 1)) {
+      delete processed.hoursPerDay;
+    }
+    ['startTime', 'endTime'].forEach(field => {
+      if (parseTime(processed[field]) === null) {
+        delete processed[field];
+      } else {
+        markField(provenance, field, 'llm');
+      }
+    });
+
+    const dietary = normalizeDietaryProfile(processed.dietary);
+    if (dietary) {
+      processed.dietary = dietary;
+      markField(provenance, 'dietary', 'llm');
+    } else {
+      delete processed.dietary;
+    }
+
+    const accessibility = normalizeAccessibilityNeeds(processed.accessibility);
+    if (accessibility.length > 0) {
+      processed.accessibility = accessibility;
+      markField(provenance, 'accessibility', 'llm');
+    } else {
+      delete processed.accessibility;
+    }
+
+    if (!EVENT_TYPE_NAMES.includes(processed.eventType)) {
+      markField(provenance, 'eventType', 'default', { detail: `unsupported type "${processed.eventType}"` });
+      processed.eventType = DEFAULT_EVENT_TYPE;
     }
 
     if (!/^\d{4}-\d{2}-\d{2}$/.test(processed.date)) {
+      markField(provenance, 'date', 'default', { detail: `unreadable date "${processed.date}"` });
       processed.date = this.getTomorrowDate();
     }
 
+    processed.provenance = provenance;
+
     return processed;
   }
 
   /**
    * FIXED: Fallback parsing using regex patterns
+   * Records where each field came from in `provenance`
    * @param {string} input - Natural language input
    * @returns {Object|null} Basic parsed data or null
    */
@@ -267,7 +438,7 @@ EXAMPLES:
       logger.info('🔄 Attempting fallback regex parsing...');
       
       const data = {
-        eventType: 'meeting',
+        eventType: DEFAULT_EVENT_TYPE,
         numberOfAttendees: 20,
         location: 'Mumbai',
         date: this.getTomorrowDate(),
@@ -275,47 +446,64 @@ EXAMPLES:
         durationInHours: 8,
         requirements: []
       };
+      const provenance = {};
+      Object.keys(data).forEach(field => markField(provenance, field, 'default'));
+      markField(provenance, 'requirements', 'regex');
 
       // Extract number of attendees
       const attendeeMatch = input.match(/(\d+)\s*(people|persons|attendees|participants)/i);
       if (attendeeMatch) {
         data.numberOfAttendees = parseInt(attendeeMatch[1]);
+        markField(provenance, 'numberOfAttendees', 'regex', { confidence: 0.75 });
       }
 
-      // FIXED: Extract budget with better patterns
-      const budgetPatterns = [
-        // Match "₹80,000" or "₹80000"
-        /₹\s*(\d{1,2}),?(\d{3})\b/,
-        // Match "₹1.5 lakhs" or "₹1.5L"
-        /₹\s*(\d+(?:\.\d+)?)\s*(?:lakh|l)\b/i,
-        // Match "2 lakhs" or "2L"
-        /(\d+(?:\.\d+)?)\s*(?:lakh|l)\b/i,
-        // Match simple numbers like "budget 50000"
-        /budget.*?₹?\s*(\d+(?:,\d+)*)/i,
-        // Match "₹50000" or "₹50,000"
-        /₹\s*(\d+(?:,\d+)*)/
-      ];
-
-      for (const pattern of budgetPatterns) {
-        const match = input.match(pattern);
-        if (match) {
-          let amount;
-          
-          if (pattern.source.includes('lakh|l')) {
-            // Handle lakhs conversion
-            amount = parseFloat(match[1]) * 100000;
-          } else if (match[2]) {
-            // Handle comma-separated format like "80,000"
-            amount = parseInt(match[1] + match[2]);
-          } else {
-            // Handle simple number
-            amount = parseFloat(match[1].replace(/,/g, ''));
-          }
-          
-          data.budgetInINR = Math.max(5000, amount);
-          logger.info(`💰 Parsed budget: ₹${data.budgetInINR} from "${match[0]}"`);
-          break;
+      // Extract budget (lakh/crore/k units, ranges, per-head amounts)
+      const budget = parseBudget(input, { attendees: data.numberOfAttendees });
+      if (budget?.totalBudget) {
+        data.budgetInINR = Math.max(config.minBudget, budget.totalBudget);
+        if (budget.totalBudget < config.minBudget) {
+          data.budgetRaise = this.createBudgetRaise(budget.totalBudget);
         }
+        markField(provenance, 'budgetInINR', 'regex', {
+          confidence: budget.basis === 'per-person' ? 0.5 : SOURCE_CONFIDENCE.regex,
+          detail: [this.describeBudget(budget), data.budgetRaise && this.describeBudgetRaise(data.budgetRaise)].filter(Boolean).join('; ')
+        });
+        logger.info(`💰 Parsed budget: ₹${data.budgetInINR} from "${budget.expression}"`);
+      }
+
+      // Resolve date expressions deterministically
+      const resolvedDate = resolveEventDate(input);
+      if (resolvedDate) {
+        data.date = resolvedDate.date;
+        markField(provenance, 'date', 'regex', {
+          confidence: resolvedDate.precision === 'day' ? 0.9 : 0.6,
+          detail: resolvedDate.endDate ?
+            `resolved "${resolvedDate.expression}" to ${resolvedDate.date} – ${resolvedDate.endDate}` :
+            `resolved "${resolvedDate.expression}"`
+        });
+      }
+
+      // Multi-day events: explicit date ranges or "3-day" / "for 2 days"
+      const spanDays = this.extractEventDays(input);
+      if (resolvedDate && this.isDateSpan(resolvedDate)) {
+        data.endDate = resolvedDate.endDate;
+        markField(provenance, 'endDate', 'regex', { confidence: 0.9, detail: `resolved "${resolvedDate.expression}"` });
+      } else if (spanDays > 1) {
+        data.endDate = formatDate(addDays(parseISODate(data.date), spanDays - 1));
+        markField(provenance, 'endDate', 'regex', { confidence: 0.75, detail: `${spanDays}-day event` });
+      }
+
+      // Resolve start/end times ("6-10pm", "post-lunch")
+      const resolvedTime = resolveEventTime(input);
+      if (resolvedTime) {
+        ['startTime', 'endTime'].forEach(field => {
+          if (!resolvedTime[field]) return;
+          data[field] = resolvedTime[field];
+          markField(provenance, field, 'regex', {
+            confidence: resolvedTime.precision === 'exact' ? 0.9 : 0.6,
+            detail: `resolved "${resolvedTime.expression}"`
+          });
+        });
       }
 
       // Extract location - improved pattern
@@ -328,33 +516,61 @@ EXAMPLES:
         const match = input.match(pattern);
         if (match) {
           data.location = match[1].trim();
+          markField(provenance, 'location', 'regex', { confidence: 0.5 });
           break;
         }
       }
 
-      // Extract event type
-      const eventTypes = {
-        'training': /training|skill|learn/i,
-        'conference': /conference|convention/i,
-        'offsite': /offsite|retreat|outing/i,
-        'seminar': /seminar|session/i,
-        'workshop': /workshop/i,
-        'meeting': /meeting|discussion/i
-      };
+      // Extract event type; an unstated duration follows the type's typical length
+      const eventType = detectEventType(input);
+      if (eventType) {
+        data.eventType = eventType;
+        const duration = getOptimalDuration(eventType);
+        data.durationInHours = duration.hours;
+        markField(provenance, 'eventType', 'regex');
+        markField(provenance, 'durationInHours', 'eventType', {
+          detail: `typical ${eventType} duration${duration.capped ? `, capped at ${MAX_DAILY_HOURS} hours a day` : ''}`
+        });
+      }
 
-      for (const [type, pattern] of Object.entries(eventTypes)) {
-        if (pattern.test(input)) {
-          data.eventType = type;
-          break;
-        }
+      // Extract dietary counts ("25 veg, 10 non-veg", "5 Jain")
+      const dietary = parseDietaryProfile(input, { attendees: data.numberOfAttendees });
+      if (dietary) {
+        data.dietary = dietary;
+        markField(provenance, 'dietary', 'regex', { confidence: 0.75, detail: describeDietaryProfile(dietary) });
+      }
+
+      // Extract accessibility needs
+      const accessibilityNeeds = detectAccessibilityNeeds(input);
+      if (accessibilityNeeds.length > 0) {
+        data.accessibility = accessibilityNeeds;
+        markField(provenance, 'accessibility', 'regex', { confidence: 0.8 });
       }
 
-      // Extract requirements
-      if (/vegetarian|veg/i.test(input)) data.requirements.push('vegetarian');
+      // Extract requirements; with dietary counts only an all-veg group is "vegetarian"
+      if (dietary ? isVegetarianOnly(dietary) : /vegetarian|veg/i.test(input)) data.requirements.push('vegetarian');
       if (/premium|luxury|high-end/i.test(input)) data.requirements.push('premium');
       if (/outdoor|beach|garden/i.test(input)) data.requirements.push('outdoor');
       if (/basic/i.test(input)) data.requirements.push('basic');
 
+      // Stated start and end times set the daily hours; multi-day events
+      // otherwise get the default day
+      const span = getTimeSpan(data.startTime, data.endTime);
+      const hoursPerDay = span ? Math.ceil(span / 60) : null;
+      if (data.endDate) {
+        const days = Math.round((parseISODate(data.endDate) - parseISODate(data.date)) / 86400000) + 1;
+        data.hoursPerDay = hoursPerDay || this.defaultDuration;
+        data.durationInHours = days * data.hoursPerDay;
+        markField(provenance, 'durationInHours', hoursPerDay ? 'regex' : 'default', {
+          detail: `${days} days × ${data.hoursPerDay} hours${hoursPerDay ? ' from startTime and endTime' : ''}`
+        });
+      } else if (hoursPerDay) {
+        data.durationInHours = hoursPerDay;
+        markField(provenance, 'durationInHours', 'regex', { detail: 'from startTime and endTime' });
+      }
+
+      data.provenance = provenance;
+
       logger.info('✅ Fallback parsing completed:', data);
       return data;
 
@@ -365,22 +581,255 @@ EXAMPLES:
   }
 
   /**
-   * Get tomorrow's date in YYYY-MM-DD format
+   * Check the parsed date against the deterministic date resolver
+   * A disagreement is recorded in `dateResolution` and the resolved date wins
+   * @param {string} input - Original input text
+   * @param {Object} data - Post-processed event data
+   * @returns {Object} Event data with verified date
+   */
+  verifyParsedDate(input, data) {
+    const check = checkDateAgainstInput(input, data.date);
+    if (!check) {
+      return data;
+    }
+
+    data.dateResolution = check;
+
+    if (check.agrees) {
+      if (data.provenance.date.source === 'llm') {
+        markField(data.provenance, 'date', 'llm', { confidence: 0.95, detail: `matches "${check.expression}"` });
+      }
+    } else {
+      logger.warn(`📅 LLM date ${check.llmDate} disagrees with "${check.expression}" → ${check.resolvedDate}`);
+      data.date = check.resolvedDate;
+      markField(data.provenance, 'date', 'regex', {
+        confidence: 0.7,
+        detail: `LLM returned ${check.llmDate}; "${check.expression}" resolves to ${check.resolvedDate}`
+      });
+    }
+
+    // An explicit date range fixes the span of a multi-day event
+    if (this.isDateSpan(check) && (data.date !== check.resolvedDate || data.endDate !== check.endDate)) {
+      data.date = check.resolvedDate;
+      data.endDate = check.endDate;
+      markField(data.provenance, 'endDate', 'regex', { confidence: 0.9, detail: `resolved "${check.expression}"` });
+    }
+
+    return data;
+  }
+
+  /**
+   * Check the parsed start/end times against the deterministic time resolver
+   * A disagreement is recorded in `timeResolution` and the resolved times win
+   * @param {string} input - Original input text
+   * @param {Object} data - Post-processed event data
+   * @returns {Object} Event data with verified times
+   */
+  verifyParsedTime(input, data) {
+    const check = checkTimeAgainstInput(input, data.startTime, data.endTime);
+    if (!check) {
+      return data;
+    }
+
+    data.timeResolution = check;
+    const resolved = { startTime: check.resolvedStart, endTime: check.resolvedEnd };
+
+    if (check.agrees) {
+      Object.keys(resolved).forEach(field => {
+        if (resolved[field] && data.provenance[field]?.source === 'llm') {
+          markField(data.provenance, field, 'llm', { confidence: 0.95, detail: `matches "${check.expression}"` });
+        }
+      });
+    } else {
+      logger.warn(`🕒 LLM times ${check.llmStart || '-'}–${check.llmEnd || '-'} disagree with "${check.expression}"`);
+      Object.keys(resolved).forEach(field => {
+        if (!resolved[field]) return;
+        data[field] = resolved[field];
+        markField(data.provenance, field, 'regex', {
+          confidence: check.precision === 'exact' ? 0.9 : 0.6,
+          detail: `"${check.expression}" resolves to ${resolved[field]}`
+        });
+      });
+    }
+
+    return data;
+  }
+
+  /**
+   * Fill in attendee needs (dietary counts, accessibility) the LLM left out
+   * @param {string} input - Original input text
+   * @param {Object} data - Post-processed event data
+   * @returns {Object} Event data with completed needs
+   */
+  verifyParsedNeeds(input, data) {
+    return this.verifyParsedAccessibility(input, this.verifyParsedDietary(input, data));
+  }
+
+  /**
+   * Add accessibility needs the LLM left out from keyword detection
+   * @param {string} input - Original input text
+   * @param {Object} data - Post-processed event data
+   * @returns {Object} Event data with completed accessibility needs
+   */
+  verifyParsedAccessibility(input, data) {
+    const detected = detectAccessibilityNeeds(input);
+    const missing = detected.filter(need => !(data.accessibility || []).includes(need));
+    if (missing.length === 0) {
+      return data;
+    }
+
+    data.accessibility = normalizeAccessibilityNeeds([...(data.accessibility || []), ...missing]);
+    markField(data.provenance, 'accessibility', 'regex', {
+      confidence: 0.8,
+      detail: `${missing.join(', ')} detected in the input`
+    });
+
+    return data;
+  }
+
+  /**
+   * Fill in dietary counts the LLM left out from the deterministic extraction
+   * Counts the LLM did return are kept
+   * @param {string} input - Original input text
+   * @param {Object} data - Post-processed event data
+   * @returns {Object} Event data with completed dietary counts
+   */
+  verifyParsedDietary(input, data) {
+    const extracted = parseDietaryProfile(input, { attendees: data.numberOfAttendees });
+    if (!extracted) {
+      return data;
+    }
+
+    const missing = Object.keys(extracted).filter(field => data.dietary?.[field] === undefined);
+    if (missing.length === 0) {
+      return data;
+    }
+
+    data.dietary = { ...extracted, ...data.dietary };
+    markField(data.provenance, 'dietary', 'regex', {
+      confidence: 0.75,
+      detail: `${missing.join(', ')} counted from the input: ${describeDietaryProfile(data.dietary)}`
+    });
+
+    return data;
+  }
+
+  /**
+   * Check the parsed budget against the deterministic amount parser
+   * A disagreement is recorded in `budgetResolution` and the parsed amount
+   * wins; a parsed amount below the minimum is raised and kept in `budgetRaise`
+   * @param {string} input - Original input text
+   * @param {Object} data - Post-processed event data
+   * @returns {Object} Event data with verified budget
+   */
+  verifyParsedBudget(input, data) {
+    const check = checkBudgetAgainstInput(input, data.budgetInINR, { attendees: data.numberOfAttendees });
+    if (!check) {
+      return data;
+    }
+
+    // Budgets below the minimum are raised in post-processing either way
+    const expected = Math.max(config.minBudget, check.resolvedBudget);
+    data.budgetResolution = { ...check, agrees: check.agrees || expected === data.budgetInINR };
+
+    if (data.budgetResolution.agrees) {
+      if (data.provenance.budgetInINR.source === 'llm') {
+        markField(data.provenance, 'budgetInINR', 'llm', {
+          confidence: 0.95,
+          detail: [`matches "${check.expression}"`, data.budgetRaise && this.describeBudgetRaise(data.budgetRaise)].filter(Boolean).join('; ')
+        });
+      }
+    } else {
+      logger.warn(`💰 LLM budget ₹${check.llmBudget} disagrees with "${check.expression}" → ₹${expected}`);
+      data.budgetInINR = expected;
+      if (check.resolvedBudget < config.minBudget) {
+        data.budgetRaise = this.createBudgetRaise(check.resolvedBudget);
+      } else {
+        delete data.budgetRaise;
+      }
+      markField(data.provenance, 'budgetInINR', 'regex', {
+        confidence: 0.7,
+        detail: [`LLM returned ₹${check.llmBudget}; ${this.describeBudget(check)}`, data.budgetRaise && this.describeBudgetRaise(data.budgetRaise)].filter(Boolean).join('; ')
+      });
+    }
+
+    return data;
+  }
+
+  /**
+   * Describe how a budget was read, for provenance details
+   * @param {Object} budget - parseBudget result or budget check
+   * @returns {string} Description
+   */
+  describeBudget(budget) {
+    const total = budget.totalBudget ?? budget.resolvedBudget;
+    let description = `"${budget.expression}" reads as ₹${total}`;
+
+    if (budget.basis === 'per-person') {
+      description += ` (₹${budget.perPersonBudget} per person)`;
+    }
+    if (budget.range) {
+      description += ` (range ₹${budget.range.min}–₹${budget.range.max}, planning on the lower bound)`;
+    }
+
+    return description;
+  }
+
+  /**
+   * Record a stated budget that was raised to the configured minimum
+   * @param {number} requestedBudget - Budget as stated
+   * @returns {Object} { requestedBudget, minimumBudget }
+   */
+  createBudgetRaise(requestedBudget) {
+    return { requestedBudget, minimumBudget: config.minBudget };
+  }
+
+  /**
+   * Describe a budget raised to the minimum, for provenance details
+   * @param {Object} raise - Result of createBudgetRaise
+   * @returns {string} Description
+   */
+  describeBudgetRaise({ requestedBudget, minimumBudget }) {
+    return `raised from ₹${requestedBudget} to the ₹${minimumBudget} minimum budget`;
+  }
+
+  /**
+   * Check whether a resolved date range is the span of the event
+   * Weekend ranges only say when the event happens, not how long it lasts
+   * @param {Object} resolved - resolveEventDate result or date check
+   * @returns {boolean} True if the range covers the whole event
+   */
+  isDateSpan(resolved) {
+    return !!resolved.endDate && !/weekend/i.test(resolved.expression);
+  }
+
+  /**
+   * Extract an explicit event length in days ("3-day offsite", "for 2 days")
+   * @param {string} input - Natural language input
+   * @returns {number} Days, or 1 if not stated
+   */
+  extractEventDays(input) {
+    const words = { one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7 };
+    const match = /(?<!\b(?:in|within)\s)\b(\d{1,2}|one|two|three|four|five|six|seven)[-\s]days?\b/i.exec(input);
+    if (!match) return 1;
+
+    const days = words[match[1].toLowerCase()] || parseInt(match[1]);
+    return Math.max(1, Math.min(config.maxEventDays, days));
+  }
+
+  /**
+   * Get tomorrow's date (IST) in YYYY-MM-DD format
    * @returns {string} Tomorrow's date
    */
   getTomorrowDate() {
-    const tomorrow = new Date();
-    tomorrow.setDate(tomorrow.getDate() + 1);
-    return tomorrow.toISOString().split('T')[0];
+    return getTomorrow();
   }
 
   /**
-   * Get next week's date in YYYY-MM-DD format
+   * Get next week's date (IST) in YYYY-MM-DD format
    * @returns {string} Next week's date
    */
   getNextWeekDate() {
-    const nextWeek = new Date();
-    nextWeek.setDate(nextWeek.getDate() + 7);
-    return nextWeek.toISOString().split('T')[0];
+    return resolveEventDate('next week').date;
   }
 }
\ No newline at end of file
@@ -0,0 +1,205 @@
+import fs from 'fs';
+import axios from 'axios';
+import { config } from '../config/config.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Base class for chat-completion providers.
+ * Subclasses implement `sendChat` and return the assistant message content.
+ */
+export class LLMProvider {
+  constructor(name, model) {
+    this.name = name;
+    this.model = model;
+  }
+
+  /**
+   * Run a chat completion
+   * @param {Object} request - Completion request
+   * @param {string} request.task - Caller task label (e.g. "parse", "plan")
+   * @param {Array} request.messages - Chat messages ({ role, content })
+   * @param {number} request.temperature - Sampling temperature
+   * @param {number} request.maxTokens - Maximum tokens to generate
+   * @param {number} request.timeout - Request timeout in ms
+   * @returns {string} Assistant message content
+   */
+  async complete({ task = 'general', messages, temperature = 0.7, maxTokens = 1000, timeout = config.llmTimeout }) {
+    logger.debug(`🤖 ${this.name} completion requested`, { task, model: this.model });
+
+    const content = await this.sendChat({ task, messages, temperature, maxTokens, timeout });
+
+    if (typeof content !== 'string' || content.trim().length === 0) {
+      throw new Error(`Empty response from ${this.name} provider`);
+    }
+
+    return content;
+  }
+
+  /**
+   * Provider-specific transport
+   * @returns {string} Assistant message content
+   */
+  async sendChat() {
+    throw new Error(`sendChat not implemented for ${this.name} provider`);
+  }
+}
+
+/**
+ * Any endpoint that speaks the OpenAI /chat/completions protocol
+ */
+export class OpenAICompatibleProvider extends LLMProvider {
+  constructor({ name = 'openai-compatible', baseUrl, apiKey, model }) {
+    super(name, model);
+    this.baseUrl = (baseUrl || '').replace(/\/+$/, '');
+    this.apiKey = apiKey;
+  }
+
+  async sendChat({ messages, temperature, maxTokens, timeout }) {
+    const headers = { "Content-Type": "application/json" };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+
+    const response = await axios.post(
+      `${this.baseUrl}/chat/completions`,
+      {
+        model: this.model,
+        messages,
+        temperature,
+        max_tokens: maxTokens
+      },
+      { headers, timeout }
+    );
+
+    return response.data.choices[0].message.content;
+  }
+}
+
+/**
+ * Groq hosted models (OpenAI-compatible API)
+ */
+export class GroqProvider extends OpenAICompatibleProvider {
+  constructor({ apiKey, model }) {
+    super({
+      name: 'groq',
+      baseUrl: 'https://api.groq.com/openai/v1',
+      apiKey,
+      model
+    });
+  }
+}
+
+/**
+ * Local Ollama-style server using the native /api/chat endpoint
+ */
+export class OllamaProvider extends LLMProvider {
+  constructor({ baseUrl, model }) {
+    super('ollama', model);
+    this.baseUrl = (baseUrl || '').replace(/\/+$/, '');
+  }
+
+  async sendChat({ messages, temperature, maxTokens, timeout }) {
+    const response = await axios.post(
+      `${this.baseUrl}/api/chat`,
+      {
+        model: this.model,
+        messages,
+        stream: false,
+        options: {
+          temperature,
+          num_predict: maxTokens
+        }
+      },
+      {
+        headers: { "Content-Type": "application/json" },
+        timeout
+      }
+    );
+
+    return response.data.message?.content;
+  }
+}
+
+/**
+ * Deterministic offline provider.
+ * Responses are looked up by task from a fixture map; tasks without a fixture
+ * fail so callers take their own regex/template fallbacks.
+ */
+export class MockProvider extends LLMProvider {
+  constructor({ responses = {} } = {}) {
+    super('mock', 'mock');
+    this.responses = responses;
+    this.calls = [];
+  }
+
+  async sendChat({ task, messages }) {
+    this.calls.push({ task, messages });
+
+    const fixture = this.responses[task];
+    if (fixture === undefined) {
+      throw new Error(`Mock LLM provider has no response for task "${task}"`);
+    }
+
+    return typeof fixture === 'function' ? fixture(messages) : fixture;
+  }
+}
+
+/**
+ * Load mock fixtures from the configured JSON file
+ * @param {string} filePath - Path to a JSON file mapping task -> response
+ * @returns {Object} Fixture map
+ */
+function loadMockResponses(filePath) {
+  if (!filePath) return {};
+
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    logger.warn(`Failed to load mock LLM responses from ${filePath}:`, error.message);
+    return {};
+  }
+}
+
+/**
+ * Create the LLM provider selected in config
+ * @param {Object} options - Overrides for config values
+ * @returns {LLMProvider} Provider instance
+ */
+export function createLLMProvider(options = {}) {
+  const settings = {
+    provider: config.llmProvider,
+    model: config.llmModel,
+    baseUrl: config.llmBaseUrl,
+    apiKey: config.llmApiKey,
+    ...options
+  };
+
+  switch (settings.provider) {
+    case 'groq':
+      return new GroqProvider({
+        apiKey: settings.apiKey || config.groqApiKey,
+        model: settings.model
+      });
+
+    case 'openai':
+      return new OpenAICompatibleProvider({
+        baseUrl: settings.baseUrl,
+        apiKey: settings.apiKey,
+        model: settings.model
+      });
+
+    case 'ollama':
+      return new OllamaProvider({
+        baseUrl: settings.baseUrl || 'http://localhost:11434',
+        model: settings.model
+      });
+
+    case 'mock':
+      return new MockProvider({
+        responses: settings.responses || loadMockResponses(config.llmMockResponsesFile)
+      });
+
+    default:
+      throw new Error(`Unknown LLM provider: ${settings.provider}`);
+  }
+}
@@ -1,16 +1,50 @@
-import axios from 'axios';
-import { config } from '../config/config.js';
 import { logger } from '../utils/logger.js';
+import { createLLMProvider } from './LLMProvider.js';
+import { getEventTypeLabel } from '../config/eventTypes.js';
+import { describeCity, findCity } from '../config/cities.js';
+import { getExpensePolicy } from '../config/expensePolicy.js';
+import { getEventDays, getDailyHours, getDayWindow, getEventDates, getScheduledMeals, estimateAccommodation, buildDailyItineraries, describeEventDates } from '../utils/eventSchedule.js';
+import { formatTime } from '../utils/timeResolver.js';
+import { ACCESSIBILITY_NEEDS, BASELINE_ACCESSIBILITY_CHECKS, getAccessibilityLabel, estimateAccessibilityCosts } from '../utils/accessibility.js';
+import { MEAL_PREFERENCES, DIETARY_NEEDS, getDietaryProfile, isVegetarianOnly, describeDietaryProfile } from '../utils/dietaryProfile.js';
+import { getHolidayMealNotes } from '../utils/holidayCalendar.js';
+import { getOutdoorElements, getSeasonalRisks, hasClimateData, estimateIndoorBackupCost } from '../utils/weatherRisk.js';
+import { describePolicyLimits } from '../utils/policyCompliance.js';
+import { assessLeadTime, describeUrgentBookings, describeTimeLeft } from '../utils/leadTime.js';
+import { createPlan, parsePlanMarkdown, toPlanSection, hasPlanSection } from '../utils/planModel.js';
+import { allocateBudget, reconcileCosts } from '../utils/costEngine.js';
+import { structuredPlanSchema } from '../graph/state.js';
+
+// Meal plan lines for the fallback plan
+const FALLBACK_MENUS = {
+  breakfast: 'Tea, coffee, sandwiches, fruits',
+  lunch: 'Regional cuisine with vegetarian and non-vegetarian options',
+  snacks: 'Tea, coffee and light refreshments',
+  dinner: 'Buffet dinner with regional specialties'
+};
+const FALLBACK_VEGETARIAN_MENUS = {
+  lunch: 'Regional vegetarian cuisine',
+  dinner: 'Vegetarian buffet dinner with regional specialties'
+};
+
+// What each special diet needs from the caterer
+const SPECIAL_DIET_MENUS = {
+  vegan: 'Dairy-free and egg-free dishes at every meal',
+  jain: 'No onion, garlic or root vegetables; cooked and served separately',
+  halal: 'Halal-certified meat from a certified kitchen',
+  glutenFree: 'Wheat-free alternatives for every course',
+  allergy: 'Allergen labels on every dish; allergy plates prepared separately'
+};
 
 export class PlanGenerator {
-  constructor() {
-    this.groqApiKey = config.groqApiKey;
+  constructor(llmProvider = createLLMProvider()) {
+    this.llm = llmProvider;
   }
 
   /**
    * Generate comprehensive event plan from structured data
    * @param {Object} eventData - Parsed event data
-   * @returns {string} Formatted event plan
+   * @returns {Object} Structured plan (see utils/planModel.js)
    */
   async generateEventPlan(eventData) {
     const prompt = this.createPlanPrompt(eventData);
@@ -18,33 +52,23 @@ export class PlanGenerator {
     try {
       logger.info('🎯 Generating comprehensive event plan...');
 
-      const response = await axios.post(
-        "https://api.groq.com/openai/v1/chat/completions",
-        {
-          model: config.llmModel,
-          messages: [
-            { 
-              role: "system", 
-              content: this.getSystemPrompt() 
-            },
-            { 
-              role: "user", 
-              content: prompt 
-            }
-          ],
-          temperature: 0.7, // Slightly higher for creative content
-          max_tokens: 4000
-        },
-        {
-          headers: {
-            "Content-Type": "application/json",
-            Authorization: `Bearer ${this.groqApiKey}`,
+      const eventPlan = await this.llm.complete({
+        task: 'plan',
+        messages: [
+          { 
+            role: "system", 
+            content: this.getSystemPrompt() 
           },
-          timeout: 45000 // 45 second timeout for plan generation
-        }
-      );
+          { 
+            role: "user", 
+            content: prompt 
+          }
+        ],
+        temperature: 0.7, // Slightly higher for creative content
+        maxTokens: 4000,
+        timeout: 45000 // 45 second timeout for plan generation
+      });
 
-      const eventPlan = response.data.choices[0].message.content;
       logger.info('✅ Event plan generated successfully');
       
       return this.postProcessPlan(eventPlan, eventData);
@@ -89,44 +113,72 @@ Create comprehensive, realistic, and culturally appropriate event plans. Always:
     eventType,
     numberOfAttendees,
     location,
-    date,
     budgetInINR,
     durationInHours,
     requirements = []
   } = eventData;
 
-  const isVegetarian = requirements.includes('vegetarian');
+  const dietary = getDietaryProfile(eventData);
+  const isVegetarian = isVegetarianOnly(dietary);
   const isPremium = requirements.includes('premium');
-  const isOutdoor = requirements.includes('outdoor');
+  const isOutdoor = getOutdoorElements(eventData).outdoor;
+  const weatherSection = this.generateWeatherSection(eventData);
+  const timelineSection = this.generateTimelineSection(eventData);
+  const days = getEventDays(eventData);
+  const accommodation = estimateAccommodation(eventData);
+  const meals = getScheduledMeals(eventData);
+  const mealTemplates = {
+    breakfast: isVegetarian ? `Breakfast: [4-5 vegetarian items suitable for ${location}]` : `Breakfast: [4-5 items including vegetarian options, suitable for ${location}]`,
+    lunch: isVegetarian ? 'Lunch: [6-8 vegetarian items with regional specialties]' : 'Lunch: [6-8 items including vegetarian and non-vegetarian options, regional specialties]',
+    snacks: 'Snacks: [3-4 items for arrival and the scheduled breaks]',
+    dinner: accommodation ?
+      `Dinner: [Menus for each of the ${accommodation.nights} overnight stays, varied across days]` :
+      `Dinner: [${isVegetarian ? 'Vegetarian' : 'Vegetarian and non-vegetarian'} dinner menu for the evening programme]`
+  };
 
   return `
 Generate a comprehensive corporate event plan for:
 
 📋 EVENT DETAILS:
-- Type: ${eventType}
+- Type: ${getEventTypeLabel(eventType)}
 - Attendees: ${numberOfAttendees}
-- Location: ${location}
-- Date: ${date}
+- Location: ${location}${describeCity(location) ? ` (${describeCity(location)})` : ''}
+- Date: ${describeEventDates(eventData)}
 - Budget: ₹${budgetInINR.toLocaleString()}
-- Duration: ${durationInHours} hours
+- Duration: ${days > 1 ? `${days} days, ${getDailyHours(eventData)} hours per day` : `${durationInHours} hours`}
+- Time: ${this.describeTimeWindow(eventData)}
 - Special Requirements: ${requirements.join(', ') || 'None'}
 
 🎯 GENERATE COMPLETE PLAN WITH EXACT FORMAT:
 
 ## EVENT BRIEF
-[Write 2-3 sentences describing the event purpose, objectives, and expected outcomes. Make it professional and specific to the event type.]
-
+[Write 2-3 sentences describing the event purpose, objectives, and expected outcomes. Make it professional and specific to a ${getEventTypeLabel(eventType).toLowerCase()}.]
+${timelineSection ? `
+${timelineSection}
+[Name the backup venue and caterer to approach if the first choice is unavailable]
+` : ''}
 ## DETAILED ITINERARY
-${this.generateTimeSlots(durationInHours)}
+${this.generateItinerary(eventData, slot => `${slot.time} - ${slot.activity}: [details]`)}
 
 ## COST BREAKDOWN
-${this.generateCostStructure(budgetInINR, numberOfAttendees, requirements)}
-
+${this.generateCostStructure(eventData)}
+${accommodation ? `
+## ACCOMMODATION
+Stay: [Hotel or resort near the venue in ${location}] - ${accommodation.rooms} twin-sharing rooms × ${accommodation.nights} night${accommodation.nights > 1 ? 's' : ''}
+Check-in/Check-out: [Times aligned with the Day 1 start and Day ${days} close]
+Inclusions: [Breakfast, Wi-Fi, airport/station transfers if any]
+` : ''}
 ## MEAL PLAN
-${isVegetarian ? 'Breakfast: [4-5 vegetarian items suitable for ' + location + ']' : 'Breakfast: [4-5 items including vegetarian options, suitable for ' + location + ']'}
-${isVegetarian ? 'Lunch: [6-8 vegetarian items with regional specialties]' : 'Lunch: [6-8 items including vegetarian and non-vegetarian options, regional specialties]'}
-Snacks: [3-4 items for ${durationInHours > 6 ? 'afternoon and evening' : 'break time'}]
-
+${dietary ? `Dietary counts: ${describeDietaryProfile(dietary)}\n` : ''}${meals.map(meal => mealTemplates[meal]).join('\n')}
+${this.getSpecialDiets(dietary).map(diet => `${diet.label} (${diet.count}): [${diet.menu}]`).join('\n')}
+${getHolidayMealNotes(eventData).map(holiday => `${holiday.name}: [${holiday.note}]`).join('\n')}
+
+${this.generateAccessibilitySection(eventData)}
+[Add venue-specific access details: entrances, lifts, seating layout, staff briefing]
+${weatherSection ? `
+${weatherSection}
+${isOutdoor ? '[Name the backup space at the chosen venue and who makes the go/no-go call]' : '[Arrival buffer in the itinerary and who tracks the forecast]'}
+` : ''}
 ## SPEAKER RECOMMENDATIONS
 1. [Name/Professional Title] - [Expertise Area] - [City/Remote availability]
 2. [Name/Professional Title] - [Expertise Area] - [City/Remote availability]  
@@ -139,15 +191,18 @@ Equipment: [Projectors, microphones, laptops, flipcharts, etc.]
 Timeline: [Setup, event flow, breakdown schedule]
 
 ## ENERGIZER ACTIVITIES
-- [15-minute icebreaker activity relevant to ${eventType}]
+- [15-minute icebreaker activity relevant to a ${getEventTypeLabel(eventType).toLowerCase()}]
 - [Team building exercise for ${numberOfAttendees} people]
 - [Networking/interaction activity]
 
 REQUIREMENTS:
 - Make it realistic for ${location} with local knowledge
-- Stay within ₹${budgetInINR.toLocaleString()} budget
-- All costs must add up correctly
+- Stay within ₹${budgetInINR.toLocaleString()} budget${accommodation ? ' including accommodation' : ''}
+- Keep the ACCESSIBILITY section and its cost lines; it is mandatory
+${weatherSection ? `- Keep the WEATHER CONTINGENCY section${isOutdoor ? ' and its indoor backup cost' : ''}; it is mandatory\n` : ''}${timelineSection ? '- Keep the COMPRESSED TIMELINE section; it is mandatory. Prefer vendors who can confirm at short notice\n' : ''}- Use the cost breakdown amounts exactly as given; they add up to the budget. Add a short note after an amount instead of changing it
+- Keep the itinerary times, meals and tea breaks as laid out above
 - Include cultural considerations for ${location}
+${describePolicyLimits(eventData, getExpensePolicy()).map(line => `- ${line}`).join('\n')}
 - ${isPremium ? 'Use premium vendors and high-end options' : 'Use cost-effective but quality options'}
 - ${isOutdoor ? 'Include outdoor elements and weather contingencies' : 'Focus on indoor professional setup'}
 `;
@@ -157,61 +212,187 @@ REQUIREMENTS:
     
 
   /**
-   * Generate time slots for itinerary based on duration
-   * @param {number} hours - Event duration in hours
-   * @returns {string} Time slot template
+   * Describe the daily time window for display
+   * @param {Object} eventData - Event data
+   * @returns {string} e.g. "18:00 - 22:00" or "09:00 - 17:00 (usual start for this event type)"
    */
-  generateTimeSlots(hours) {
-    const startHour = 9; // 9 AM start
-    const slots = [];
-    
-    for (let i = 0; i < hours; i++) {
-      const hour = startHour + i;
-      const time = `${hour.toString().padStart(2, '0')}:00`;
-      slots.push(`${time} - [Activity ${i + 1}]`);
+  describeTimeWindow(eventData) {
+    const { start, end } = getDayWindow(eventData);
+    const window = `${formatTime(start)} - ${formatTime(end)}`;
+    return eventData.startTime ? window : `${window} (usual start for this event type)`;
+  }
+
+  /**
+   * Generate the itinerary, with one block per day for multi-day events
+   * @param {Object} eventData - Event data
+   * @param {Function} formatSlot - Formats a { time, activity } slot as a line
+   * @returns {string} Itinerary text
+   */
+  generateItinerary(eventData, formatSlot) {
+    const days = buildDailyItineraries(eventData);
+    if (days.length <= 1) {
+      return (days[0]?.slots || []).map(formatSlot).join('\n');
     }
-    
-    return slots.join('\n');
+
+    return days
+      .map(({ day, date, slots }) => `### Day ${day} - ${date}\n${slots.map(formatSlot).join('\n')}`)
+      .join('\n\n');
   }
 
   /**
-   * Generate cost structure template
-   * @param {number} budget - Total budget
-   * @param {number} attendees - Number of attendees
-   * @param {Array} requirements - Special requirements
-   * @returns {string} Cost breakdown template
+   * Generate the cost breakdown from the budget allocation
+   * The amounts are fixed by the cost engine; the model only fills in notes
+   * @param {Object} eventData - Event data
+   * @returns {string} Cost breakdown
    */
-  generateCostStructure(budget, attendees, requirements) {
-    const isPremium = requirements.includes('premium');
-    const hasTransport = requirements.includes('transport') || attendees > 30;
-    
-    return `Venue Rental: ₹[${Math.floor(budget * 0.25).toLocaleString()}]
-Catering (${attendees} people): ₹[${(attendees * (isPremium ? 1200 : 800)).toLocaleString()}] 
-A/V Equipment: ₹[${Math.floor(budget * 0.08).toLocaleString()}]
-Stationery & Materials: ₹[${(attendees * 150).toLocaleString()}]
-${hasTransport ? `Transport: ₹[${Math.ceil(attendees / 20) * 1000}]` : ''}
-Speaker Fees: ₹[amount]
-Miscellaneous: ₹[amount]
-Total: ₹[sum all amounts = ${budget.toLocaleString()}]`;
+  generateCostStructure(eventData) {
+    const allocation = allocateBudget(eventData);
+    const lines = allocation.lines.map(line => [
+      `${line.label}${line.basis ? ` (${line.basis})` : ''}: ₹${line.amount.toLocaleString()}`,
+      ...line.items.map(item => `  - ${item.label}: ₹${item.amount.toLocaleString()}`)
+    ].join('\n'));
+
+    return `${lines.join('\n')}
+Total: ₹${allocation.budget.toLocaleString()}`;
   }
 
   /**
-   * Post-process the generated plan
+   * Generate the mandatory accessibility section
+   * Lists the provisions and cost lines for each stated need, or the baseline
+   * checks when none are stated
+   * @param {Object} eventData - Event data
+   * @returns {string} Section text including its heading
+   */
+  generateAccessibilitySection(eventData) {
+    const costs = estimateAccessibilityCosts(eventData);
+    if (costs.length === 0) {
+      return `## ACCESSIBILITY
+No specific access needs stated.
+${BASELINE_ACCESSIBILITY_CHECKS.map(check => `- ${check}`).join('\n')}`;
+    }
+
+    const total = costs.reduce((sum, item) => sum + item.amount, 0);
+    return `## ACCESSIBILITY
+Needs: ${costs.map(item => getAccessibilityLabel(item.need)).join(', ')}
+${costs.flatMap(item => ACCESSIBILITY_NEEDS[item.need].provisions).map(provision => `- ${provision}`).join('\n')}
+Costs:
+${costs.map(item => `- ${item.label} (${item.quantity}): ₹${item.amount.toLocaleString()}`).join('\n')}
+Total: ₹${total.toLocaleString()} (included in the cost breakdown)`;
+  }
+
+  /**
+   * Generate the weather contingency section
+   * Outdoor events get the seasonal hazards, an indoor backup with its cost
+   * and a go/no-go call; destination events get travel hazards
+   * @param {Object} eventData - Event data
+   * @returns {string} Section text including its heading, empty when not needed
+   */
+  generateWeatherSection(eventData) {
+    const { outdoor, beach } = getOutdoorElements(eventData);
+    const risks = getSeasonalRisks(eventData);
+    const travel = risks.filter(risk => risk.travel);
+    const destination = !!findCity(eventData.location)?.destination;
+    if (!outdoor && !(destination && travel.length > 0)) return '';
+
+    const lines = outdoor ? [
+      ...(risks.length > 0 ?
+        risks.map(risk => `Season: ${risk.city} in ${risk.month} (${risk.label}) - ${beach && risk.beach ? risk.beach : risk.outdoor}`) :
+        [hasClimateData(eventData.location) ?
+          'Season: No major seasonal hazard on record for these dates; keep a rain plan for the outdoor sessions' :
+          `Season: No climate data for ${eventData.location}; check the forecast and keep a rain plan for the outdoor sessions`]),
+      `Indoor backup: Covered hall or marquee for the ${beach ? 'beach and outdoor' : 'outdoor'} sessions, held until the go/no-go call - ₹${estimateIndoorBackupCost(eventData).toLocaleString()} (from the venue and contingency lines)`,
+      'Go/no-go: Decide 24 hours ahead on the IMD forecast and tell attendees where to gather'
+    ] : [];
+    lines.push(...travel.map(risk => `Travel: ${risk.travel} - allow buffer time for arrivals and departures`));
+
+    return `## WEATHER CONTINGENCY
+${lines.join('\n')}`;
+  }
+
+  /**
+   * Generate the compressed timeline notice
+   * Events closer than their recommended booking lead time get the bookings
+   * to make first and the risks of booking late
+   * @param {Object} eventData - Event data
+   * @returns {string} Section text including its heading, empty when not needed
+   */
+  generateTimelineSection(eventData) {
+    const assessment = assessLeadTime(eventData);
+    if (assessment.status !== 'compressed' && assessment.status !== 'infeasible') return '';
+
+    return `## COMPRESSED TIMELINE
+Time left: ${describeTimeLeft(assessment.daysUntilEvent)}, against a recommended ${assessment.recommendedDays} days for an event of this size in ${eventData.location}
+Book first: ${describeUrgentBookings(assessment).join(', ')}
+Risks: Limited venue and vendor choice, rush surcharges on catering and equipment, and little room to recover if a booking falls through
+Lock-in: Confirm the venue and caterer within 24 hours, pay advances to hold them and keep a second option for each`;
+  }
+
+  /**
+   * List the special diets that need their own menu
+   * @param {Object} dietary - Dietary counts (null when unknown)
+   * @returns {Array} [{ label, count, menu }]
+   */
+  getSpecialDiets(dietary) {
+    if (!dietary) return [];
+
+    return Object.keys(SPECIAL_DIET_MENUS)
+      .filter(field => dietary[field])
+      .map(field => ({
+        label: (MEAL_PREFERENCES[field] || DIETARY_NEEDS[field]).label,
+        count: dietary[field],
+        menu: SPECIAL_DIET_MENUS[field]
+      }));
+  }
+
+  /**
+   * Post-process the generated plan into a structured plan
    * @param {string} plan - Raw plan from LLM
    * @param {Object} eventData - Original event data
-   * @returns {string} Processed plan
+   * @returns {Object} Structured plan, checked against structuredPlanSchema
    */
   postProcessPlan(plan, eventData) {
-    // Clean up formatting
-    let processedPlan = plan.trim();
-    
     // Ensure proper markdown formatting
-    processedPlan = processedPlan.replace(/^([A-Z\s]+)$/gm, '## $1');
-    
-    // Add event summary at the top
-    const summary = `# ${eventData.eventType.toUpperCase()} EVENT PLAN\n**${eventData.numberOfAttendees} people • ${eventData.location} • ${eventData.date}**\n**Budget: ₹${eventData.budgetInINR.toLocaleString()}**\n\n`;
-    
-    return summary + processedPlan;
+    const markdown = plan.trim().replace(/^([A-Z\s]+)$/gm, '## $1');
+    const structuredPlan = parsePlanMarkdown(markdown, this.getPlanHeader(eventData));
+
+    // The accessibility section is mandatory; restore it if the model left it
+    // out, and likewise the weather contingency and compressed timeline
+    // sections when the event needs them
+    const required = [
+      this.generateAccessibilitySection(eventData),
+      this.generateWeatherSection(eventData),
+      this.generateTimelineSection(eventData)
+    ].filter(Boolean).map(toPlanSection);
+    required
+      .filter(section => !hasPlanSection(structuredPlan, section.key))
+      .forEach(section => structuredPlan.sections.push(section));
+
+    // Hold the generated costs to the budget allocation
+    const { costs, corrections } = reconcileCosts(structuredPlan.costs, allocateBudget(eventData));
+    if (corrections.length > 0) {
+      logger.info(`🧮 Corrected ${corrections.length} cost line${corrections.length > 1 ? 's' : ''} to the budget allocation`);
+    }
+
+    return structuredPlanSchema.parse({ ...structuredPlan, costs });
+  }
+
+  /**
+   * Build the plan title and overview shown above every rendering
+   * @param {Object} eventData - Event data
+   * @returns {Object} { title, overview, dates } with dates the event days
+   */
+  getPlanHeader(eventData) {
+    return {
+      title: `${getEventTypeLabel(eventData.eventType).toUpperCase()} EVENT PLAN`,
+      overview: {
+        attendees: eventData.numberOfAttendees,
+        location: eventData.location,
+        dates: describeEventDates(eventData),
+        timeWindow: this.describeTimeWindow(eventData),
+        budgetInINR: eventData.budgetInINR
+      },
+      dates: getEventDates(eventData)
+    };
   }
 
   // Add this method to your existing PlanGenerator.js core class
@@ -219,7 +400,7 @@ Total: ₹[sum all amounts = ${budget.toLocaleString()}]`;
 /**
  * Generate event plan with refinement support
  * @param {Object} eventData - Event data with enhanced requirements
- * @returns {string} Formatted event plan
+ * @returns {Object} Structured plan
  */
 async generateRefinedEventPlan(eventData, refinementPrompt = null) {
   // Use existing generateEventPlan method but enhance the prompt
@@ -230,33 +411,23 @@ async generateRefinedEventPlan(eventData, refinementPrompt = null) {
     try {
       logger.info('🔧 Generating refined event plan...');
 
-      const response = await axios.post(
-        "https://api.groq.com/openai/v1/chat/completions",
-        {
-          model: config.llmModel,
-          messages: [
-            { 
-              role: "system", 
-              content: this.getSystemPrompt() + "\n\nIMPORTANT: This is a refinement request. Pay special attention to the specific modifications requested by the user." 
-            },
-            { 
-              role: "user", 
-              content: enhancedPrompt 
-            }
-          ],
-          temperature: 0.7,
-          max_tokens: 4000
-        },
-        {
-          headers: {
-            "Content-Type": "application/json",
-            Authorization: `Bearer ${this.groqApiKey}`,
+      const eventPlan = await this.llm.complete({
+        task: 'plan',
+        messages: [
+          { 
+            role: "system", 
+            content: this.getSystemPrompt() + "\n\nIMPORTANT: This is a refinement request. Pay special attention to the specific modifications requested by the user." 
           },
-          timeout: 45000
-        }
-      );
+          { 
+            role: "user", 
+            content: enhancedPrompt 
+          }
+        ],
+        temperature: 0.7,
+        maxTokens: 4000,
+        timeout: 45000
+      });
 
-      const eventPlan = response.data.choices[0].message.content;
       logger.info('✅ Refined event plan generated successfully');
       
       return this.postProcessPlan(eventPlan, eventData);
@@ -299,56 +470,46 @@ SPECIAL INSTRUCTIONS:
 
   /**
    * Generate fallback plan when LLM fails
+   * Built directly as a structured plan from the event data
    * @param {Object} eventData - Event data
-   * @returns {string} Basic event plan
+   * @returns {Object} Basic structured plan
    */
   generateFallbackPlan(eventData) {
     const {
       eventType,
       numberOfAttendees,
-      location,
-      date,
-      budgetInINR,
-      durationInHours
+      location
     } = eventData;
 
     logger.info('🔄 Generating fallback event plan...');
 
-    return `# ${eventType.toUpperCase()} EVENT PLAN
-**${numberOfAttendees} people • ${location} • ${date}**
-**Budget: ₹${budgetInINR.toLocaleString()}**
-
-## EVENT BRIEF
-A professional ${eventType} for ${numberOfAttendees} participants in ${location}, designed to achieve key business objectives within the allocated budget.
-
-## DETAILED ITINERARY
-09:00 AM - Registration & Welcome
-09:30 AM - Opening Session
-10:30 AM - Main Session 1
-11:30 AM - Networking Break
-12:00 PM - Main Session 2
-01:00 PM - Lunch Break
-02:00 PM - Interactive Session
-03:30 PM - Group Activities
-04:30 PM - Closing Remarks
-05:00 PM - Event Conclusion
-
-## COST BREAKDOWN
-Venue Rental: ₹${Math.floor(budgetInINR * 0.3).toLocaleString()}
-Catering: ₹${Math.floor(budgetInINR * 0.4).toLocaleString()}
-Equipment: ₹${Math.floor(budgetInINR * 0.15).toLocaleString()}
-Materials: ₹${Math.floor(budgetInINR * 0.1).toLocaleString()}
-Miscellaneous: ₹${Math.floor(budgetInINR * 0.05).toLocaleString()}
-Total: ₹${budgetInINR.toLocaleString()}
-
-## MEAL PLAN
-Breakfast: Tea, coffee, sandwiches, fruits
-Lunch: Regional cuisine with vegetarian and non-vegetarian options
-Snacks: Evening refreshments
-
-## LOGISTICS
-Basic venue setup with necessary A/V equipment and professional catering services suitable for ${numberOfAttendees} attendees.
-
-*Note: This is a basic plan. For detailed customization, please try again or contact support.*`;
+    const label = getEventTypeLabel(eventType);
+    const dietary = getDietaryProfile(eventData);
+    const menus = isVegetarianOnly(dietary) ? { ...FALLBACK_MENUS, ...FALLBACK_VEGETARIAN_MENUS } : FALLBACK_MENUS;
+    const { costs } = reconcileCosts({ lines: [], total: null }, allocateBudget(eventData));
+
+    return structuredPlanSchema.parse({
+      ...createPlan(this.getPlanHeader(eventData)),
+      brief: `A professional ${label.toLowerCase()} for ${numberOfAttendees} participants in ${location}, designed to achieve key business objectives within the allocated budget.`,
+      itinerary: buildDailyItineraries(eventData).map(({ day, date, slots }) => ({
+        day,
+        date,
+        items: slots.map(slot => ({ time: slot.time, activity: slot.activity, details: null }))
+      })),
+      costs,
+      meals: [
+        ...(dietary ? [{ label: 'Dietary counts', menu: describeDietaryProfile(dietary) }] : []),
+        ...getScheduledMeals(eventData).map(meal => ({ label: `${meal.charAt(0).toUpperCase()}${meal.slice(1)}`, menu: menus[meal] })),
+        ...this.getSpecialDiets(dietary).map(diet => ({ label: `${diet.label} (${diet.count})`, menu: diet.menu })),
+        ...getHolidayMealNotes(eventData).map(holiday => ({ label: holiday.name, menu: holiday.note }))
+      ],
+      logistics: [{ label: null, details: `Basic venue setup with necessary A/V equipment and professional catering services suitable for ${numberOfAttendees} attendees.` }],
+      sections: [
+        this.generateTimelineSection(eventData),
+        this.generateAccessibilitySection(eventData),
+        this.generateWeatherSection(eventData)
+      ].filter(Boolean).map(toPlanSection),
+      notes: ['Note: This is a basic plan. For detailed customization, please try again or contact support.']
+    });
   }
 }
@@ -1,6 +1,18 @@
 import axios from 'axios';
 import { config } from '../config/config.js';
 import { logger } from '../utils/logger.js';
+import { getEventTypeProfile, getEventTypeLabel } from '../config/eventTypes.js';
+import { findCity } from '../config/cities.js';
+import { estimateAccommodation } from '../utils/eventSchedule.js';
+import { getAccessibilityVenueTerms } from '../utils/accessibility.js';
+
+// Price bands of fallback venues that suit a requirement; others take any band
+const REQUIREMENT_PRICE_BANDS = {
+  premium: ['premium'],
+  'budget-friendly': ['budget', 'mid']
+};
+// Fallback venues offered per event
+const MIN_FALLBACK_VENUES = 2;
 
 export class VenueSearcher {
   constructor() {
@@ -76,10 +88,12 @@ export class VenueSearcher {
       eventType,
       location,
       numberOfAttendees,
-      requirements = []
+      requirements = [],
+      accessibility = []
     } = eventData;
 
-    const baseQuery = `corporate ${eventType} venues ${location} ${numberOfAttendees} people`;
+    const profile = getEventTypeProfile(eventType);
+    const baseQuery = `corporate ${profile.label.toLowerCase()} venues ${location} ${numberOfAttendees} people`;
     
     // Add capacity requirements
     let capacityTerm = '';
@@ -88,12 +102,22 @@ export class VenueSearcher {
     else if (numberOfAttendees <= 100) capacityTerm = 'banquet halls';
     else capacityTerm = 'large convention centers';
 
-    // Add special requirements
-    const specialTerms = [];
+    // Add type-specific and special requirement terms
+    const specialTerms = [...profile.venueTerms];
     if (requirements.includes('premium')) specialTerms.push('luxury');
+    if (requirements.includes('budget-friendly')) specialTerms.push('affordable');
     if (requirements.includes('outdoor')) specialTerms.push('garden outdoor');
     if (requirements.includes('beach')) specialTerms.push('beach resort');
+
+    // Multi-day events need venues with rooms for overnight stays
+    const accommodation = estimateAccommodation(eventData);
+    if (accommodation) {
+      specialTerms.push('with accommodation', `${accommodation.rooms} rooms`, `${accommodation.nights} night stay`);
+    }
     
+    // Accessibility needs are hard filters on the venue
+    specialTerms.push(...getAccessibilityVenueTerms(accessibility));
+
     specialTerms.push('A/V equipment', 'catering', 'parking');
 
     return `${baseQuery} ${capacityTerm} ${specialTerms.join(' ')}`;
@@ -184,81 +208,38 @@ export class VenueSearcher {
 
   /**
    * Get fallback venues when search fails
+   * Premium and budget-friendly events get the known venues in their price
+   * bands, topped up with generic ones; when none are left in band every
+   * venue is offered
    * @param {Object} eventData - Event details
    * @returns {Array} Fallback venue suggestions
    */
   getFallbackVenues(eventData) {
-    const { location, numberOfAttendees, eventType } = eventData;
+    const { location, numberOfAttendees, eventType, requirements = [] } = eventData;
     
-    // City-specific fallback venues
-    const cityVenues = {
-      'Mumbai': [
-        {
-          name: 'ITC Grand Central - Conference Center',
-          url: 'https://www.itchotels.com/in/itcgrandcentral/',
-          description: 'Premium business hotel with state-of-the-art conference facilities in Parel, Mumbai.'
-        },
-        {
-          name: 'The Leela Mumbai - Meeting Rooms',
-          url: 'https://www.theleela.com/mumbai/',
-          description: 'Luxury hotel offering sophisticated meeting spaces and professional event services.'
-        }
-      ],
-      'Bangalore': [
-        {
-          name: 'ITC Gardenia - Conference Halls',
-          url: 'https://www.itchotels.com/in/itcgardenia/',
-          description: 'Business hotel with multiple conference rooms and modern A/V facilities in Bangalore.'
-        },
-        {
-          name: 'The Leela Palace Bangalore',
-          url: 'https://www.theleela.com/bangalore/',
-          description: 'Premium venue with elegant meeting spaces and comprehensive business services.'
-        }
-      ],
-      'Delhi': [
-        {
-          name: 'ITC Maurya - Convention Center',
-          url: 'https://www.itchotels.com/in/itcmaurya/',
-          description: 'Large-scale convention facilities with professional event management services.'
-        },
-        {
-          name: 'The Leela Palace New Delhi',
-          url: 'https://www.theleela.com/newdelhi/',
-          description: 'Luxury hotel with sophisticated conference facilities in the heart of Delhi.'
-        }
-      ],
-      'Pune': [
-        {
-          name: 'JW Marriott Pune - Meeting Spaces',
-          url: 'https://www.marriott.com/hotels/travel/pnqjw-jw-marriott-pune/',
-          description: 'Modern business hotel with flexible meeting rooms and event spaces.'
-        },
-        {
-          name: 'Hyatt Regency Pune - Conference Center',
-          url: 'https://www.hyatt.com/en-US/hotel/india/hyatt-regency-pune/punpr',
-          description: 'Professional venue with comprehensive conference facilities and catering services.'
-        }
-      ]
-    };
-
     // Generic venues for other cities
     const genericVenues = [
       {
         name: `${location} Convention Center`,
         url: '#',
-        description: `Local convention center with facilities for ${numberOfAttendees} attendees and professional event services.`
+        description: `Local convention center with facilities for ${numberOfAttendees} attendees and professional event services.`,
+        priceBand: 'mid'
       },
       {
         name: `Business Hotel ${location}`,
         url: '#',
-        description: `Professional business hotel with conference rooms suitable for ${eventType} events.`
+        description: `Professional business hotel with conference rooms suitable for ${getEventTypeLabel(eventType).toLowerCase()} events.`,
+        priceBand: 'budget'
       }
     ];
 
-    const venues = cityVenues[location] || genericVenues;
+    const venues = findCity(location)?.venues || genericVenues;
+    const bands = requirements.map(requirement => REQUIREMENT_PRICE_BANDS[requirement]).find(Boolean);
+    const inBand = bands ? [...venues, ...genericVenues]
+      .filter((venue, index, all) => bands.includes(venue.priceBand) && all.findIndex(other => other.name === venue.name) === index) :
+      venues;
     
-    logger.info(`📋 Providing fallback venues for ${location}`);
-    return venues;
+    logger.info(`📋 Providing fallback venues for ${location}${bands ? ` (${bands.join('/')} price band)` : ''}`);
+    return inBand.length > 0 ? inBand.slice(0, Math.max(MIN_FALLBACK_VENUES, venues.length)) : venues;
   }
 }
\ No newline at end of file
@@ -1,18 +1,27 @@
-import { StateGraph } from "@langchain/langgraph";
-import { eventPlannerStateSchema, createInitialState, StateHelpers } from "./state.js";
+import { StateGraph, Command } from "@langchain/langgraph";
+import { eventPlannerStateSchema, createInitialState, createStructuredState, createDocumentState, StateHelpers } from "./state.js";
+import { ExpiringMemorySaver } from "./checkpointer.js";
 import { parseInputNode } from "../agents/inputParser.js";
+import { parseDocumentNode } from "../agents/documentParser.js";
+import { clarifyNode } from "../agents/clarifier.js";
 import { validateDataNode } from "../agents/validator.js";
 import { generatePlanNode } from "../agents/planGenerator.js";
 import { searchVenuesNode } from "../agents/venueSearcher.js";
+import { checkPolicyNode, reviewPolicyNode } from "../agents/policyChecker.js";
 import { errorHandlerNode } from "../agents/errorHandler.js";
+import { createIssue } from "../utils/issues.js";
 import { logger } from "../utils/logger.js";
 
 const graph = new StateGraph(eventPlannerStateSchema);
 
 graph.addNode("parse", parseInputNode);
+graph.addNode("parseDocument", parseDocumentNode);
+graph.addNode("clarify", clarifyNode);
 graph.addNode("validate", validateDataNode);
+graph.addNode("policyCheck", checkPolicyNode);
 graph.addNode("plan", generatePlanNode);
 graph.addNode("venueSearch", searchVenuesNode);
+graph.addNode("policyReview", reviewPolicyNode);
 graph.addNode("error", errorHandlerNode);
 
 graph.addConditionalEdges(
@@ -21,6 +30,32 @@ graph.addConditionalEdges(
     logger.debug('🔀 Parse node routing decision:', state.nextAction);
     return state.nextAction;
   },
+  {
+    clarify: "clarify",
+    validate: "validate",
+    error: "error"
+  }
+);
+
+graph.addConditionalEdges(
+  "parseDocument",
+  (state) => {
+    logger.debug('🔀 Parse document node routing decision:', state.nextAction);
+    return state.nextAction;
+  },
+  {
+    clarify: "clarify",
+    validate: "validate",
+    error: "error"
+  }
+);
+
+graph.addConditionalEdges(
+  "clarify",
+  (state) => {
+    logger.debug('🔀 Clarify node routing decision:', state.nextAction);
+    return state.nextAction;
+  },
   {
     validate: "validate",
     error: "error"
@@ -33,6 +68,18 @@ graph.addConditionalEdges(
     logger.debug('🔀 Validate node routing decision:', state.nextAction);
     return state.nextAction;
   },
+  {
+    policyCheck: "policyCheck",
+    error: "error"
+  }
+);
+
+graph.addConditionalEdges(
+  "policyCheck",
+  (state) => {
+    logger.debug('🔀 Policy check node routing decision:', state.nextAction);
+    return state.nextAction;
+  },
   {
     plan: "plan",
     error: "error"
@@ -58,11 +105,22 @@ graph.addConditionalEdges(
     return state.nextAction;
   },
   {
-    END: "__end__",
+    policyReview: "policyReview",
     error: "error"
   }
 );
 
+graph.addConditionalEdges(
+  "policyReview",
+  (state) => {
+    logger.debug('🔀 Policy review node routing decision:', state.nextAction);
+    return state.nextAction;
+  },
+  {
+    END: "__end__"
+  }
+);
+
 graph.addConditionalEdges(
   "error",
   (state) => {
@@ -74,9 +132,21 @@ graph.addConditionalEdges(
   }
 );
 
-graph.addEdge("__start__", "parse");
+// Text input starts at parse, uploaded briefs at parseDocument; typed eventData skips straight to validate
+graph.addConditionalEdges(
+  "__start__",
+  (state) => state.nextAction,
+  {
+    parse: "parse",
+    parseDocument: "parseDocument",
+    validate: "validate"
+  }
+);
+
+// Checkpoints let an execution pause in "clarify" and resume later
+const checkpointer = new ExpiringMemorySaver();
 
-export const eventPlannerGraph = graph.compile();
+export const eventPlannerGraph = graph.compile({ checkpointer });
 
 /**
  * Main execution function for the event planning graph
@@ -85,7 +155,6 @@ export const eventPlannerGraph = graph.compile();
  * @returns {Object} Complete event planning result
  */
 export async function executeEventPlanning(naturalInput, tweakPrompt = null) {
-  const startTime = Date.now();
   const executionId = generateExecutionId();
   
   logger.info(`🚀 [${executionId}] Starting event planning graph execution`, {
@@ -94,28 +163,64 @@ export async function executeEventPlanning(naturalInput, tweakPrompt = null) {
     tweakPrompt: tweakPrompt?.substring(0, 50) + (tweakPrompt?.length > 50 ? '...' : '')
   });
   
+  return runEventPlanning(createInitialState(naturalInput, tweakPrompt), executionId);
+}
+
+/**
+ * Execute the event planning graph for typed eventData, skipping the parse node
+ * @param {Object} eventData - Event data checked against structuredEventDataSchema
+ * @param {Object} fieldProvenance - Provenance map for the supplied and defaulted fields
+ * @param {string} tweakPrompt - Optional refinement prompt
+ * @returns {Object} Complete event planning result
+ */
+export async function executeStructuredEventPlanning(eventData, fieldProvenance, tweakPrompt = null) {
+  const executionId = generateExecutionId();
+  
+  logger.info(`🚀 [${executionId}] Starting event planning graph execution from structured data`, {
+    eventType: eventData.eventType,
+    attendees: eventData.numberOfAttendees,
+    isRefinement: !!tweakPrompt
+  });
+  
+  return runEventPlanning(createStructuredState(eventData, fieldProvenance, tweakPrompt), executionId);
+}
+
+/**
+ * Execute the event planning graph for an uploaded brief
+ * @param {string} documentText - Cleaned document text
+ * @param {string} filename - File name of the upload
+ * @returns {Object} Complete event planning result
+ */
+export async function executeDocumentEventPlanning(documentText, filename) {
+  const executionId = generateExecutionId();
+  
+  logger.info(`🚀 [${executionId}] Starting event planning graph execution from document`, {
+    filename,
+    length: documentText.length
+  });
+  
+  return runEventPlanning(createDocumentState(documentText, filename), executionId);
+}
+
+/**
+ * Run the graph from an initial state and finalize the result
+ * @param {Object} initialState - Initial graph state
+ * @param {string} executionId - Unique execution identifier
+ * @returns {Object} Complete event planning result
+ */
+async function runEventPlanning(initialState, executionId) {
+  const startTime = Date.now();
+  const { naturalInput, tweakPrompt } = initialState.userInput;
+  
   try {
-    const initialState = createInitialState(naturalInput, tweakPrompt);
-    
     logger.debug(`📊 [${executionId}] Initial state created`, {
       nextAction: initialState.nextAction,
-      hasInput: !!initialState.userInput.naturalInput
+      hasInput: !!naturalInput
     });
 
     const result = await executeWithTracking(initialState, executionId);
     
-    const executionTime = Date.now() - startTime;
-    const finalResult = enhanceResultWithMetrics(result, executionTime, executionId);
-
-    logger.info(`✅ [${executionId}] Event planning graph execution completed`, {
-      success: finalResult.success,
-      executionTime: `${(executionTime / 1000).toFixed(2)}s`,
-      stepsCompleted: StateHelpers.getCompletedSteps(finalResult).length,
-      
-      hasWarnings: StateHelpers.hasWarnings(finalResult)
-    });
-    
-    return finalResult;
+    return finalizeExecution(result, executionId, startTime);
 
   } catch (error) {
     const executionTime = Date.now() - startTime;
@@ -126,13 +231,128 @@ export async function executeEventPlanning(naturalInput, tweakPrompt = null) {
       stack: error.stack
     });
     
+    checkpointer.deleteThread(executionId);
     return createErrorResult(error, executionTime, naturalInput, tweakPrompt);
   }
 }
 
+/**
+ * Resume an execution paused for clarification
+ * @param {string} executionId - Execution identifier returned with the questions
+ * @param {Object} answers - Answers keyed by field name
+ * @returns {Object} Complete event planning result
+ */
+export async function resumeEventPlanning(executionId, answers) {
+  const startTime = Date.now();
+  
+  logger.info(`▶️ [${executionId}] Resuming event planning with clarification answers`, {
+    answeredFields: Object.keys(answers || {})
+  });
+  
+  const snapshot = checkpointer.hasThread(executionId) ?
+    await eventPlannerGraph.getState({ configurable: { thread_id: executionId } }) :
+    null;
+  
+  // A re-asked question pauses inside the resumed clarify task, so it shows
+  // as an interrupted task rather than as the next node
+  const pending = snapshot?.next?.includes('clarify') ||
+    snapshot?.tasks?.some(task => task.name === 'clarify' && task.interrupts?.length > 0);
+  if (!pending) {
+    throw new Error(`No pending clarification found for execution ${executionId}`);
+  }
+  
+  try {
+    const result = await executeWithTracking(new Command({ resume: answers || {} }), executionId);
+    
+    return finalizeExecution(result, executionId, startTime);
+
+  } catch (error) {
+    const executionTime = Date.now() - startTime;
+    
+    logger.error(`❌ [${executionId}] Resumed execution failed`, {
+      error: error.message,
+      executionTime: `${(executionTime / 1000).toFixed(2)}s`
+    });
+    
+    checkpointer.deleteThread(executionId);
+    return createErrorResult(error, executionTime, snapshot.values?.userInput?.naturalInput, null);
+  }
+}
+
+/**
+ * Turn a raw graph result into the final result, or a clarification request
+ * if the graph paused. Completed executions drop their checkpoints.
+ * @param {Object} result - Graph invoke result
+ * @param {string} executionId - Execution identifier
+ * @param {number} startTime - Start timestamp
+ * @returns {Object} Final result
+ */
+function finalizeExecution(result, executionId, startTime) {
+  const executionTime = Date.now() - startTime;
+  
+  const pendingInterrupt = result.__interrupt__?.[0];
+  if (pendingInterrupt) {
+    logger.info(`❓ [${executionId}] Execution paused for clarification`, {
+      missingFields: pendingInterrupt.value?.missingFields
+    });
+    
+    return createClarificationResult(result, pendingInterrupt.value, executionId, executionTime);
+  }
+  
+  checkpointer.deleteThread(executionId);
+  
+  const finalResult = enhanceResultWithMetrics(result, executionTime, executionId);
+
+  logger.info(`✅ [${executionId}] Event planning graph execution completed`, {
+    success: finalResult.success,
+    executionTime: `${(executionTime / 1000).toFixed(2)}s`,
+    stepsCompleted: StateHelpers.getCompletedSteps(finalResult).length,
+    
+    hasWarnings: StateHelpers.hasWarnings(finalResult)
+  });
+  
+  return finalResult;
+}
+
+/**
+ * Create result for an execution waiting on clarification answers
+ * @param {Object} result - Graph state at the pause
+ * @param {Object} payload - Interrupt payload ({ missingFields, questions })
+ * @param {string} executionId - Execution identifier used to resume
+ * @param {number} executionTime - Time elapsed in ms
+ * @returns {Object} Clarification result
+ */
+function createClarificationResult(result, payload, executionId, executionTime) {
+  const { __interrupt__, ...state } = result;
+  
+  return {
+    ...state,
+    success: false,
+    needsClarification: true,
+    executionId,
+    clarification: {
+      missingFields: payload.missingFields,
+      questions: payload.questions
+    },
+    nextAction: "clarify",
+    summary: {
+      status: 'Needs clarification',
+      message: `Please provide: ${payload.missingFields.join(', ')}`,
+      progress: StateHelpers.getProgress({ nextAction: 'validate' })
+    },
+    executionAnalytics: {
+      executionId,
+      totalExecutionTime: `${(executionTime / 1000).toFixed(2)}s`,
+      pausedAt: 'clarify',
+      llmAttempts: result.executionMetadata?.llmAttempts || [],
+      timestamp: new Date().toISOString()
+    }
+  };
+}
+
 /**
  * Execute graph with detailed tracking and logging
- * @param {Object} initialState - Initial state object
+ * @param {Object} initialState - Initial state object (or resume command)
  * @param {string} executionId - Unique execution identifier
  * @returns {Object} Execution result
  */
@@ -141,6 +361,7 @@ async function executeWithTracking(initialState, executionId) {
   
   const result = await eventPlannerGraph.invoke(initialState, {
     configurable: {
+      thread_id: executionId,
       executionId,
       startTime: stepStartTime,
       logProgress: true
@@ -176,6 +397,7 @@ function enhanceResultWithMetrics(result, executionId, startTime) {
       executionId,
       totalExecutionTime: `${((Date.now() - startTime) / 1000).toFixed(2)}s`,
       stepsCompleted: result.executionMetadata?.stepsCompleted || [],
+      llmAttempts: result.executionMetadata?.llmAttempts || [],
       progressPercentage: result.success ? 100 : 0,
       usedFallbacks: (result.warnings || []).some(w => w.includes('fallback')),
       timestamp: new Date().toISOString()
@@ -183,7 +405,7 @@ function enhanceResultWithMetrics(result, executionId, startTime) {
     graphMetadata: {
       architecture: 'state-graph',
       executionModel: 'sequential-with-recovery',
-      nodeCount: 5,
+      nodeCount: 7,
       finalAction: result.nextAction || 'unknown'
     },
     summary: {
@@ -212,6 +434,7 @@ function createErrorResult(error, executionTime, naturalInput, tweakPrompt) {
     error: error.message,
     errors: [`Graph execution failed: ${error.message}`],
     warnings: [],
+    issues: [createIssue('graph-execution-failed', `Graph execution failed: ${error.message}`, { category: 'system' })],
     generationTime: `${(executionTime / 1000).toFixed(2)} seconds`,
     timestamp: new Date().toISOString(),
     nextAction: "END",
@@ -246,11 +469,17 @@ function generateExecutionId() {
  * @returns {Array} Array of executed steps
  */
 function generateExecutionPath(result) {
-  const path = ['parse']; // Always starts with parse
+  // Structured input starts at validate, documents at parseDocument
+  const path = {
+    structured: [],
+    document: ['parseDocument']
+  }[result.userInput?.source] || ['parse'];
   
   if (StateHelpers.hasEventData(result)) path.push('validate');
+  if (result.policyCompliance) path.push('policyCheck');
   if (StateHelpers.hasPlan(result)) path.push('plan');
   if (StateHelpers.hasVenues(result)) path.push('venueSearch');
+  if (result.policyCompliance?.stage === 'plan') path.push('policyReview');
   if (StateHelpers.hasErrors(result)) path.push('error');
   return path;
 }
@@ -313,7 +542,7 @@ export function validateGraphConfiguration() {
     };
     
     eventPlannerStateSchema.parse(validTestState);
-    const expectedNodes = ['parse', 'validate', 'plan', 'venueSearch', 'error'];
+    const expectedNodes = ['parse', 'parseDocument', 'clarify', 'validate', 'policyCheck', 'plan', 'venueSearch', 'policyReview', 'error'];
     
     return {
       valid: true,
@@ -339,9 +568,10 @@ export function validateGraphConfiguration() {
 export function getGraphStatistics() {
   return {
     architecture: 'LangGraph State Machine',
-    totalNodes: 5,
+    totalNodes: 9,
     nodeTypes: {
-      processing: ['parse', 'validate', 'plan', 'venueSearch'],
+      processing: ['parse', 'parseDocument', 'validate', 'policyCheck', 'plan', 'venueSearch', 'policyReview'],
+      interactive: ['clarify'],
       error: ['error']
     },
     features: [
@@ -349,6 +579,9 @@ export function getGraphStatistics() {
       'State validation with Zod schemas',
       'Comprehensive error handling',
       'Plan refinement support',
+      'Clarification questions for missing critical fields',
+      'Email and document briefs parsed in chunks with reconciliation',
+      'Expense policy checks before and after planning',
       'Execution tracking and analytics',
       'Graceful fallback mechanisms'
     ],
@@ -0,0 +1,76 @@
+// src/graph/checkpointer.js
+import { MemorySaver } from "@langchain/langgraph";
+import { config } from "../config/config.js";
+import { logger } from "../utils/logger.js";
+
+/**
+ * In-memory checkpointer that forgets threads after a TTL.
+ * Executions only need their checkpoints while paused for clarification,
+ * so completed threads are deleted right away and abandoned ones expire.
+ */
+export class ExpiringMemorySaver extends MemorySaver {
+  constructor(ttlMinutes = config.clarificationTtlMinutes) {
+    super();
+    this.ttl = ttlMinutes * 60 * 1000;
+    this.lastTouched = new Map();
+
+    // Sweep abandoned threads every 5 minutes without keeping the process alive
+    this.cleanupInterval = setInterval(() => this.pruneExpired(), 5 * 60 * 1000);
+    this.cleanupInterval.unref();
+  }
+
+  async put(runnableConfig, checkpoint, metadata) {
+    const threadId = runnableConfig.configurable?.thread_id;
+    if (threadId) {
+      this.lastTouched.set(threadId, Date.now());
+    }
+    return super.put(runnableConfig, checkpoint, metadata);
+  }
+
+  /**
+   * Check if a thread still has checkpoints
+   * @param {string} threadId - Thread identifier
+   * @returns {boolean} True if thread is stored
+   */
+  hasThread(threadId) {
+    return !!this.storage[threadId];
+  }
+
+  /**
+   * Remove all checkpoints and pending writes for a thread
+   * @param {string} threadId - Thread identifier
+   */
+  deleteThread(threadId) {
+    delete this.storage[threadId];
+    this.lastTouched.delete(threadId);
+
+    const keyPrefix = JSON.stringify([threadId]).slice(0, -1) + ',';
+    for (const key of Object.keys(this.writes)) {
+      if (key.startsWith(keyPrefix)) {
+        delete this.writes[key];
+      }
+    }
+  }
+
+  /**
+   * Delete threads not touched within the TTL
+   * @returns {number} Number of threads removed
+   */
+  pruneExpired() {
+    const now = Date.now();
+    let removed = 0;
+
+    for (const [threadId, touchedAt] of this.lastTouched.entries()) {
+      if (now - touchedAt > this.ttl) {
+        this.deleteThread(threadId);
+        removed++;
+      }
+    }
+
+    if (removed > 0) {
+      logger.debug(`🧹 Checkpointer removed ${removed} expired executions`);
+    }
+
+    return removed;
+  }
+}
@@ -1,22 +1,226 @@
 // src/graph/state.js
 import { z } from "zod";
+import { EVENT_TYPE_NAMES } from "../config/eventTypes.js";
+import { VENUE_PRICE_BANDS } from "../config/cities.js";
+import { ACCESSIBILITY_NEED_NAMES } from "../utils/accessibility.js";
+import { FIELD_SOURCES, getDefaultedFields } from "../utils/provenance.js";
+import { ISSUE_SEVERITIES, ISSUE_CATEGORIES, FIX_ACTIONS } from "../utils/issues.js";
+import { PLAN_SECTION_KEYS } from "../utils/planModel.js";
+import { MAX_DAILY_HOURS } from "../utils/eventSchedule.js";
+import { config } from "../config/config.js";
+
+// Source and confidence of a single eventData field
+export const fieldProvenanceSchema = z.object({
+  source: z.enum(FIELD_SOURCES),
+  confidence: z.number().min(0).max(1),
+  detail: z.string().optional(),
+});
+
+// Structured event details
+export const eventDataSchema = z.object({
+  eventType: z.enum(EVENT_TYPE_NAMES).optional(),
+  numberOfAttendees: z.number().min(1).max(config.maxAttendees).optional(),
+  location: z.string().min(2).optional(),
+  date: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, "Date must be in YYYY-MM-DD format").optional(),
+  endDate: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, "End date must be in YYYY-MM-DD format").optional(),
+  budgetInINR: z.number().min(config.minBudget).optional(),
+  durationInHours: z.number().min(1).max(config.maxEventDays * MAX_DAILY_HOURS).optional(),
+  hoursPerDay: z.number().min(1).max(MAX_DAILY_HOURS).optional(),
+  startTime: z.string().regex(/^([01]\d|2[0-3]):[0-5]\d$/, "Start time must be in HH:MM format").optional(),
+  endTime: z.string().regex(/^([01]\d|2[0-3]):[0-5]\d$/, "End time must be in HH:MM format").optional(),
+  requirements: z.array(z.string()).default([]),
+  dietary: z.object({
+    veg: z.number().int().min(0).optional(),
+    nonVeg: z.number().int().min(0).optional(),
+    vegan: z.number().int().min(0).optional(),
+    jain: z.number().int().min(0).optional(),
+    halal: z.number().int().min(0).optional(),
+    glutenFree: z.number().int().min(0).optional(),
+    allergy: z.number().int().min(0).optional(),
+  }).optional(),
+  accessibility: z.array(z.enum(ACCESSIBILITY_NEED_NAMES)).optional(),
+});
+
+// LLM parse output: shape and types only. Budget, headcount and duration
+// limits are applied by post-processing and validation; reporting them to the
+// model as schema errors would only make it change a correctly read number
+export const parsedEventDataSchema = eventDataSchema.extend({
+  numberOfAttendees: z.number().optional(),
+  budgetInINR: z.number().optional(),
+  durationInHours: z.number().optional(),
+  hoursPerDay: z.number().optional(),
+});
+
+// Typed eventData from programmatic clients: critical fields required, unknown keys rejected
+export const structuredEventDataSchema = eventDataSchema
+  .extend({
+    numberOfAttendees: z.number().int().min(1).max(config.maxAttendees),
+  })
+  .required({
+    eventType: true,
+    location: true,
+    date: true,
+    budgetInINR: true,
+  })
+  .strict();
+
+// One LLM call made while producing structured output
+export const llmAttemptSchema = z.object({
+  task: z.string(),
+  attempt: z.number(),
+  valid: z.boolean(),
+  errors: z.array(z.string()),
+  durationMs: z.number(),
+});
+
+// Structured validation issue (see utils/issues.js)
+export const issueSchema = z.object({
+  code: z.string(),
+  field: z.string().nullable(),
+  severity: z.enum(ISSUE_SEVERITIES),
+  category: z.enum(ISSUE_CATEGORIES),
+  message: z.string(),
+  fix: z.object({
+    action: z.enum(FIX_ACTIONS),
+    field: z.string().nullable().optional(),
+    value: z.any().optional(),
+    min: z.union([z.number(), z.string()]).optional(),
+    max: z.union([z.number(), z.string()]).optional(),
+    options: z.array(z.any()).optional(),
+    format: z.string().optional(),
+    description: z.string().optional(),
+  }).nullable(),
+});
+
+// One-click change that clears a blocking issue (see utils/autoFix.js)
+export const fixProposalSchema = z.object({
+  id: z.string(),
+  issueCode: z.string(),
+  field: z.string(),
+  label: z.string(),
+  changes: z.record(z.union([z.string(), z.number()])),
+  resolvesAll: z.boolean(),
+});
+
+// Generated event plan as data; Markdown and plain text are rendered from it (see utils/planModel.js)
+export const structuredPlanSchema = z.object({
+  title: z.string(),
+  overview: z.object({
+    attendees: z.number(),
+    location: z.string(),
+    dates: z.string(),
+    timeWindow: z.string(),
+    budgetInINR: z.number(),
+  }),
+  brief: z.string(),
+  itinerary: z.array(z.object({
+    day: z.number().int().min(1),
+    date: z.string().nullable(),
+    items: z.array(z.object({
+      time: z.string().nullable(),
+      activity: z.string(),
+      details: z.string().nullable(),
+    })),
+  })),
+  costs: z.object({
+    lines: z.array(z.object({
+      label: z.string(),
+      category: z.string().nullable(),
+      amount: z.number().nullable(),
+      note: z.string().nullable(),
+      items: z.array(z.object({
+        label: z.string(),
+        amount: z.number().nullable(),
+      })),
+      // Set when the amount was corrected to the budget allocation
+      plannedAmount: z.number().nullable().optional(),
+      overshoot: z.number().optional(),
+    })),
+    total: z.number().nullable(),
+  }),
+  meals: z.array(z.object({
+    label: z.string().nullable(),
+    menu: z.string(),
+  })),
+  speakers: z.array(z.object({
+    name: z.string(),
+    expertise: z.string().nullable(),
+    availability: z.string().nullable(),
+  })),
+  logistics: z.array(z.object({
+    label: z.string().nullable(),
+    details: z.string(),
+  })),
+  activities: z.array(z.string()),
+  sections: z.array(z.object({
+    key: z.enum(PLAN_SECTION_KEYS),
+    heading: z.string(),
+    lines: z.array(z.string()),
+  })),
+  notes: z.array(z.string()),
+});
 
 export const eventPlannerStateSchema = z.object({
   // User input data
   userInput: z.object({
     naturalInput: z.string().min(10, "Input must be at least 10 characters"),
     tweakPrompt: z.string().optional(),
+    source: z.enum(["text", "structured", "document"]).optional(),
+    filename: z.string().optional(),
   }),
 
   // Parsed and validated event data
-  eventData: z.object({
-    eventType: z.enum(["training", "conference", "offsite", "seminar", "workshop", "meeting"]).optional(),
-    numberOfAttendees: z.number().min(1).max(1000).optional(),
-    location: z.string().min(2).optional(),
-    date: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, "Date must be in YYYY-MM-DD format").optional(),
-    budgetInINR: z.number().min(5000).optional(),
-    durationInHours: z.number().min(1).max(24).optional(),
-    requirements: z.array(z.string()).default([]),
+  eventData: eventDataSchema.optional(),
+
+  // Parsing metadata (where each field came from, which were defaulted)
+  parseMetadata: z.object({
+    defaultedFields: z.array(z.string()),
+    fieldProvenance: z.record(fieldProvenanceSchema).default({}),
+    dateResolution: z.object({
+      expression: z.string(),
+      resolvedDate: z.string(),
+      endDate: z.string().nullable(),
+      precision: z.enum(["day", "week", "month"]),
+      llmDate: z.string().optional(),
+      agrees: z.boolean(),
+    }).optional(),
+    timeResolution: z.object({
+      expression: z.string(),
+      resolvedStart: z.string().nullable(),
+      resolvedEnd: z.string().nullable(),
+      precision: z.enum(["exact", "part-of-day"]),
+      llmStart: z.string().optional(),
+      llmEnd: z.string().optional(),
+      agrees: z.boolean(),
+    }).optional(),
+    budgetResolution: z.object({
+      expression: z.string(),
+      resolvedBudget: z.number(),
+      perPersonBudget: z.number().nullable(),
+      range: z.object({ min: z.number(), max: z.number() }).nullable(),
+      basis: z.enum(["total", "per-person"]),
+      llmBudget: z.number(),
+      agrees: z.boolean(),
+    }).optional(),
+    budgetRaise: z.object({
+      requestedBudget: z.number(),
+      minimumBudget: z.number(),
+    }).optional(),
+    parsedAt: z.string(),
+  }).optional(),
+
+  // Follow-up questions when critical event details are missing
+  clarification: z.object({
+    missingFields: z.array(z.string()),
+    questions: z.array(z.object({
+      field: z.string(),
+      question: z.string(),
+      inputType: z.enum(["text", "number", "date", "select"]),
+      options: z.array(z.string()).optional(),
+      assumedValue: z.union([z.string(), z.number()]).optional(),
+    })),
+    answers: z.record(z.union([z.string(), z.number()])).optional(),
+    answeredAt: z.string().optional(),
   }).optional(),
 
   // Raw LLM responses for debugging
@@ -26,6 +230,7 @@ export const eventPlannerStateSchema = z.object({
 
   // Generated outputs
   eventPlan: z.string().optional(),
+  structuredPlan: structuredPlanSchema.optional(),
   venues: z.array(z.object({
     name: z.string(),
     url: z.string(),
@@ -36,6 +241,8 @@ export const eventPlannerStateSchema = z.object({
     suitabilityScore: z.number().optional(),
     features: z.array(z.string()).optional(),
     bookingUrgency: z.string().optional(),
+    preferredVendor: z.boolean().optional(),
+    priceBand: z.enum(VENUE_PRICE_BANDS).optional(),
   })).default([]),
 
   // Metadata and analytics
@@ -56,6 +263,7 @@ export const eventPlannerStateSchema = z.object({
     }),
     isFallback: z.boolean().optional(),
     originalError: z.string().optional(),
+    costCorrections: z.number().optional(),
   }).optional(),
 
   venueMetadata: z.object({
@@ -79,19 +287,72 @@ export const eventPlannerStateSchema = z.object({
     originalValid: z.boolean(),
     sanitized: z.boolean(),
     businessRulesApplied: z.boolean(),
+    ruleSet: z.string().optional(),
+    rulesTriggered: z.array(z.string()).default([]),
+    holidayConflicts: z.array(z.object({
+      name: z.string(),
+      type: z.enum(['national', 'festival', 'regional']),
+      date: z.string(),
+      relation: z.enum(['during', 'dayBefore', 'dayAfter']),
+    })).default([]),
+    alternativeDates: z.array(z.string()).default([]),
+    weatherRisks: z.array(z.object({
+      risk: z.enum(['monsoon', 'heat', 'cold', 'cyclone']),
+      label: z.string(),
+      month: z.string(),
+    })).default([]),
+    leadTime: z.object({
+      daysUntilEvent: z.number().nullable(),
+      status: z.enum(['ok', 'compressed', 'infeasible', 'unknown']),
+      minimumDays: z.number(),
+      recommendedDays: z.number(),
+      bookings: z.array(z.object({
+        booking: z.string(),
+        label: z.string(),
+        minimumDays: z.number(),
+        recommendedDays: z.number(),
+        status: z.enum(['ok', 'compressed', 'infeasible', 'unknown']),
+      })),
+      earliestFeasibleDate: z.string(),
+      recommendedDate: z.string(),
+    }).optional(),
     validatedAt: z.string(),
   }).optional(),
 
+  // Expense policy findings, updated before and after planning
+  policyCompliance: z.object({
+    policy: z.string(),
+    stage: z.enum(['validation', 'plan']),
+    compliant: z.boolean(),
+    violations: z.array(z.object({
+      code: z.string(),
+      stage: z.enum(['validation', 'plan']),
+      message: z.string(),
+      fix: z.string().optional(),
+    })).default([]),
+    approvalRequiredBy: z.string(),
+    approvalThreshold: z.number(),
+    approvalReason: z.string(),
+    checkedAt: z.string(),
+  }).optional(),
+
+  // LLM attempts (including schema repair retries) for this execution
+  executionMetadata: z.object({
+    llmAttempts: z.array(llmAttemptSchema).default([]),
+  }).optional(),
+
   // Timing and performance
   generationTime: z.string().optional(),
   timestamp: z.string().optional(),
   cached: z.boolean().default(false),
 
-  nextAction: z.enum(["parse", "validate", "plan", "venueSearch", "END", "error", "tweak"]),
+  nextAction: z.enum(["parse", "parseDocument", "clarify", "validate", "policyCheck", "plan", "venueSearch", "policyReview", "END", "error", "tweak"]),
   
-  // Error and warning handling
+  // Error and warning handling; issues holds the structured form of both
   errors: z.array(z.string()).default([]),
   warnings: z.array(z.string()).default([]),
+  issues: z.array(issueSchema).default([]),
+  fixProposals: z.array(fixProposalSchema).default([]),
   
   // Success indicators
   success: z.boolean().default(false),
@@ -105,6 +366,7 @@ export const eventPlannerStateSchema = z.object({
       system: z.array(z.string()),
       unknown: z.array(z.string()),
     }),
+    issues: z.array(issueSchema).default([]),
     recoverable: z.boolean(),
     suggestions: z.array(z.string()),
   }).optional(),
@@ -116,28 +378,43 @@ export const eventPlannerStateSchema = z.object({
  * @property {Object} userInput - User input data
  * @property {string} userInput.naturalInput - Natural language input
  * @property {string} [userInput.tweakPrompt] - Optional refinement prompt
+ * @property {string} [userInput.source] - "structured" when eventData was supplied directly (parse is skipped), "document" for uploaded briefs
+ * @property {string} [userInput.filename] - File name of an uploaded brief
  * @property {Object} [eventData] - Parsed event data
  * @property {string} [eventData.eventType] - Type of event
  * @property {number} [eventData.numberOfAttendees] - Number of attendees
  * @property {string} [eventData.location] - Event location
- * @property {string} [eventData.date] - Event date (YYYY-MM-DD)
+ * @property {string} [eventData.date] - Event date, first day for multi-day events (YYYY-MM-DD)
+ * @property {string} [eventData.endDate] - Last day of a multi-day event (YYYY-MM-DD)
  * @property {number} [eventData.budgetInINR] - Budget in INR
- * @property {number} [eventData.durationInHours] - Duration in hours
+ * @property {number} [eventData.durationInHours] - Total duration in hours across all days
+ * @property {number} [eventData.hoursPerDay] - Programme hours per day for multi-day events
+ * @property {string} [eventData.startTime] - Daily start time (HH:MM, IST)
+ * @property {string} [eventData.endTime] - Daily end time (HH:MM, IST; earlier than startTime runs past midnight)
  * @property {string[]} [eventData.requirements] - Special requirements
+ * @property {Object} [eventData.dietary] - Dietary counts (veg, nonVeg, vegan, jain, halal, glutenFree, allergy)
+ * @property {string[]} [eventData.accessibility] - Accessibility needs (wheelchair, signLanguage, hearingLoop, quietRoom)
+ * @property {Object} [parseMetadata] - Parsing metadata (field provenance, defaulted fields)
+ * @property {Object} [clarification] - Pending or answered follow-up questions
  * @property {string} [rawParseResult] - Raw parsing result
  * @property {string} [rawPlanResult] - Raw plan generation result
  * @property {string} [rawVenueResult] - Raw venue search result
- * @property {string} [eventPlan] - Generated event plan
+ * @property {string} [eventPlan] - Generated event plan as Markdown, rendered from structuredPlan
+ * @property {Object} [structuredPlan] - Generated event plan as data: brief, itinerary, costs, meals, speakers, logistics, activities and extra sections
  * @property {Array} [venues] - Array of venue suggestions
  * @property {Object} [planMetadata] - Plan generation metadata
  * @property {Object} [venueMetadata] - Venue search metadata
  * @property {Object} [validationMetadata] - Validation metadata
+ * @property {Object} [policyCompliance] - Expense policy violations and the approver the event needs
+ * @property {Object} [executionMetadata] - LLM attempts, including schema repair retries
  * @property {string} [generationTime] - Total generation time
  * @property {string} [timestamp] - Timestamp of generation
  * @property {boolean} cached - Whether result was cached
  * @property {string} nextAction - Next action in the flow
  * @property {string[]} errors - Array of errors
  * @property {string[]} warnings - Array of warnings
+ * @property {Array} issues - Structured errors and warnings: { code, field, severity, category, message, fix }
+ * @property {Array} [fixProposals] - Changes that clear blocking issues: { id, issueCode, field, label, changes, resolvesAll }
  * @property {boolean} success - Success indicator
  * @property {Object} [errorDetails] - Detailed error information
  */
@@ -157,6 +434,7 @@ export function createInitialState(naturalInput, tweakPrompt = null) {
     nextAction: "parse",
     errors: [],
     warnings: [],
+    issues: [],
     success: false,
     cached: false,
     venues: []
@@ -170,6 +448,54 @@ export function createInitialState(naturalInput, tweakPrompt = null) {
   return baseState;
 }
 
+/**
+ * Initial state for typed eventData that skips parsing
+ * Execution starts at the validate node
+ * @param {Object} eventData - Event data checked against structuredEventDataSchema
+ * @param {Object} fieldProvenance - Provenance map for the supplied and defaulted fields
+ * @param {string|null} tweakPrompt - Optional refinement prompt
+ * @returns {EventPlannerState} Initial state object
+ */
+export function createStructuredState(eventData, fieldProvenance, tweakPrompt = null) {
+  const baseState = createInitialState(`Structured input: ${JSON.stringify(eventData)}`, tweakPrompt);
+
+  return {
+    ...baseState,
+    userInput: {
+      ...baseState.userInput,
+      source: "structured"
+    },
+    eventData,
+    parseMetadata: {
+      defaultedFields: getDefaultedFields(fieldProvenance),
+      fieldProvenance,
+      parsedAt: new Date().toISOString()
+    },
+    nextAction: "validate"
+  };
+}
+
+/**
+ * Initial state for an uploaded brief
+ * Execution starts at the parseDocument node, which parses the text in chunks
+ * @param {string} documentText - Cleaned document text
+ * @param {string} filename - File name of the upload
+ * @returns {EventPlannerState} Initial state object
+ */
+export function createDocumentState(documentText, filename) {
+  const baseState = createInitialState(documentText);
+
+  return {
+    ...baseState,
+    userInput: {
+      ...baseState.userInput,
+      source: "document",
+      filename
+    },
+    nextAction: "parseDocument"
+  };
+}
+
 /**
  * State validation helper
  * Validates state object against schema
@@ -243,13 +569,20 @@ export const StateHelpers = {
    */
   isComplete: (state) => state.success && state.nextAction === "END",
   
+  /**
+   * Check if execution is paused waiting for clarification answers
+   * @param {EventPlannerState} state - State object
+   * @returns {boolean} True if clarification questions are pending
+   */
+  needsClarification: (state) => state.nextAction === "clarify" && !!state.clarification && !state.clarification.answers,
+  
   /**
    * Get execution progress as percentage
    * @param {EventPlannerState} state - State object
    * @returns {number} Progress percentage (0-100)
    */
   getProgress: (state) => {
-    const steps = ["parse", "validate", "plan", "venueSearch"]; // Updated step name
+    const steps = ["parse", "validate", "policyCheck", "plan", "venueSearch", "policyReview"];
     const currentIndex = steps.indexOf(state.nextAction);
     
     if (state.nextAction === "END") return 100;
@@ -268,8 +601,10 @@ export const StateHelpers = {
     const completed = [];
     
     if (StateHelpers.hasEventData(state)) completed.push("parse", "validate");
+    if (state.policyCompliance) completed.push("policyCheck");
     if (StateHelpers.hasPlan(state)) completed.push("plan");
     if (StateHelpers.hasVenues(state)) completed.push("venueSearch"); // Updated step name
+    if (state.policyCompliance?.stage === "plan") completed.push("policyReview");
     
     return completed;
   },
@@ -299,6 +634,8 @@ export const StateHelpers = {
     location: eventData?.location,
     budget: eventData?.budgetInINR,
     venuesFound: state.venues?.length || 0,
+    approvalRequiredBy: state.policyCompliance?.approvalRequiredBy,
+    policyViolations: state.policyCompliance?.violations.length || 0,
     hasWarnings: StateHelpers.hasWarnings(state),
     isRefinement: StateHelpers.isRefinement(state),
     completedSteps: StateHelpers.getCompletedSteps(state),
@@ -319,10 +656,13 @@ export const StateValidation = {
    */
   canTransitionTo: (currentState, nextAction) => {
     const validTransitions = {
-      "parse": ["validate", "error"],
-      "validate": ["plan", "error"],
+      "parse": ["clarify", "validate", "error"],
+      "clarify": ["validate", "error"],
+      "validate": ["policyCheck", "error"],
+      "policyCheck": ["plan", "error"],
       "plan": ["venueSearch", "error"], // FIXED: Use "venueSearch" consistently
-      "venueSearch": ["END", "error"], // FIXED: Use "venueSearch" consistently
+      "venueSearch": ["policyReview", "error"], // FIXED: Use "venueSearch" consistently
+      "policyReview": ["END"],
       "error": ["END"],
       "END": []
     };
@@ -341,10 +681,15 @@ export const StateValidation = {
     switch (action) {
       case "parse":
         return state.userInput?.naturalInput?.length >= 10;
+      case "clarify":
+        return StateHelpers.hasEventData(state);
       case "validate":
         return StateHelpers.hasEventData(state);
+      case "policyCheck":
       case "plan":
         return StateHelpers.hasEventData(state);
+      case "policyReview":
+        return StateHelpers.hasPlan(state);
       case "venueSearch": // Updated action name
         return StateHelpers.hasEventData(state);
       case "END":
@@ -366,12 +711,17 @@ export function getSchemaTypeInfo() {
     fields: {
       userInput: "User input data including natural language and optional tweak prompts",
       eventData: "Parsed and validated event information",
-      eventPlan: "Generated comprehensive event plan",
+      clarification: "Follow-up questions for missing critical fields and the user's answers",
+      eventPlan: "Generated comprehensive event plan (Markdown)",
+      structuredPlan: "Generated event plan as data, the source of the Markdown and plain text renderings",
       venues: "Array of venue suggestions with metadata",
+      policyCompliance: "Expense policy violations and the approver the event needs",
       metadata: "Various metadata objects for tracking and analytics",
       flowControl: "Next action and execution state",
-      results: "Success indicators, errors, and warnings"
+      results: "Success indicators, errors, and warnings",
+      issues: "Structured errors and warnings with code, field, severity, category and fix suggestion",
+      fixProposals: "One-click changes to the event data that clear blocking validation issues"
     },
-    validNextActions: ["parse", "validate", "plan", "venueSearch", "END", "error", "tweak"] // Updated actions
+    validNextActions: ["parse", "clarify", "validate", "policyCheck", "plan", "venueSearch", "policyReview", "END", "error", "tweak"] // Updated actions
   };
 }
\ No newline at end of file
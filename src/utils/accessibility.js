@@ -0,0 +1,138 @@
+/**
+ * Accessibility needs of an event's attendees
+ *
+ * eventData.accessibility lists the needs stated for the group, e.g.
+ * ["wheelchair", "signLanguage"]. Each need defines:
+ * - keywords: Pattern used to detect the need in free text
+ * - venueTerms: Venue search filters
+ * - provisions: What the venue and organisers must put in place
+ * - pricing: Estimated cost { label, rate, unit: event | day | hour, staff }
+ *
+ * Rates are INR estimates for Indian metros; hourly rates are per staff member.
+ */
+import { getEventDays, getDailyHours } from './eventSchedule.js';
+
+export const ACCESSIBILITY_NEEDS = {
+  wheelchair: {
+    label: 'Wheelchair access',
+    keywords: /wheel\s*chairs?|step[-\s]free|reduced\s+mobility|mobility\s+(?:aids?|impair\w*)/i,
+    venueTerms: ['wheelchair accessible', 'step-free access', 'accessible restrooms'],
+    provisions: [
+      'Step-free entry with ramps or lifts to every event area',
+      'Accessible restrooms on the event floor',
+      'Reserved accessible seating and parking near the entrance'
+    ],
+    pricing: { label: 'Portable ramps & accessible transport', rate: 15000, unit: 'event' }
+  },
+
+  signLanguage: {
+    label: 'Sign-language interpretation',
+    keywords: /sign[-\s]language|\bISL\b|\bdeaf\b/i,
+    venueTerms: ['stage lighting for interpreters'],
+    provisions: [
+      'Two Indian Sign Language interpreters working in rotation',
+      'Interpreter placed beside the speaker with clear lighting and sightlines',
+      'Session content shared with interpreters in advance'
+    ],
+    pricing: { label: 'Indian Sign Language interpreters', rate: 2500, unit: 'hour', staff: 2 }
+  },
+
+  hearingLoop: {
+    label: 'Hearing loop',
+    keywords: /(?:hearing|induction|audio)\s+loops?|hard\s+of\s+hearing|hearing[-\s]impair\w*|hearing\s+aids?/i,
+    venueTerms: ['hearing loop'],
+    provisions: [
+      'Induction loop covering the main session area, tested before doors open',
+      'Signage showing where the loop is active'
+    ],
+    pricing: { label: 'Portable hearing loop system', rate: 12000, unit: 'day' }
+  },
+
+  quietRoom: {
+    label: 'Quiet room',
+    keywords: /quiet\s+(?:room|space|zone)|sensory[-\s](?:room|friendly)|calm\s+room|neurodivergent/i,
+    venueTerms: ['quiet breakout room'],
+    provisions: [
+      'Separate low-light, low-noise room close to the main hall',
+      'Room open for the whole programme and signposted'
+    ],
+    pricing: { label: 'Quiet room (extra breakout room)', rate: 8000, unit: 'day' }
+  }
+};
+
+export const ACCESSIBILITY_NEED_NAMES = Object.keys(ACCESSIBILITY_NEEDS);
+
+// Checks every plan covers even when no needs are stated
+export const BASELINE_ACCESSIBILITY_CHECKS = [
+  'Confirm step-free access and accessible restrooms at the venue',
+  'Ask attendees for access needs at registration'
+];
+
+/**
+ * Detect accessibility needs in free text
+ * @param {string} text - Input text
+ * @returns {string[]} Need names in registry order
+ */
+export function detectAccessibilityNeeds(text) {
+  if (!text || typeof text !== 'string') return [];
+
+  return ACCESSIBILITY_NEED_NAMES.filter(name => ACCESSIBILITY_NEEDS[name].keywords.test(text));
+}
+
+/**
+ * Keep known need names, without duplicates, in registry order
+ * @param {Array} needs - Raw need names
+ * @returns {string[]} Clean need names
+ */
+export function normalizeAccessibilityNeeds(needs) {
+  if (!Array.isArray(needs)) return [];
+
+  return ACCESSIBILITY_NEED_NAMES.filter(name => needs.includes(name));
+}
+
+/**
+ * Get the display label of a need
+ * @param {string} need - Need name
+ * @returns {string} Label
+ */
+export function getAccessibilityLabel(need) {
+  return ACCESSIBILITY_NEEDS[need]?.label || need;
+}
+
+/**
+ * Get venue search terms for the stated needs
+ * @param {string[]} needs - Need names
+ * @returns {string[]} Search terms
+ */
+export function getAccessibilityVenueTerms(needs = []) {
+  return normalizeAccessibilityNeeds(needs).flatMap(name => ACCESSIBILITY_NEEDS[name].venueTerms);
+}
+
+/**
+ * Estimate the cost of each stated need over the event's days and hours
+ * @param {Object} eventData - Event data
+ * @returns {Array} [{ need, label, quantity, amount }]
+ */
+export function estimateAccessibilityCosts(eventData) {
+  const days = getEventDays(eventData);
+  const hours = getDailyHours(eventData) * days;
+
+  return normalizeAccessibilityNeeds(eventData?.accessibility).map(need => {
+    const { label, rate, unit, staff = 1 } = ACCESSIBILITY_NEEDS[need].pricing;
+    const units = unit === 'hour' ? hours : unit === 'day' ? days : 1;
+    const quantity = unit === 'hour' ?
+      `${staff} × ${hours}h @ ₹${rate.toLocaleString()}/h` :
+      unit === 'day' ? `${days} day${days > 1 ? 's' : ''} @ ₹${rate.toLocaleString()}` : 'per event';
+
+    return { need, label, quantity, amount: rate * staff * units };
+  });
+}
+
+/**
+ * Total the estimated accessibility costs
+ * @param {Object} eventData - Event data
+ * @returns {number} Amount in INR (0 when no needs are stated)
+ */
+export function getAccessibilityTotal(eventData) {
+  return estimateAccessibilityCosts(eventData).reduce((sum, line) => sum + line.amount, 0);
+}
@@ -0,0 +1,197 @@
+/**
+ * Deterministic extraction of INR budget amounts
+ *
+ * Understands the usual ways budgets are written in Indian briefs:
+ * - Prefixes: ₹, Rs, Rs., INR
+ * - Units: lakh/lakhs/lac/L, crore/cr, k/thousand, million/mn
+ * - Grouping: lakh-style "1,50,000" and western "150,000", optional "/-" suffix
+ * - Ranges: "1.5–2 lakhs", "₹80k to ₹1L", "between 1 and 2 lakhs"
+ * - Per-head amounts: "₹2,000 per person", "1500/head", "₹800 pp"
+ *
+ * Conventions:
+ * - A bare number only counts as money right after the word "budget"
+ * - A range plans on its lower bound; the full range is returned alongside
+ * - When several budgets are mentioned, the last one after "budget" wins
+ *   (later statements such as refinements override earlier ones)
+ */
+
+const UNIT_MULTIPLIERS = {
+  k: 1000, thousand: 1000,
+  l: 100000, lakh: 100000, lakhs: 100000, lac: 100000, lacs: 100000,
+  million: 1000000, mn: 1000000,
+  cr: 10000000, crore: 10000000, crores: 10000000
+};
+
+const AMOUNT_PATTERN = /(₹|\brs\.?|\binr)?\s*(\d+(?:,\d+)*(?:\.\d+)?)(?:\s*(lakhs?|lacs?|l|crores?|cr|k|thousand|million|mn)(?![a-z]))?(\s*\/-)?/gi;
+const RANGE_GAP_PATTERN = /^\s*(?:-|–|—|to)\s*$/i;
+const BETWEEN_GAP_PATTERN = /^\s*and\s*$/i;
+const PER_HEAD_PATTERN = /^\s*(?:(?:\/|per|a)\s*(?:person|head|pax|participant|attendee|employee|guest)s?\b|pp\b|each\b)/i;
+const BUDGET_CONTEXT_PATTERN = /budget[^\d.;\n]{0,25}$/i;
+
+/**
+ * Parse a single amount such as "1.5 lakh", "Rs. 1,50,000" or "80k"
+ * Unlike parseBudget, a bare number is accepted
+ * @param {string|number} text - Amount text
+ * @returns {number|null} Amount in INR or null if unreadable
+ */
+export function parseAmount(text) {
+  if (typeof text === 'number') return Number.isFinite(text) && text > 0 ? Math.round(text) : null;
+  if (!text || typeof text !== 'string') return null;
+
+  const mention = findMentions(text)[0];
+  const amount = mention ? mention.number * (mention.multiplier || 1) : 0;
+  return amount > 0 ? Math.round(amount) : null;
+}
+
+/**
+ * Extract the budget from free text
+ * @param {string} text - Input text
+ * @param {Object} options - Extraction options
+ * @param {number} options.attendees - Headcount used to convert per-head amounts
+ * @returns {Object|null} { totalBudget, perPersonBudget, range, basis, expression } or null if no budget found
+ */
+export function parseBudget(text, { attendees } = {}) {
+  if (!text || typeof text !== 'string') return null;
+
+  const amounts = groupRanges(text, findMentions(text)).filter(amount => amount.isMoney);
+  if (amounts.length === 0) return null;
+
+  const totals = amounts.filter(amount => !amount.perHead);
+  const perHeads = amounts.filter(amount => amount.perHead);
+  const headcount = parseInt(attendees) > 0 ? parseInt(attendees) : null;
+
+  const total = pickBudget(totals);
+  const perHead = pickBudget(perHeads);
+
+  if (total) {
+    return {
+      totalBudget: total.min,
+      perPersonBudget: perHead ? perHead.min : headcount ? Math.round(total.min / headcount) : null,
+      range: total.max > total.min ? { min: total.min, max: total.max } : null,
+      basis: 'total',
+      expression: total.expression
+    };
+  }
+
+  return {
+    totalBudget: headcount ? perHead.min * headcount : null,
+    perPersonBudget: perHead.min,
+    range: headcount && perHead.max > perHead.min ?
+      { min: perHead.min * headcount, max: perHead.max * headcount } :
+      null,
+    basis: 'per-person',
+    expression: perHead.expression
+  };
+}
+
+/**
+ * Compare an LLM-provided budget with the deterministic extraction from the input
+ * @param {string} text - Original input text
+ * @param {number} llmBudget - Budget returned by the LLM
+ * @param {Object} options - Options passed to parseBudget
+ * @returns {Object|null} Comparison result or null if the input has no usable budget
+ */
+export function checkBudgetAgainstInput(text, llmBudget, options = {}) {
+  const parsed = parseBudget(text, options);
+  if (!parsed || !parsed.totalBudget) return null;
+
+  const budget = Number(llmBudget) || 0;
+  // Allow rounding slack; anything inside a stated range is fine
+  const agrees = parsed.range ?
+    budget >= parsed.range.min && budget <= parsed.range.max :
+    Math.abs(budget - parsed.totalBudget) <= parsed.totalBudget * 0.01;
+
+  return {
+    expression: parsed.expression,
+    resolvedBudget: parsed.totalBudget,
+    perPersonBudget: parsed.perPersonBudget,
+    range: parsed.range,
+    basis: parsed.basis,
+    llmBudget: budget,
+    agrees
+  };
+}
+
+/**
+ * Find every number in the text with its currency markers
+ */
+function findMentions(text) {
+  const mentions = [];
+
+  for (const match of text.matchAll(AMOUNT_PATTERN)) {
+    const [raw, prefix, digits, unit, suffix] = match;
+    const start = match.index + raw.length - raw.trimStart().length;
+    const end = match.index + raw.length;
+    const perHead = PER_HEAD_PATTERN.exec(text.slice(end));
+    const budgetContext = BUDGET_CONTEXT_PATTERN.test(text.slice(0, start));
+
+    mentions.push({
+      number: parseFloat(digits.replace(/,/g, '')),
+      multiplier: unit ? UNIT_MULTIPLIERS[unit.toLowerCase()] : null,
+      isMoney: !!(prefix || unit || suffix) || budgetContext,
+      budgetContext,
+      perHead: !!perHead,
+      start,
+      end: perHead ? end + perHead[0].length : end
+    });
+  }
+
+  return mentions;
+}
+
+/**
+ * Merge adjacent mentions joined by "-", "to" or "between ... and" into ranges
+ * A unit on the upper bound also applies to a bare lower bound ("1.5–2 lakhs")
+ */
+function groupRanges(text, mentions) {
+  const amounts = [];
+
+  for (let i = 0; i < mentions.length; i++) {
+    const low = mentions[i];
+    const high = mentions[i + 1];
+    const gap = high ? text.slice(low.end, high.start) : '';
+    const between = /between\s*$/i.exec(text.slice(0, low.start));
+    const isRange = high && !low.perHead && (low.isMoney || high.isMoney) &&
+      (RANGE_GAP_PATTERN.test(gap) || (between && BETWEEN_GAP_PATTERN.test(gap)));
+
+    if (isRange) {
+      const lowValue = low.number * (low.multiplier || high.multiplier || 1);
+      const highValue = high.number * (high.multiplier || 1);
+      const start = between && BETWEEN_GAP_PATTERN.test(gap) ? between.index : low.start;
+
+      amounts.push(toAmount(text, Math.min(lowValue, highValue), Math.max(lowValue, highValue), {
+        perHead: high.perHead,
+        isMoney: true,
+        budgetContext: low.budgetContext || high.budgetContext || BUDGET_CONTEXT_PATTERN.test(text.slice(0, start)),
+        start,
+        end: high.end
+      }));
+      i++;
+    } else {
+      const value = low.number * (low.multiplier || 1);
+      amounts.push(toAmount(text, value, value, low));
+    }
+  }
+
+  return amounts;
+}
+
+function toAmount(text, min, max, mention) {
+  return {
+    min: Math.round(min),
+    max: Math.round(max),
+    perHead: mention.perHead,
+    isMoney: mention.isMoney,
+    budgetContext: mention.budgetContext,
+    expression: text.slice(mention.start, mention.end).trim()
+  };
+}
+
+/**
+ * Pick the budget among candidate amounts: the last one introduced by "budget",
+ * otherwise the first one mentioned
+ */
+function pickBudget(amounts) {
+  const inContext = amounts.filter(amount => amount.budgetContext);
+  return inContext.length > 0 ? inContext[inContext.length - 1] : amounts[0] || null;
+}
@@ -0,0 +1,100 @@
+/**
+ * Auto-fix proposals for blocking validation issues
+ *
+ * Turns the fix suggestions on an issue (see utils/issues.js) into concrete
+ * changes to the event data, e.g. the minimum budget for the current
+ * headcount or the nearest valid date. A proposal is:
+ *   { id, issueCode, field, label, changes, resolvesAll }
+ * changes is merged into eventData to apply it; resolvesAll says whether the
+ * event passes validation afterwards (set by the validator, which re-checks
+ * each candidate).
+ */
+import { parseISODate, formatDate, addDays } from './dateResolver.js';
+import { formatDayLabel } from './holidayCalendar.js';
+
+// A oneOf fix with more options than this is a choice for the user, not a fix
+const MAX_OPTION_PROPOSALS = 3;
+
+/**
+ * Build candidate proposals for one blocking issue
+ * @param {Object} eventData - Event data that failed validation
+ * @param {Object} issue - Blocking issue
+ * @param {Array} fixes - Fix suggestions to try: the issue's fix and any alternatives
+ * @returns {Array} Proposals without resolvesAll
+ */
+export function buildFixCandidates(eventData, issue, fixes) {
+  return fixes.filter(Boolean).flatMap(fix => getFixValues(eventData, fix).map((value, index, values) => ({
+    id: `${issue.code}:${fix.field}${values.length > 1 ? `:${index + 1}` : ''}`,
+    issueCode: issue.code,
+    field: fix.field,
+    label: describeChange(eventData, fix.field, value),
+    changes: getChanges(eventData, fix.field, value)
+  })));
+}
+
+/**
+ * Apply a proposal's changes to event data
+ * @param {Object} eventData - Event data
+ * @param {Object} proposal - Proposal (only changes is used)
+ * @returns {Object} New event data
+ */
+export function applyFixProposal(eventData, proposal) {
+  return { ...eventData, ...proposal.changes };
+}
+
+/**
+ * Values a fix suggests for its field
+ * range moves the current value to the nearest bound; set and oneOf give
+ * their values; format and review have no automatic value
+ */
+function getFixValues(eventData, fix) {
+  if (!fix.field || fix.field.includes('.')) return [];
+  const current = eventData[fix.field];
+  if (current !== undefined && typeof current !== 'number' && typeof current !== 'string') return [];
+
+  switch (fix.action) {
+    case 'set':
+      return fix.value !== undefined && fix.value !== current ? [fix.value] : [];
+    case 'range':
+      if (fix.min !== undefined && (current === undefined || current < fix.min)) return [fix.min];
+      if (fix.max !== undefined && (current === undefined || current > fix.max)) return [fix.max];
+      return [];
+    case 'oneOf':
+      return fix.options.length <= MAX_OPTION_PROPOSALS ? fix.options.filter(option => option !== current) : [];
+    default:
+      return [];
+  }
+}
+
+// Moving the start date moves the end date with it, so the event keeps its length
+function getChanges(eventData, field, value) {
+  const start = parseISODate(eventData.date);
+  const end = parseISODate(eventData.endDate);
+  const target = field === 'date' ? parseISODate(value) : null;
+
+  if (!start || !end || !target) {
+    return { [field]: value };
+  }
+
+  return { date: value, endDate: formatDate(addDays(target, Math.round((end - start) / 86400000))) };
+}
+
+function describeChange(eventData, field, value) {
+  const current = eventData[field];
+  const direction = typeof current === 'number' ? (value > current ? 'Raise' : 'Lower') : 'Set';
+
+  switch (field) {
+    case 'budgetInINR':
+      return `${direction} the budget to ₹${value.toLocaleString()}`;
+    case 'numberOfAttendees':
+      return `${direction === 'Lower' ? 'Reduce' : direction === 'Raise' ? 'Increase' : 'Set'} the headcount to ${value}`;
+    case 'durationInHours':
+      return `${direction === 'Set' ? 'Set' : direction === 'Raise' ? 'Extend' : 'Shorten'} the event to ${value} hours`;
+    case 'date':
+      return `Move the event to ${formatDayLabel(value)}`;
+    case 'endDate':
+      return `End the event on ${formatDayLabel(value)}`;
+    default:
+      return `Set ${field} to ${value}`;
+  }
+}
@@ -0,0 +1,172 @@
+/**
+ * Economy, standard and premium alternatives of one event
+ *
+ * buildTierEventData derives a tier's event data from the request (see
+ * config/budgetTiers.js). compareBudgetTiers lines the tier plans up side by
+ * side - budget, cost lines, venue shortlist and approver - and lists what
+ * changes from each planned tier to the next; renderTierComparison writes
+ * that as Markdown. A cheaper tier never goes below the lowest budget the
+ * business rules accept for the headcount; when that floor is the requested
+ * budget itself the tier is reported as not possible. A venue shortlist
+ * that does not change with the tier (no venues known in the tiers' price
+ * bands) is marked as shared.
+ */
+import { BUDGET_TIERS } from '../config/budgetTiers.js';
+import { config } from '../config/config.js';
+
+// Largest cost line changes listed between two tiers
+const MAX_COST_CHANGES = 3;
+// Venues shown per tier
+const MAX_SHORTLIST = 3;
+
+/**
+ * Build the event data for one budget tier
+ * @param {Object} eventData - Event data as requested
+ * @param {string} tier - Tier name from BUDGET_TIERS
+ * @param {number} minBudget - Lowest budget the business rules accept for the event (config.minBudget by default)
+ * @returns {Object} Event data with the tier's budget and requirements
+ */
+export function buildTierEventData(eventData, tier, minBudget = config.minBudget) {
+  const { budgetFactor, addRequirements, dropRequirements } = BUDGET_TIERS[tier];
+  const kept = (eventData.requirements || []).filter(requirement => !dropRequirements?.test(requirement));
+  const requirements = [...kept, ...addRequirements.filter(requirement => !kept.includes(requirement))];
+
+  return {
+    ...eventData,
+    budgetInINR: budgetFactor === 1 ?
+      eventData.budgetInINR :
+      Math.max(minBudget, Math.round(eventData.budgetInINR * budgetFactor / 1000) * 1000),
+    ...((eventData.requirements || requirements.length > 0) && { requirements })
+  };
+}
+
+/**
+ * Say why a tier cannot be planned: a cheaper tier whose budget is held at
+ * the business rules' floor and so is no cheaper than the event as requested
+ * @param {Object} eventData - Event data as requested
+ * @param {Object} tierData - Result of buildTierEventData
+ * @param {string} tier - Tier name from BUDGET_TIERS
+ * @returns {string|null} Reason, null when the tier can be planned
+ */
+export function getUnavailableTierReason(eventData, tierData, tier) {
+  if (BUDGET_TIERS[tier].budgetFactor >= 1 || tierData.budgetInINR < eventData.budgetInINR) {
+    return null;
+  }
+
+  return `Not possible for ${eventData.numberOfAttendees} attendees - no budget below ${formatAmount(eventData.budgetInINR)} passes the business rules`;
+}
+
+/**
+ * Compare the plans of each tier
+ * @param {Array} plans - [{ tier, eventData, result }] in tier order; result is the plan response, or
+ *   { success: false, unavailable: true, error } for a tier that could not be planned
+ * @returns {Object} { tiers: [{ tier, label, status: planned|failed|unavailable, budgetInINR (null when unavailable), perPersonInINR, requirements, venues, approvalRequiredBy, error }],
+ *   costs: [{ category, label, amounts: { [tier]: amount|null } }], changes: [{ from, to, changes: [string] }],
+ *   sharedVenues: true when every planned tier has the same venue shortlist }
+ */
+export function compareBudgetTiers(plans) {
+  const tiers = plans.map(({ tier, eventData, result }) => ({
+    tier,
+    label: BUDGET_TIERS[tier].label,
+    status: result.success ? 'planned' : result.unavailable ? 'unavailable' : 'failed',
+    budgetInINR: result.unavailable ? null : eventData.budgetInINR,
+    perPersonInINR: result.unavailable ? null : Math.round(eventData.budgetInINR / eventData.numberOfAttendees),
+    requirements: eventData.requirements || [],
+    venues: result.success ? (result.venues || []).slice(0, MAX_SHORTLIST).map(venue => venue.name) : [],
+    approvalRequiredBy: result.approvalRequiredBy || null,
+    error: result.success ? null : result.error || 'Plan generation failed'
+  }));
+
+  const costs = [];
+  plans.filter(({ result }) => result.success).forEach(({ tier, result }) => {
+    result.structuredPlan.costs.lines.forEach(line => {
+      const key = line.category || line.label;
+      let row = costs.find(cost => (cost.category || cost.label) === key);
+      if (!row) {
+        row = { category: line.category, label: line.label, amounts: Object.fromEntries(plans.map(plan => [plan.tier, null])) };
+        costs.push(row);
+      }
+      row.amounts[tier] = (row.amounts[tier] || 0) + (line.amount || 0);
+    });
+  });
+
+  const planned = tiers.filter(tier => tier.status === 'planned');
+  const changes = planned.slice(1).map((to, index) => {
+    const from = planned[index];
+    return { from: from.tier, to: to.tier, changes: describeTierChanges(from, to, costs) };
+  });
+
+  const shortlists = planned.map(tier => tier.venues.join('\n'));
+  const sharedVenues = planned.length > 1 && shortlists[0] !== '' && shortlists.every(shortlist => shortlist === shortlists[0]);
+
+  return { tiers, costs, changes, sharedVenues };
+}
+
+/**
+ * Render the tier comparison as Markdown: a side-by-side table and the
+ * changes between tiers
+ * @param {Object} comparison - Result of compareBudgetTiers
+ * @returns {string} Markdown
+ */
+export function renderTierComparison({ tiers, costs, changes, sharedVenues }) {
+  const row = (label, cells) => `| ${[label, ...cells].join(' | ')} |`;
+  const byTier = render => tiers.map(tier => tier.status === 'planned' ? render(tier) : '-');
+
+  return [
+    '## BUDGET TIER COMPARISON',
+    row('', tiers.map(tier => tier.label)),
+    row('---', tiers.map(() => '---:')),
+    row('Plan', tiers.map(tier => tier.status === 'planned' ? '✅ Planned' : `${tier.status === 'unavailable' ? '➖' : '❌'} ${tier.error}`)),
+    row('Budget', tiers.map(tier => formatAmount(tier.budgetInINR))),
+    row('Per person', tiers.map(tier => formatAmount(tier.perPersonInINR))),
+    ...costs.map(cost => row(cost.label, tiers.map(tier => formatAmount(cost.amounts[tier.tier])))),
+    row(sharedVenues ? 'Venues (same for all tiers)' : 'Venues', byTier(tier => tier.venues.join(', ') || '-')),
+    row('Approval', byTier(tier => tier.approvalRequiredBy || '-')),
+    ...changes.flatMap(({ from, to, changes: lines }) => [
+      '',
+      `### ${BUDGET_TIERS[from].label} → ${BUDGET_TIERS[to].label}`,
+      ...lines.map(line => `- ${line}`)
+    ])
+  ].join('\n');
+}
+
+function describeTierChanges(from, to, costs) {
+  const changes = [];
+  const percent = Math.round((to.budgetInINR - from.budgetInINR) / from.budgetInINR * 100);
+  changes.push(`Budget ${formatAmount(from.budgetInINR)} → ${formatAmount(to.budgetInINR)} (${percent >= 0 ? '+' : ''}${percent}%)`);
+
+  const added = to.requirements.filter(requirement => !from.requirements.includes(requirement));
+  const dropped = from.requirements.filter(requirement => !to.requirements.includes(requirement));
+  if (added.length > 0 || dropped.length > 0) {
+    changes.push(`Requirements: ${[
+      added.length > 0 ? `adds ${added.join(', ')}` : null,
+      dropped.length > 0 ? `drops ${dropped.join(', ')}` : null
+    ].filter(Boolean).join('; ')}`);
+  }
+
+  costs.forEach(cost => {
+    const [before, after] = [cost.amounts[from.tier], cost.amounts[to.tier]];
+    if (!before && after) changes.push(`Adds ${cost.label} (${formatAmount(after)})`);
+    if (before && !after) changes.push(`Drops ${cost.label} (${formatAmount(before)})`);
+  });
+  costs
+    .filter(cost => cost.amounts[from.tier] && cost.amounts[to.tier] && cost.amounts[from.tier] !== cost.amounts[to.tier])
+    .sort((a, b) => Math.abs(b.amounts[to.tier] - b.amounts[from.tier]) - Math.abs(a.amounts[to.tier] - a.amounts[from.tier]))
+    .slice(0, MAX_COST_CHANGES)
+    .forEach(cost => changes.push(`${cost.label} ${formatAmount(cost.amounts[from.tier])} → ${formatAmount(cost.amounts[to.tier])}`));
+
+  const newVenues = to.venues.filter(venue => !from.venues.includes(venue));
+  if (newVenues.length > 0) {
+    changes.push(`Venue shortlist adds ${newVenues.join(', ')}`);
+  }
+
+  if (from.approvalRequiredBy !== to.approvalRequiredBy) {
+    changes.push(`Approval moves from ${from.approvalRequiredBy || 'none'} to ${to.approvalRequiredBy || 'none'}`);
+  }
+
+  return changes;
+}
+
+function formatAmount(amount) {
+  return amount === null || amount === undefined ? '-' : `₹${amount.toLocaleString()}`;
+}
@@ -0,0 +1,248 @@
+/**
+ * Deterministic budget allocation
+ *
+ * allocateBudget splits the budget across cost categories from the event
+ * type's default split, weighted by city tier and requirements (see
+ * config/costAllocation.js), after taking fixed costs (accommodation,
+ * accessibility) off the top. Catering is held to the expense policy's meal
+ * caps for the scheduled meals and what it would have had over the cap goes
+ * to the other variable lines, so the allocation stays within policy.
+ * Amounts are rounded down to ₹100 and the remainder goes to miscellaneous,
+ * so the lines always add up to the budget.
+ *
+ * reconcileCosts checks a generated cost breakdown against the allocation:
+ * every line is set to its allocated amount (the generated amount is kept as
+ * plannedAmount), lines that exceeded their allocation by more than the
+ * tolerance are flagged with overshoot, and lines outside the allocation are
+ * listed under the contingency.
+ */
+import { getEventTypeProfile, COST_CATEGORY_LABELS } from '../config/eventTypes.js';
+import { getCityProfile } from '../config/cities.js';
+import { CITY_TIER_WEIGHTS, REQUIREMENT_WEIGHTS, TRANSPORT, CONTINGENCY_SHARES, OVERSHOOT_TOLERANCE } from '../config/costAllocation.js';
+import { getExpensePolicy } from '../config/expensePolicy.js';
+import { estimateAccommodation, getEventDays, getScheduledMeals } from './eventSchedule.js';
+import { estimateAccessibilityCosts } from './accessibility.js';
+import { getDietaryProfile, splitCatering } from './dietaryProfile.js';
+
+const ROUNDING = 100;
+
+/**
+ * Allocate an event's budget across cost categories
+ * @param {Object} eventData - Event data with eventType, budgetInINR, numberOfAttendees, location and requirements
+ * @param {Object|null} policy - Expense policy whose meal caps apply (the active policy by default; null for none)
+ * @returns {Object} { budget, lines: [{ category, label, amount, share, basis, items: [{ label, amount }] }] }
+ *   share is the part of the budget (0-1); basis says how a line was sized, e.g. "15 rooms × 2 nights @ ₹6,000"
+ */
+export function allocateBudget(eventData, policy = getActivePolicy()) {
+  const budget = eventData.budgetInINR;
+  const attendees = eventData.numberOfAttendees;
+  const accommodation = estimateAccommodation(eventData);
+  const accessibilityCosts = estimateAccessibilityCosts(eventData);
+
+  // Fixed costs come off the top
+  let remaining = budget;
+  const fixedLines = [
+    {
+      category: 'accommodation',
+      amount: accommodation?.amount || 0,
+      basis: accommodation ? `${accommodation.rooms} rooms × ${accommodation.nights} night${accommodation.nights > 1 ? 's' : ''} @ ₹${accommodation.ratePerNight.toLocaleString()}` : null,
+      items: []
+    },
+    {
+      category: 'accessibility',
+      amount: accessibilityCosts.reduce((sum, item) => sum + item.amount, 0),
+      basis: null,
+      items: accessibilityCosts.map(item => ({ label: `${item.label} (${item.quantity})`, amount: item.amount }))
+    }
+  ].map(line => {
+    const amount = Math.min(remaining, Math.max(0, Math.round(line.amount)));
+    remaining -= amount;
+    return { ...line, amount };
+  }).filter(line => line.amount > 0);
+
+  const { shares, contingencyShare } = getShares(eventData);
+  const variableLines = Object.entries(shares).map(([category, share]) => ({
+    category,
+    amount: roundDown(remaining * share),
+    basis: category === 'catering' ? `${attendees} people` : null,
+    items: []
+  }));
+  capCatering(variableLines, eventData, policy);
+  const contingency = { category: 'contingency', amount: roundDown(remaining * contingencyShare), basis: null, items: [] };
+  const allocated = [...variableLines, contingency].reduce((sum, line) => sum + line.amount, 0);
+  const misc = { category: 'misc', amount: remaining - allocated, basis: null, items: [] };
+
+  // Catering is split across the dietary counts
+  const dietary = getDietaryProfile(eventData);
+  const catering = variableLines.find(line => line.category === 'catering');
+  if (catering && dietary) {
+    catering.items = splitCatering(catering.amount, dietary, attendees)
+      .map(item => ({ label: `${item.label} × ${item.count}`, amount: item.amount }));
+  }
+
+  return {
+    budget,
+    lines: [...fixedLines, ...variableLines, contingency, misc]
+      .filter(line => line.amount > 0)
+      .map(line => ({
+        ...line,
+        label: COST_CATEGORY_LABELS[line.category],
+        share: budget > 0 ? Math.round(line.amount / budget * 1000) / 1000 : 0
+      }))
+  };
+}
+
+/**
+ * Check a generated cost breakdown against the allocation and correct it
+ * @param {Object} costs - Plan costs: { lines: [{ label, category, amount, note, items }], total }
+ * @param {Object} allocation - Result of allocateBudget
+ * @returns {Object} { costs, corrections: [{ category, label, plannedAmount, amount }], overshoots: [{ category, label, plannedAmount, amount, overshoot }] }
+ */
+export function reconcileCosts(costs, allocation) {
+  const categories = new Set(allocation.lines.map(line => line.category));
+  const planned = {};
+  const unallocated = [];
+
+  costs.lines.forEach(line => {
+    if (!line.category || !categories.has(line.category)) {
+      unallocated.push(line);
+      return;
+    }
+    const existing = planned[line.category];
+    planned[line.category] = existing ? {
+      ...existing,
+      amount: line.amount === null ? existing.amount : (existing.amount || 0) + line.amount,
+      items: [...existing.items, ...line.items]
+    } : line;
+  });
+
+  const lines = allocation.lines.map(target => {
+    const source = planned[target.category];
+    const plannedAmount = source?.amount ?? null;
+    const overshoot = plannedAmount !== null && plannedAmount > target.amount * (1 + OVERSHOOT_TOLERANCE) ?
+      plannedAmount - target.amount : 0;
+
+    return {
+      label: target.label,
+      category: target.category,
+      amount: target.amount,
+      note: source?.note ?? (target.basis && `(${target.basis})`),
+      items: target.items.length > 0 ? target.items : scaleItems(source?.items || [], target.amount),
+      plannedAmount,
+      ...(overshoot > 0 && { overshoot })
+    };
+  });
+
+  // Spending the allocation has no line for comes out of the contingency
+  if (unallocated.length > 0) {
+    const reserve = lines.find(line => line.category === 'contingency') || lines[lines.length - 1];
+    const extra = unallocated.reduce((sum, line) => sum + (line.amount || 0), 0);
+    reserve.items = [...reserve.items, ...unallocated.map(line => ({ label: line.label, amount: line.amount }))];
+    if (extra > reserve.amount) {
+      reserve.plannedAmount = extra;
+      reserve.overshoot = extra - reserve.amount;
+    }
+  }
+
+  return {
+    costs: { lines, total: allocation.budget },
+    corrections: lines
+      .filter(line => line.plannedAmount !== null && line.plannedAmount !== line.amount)
+      .map(({ category, label, plannedAmount, amount }) => ({ category, label, plannedAmount, amount })),
+    overshoots: lines
+      .filter(line => line.overshoot)
+      .map(({ category, label, plannedAmount, amount, overshoot }) => ({ category, label, plannedAmount, amount, overshoot }))
+  };
+}
+
+/**
+ * Hold catering to the policy's meal caps and spread the excess over the
+ * other variable lines in proportion to their amounts (rounding goes to misc)
+ */
+function capCatering(variableLines, eventData, policy) {
+  const catering = variableLines.find(line => line.category === 'catering');
+  const meals = getScheduledMeals(eventData);
+  if (!catering || !policy || meals.length === 0) return;
+
+  const days = getEventDays(eventData);
+  const capPerHead = meals.reduce((sum, meal) => sum + policy.mealCapsPerHead[meal], 0);
+  const cap = roundDown(capPerHead * eventData.numberOfAttendees * days);
+  if (catering.amount <= cap) return;
+
+  const excess = catering.amount - cap;
+  catering.amount = cap;
+  catering.basis = `${eventData.numberOfAttendees} people × ${days} day${days > 1 ? 's' : ''} @ ₹${capPerHead.toLocaleString()} policy meal cap`;
+
+  const others = variableLines.filter(line => line !== catering);
+  const total = others.reduce((sum, line) => sum + line.amount, 0);
+  others.forEach(line => {
+    line.amount += roundDown(excess * line.amount / total);
+  });
+}
+
+// A broken policy is reported by the policy nodes; the allocation goes ahead without caps
+function getActivePolicy() {
+  try {
+    return getExpensePolicy();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Weighted budget shares of the variable categories and the contingency
+ * The contingency is held back from the miscellaneous share first; the
+ * weighted categories fill what is left
+ */
+function getShares(eventData) {
+  const { costSplit } = getEventTypeProfile(eventData.eventType);
+  const requirements = eventData.requirements || [];
+  const tier = getCityProfile(eventData.location).tier;
+  const { misc = 0, ...weights } = costSplit;
+  let miscShare = misc;
+
+  const needsTransport = eventData.numberOfAttendees > TRANSPORT.minAttendees ||
+    requirements.some(requirement => TRANSPORT.pattern.test(requirement));
+  if (!needsTransport && weights.transport) {
+    miscShare += weights.transport;
+    delete weights.transport;
+  }
+
+  const multiply = factors => Object.entries(factors).forEach(([category, factor]) => {
+    if (weights[category]) weights[category] *= factor;
+  });
+  multiply(CITY_TIER_WEIGHTS[tier] || {});
+  REQUIREMENT_WEIGHTS
+    .filter(rule => requirements.some(requirement => rule.pattern.test(requirement)))
+    .forEach(rule => {
+      multiply(rule.weights);
+      Object.entries(rule.adds || {}).forEach(([category, share]) => {
+        if (!weights[category]) weights[category] = share;
+      });
+    });
+
+  const contingencyShare = CONTINGENCY_SHARES[tier] ?? CONTINGENCY_SHARES[2];
+  miscShare = Math.max(0, miscShare - contingencyShare);
+  const variableShare = 1 - contingencyShare - miscShare;
+  const total = Object.values(weights).reduce((sum, weight) => sum + weight, 0);
+
+  return {
+    shares: Object.fromEntries(Object.entries(weights).map(([category, weight]) => [category, weight / total * variableShare])),
+    contingencyShare
+  };
+}
+
+function roundDown(amount) {
+  return Math.max(0, Math.floor(amount / ROUNDING) * ROUNDING);
+}
+
+// Keep the generated sub-items in proportion to the corrected amount
+function scaleItems(items, amount) {
+  const total = items.reduce((sum, item) => sum + (item.amount || 0), 0);
+  if (total === 0) return items;
+
+  const scaled = items.map(item => ({ ...item, amount: item.amount === null ? null : Math.floor(item.amount * amount / total) }));
+  const last = [...scaled].reverse().find(item => item.amount !== null);
+  last.amount += amount - scaled.reduce((sum, item) => sum + (item.amount || 0), 0);
+  return scaled;
+}
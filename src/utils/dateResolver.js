@@ -0,0 +1,354 @@
+/**
+ * Deterministic resolution of event date expressions
+ *
+ * All dates are calendar dates in IST (UTC+05:30, no DST). Internally a date is
+ * a Date at UTC midnight of that calendar day, so arithmetic never crosses a
+ * timezone boundary.
+ *
+ * Conventions:
+ * - "this Friday" / "Friday": the next Friday, today included for "this"
+ * - "next Friday": the Friday of next week (weeks start on Monday)
+ * - "this weekend": the coming Saturday-Sunday, "next weekend" the one after
+ * - "next week": Monday of next week, "next month": 1st of next month
+ * - Dates without a year that have already passed roll over to next year
+ *   (29 February to the next leap year)
+ * - Ranges whose end falls before the start end in the next year
+ *   ("Dec 30 - Jan 2"); a year after the range is the end date's year
+ * - Numeric dates are day-first (10/06/2025 is 10 June)
+ */
+
+const IST_OFFSET_MINUTES = 330;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const MONTHS = {
+  jan: 0, feb: 1, mar: 2, apr: 3, may: 4, jun: 5,
+  jul: 6, aug: 7, sep: 8, oct: 9, nov: 10, dec: 11
+};
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// "may" as a verb is not the month: "we may be 40", "team of 5 may attend",
+// "a team of 5 may, or 6"
+const MAY_COUNT_NOUNS = 'team|group|batch|party|crew|squad|delegation|total|headcount|strength|max(?:imum)?|min(?:imum)?';
+const MAY_VERB_FOLLOWERS = 'not|be|have|also|well|still|only|need|want|attend|join|come|go|bring|travel|stay|arrive|leave|change|vary|increase|grow|drop|require|prefer|opt|book|extend|move|shift|happen|take|get|include';
+const MAY_MONTH = `(?<!\\b(?:${MAY_COUNT_NOUNS})\\s+of\\s+\\d{1,2}(?:st|nd|rd|th)?\\s+)may(?!\\s+(?:${MAY_VERB_FOLLOWERS})\\b)`;
+const MONTH_PATTERN = `(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|${MAY_MONTH}|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)`;
+const DAY_PATTERN = '(\\d{1,2})(?:st|nd|rd|th)?(?!\\d)';
+const RANGE_SEPARATOR = '\\s*(?:-|–|—|to|till|until)\\s*';
+const YEAR_PATTERN = '(?:,?\\s*(\\d{4}))?';
+// Years searched for a day/month without one (covers the next 29 February)
+const MAX_YEAR_ROLLOVER = 8;
+
+/**
+ * Get today's calendar date in IST
+ * @param {Date} now - Current instant (defaults to now)
+ * @returns {Date} UTC-midnight date for today's IST calendar day
+ */
+export function getISTToday(now = new Date()) {
+  const ist = new Date(now.getTime() + IST_OFFSET_MINUTES * 60 * 1000);
+  return new Date(Date.UTC(ist.getUTCFullYear(), ist.getUTCMonth(), ist.getUTCDate()));
+}
+
+/**
+ * Format a calendar date as YYYY-MM-DD
+ * @param {Date} date - UTC-midnight date
+ * @returns {string} Formatted date
+ */
+export function formatDate(date) {
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Add days to a calendar date
+ * @param {Date} date - UTC-midnight date
+ * @param {number} days - Days to add (may be negative)
+ * @returns {Date} New date
+ */
+export function addDays(date, days) {
+  return new Date(date.getTime() + days * DAY_MS);
+}
+
+/**
+ * Parse a YYYY-MM-DD string into a calendar date
+ * @param {string} dateString - Date string
+ * @returns {Date|null} UTC-midnight date or null if invalid
+ */
+export function parseISODate(dateString) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(dateString || '');
+  if (!match) return null;
+
+  return buildDate(parseInt(match[1]), parseInt(match[2]) - 1, parseInt(match[3]));
+}
+
+/**
+ * Get tomorrow's IST date as YYYY-MM-DD
+ * @param {Date} now - Current instant
+ * @returns {string} Tomorrow's date
+ */
+export function getTomorrow(now = new Date()) {
+  return formatDate(addDays(getISTToday(now), 1));
+}
+
+/**
+ * Resolve the first date expression in free text
+ * @param {string} text - Input text
+ * @param {Object} options - Resolution options
+ * @param {Date} options.today - Reference IST date (defaults to today)
+ * @returns {Object|null} { date, endDate, expression, precision } or null if no date found
+ */
+export function resolveEventDate(text, { today = getISTToday() } = {}) {
+  if (!text || typeof text !== 'string') return null;
+
+  const input = text.toLowerCase();
+  const resolvers = [
+    resolveISODate,
+    resolveNumericDate,
+    resolveCrossMonthRange,
+    resolveMonthFirstCrossMonthRange,
+    resolveDayFirstRange,
+    resolveMonthFirstRange,
+    resolveDayFirstDate,
+    resolveMonthFirstDate,
+    resolveRelativeDate
+  ];
+
+  for (const resolver of resolvers) {
+    const result = resolver(input, today);
+    if (result) {
+      return {
+        date: formatDate(result.start),
+        endDate: result.end ? formatDate(result.end) : null,
+        expression: result.expression.trim(),
+        precision: result.precision || 'day'
+      };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Compare an LLM-provided date with the deterministic resolution of the input
+ * @param {string} text - Original input text
+ * @param {string} llmDate - Date returned by the LLM (YYYY-MM-DD)
+ * @param {Object} options - Options passed to resolveEventDate
+ * @returns {Object|null} Comparison result or null if the input has no date expression
+ */
+export function checkDateAgainstInput(text, llmDate, options = {}) {
+  const resolved = resolveEventDate(text, options);
+  if (!resolved) return null;
+
+  // Month/week-level expressions only need to land in the same period
+  let agrees = resolved.date === llmDate;
+  if (!agrees && resolved.precision === 'month') {
+    agrees = (llmDate || '').slice(0, 7) === resolved.date.slice(0, 7);
+  } else if (!agrees && resolved.precision === 'week') {
+    const llm = parseISODate(llmDate);
+    const start = parseISODate(resolved.date);
+    agrees = !!llm && llm >= start && llm < addDays(start, 7);
+  } else if (!agrees && resolved.endDate) {
+    agrees = llmDate >= resolved.date && llmDate <= resolved.endDate;
+  }
+
+  return {
+    expression: resolved.expression,
+    resolvedDate: resolved.date,
+    endDate: resolved.endDate,
+    precision: resolved.precision,
+    llmDate,
+    agrees
+  };
+}
+
+function buildDate(year, month, day) {
+  const date = new Date(Date.UTC(year, month, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month || date.getUTCDate() !== day) {
+    return null;
+  }
+  return date;
+}
+
+function monthIndex(name) {
+  return MONTHS[name.slice(0, 3)];
+}
+
+/**
+ * Pick a year for a day/month without one: the first from this year on when
+ * the date exists and has not passed (29 February waits for a leap year)
+ */
+function withRolledYear(month, day, today, explicitYear) {
+  if (explicitYear) {
+    return buildDate(parseInt(explicitYear), month, day);
+  }
+
+  for (let year = today.getUTCFullYear(); year <= today.getUTCFullYear() + MAX_YEAR_ROLLOVER; year++) {
+    const date = buildDate(year, month, day);
+    if (date && date >= today) return date;
+  }
+
+  return null;
+}
+
+/**
+ * Resolve a range across months; a stated year belongs to the end date, so
+ * "30 Dec - 2 Jan 2027" starts in 2026
+ */
+function resolveSpan(startMonth, startDay, endMonth, endDay, today, explicitYear) {
+  if (!explicitYear) {
+    const start = withRolledYear(startMonth, startDay, today);
+    const end = buildRange(start, endMonth, endDay);
+    return end ? { start, end } : null;
+  }
+
+  const year = parseInt(explicitYear);
+  const end = buildDate(year, endMonth, endDay);
+  const start = buildDate(startMonth > endMonth ? year - 1 : year, startMonth, startDay);
+  return start && end && end >= start ? { start, end } : null;
+}
+
+/**
+ * Build a range, moving the end into the next year if it falls before the start
+ */
+function buildRange(start, endMonth, endDay, explicitYear) {
+  if (!start) return null;
+
+  let end = buildDate(explicitYear ? parseInt(explicitYear) : start.getUTCFullYear(), endMonth, endDay);
+  if (end && end < start && !explicitYear) {
+    end = buildDate(start.getUTCFullYear() + 1, endMonth, endDay);
+  }
+
+  return end && end >= start ? end : null;
+}
+
+function resolveISODate(input) {
+  const match = /\b(\d{4})-(\d{2})-(\d{2})\b/.exec(input);
+  if (!match) return null;
+
+  const start = buildDate(parseInt(match[1]), parseInt(match[2]) - 1, parseInt(match[3]));
+  return start ? { start, expression: match[0] } : null;
+}
+
+function resolveNumericDate(input) {
+  const match = /\b(\d{1,2})[/.](\d{1,2})[/.](\d{4})\b/.exec(input);
+  if (!match) return null;
+
+  const start = buildDate(parseInt(match[3]), parseInt(match[2]) - 1, parseInt(match[1]));
+  return start ? { start, expression: match[0] } : null;
+}
+
+function resolveCrossMonthRange(input, today) {
+  const pattern = new RegExp(`\\b${DAY_PATTERN}\\s+(?:of\\s+)?${MONTH_PATTERN}${RANGE_SEPARATOR}${DAY_PATTERN}\\s+(?:of\\s+)?${MONTH_PATTERN}\\b${YEAR_PATTERN}`);
+  const match = pattern.exec(input);
+  if (!match) return null;
+
+  const span = resolveSpan(monthIndex(match[2]), parseInt(match[1]), monthIndex(match[4]), parseInt(match[3]), today, match[5]);
+  return span ? { ...span, expression: match[0] } : null;
+}
+
+function resolveMonthFirstCrossMonthRange(input, today) {
+  const pattern = new RegExp(`\\b${MONTH_PATTERN}\\s+${DAY_PATTERN}${RANGE_SEPARATOR}${MONTH_PATTERN}\\s+${DAY_PATTERN}${YEAR_PATTERN}`);
+  const match = pattern.exec(input);
+  if (!match) return null;
+
+  const span = resolveSpan(monthIndex(match[1]), parseInt(match[2]), monthIndex(match[3]), parseInt(match[4]), today, match[5]);
+  return span ? { ...span, expression: match[0] } : null;
+}
+
+function resolveDayFirstRange(input, today) {
+  const pattern = new RegExp(`\\b${DAY_PATTERN}${RANGE_SEPARATOR}${DAY_PATTERN}\\s+(?:of\\s+)?${MONTH_PATTERN}\\b${YEAR_PATTERN}`);
+  const match = pattern.exec(input);
+  if (!match) return null;
+
+  const month = monthIndex(match[3]);
+  const start = withRolledYear(month, parseInt(match[1]), today, match[4]);
+  const end = buildRange(start, month, parseInt(match[2]), match[4]);
+  return end ? { start, end, expression: match[0] } : null;
+}
+
+function resolveMonthFirstRange(input, today) {
+  const pattern = new RegExp(`\\b${MONTH_PATTERN}\\s+${DAY_PATTERN}${RANGE_SEPARATOR}${DAY_PATTERN}${YEAR_PATTERN}`);
+  const match = pattern.exec(input);
+  if (!match) return null;
+
+  const month = monthIndex(match[1]);
+  const start = withRolledYear(month, parseInt(match[2]), today, match[4]);
+  const end = buildRange(start, month, parseInt(match[3]), match[4]);
+  return end ? { start, end, expression: match[0] } : null;
+}
+
+function resolveDayFirstDate(input, today) {
+  const pattern = new RegExp(`\\b${DAY_PATTERN}\\s+(?:of\\s+)?${MONTH_PATTERN}\\b${YEAR_PATTERN}`);
+  const match = pattern.exec(input);
+  if (!match) return null;
+
+  const start = withRolledYear(monthIndex(match[2]), parseInt(match[1]), today, match[3]);
+  return start ? { start, expression: match[0] } : null;
+}
+
+function resolveMonthFirstDate(input, today) {
+  const pattern = new RegExp(`\\b${MONTH_PATTERN}\\s+${DAY_PATTERN}${YEAR_PATTERN}`);
+  const match = pattern.exec(input);
+  if (!match) return null;
+
+  const start = withRolledYear(monthIndex(match[1]), parseInt(match[2]), today, match[3]);
+  return start ? { start, expression: match[0] } : null;
+}
+
+function resolveRelativeDate(input, today) {
+  const todayWeekday = today.getUTCDay();
+
+  let match = /\bday after tomorrow\b/.exec(input);
+  if (match) return { start: addDays(today, 2), expression: match[0] };
+
+  match = /\btomorrow\b/.exec(input);
+  if (match) return { start: addDays(today, 1), expression: match[0] };
+
+  match = /\b(today|tonight)\b/.exec(input);
+  if (match) return { start: today, expression: match[0] };
+
+  match = /\bin\s+(\d{1,3})\s+(day|week)s?\b/.exec(input);
+  if (match) {
+    const days = parseInt(match[1]) * (match[2] === 'week' ? 7 : 1);
+    return { start: addDays(today, days), expression: match[0] };
+  }
+
+  match = /\b(this|next)\s+weekend\b/.exec(input);
+  if (match) {
+    // Sunday counts as part of the current weekend
+    const toSaturday = todayWeekday === 0 ? -1 : 6 - todayWeekday;
+    const saturday = addDays(today, toSaturday + (match[1] === 'next' ? 7 : 0));
+    const start = saturday < today ? today : saturday;
+    return { start, end: addDays(saturday, 1), expression: match[0] };
+  }
+
+  match = new RegExp(`\\b(this|next|coming)?\\s*(${WEEKDAYS.join('|')})\\b`).exec(input);
+  if (match) {
+    const target = WEEKDAYS.indexOf(match[2]);
+    let offset;
+
+    if (match[1] === 'next') {
+      // Same weekday in the following Monday-start week
+      const daysToNextMonday = ((8 - todayWeekday) % 7) || 7;
+      offset = daysToNextMonday + ((target + 6) % 7);
+    } else {
+      offset = (target - todayWeekday + 7) % 7;
+      if (offset === 0 && match[1] !== 'this') offset = 7;
+    }
+
+    return { start: addDays(today, offset), expression: match[0] };
+  }
+
+  match = /\bnext\s+week\b/.exec(input);
+  if (match) {
+    const daysToNextMonday = ((8 - todayWeekday) % 7) || 7;
+    return { start: addDays(today, daysToNextMonday), expression: match[0], precision: 'week' };
+  }
+
+  match = /\bnext\s+month\b/.exec(input);
+  if (match) {
+    const start = new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth() + 1, 1));
+    return { start, expression: match[0], precision: 'month' };
+  }
+
+  return null;
+}
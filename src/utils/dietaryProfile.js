@@ -0,0 +1,193 @@
+/**
+ * Dietary profile of an event's attendees
+ *
+ * Profile shape (all counts optional, non-negative integers):
+ * - Meal preferences, one per attendee: veg, nonVeg, vegan, jain, halal
+ *   These should add up to numberOfAttendees; anyone not counted gets the
+ *   standard mixed menu
+ * - Extra needs on top of a meal preference: glutenFree, allergy
+ *
+ * Catering is split across the counts by relative per-plate cost, so
+ * non-veg and special preparations take a larger share of the catering line.
+ */
+
+export const MEAL_PREFERENCES = {
+  veg: { label: 'Vegetarian', short: 'veg', plateCost: 1.0 },
+  nonVeg: { label: 'Non-vegetarian', short: 'non-veg', plateCost: 1.3 },
+  vegan: { label: 'Vegan', short: 'vegan', plateCost: 1.15 },
+  jain: { label: 'Jain', short: 'Jain', plateCost: 1.05 },
+  halal: { label: 'Halal', short: 'halal', plateCost: 1.3 }
+};
+
+export const DIETARY_NEEDS = {
+  glutenFree: { label: 'Gluten-free', short: 'gluten-free', surcharge: 0.1 },
+  allergy: { label: 'Allergy-safe', short: 'allergy', surcharge: 0.15 }
+};
+
+export const DIETARY_FIELDS = [...Object.keys(MEAL_PREFERENCES), ...Object.keys(DIETARY_NEEDS)];
+
+// Plate cost of attendees without a stated preference
+const MIXED_PLATE_COST = 1.15;
+
+// Diet words as written in briefs; "non-veg" must be tried before "veg"
+const DIET_PATTERNS = [
+  ['nonVeg', 'non[-\\s]?veg(?:etarian)?s?'],
+  ['vegan', 'vegans?'],
+  ['veg', 'veg(?:etarian)?s?(?!an)'],
+  ['jain', 'jains?'],
+  ['halal', 'halal'],
+  ['glutenFree', 'gluten[-\\s]?free|celiac|coeliac'],
+  ['allergy', '(?:[a-z]+\\s+)?allerg(?:y|ies|ic)']
+];
+const COUNT_PATTERN = '(\\d+)\\s*(%)?\\s*(?:people\\s+|pax\\s+|guests?\\s+|are\\s+|of\\s+them\\s+|with\\s+)?';
+const WHOLE_GROUP_VEG_PATTERN = /\b(?:all|pure|only|strictly)[-\s]+veg(?:etarian)?\b|\bvegetarian\s+(?:food|menu|meals?|only|catering)\b/i;
+
+/**
+ * Extract dietary counts from free text
+ * Understands "25 veg, 10 non-veg", "5 Jain", "60% vegetarian", "2 with nut
+ * allergies", "Jain meals for 4", and whole-group statements like "pure veg"
+ * @param {string} text - Input text
+ * @param {Object} options - Extraction options
+ * @param {number} options.attendees - Headcount used for percentages and whole-group statements
+ * @returns {Object|null} Dietary profile or null if the text states none
+ */
+export function parseDietaryProfile(text, { attendees } = {}) {
+  if (!text || typeof text !== 'string') return null;
+
+  const headcount = parseInt(attendees) > 0 ? parseInt(attendees) : null;
+  const profile = {};
+
+  for (const [field, diet] of DIET_PATTERNS) {
+    const counted = new RegExp(`\\b${COUNT_PATTERN}(?:${diet})\\b`, 'i').exec(text);
+    const trailing = new RegExp(`\\b(?:${diet})\\s+(?:food|meals?|menus?|options?|plates?)?\\s*for\\s+(\\d+)\\b`, 'i').exec(text);
+
+    if (counted) {
+      const value = parseInt(counted[1]);
+      if (counted[2]) {
+        if (headcount) profile[field] = Math.round(headcount * Math.min(100, value) / 100);
+      } else {
+        profile[field] = value;
+      }
+    } else if (trailing) {
+      profile[field] = parseInt(trailing[1]);
+    }
+  }
+
+  if (Object.keys(profile).length === 0 && headcount && WHOLE_GROUP_VEG_PATTERN.test(text)) {
+    profile.veg = headcount;
+  }
+
+  return Object.keys(profile).length > 0 ? profile : null;
+}
+
+/**
+ * Clean a dietary profile: keep known fields with non-negative integer counts
+ * @param {Object} dietary - Raw profile
+ * @returns {Object|null} Clean profile or null if nothing is counted
+ */
+export function normalizeDietaryProfile(dietary) {
+  if (!dietary || typeof dietary !== 'object') return null;
+
+  const normalized = {};
+  DIETARY_FIELDS.forEach(field => {
+    const count = parseInt(dietary[field]);
+    if (count > 0) normalized[field] = count;
+  });
+
+  return Object.keys(normalized).length > 0 ? normalized : null;
+}
+
+/**
+ * Get the dietary profile to plan with
+ * Without counts, a "vegetarian" requirement means an all-veg menu
+ * @param {Object} eventData - Event data
+ * @returns {Object|null} Dietary profile or null if unknown
+ */
+export function getDietaryProfile(eventData) {
+  const profile = normalizeDietaryProfile(eventData?.dietary);
+  if (profile) return profile;
+
+  return (eventData?.requirements || []).includes('vegetarian') && eventData.numberOfAttendees ?
+    { veg: eventData.numberOfAttendees } :
+    null;
+}
+
+/**
+ * Count attendees with a stated meal preference
+ * @param {Object} dietary - Dietary profile
+ * @returns {number} Attendees covered by veg/non-veg/vegan/Jain/halal counts
+ */
+export function countMealPreferences(dietary) {
+  return Object.keys(MEAL_PREFERENCES).reduce((sum, field) => sum + (dietary?.[field] || 0), 0);
+}
+
+/**
+ * Check whether the menu needs any non-vegetarian food
+ * @param {Object} dietary - Dietary profile (null when unknown)
+ * @returns {boolean} True for all-vegetarian groups
+ */
+export function isVegetarianOnly(dietary) {
+  return !!dietary && !dietary.nonVeg && !dietary.halal &&
+    countMealPreferences(dietary) > 0;
+}
+
+/**
+ * Describe a dietary profile, e.g. "25 veg, 10 non-veg, 5 Jain (2 gluten-free, 1 allergy)"
+ * @param {Object} dietary - Dietary profile
+ * @returns {string} Description, empty for an empty profile
+ */
+export function describeDietaryProfile(dietary) {
+  if (!dietary) return '';
+
+  const preferences = Object.entries(MEAL_PREFERENCES)
+    .filter(([field]) => dietary[field])
+    .map(([field, { short }]) => `${dietary[field]} ${short}`);
+  const needs = Object.entries(DIETARY_NEEDS)
+    .filter(([field]) => dietary[field])
+    .map(([field, { short }]) => `${dietary[field]} ${short}`);
+
+  return [preferences.join(', '), needs.length > 0 ? `(${needs.join(', ')})` : '']
+    .filter(Boolean)
+    .join(' ');
+}
+
+/**
+ * Split a catering amount across the dietary counts by relative plate cost
+ * Attendees without a stated preference are costed as the mixed menu
+ * @param {number} amount - Catering budget
+ * @param {Object} dietary - Dietary profile
+ * @param {number} attendees - Number of attendees
+ * @returns {Array} [{ field, label, count, amount }] - amounts add up to the catering budget
+ */
+export function splitCatering(amount, dietary, attendees) {
+  const groups = Object.entries(MEAL_PREFERENCES)
+    .filter(([field]) => dietary?.[field])
+    .map(([field, { label, plateCost }]) => ({ field, label, count: dietary[field], weight: dietary[field] * plateCost }));
+
+  const unassigned = Math.max(0, attendees - countMealPreferences(dietary));
+  if (unassigned > 0) {
+    groups.push({ field: 'mixed', label: 'Standard menu', count: unassigned, weight: unassigned * MIXED_PLATE_COST });
+  }
+
+  Object.entries(DIETARY_NEEDS)
+    .filter(([field]) => dietary?.[field])
+    .forEach(([field, { label, surcharge }]) => {
+      groups.push({ field, label: `${label} preparation`, count: dietary[field], weight: dietary[field] * surcharge });
+    });
+
+  const totalWeight = groups.reduce((sum, group) => sum + group.weight, 0);
+  if (totalWeight === 0) return [];
+
+  const lines = groups.map(({ field, label, count, weight }) => ({
+    field,
+    label,
+    count,
+    amount: Math.floor(amount * weight / totalWeight)
+  }));
+
+  // Rounding remainder goes to the largest group
+  const allocated = lines.reduce((sum, line) => sum + line.amount, 0);
+  lines.reduce((largest, line) => line.amount > largest.amount ? line : largest).amount += amount - allocated;
+
+  return lines;
+}
@@ -0,0 +1,301 @@
+/**
+ * Plain-text extraction from uploaded event briefs
+ *
+ * Supported documents:
+ * - .eml: Subject plus the text/plain body (text/html when there is none),
+ *   with quoted-printable and base64 bodies decoded
+ * - .md: Markdown syntax removed; table rows become "cell - cell" lines
+ * - .txt: Used as is
+ *
+ * Every document is then cleaned: "On ... wrote:" attributions are dropped,
+ * ">" quoted replies and forwarded/original messages become messages of their
+ * own, and signatures and disclaimers are cut from each message. Earlier
+ * messages in a pasted thread are kept since they often hold the original
+ * brief. Messages are separated by a MESSAGE_SEPARATOR line so chunkText can
+ * keep them apart.
+ */
+
+export const DOCUMENT_EXTENSIONS = ['.eml', '.txt', '.md'];
+
+// Line between the messages of a cleaned thread
+export const MESSAGE_SEPARATOR = '-----';
+
+// Start of an earlier message in a pasted thread
+const MESSAGE_BREAK_PATTERN = /^(?:-{2,}\s*(?:original|forwarded)\s+message\s*-{2,}|_{10,})\s*$/i;
+const HEADER_LINE_PATTERN = /^(?:sent|to|cc|date|subject):\s/i;
+const ATTRIBUTION_PATTERN = /^on\s.{5,200}\bwrote:\s*$/i;
+const VALEDICTION_PATTERN = /^(?:(?:best|kind|warm|many)?\s*regards|thanks(?:\s+(?:&|and)\s+regards)?|thank\s+you|cheers|best|sincerely|yours\s+(?:truly|sincerely))[,!.]?\s*$/i;
+const DEVICE_SIGNATURE_PATTERN = /^sent\s+from\s+my\s+\w+/i;
+const DISCLAIMER_PATTERN = /\b(?:confidential|intended\s+recipient|disclaimer|privileged)\b/i;
+
+// Lines after a valediction that still count as a signature (name, title, phone)
+const MAX_SIGNATURE_LINES = 6;
+
+/**
+ * Get the extension of a document's file name
+ * @param {string} filename - File name
+ * @returns {string} Lower-case extension including the dot, empty if none
+ */
+export function getDocumentExtension(filename) {
+  const match = /\.[a-z0-9]+$/i.exec(filename || '');
+  return match ? match[0].toLowerCase() : '';
+}
+
+/**
+ * Extract the cleaned brief text from a document
+ * @param {string} content - Raw file content
+ * @param {string} filename - File name (selects the format)
+ * @returns {string} Cleaned plain text
+ */
+export function extractDocumentText(content, filename) {
+  const extension = getDocumentExtension(filename);
+  if (!DOCUMENT_EXTENSIONS.includes(extension)) {
+    throw new Error(`Unsupported document type "${extension || filename}" - use ${DOCUMENT_EXTENSIONS.join(', ')}`);
+  }
+
+  const text = extension === '.eml' ? extractEmailText(content) :
+    extension === '.md' ? stripMarkdown(content) :
+    content;
+
+  return cleanBriefText(text);
+}
+
+/**
+ * Remove quoting, message headers, signatures and disclaimers from brief text
+ * @param {string} text - Plain text
+ * @returns {string} Cleaned text, messages separated by MESSAGE_SEPARATOR lines
+ */
+export function cleanBriefText(text) {
+  const lines = normalizeNewlines(text)
+    .replace(/<[^>]+>/g, ' ')
+    .split('\n')
+    .map(line => line.replace(/[ \t]+$/, ''));
+
+  const messages = [[]];
+  const startMessage = () => {
+    if (messages[messages.length - 1].some(entry => entry.trim())) messages.push([]);
+  };
+  let inHeaders = false;
+  let inQuote = false;
+  for (const raw of lines) {
+    // A quoted reply is the earlier message; blank lines don't end it
+    const quoted = /^\s*>/.test(raw);
+    if (raw.trim() && quoted !== inQuote) {
+      startMessage();
+      inQuote = quoted;
+    }
+    const line = quoted ? raw.replace(/^\s*(?:>\s?)+/, '') : raw;
+    const trimmed = line.trim();
+
+    if (ATTRIBUTION_PATTERN.test(trimmed)) continue;
+
+    if (MESSAGE_BREAK_PATTERN.test(trimmed)) {
+      messages.push([]);
+      continue;
+    }
+
+    // A "From:" line opens an earlier message's header block; its Subject is kept
+    if (/^from:\s/i.test(trimmed)) {
+      startMessage();
+      inHeaders = true;
+      continue;
+    }
+    if (inHeaders && HEADER_LINE_PATTERN.test(trimmed)) {
+      if (/^subject:/i.test(trimmed)) messages[messages.length - 1].push(line);
+      continue;
+    }
+    inHeaders = false;
+
+    messages[messages.length - 1].push(line);
+  }
+
+  return messages
+    .map(stripSignature)
+    .map(message => message.join('\n').replace(/\n{3,}/g, '\n\n').trim())
+    .filter(Boolean)
+    .join(`\n\n${MESSAGE_SEPARATOR}\n\n`);
+}
+
+/**
+ * Split text into chunks no longer than maxLength
+ * A chunk never spans two messages of a thread, so each message is parsed on
+ * its own. Breaks between paragraphs, then sentences, and only mid-sentence as
+ * a last resort
+ * @param {string} text - Text to split
+ * @param {number} maxLength - Maximum characters per chunk
+ * @returns {string[]} Chunks in document order
+ */
+export function chunkText(text, maxLength) {
+  return text.split(new RegExp(`^${MESSAGE_SEPARATOR}$`, 'm'))
+    .flatMap(message => chunkMessage(message, maxLength));
+}
+
+function chunkMessage(text, maxLength) {
+  const pieces = text.split(/\n\s*\n/)
+    .map(paragraph => paragraph.trim())
+    .filter(Boolean)
+    .flatMap(paragraph => paragraph.length <= maxLength ? [paragraph] : splitParagraph(paragraph, maxLength));
+
+  const chunks = [];
+  let current = '';
+  for (const piece of pieces) {
+    if (current && current.length + piece.length + 2 > maxLength) {
+      chunks.push(current);
+      current = '';
+    }
+    current = current ? `${current}\n\n${piece}` : piece;
+  }
+  if (current) chunks.push(current);
+
+  return chunks;
+}
+
+function splitParagraph(paragraph, maxLength) {
+  const sentences = paragraph.match(/[^.!?\n]+(?:[.!?]+|\n|$)/g) || [paragraph];
+  const pieces = [];
+  let current = '';
+
+  for (const sentence of sentences.map(s => s.trim()).filter(Boolean)) {
+    if (current && current.length + sentence.length + 1 > maxLength) {
+      pieces.push(current);
+      current = '';
+    }
+    current = current ? `${current} ${sentence}` : sentence;
+
+    while (current.length > maxLength) {
+      pieces.push(current.slice(0, maxLength));
+      current = current.slice(maxLength);
+    }
+  }
+  if (current) pieces.push(current);
+
+  return pieces;
+}
+
+function stripSignature(lines) {
+  let end = lines.length;
+
+  const delimiter = lines.findIndex(line => line === '--' || line === '-- ' || DEVICE_SIGNATURE_PATTERN.test(line.trim()));
+  if (delimiter !== -1) end = delimiter;
+
+  for (let i = end - 1; i >= 0 && end - i <= MAX_SIGNATURE_LINES + 1; i--) {
+    if (VALEDICTION_PATTERN.test(lines[i].trim())) {
+      end = i;
+      break;
+    }
+  }
+
+  // Disclaimers are whole paragraphs, usually at the very end
+  const kept = lines.slice(0, end).join('\n').split(/\n\s*\n/)
+    .filter(paragraph => !DISCLAIMER_PATTERN.test(paragraph) || paragraph.length < 80);
+
+  return kept.join('\n\n').split('\n');
+}
+
+function extractEmailText(raw) {
+  const { headers, body } = splitEmail(normalizeNewlines(raw));
+  const text = extractPartText(headers, body);
+  const subject = decodeHeaderWords(headers.subject || '').trim();
+
+  return subject ? `Subject: ${subject}\n\n${text}` : text;
+}
+
+function extractPartText(headers, body) {
+  const contentType = headers['content-type'] || 'text/plain';
+
+  if (/^multipart\//i.test(contentType)) {
+    const boundary = /boundary="?([^";]+)"?/i.exec(contentType)?.[1];
+    if (!boundary) return '';
+
+    const parts = body.split(`--${boundary}`)
+      .slice(1)
+      .filter(part => !part.startsWith('--'))
+      .map(part => splitEmail(part.replace(/^\n/, '')))
+      .filter(part => !/attachment/i.test(part.headers['content-disposition'] || ''));
+
+    const plain = parts.find(part => /^(?:text\/plain|multipart\/)/i.test(part.headers['content-type'] || 'text/plain'));
+    const html = parts.find(part => /^text\/html/i.test(part.headers['content-type'] || ''));
+    const chosen = plain || html;
+    return chosen ? extractPartText(chosen.headers, chosen.body) : '';
+  }
+
+  const decoded = decodeTransferEncoding(body, headers['content-transfer-encoding']);
+  return /^text\/html/i.test(contentType) ? htmlToText(decoded) : decoded;
+}
+
+function splitEmail(raw) {
+  const separator = raw.indexOf('\n\n');
+  const headerBlock = separator === -1 ? raw : raw.slice(0, separator);
+  const body = separator === -1 ? '' : raw.slice(separator + 2);
+
+  const headers = {};
+  // Folded header lines continue with leading whitespace
+  headerBlock.replace(/\n[ \t]+/g, ' ').split('\n').forEach(line => {
+    const colon = line.indexOf(':');
+    if (colon > 0) headers[line.slice(0, colon).trim().toLowerCase()] = line.slice(colon + 1).trim();
+  });
+
+  return { headers, body };
+}
+
+function decodeTransferEncoding(body, encoding = '') {
+  if (/base64/i.test(encoding)) {
+    return Buffer.from(body.replace(/\s+/g, ''), 'base64').toString('utf8');
+  }
+  if (/quoted-printable/i.test(encoding)) {
+    return decodeQuotedPrintable(body.replace(/=\n/g, ''));
+  }
+  return body;
+}
+
+function decodeQuotedPrintable(text) {
+  const bytes = [];
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '=' && /^[0-9A-F]{2}$/i.test(text.slice(i + 1, i + 3))) {
+      bytes.push(parseInt(text.slice(i + 1, i + 3), 16));
+      i += 2;
+    } else {
+      bytes.push(...Buffer.from(text[i], 'utf8'));
+    }
+  }
+  return Buffer.from(bytes).toString('utf8');
+}
+
+// RFC 2047 encoded words, e.g. =?UTF-8?B?...?= in Subject
+function decodeHeaderWords(value) {
+  return value.replace(/=\?[^?]+\?([BQ])\?([^?]*)\?=/gi, (match, encoding, text) =>
+    encoding.toUpperCase() === 'B' ?
+      Buffer.from(text, 'base64').toString('utf8') :
+      decodeQuotedPrintable(text.replace(/_/g, ' ')));
+}
+
+function htmlToText(html) {
+  return html
+    .replace(/<(?:style|script)[^>]*>[\s\S]*?<\/(?:style|script)>/gi, '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(?:p|div|li|tr|h[1-6])>/gi, '\n')
+    .replace(/<blockquote[^>]*>([\s\S]*?)<\/blockquote>/gi, (match, quote) => `\n${htmlToText(quote).split('\n').map(line => `> ${line}`).join('\n')}\n`)
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&#8377;|&#x20b9;/gi, '₹');
+}
+
+function stripMarkdown(markdown) {
+  return normalizeNewlines(markdown)
+    .replace(/```[\s\S]*?```/g, '')
+    .split('\n')
+    .filter(line => !/^\s*\|?\s*:?-{3,}/.test(line))
+    .map(line => line
+      .replace(/^\s{0,3}#{1,6}\s+/, '')
+      .replace(/^\s*\|(.*)\|\s*$/, (match, cells) => cells.split('|').map(cell => cell.trim()).filter(Boolean).join(' - '))
+      .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+      .replace(/(\*\*|__|\*|_|`)(.+?)\1/g, '$2'))
+    .join('\n');
+}
+
+function normalizeNewlines(text) {
+  return String(text || '').replace(/\r\n?/g, '\n');
+}
@@ -0,0 +1,316 @@
+/**
+ * Multi-day event schedule helpers
+ *
+ * Model:
+ * - date: first day, endDate: last day (omitted for single-day events)
+ * - hoursPerDay: programme hours on each day (1-12)
+ * - durationInHours: total programme hours across all days
+ * - startTime/endTime: daily "HH:MM" window (optional; the event type's usual
+ *   start applies otherwise) - a stated window fixes the daily hours
+ * - Overnight stays: one night per day after the first, twin-sharing rooms
+ * - Meals and tea breaks are placed on the clock by BREAK_RULES, not by the
+ *   event type's agenda
+ */
+import { config } from '../config/config.js';
+import { parseISODate, formatDate, addDays } from './dateResolver.js';
+import { parseTime, formatTime, getTimeSpan } from './timeResolver.js';
+import { getEventTypeProfile } from '../config/eventTypes.js';
+import { getCityProfile } from '../config/cities.js';
+
+export const MAX_DAILY_HOURS = 12;
+const DEFAULT_DAILY_HOURS = 8;
+const GUESTS_PER_ROOM = 2;
+
+// Room rate per night in INR at the national average, scaled by the city's cost index
+const ROOM_RATES = {
+  standard: 4000,
+  premium: 8000
+};
+
+// Breaks placed at a fixed clock time when a day of at least minHours runs
+// through the whole window
+const BREAK_RULES = [
+  { activity: 'Tea break', at: '11:00', minutes: 15, window: ['10:00', '12:00'], minHours: 3 },
+  { activity: 'Lunch', at: '13:00', minutes: 45, window: ['12:15', '14:00'], minHours: 0 },
+  { activity: 'Tea break', at: '15:30', minutes: 15, window: ['14:30', '16:30'], minHours: 3 }
+];
+// Daytime sessions this long with no scheduled break get one at the midpoint
+const MIDPOINT_BREAK_MIN_HOURS = 3;
+const EVENING_START = parseTime('17:00');
+// A break moves to the nearest agenda boundary within this many minutes,
+// otherwise the session it interrupts resumes after it
+const BREAK_SNAP_MINUTES = 30;
+
+/**
+ * Get the number of calendar days an event spans
+ * @param {Object} eventData - Event data
+ * @returns {number} Days (1 for single-day events)
+ */
+export function getEventDays(eventData) {
+  const start = parseISODate(eventData?.date);
+  const end = parseISODate(eventData?.endDate);
+  if (!start || !end || end < start) return 1;
+
+  return Math.round((end - start) / (24 * 60 * 60 * 1000)) + 1;
+}
+
+/**
+ * Get the programme hours per day
+ * @param {Object} eventData - Event data
+ * @returns {number} Hours per day
+ */
+export function getDailyHours(eventData) {
+  const span = getTimeSpan(eventData?.startTime, eventData?.endTime);
+  if (span) return Math.max(1, Math.min(MAX_DAILY_HOURS, Math.ceil(span / 60)));
+
+  const days = getEventDays(eventData);
+  const hours = parseInt(eventData?.hoursPerDay) || Math.ceil((parseInt(eventData?.durationInHours) || DEFAULT_DAILY_HOURS) / days);
+  return Math.max(1, Math.min(MAX_DAILY_HOURS, hours));
+}
+
+/**
+ * Get the optimal duration of an event type that fits the event's days
+ * @param {string} eventType - Event type name
+ * @param {number} days - Event days
+ * @returns {Object} { hours, capped } - capped when the type's optimal is longer than MAX_DAILY_HOURS a day allows
+ */
+export function getOptimalDuration(eventType, days = 1) {
+  const { optimal } = getEventTypeProfile(eventType).duration;
+  const limit = days * MAX_DAILY_HOURS;
+  return { hours: Math.min(limit, optimal), capped: optimal > limit };
+}
+
+/**
+ * List the calendar dates of an event
+ * @param {Object} eventData - Event data
+ * @returns {string[]} Dates as YYYY-MM-DD
+ */
+export function getEventDates(eventData) {
+  const start = parseISODate(eventData?.date);
+  if (!start) return [];
+
+  return Array.from({ length: getEventDays(eventData) }, (_, day) => formatDate(addDays(start, day)));
+}
+
+/**
+ * Get the daily time window of an event
+ * @param {Object} eventData - Event data
+ * @returns {Object} { start, end } in minutes since midnight (end may pass 24:00)
+ */
+export function getDayWindow(eventData) {
+  const start = parseTime(eventData?.startTime) ?? Math.round(getEventTypeProfile(eventData?.eventType).startHour * 60);
+  const span = getTimeSpan(eventData?.startTime, eventData?.endTime);
+
+  return { start, end: start + (span || getDailyHours(eventData) * 60) };
+}
+
+/**
+ * Normalize the schedule fields of event data
+ * Totals longer than a single day (e.g. 16 hours) become consecutive days of
+ * hoursPerDay; single-day events drop endDate and hoursPerDay. A stated
+ * start–end window sets the hours of each day.
+ * @param {Object} eventData - Event data
+ * @returns {Object} Event data with a consistent schedule
+ */
+export function normalizeSchedule(eventData) {
+  const normalized = { ...eventData };
+  const start = parseISODate(normalized.date);
+
+  if (parseTime(normalized.startTime) === null) delete normalized.startTime;
+  if (parseTime(normalized.endTime) === null) delete normalized.endTime;
+
+  const span = getTimeSpan(normalized.startTime, normalized.endTime);
+  if (span) {
+    const windowHours = Math.min(MAX_DAILY_HOURS, Math.ceil(span / 60));
+    const statedDays = getEventDays(normalized);
+    normalized.durationInHours = statedDays * windowHours;
+    normalized.hoursPerDay = windowHours;
+  }
+
+  const duration = parseInt(normalized.durationInHours) || config.defaultEventDuration;
+  let days = getEventDays(normalized);
+
+  if (days === 1 && duration > MAX_DAILY_HOURS) {
+    days = Math.ceil(duration / (parseInt(normalized.hoursPerDay) || DEFAULT_DAILY_HOURS));
+  }
+  days = Math.min(days, config.maxEventDays);
+
+  if (days === 1 || !start) {
+    delete normalized.endDate;
+    delete normalized.hoursPerDay;
+    normalized.durationInHours = Math.max(1, Math.min(MAX_DAILY_HOURS, duration));
+    return withStartTime(normalized);
+  }
+
+  normalized.endDate = formatDate(addDays(start, days - 1));
+  normalized.hoursPerDay = Math.max(1, Math.min(MAX_DAILY_HOURS,
+    parseInt(normalized.hoursPerDay) || Math.ceil(duration / days)));
+  normalized.durationInHours = Math.max(days, Math.min(days * MAX_DAILY_HOURS,
+    parseInt(normalized.durationInHours) || normalized.hoursPerDay * days));
+
+  return withStartTime(normalized);
+}
+
+/**
+ * Fill in the start of an event stated only by its end ("until 6pm")
+ */
+function withStartTime(eventData) {
+  if (eventData.startTime || !eventData.endTime) return eventData;
+
+  const hours = eventData.hoursPerDay || eventData.durationInHours;
+  return { ...eventData, startTime: formatTime(parseTime(eventData.endTime) - hours * 60) };
+}
+
+/**
+ * Estimate overnight accommodation for a multi-day event
+ * @param {Object} eventData - Event data
+ * @returns {Object|null} { nights, rooms, ratePerNight, amount } or null for single-day events
+ */
+export function estimateAccommodation(eventData) {
+  const nights = getEventDays(eventData) - 1;
+  if (nights < 1) return null;
+
+  const rooms = Math.ceil((eventData.numberOfAttendees || 1) / GUESTS_PER_ROOM);
+  const baseRate = (eventData.requirements || []).includes('premium') ? ROOM_RATES.premium : ROOM_RATES.standard;
+  const ratePerNight = Math.round(baseRate * getCityProfile(eventData.location).costIndex / 100) * 100;
+
+  return {
+    nights,
+    rooms,
+    ratePerNight,
+    amount: nights * rooms * ratePerNight
+  };
+}
+
+/**
+ * Build the day-by-day itinerary for an event
+ * Each day lays the event type's agenda over the daily window with breaks
+ * placed by rule; multi-day events add hotel check-in on the first day and
+ * check-out on the last
+ * @param {Object} eventData - Event data
+ * @returns {Array} [{ day, date, slots: [{ time, activity }] }]
+ */
+export function buildDailyItineraries(eventData) {
+  const dates = getEventDates(eventData);
+  const { start, end } = getDayWindow(eventData);
+  const multiDay = dates.length > 1;
+
+  return dates.map((date, index) => {
+    const slots = buildDaySchedule(eventData.eventType, start, end);
+
+    if (multiDay && index === 0) {
+      slots.unshift({ time: formatTime(start - 60), activity: 'Arrival & hotel check-in' });
+    }
+    if (multiDay && index === dates.length - 1) {
+      slots.push({ time: formatTime(end), activity: 'Hotel check-out & departure' });
+    }
+
+    return { day: index + 1, date, slots };
+  });
+}
+
+/**
+ * Lay out one day: the event type's agenda fills the programme time and the
+ * breaks that apply to the window are inserted at their clock time, moved to
+ * the nearest agenda boundary when one is close
+ * Slot start times are rounded to 15 minutes and at least 15 minutes apart
+ * @param {string} eventType - Event type name
+ * @param {number} start - Day start in minutes since midnight
+ * @param {number} end - Day end in minutes since midnight
+ * @returns {Array} [{ time: 'HH:MM', activity }]
+ */
+export function buildDaySchedule(eventType, start, end) {
+  const breaks = getBreaks(start, end);
+  const programme = end - start - breaks.reduce((sum, item) => sum + item.minutes, 0);
+  const agenda = getEventTypeProfile(eventType).itinerary;
+  const totalShare = agenda.reduce((sum, [, share]) => sum + share, 0);
+
+  // Agenda items in programme minutes from the start
+  let offset = 0;
+  const items = agenda.map(([activity, share]) => {
+    const item = { activity, offset, minutes: 0 };
+    offset += programme * share / totalShare;
+    return item;
+  });
+  const boundaries = items.slice(1).map(item => item.offset);
+
+  // A break's programme offset discounts the breaks before it
+  let taken = 0;
+  breaks.forEach(item => {
+    const target = item.at - start - taken;
+    const nearest = boundaries.reduce((best, boundary) =>
+      Math.abs(boundary - target) < Math.abs(best - target) ? boundary : best, Infinity);
+
+    item.offset = Math.abs(nearest - target) <= BREAK_SNAP_MINUTES ? nearest : target;
+    taken += item.minutes;
+  });
+
+  const resumed = breaks
+    .filter(item => !boundaries.includes(item.offset))
+    .map(item => ({
+      activity: `${(items.filter(entry => entry.offset < item.offset).pop() || items[0]).activity} (continued)`,
+      offset: item.offset,
+      minutes: 0
+    }));
+
+  // Breaks go before the agenda item starting at the same offset
+  const entries = [...breaks, ...resumed, ...items].sort((a, b) => a.offset - b.offset || b.minutes - a.minutes);
+  const slots = [];
+  let elapsedBreaks = 0;
+  let previous = -Infinity;
+
+  entries.forEach(entry => {
+    const rounded = Math.round((start + entry.offset + elapsedBreaks) / 15) * 15;
+    const minutes = Math.max(rounded, previous + 15);
+    slots.push({ time: formatTime(minutes), activity: entry.activity });
+    elapsedBreaks += entry.minutes;
+    previous = minutes;
+  });
+
+  return slots;
+}
+
+/**
+ * List the meals an event's daily window calls for
+ * @param {Object} eventData - Event data
+ * @returns {string[]} Meals from breakfast, lunch, snacks, dinner
+ */
+export function getScheduledMeals(eventData) {
+  const { start, end } = getDayWindow(eventData);
+  const multiDay = getEventDays(eventData) > 1;
+  const breaks = getBreaks(start, end);
+  const meals = [];
+
+  if (start <= parseTime('09:30') || multiDay) meals.push('breakfast');
+  if (breaks.some(item => item.activity === 'Lunch')) meals.push('lunch');
+  if (breaks.some(item => item.activity !== 'Lunch') || (end - start >= 120 && !meals.includes('lunch'))) meals.push('snacks');
+  if (end >= parseTime('20:00') || multiDay) meals.push('dinner');
+
+  return meals;
+}
+
+/**
+ * Describe the event dates for display
+ * @param {Object} eventData - Event data
+ * @returns {string} e.g. "2025-06-10" or "2025-06-10 to 2025-06-12 (3 days)"
+ */
+export function describeEventDates(eventData) {
+  const days = getEventDays(eventData);
+  return days > 1 ? `${eventData.date} to ${eventData.endDate} (${days} days)` : eventData.date;
+}
+
+/**
+ * Get the breaks that apply to a daily window
+ */
+function getBreaks(start, end) {
+  const breaks = BREAK_RULES
+    .filter(rule => end - start >= rule.minHours * 60 &&
+      start <= parseTime(rule.window[0]) && end >= parseTime(rule.window[1]))
+    .map(rule => ({ activity: rule.activity, at: parseTime(rule.at), minutes: rule.minutes }));
+
+  if (breaks.length === 0 && start < EVENING_START && end - start >= MIDPOINT_BREAK_MIN_HOURS * 60) {
+    breaks.push({ activity: 'Short break', at: Math.round((start + end) / 2), minutes: 15 });
+  }
+
+  return breaks;
+}
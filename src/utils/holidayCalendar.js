@@ -0,0 +1,165 @@
+/**
+ * Holiday checks for event dates
+ *
+ * Uses the offline calendar in config/holidays.js. A holiday applies to an
+ * event when it is national or a festival, or a state holiday in the state of
+ * the event's city. An event conflicts with a holiday that falls on one of its
+ * days or on the day just before or after it (travel, long weekends).
+ */
+import { HOLIDAYS, HOLIDAY_TYPES, HOLIDAY_MEAL_NOTES } from '../config/holidays.js';
+import { getCityProfile } from '../config/cities.js';
+import { getEventTypeProfile } from '../config/eventTypes.js';
+import { getEventDates } from './eventSchedule.js';
+import { parseISODate, formatDate, addDays, getISTToday } from './dateResolver.js';
+
+const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// Days either side of the event searched for holiday-free dates
+const ALTERNATIVE_SEARCH_DAYS = 21;
+
+/**
+ * Check whether the calendar covers a date's year
+ * @param {string} date - YYYY-MM-DD
+ * @returns {boolean} True when holidays are listed for that year
+ */
+export function hasHolidayCalendar(date) {
+  return !!HOLIDAYS[String(date || '').slice(0, 4)];
+}
+
+/**
+ * List the holidays on a date that apply in a city
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} location - City name
+ * @param {Object} options - { includeObservances } to include fasting periods
+ * @returns {Array} Holiday entries
+ */
+export function getHolidaysOn(date, location, { includeObservances = false } = {}) {
+  const { state } = getCityProfile(location);
+
+  return (HOLIDAYS[String(date).slice(0, 4)] || []).filter(holiday =>
+    holiday.date <= date && date <= (holiday.endDate || holiday.date) &&
+    (includeObservances || holiday.type !== 'observance') &&
+    (!holiday.states || holiday.states.includes(state)));
+}
+
+/**
+ * Find the holidays that fall on or right next to an event
+ * @param {Object} eventData - Event data with date, endDate and location
+ * @returns {Array} [{ name, type, date, relation: during | dayBefore | dayAfter }]
+ */
+export function findHolidayConflicts(eventData) {
+  const dates = getEventDates(eventData);
+  if (dates.length === 0) return [];
+
+  const start = parseISODate(dates[0]);
+  const checks = [
+    ...dates.map(date => ({ date, relation: 'during' })),
+    { date: formatDate(addDays(start, -1)), relation: 'dayBefore' },
+    { date: formatDate(addDays(start, dates.length)), relation: 'dayAfter' }
+  ];
+
+  const conflicts = [];
+  checks.forEach(({ date, relation }) => {
+    getHolidaysOn(date, eventData.location).forEach(holiday => {
+      if (conflicts.some(conflict => conflict.name === holiday.name)) return;
+      conflicts.push({ name: holiday.name, type: holiday.type, date, relation });
+    });
+  });
+
+  return conflicts;
+}
+
+/**
+ * Suggest nearby start dates where the event avoids every holiday
+ * Dates on the event type's preferred days (weekday/weekend) come first,
+ * then the closest to the requested date
+ * @param {Object} eventData - Event data
+ * @param {Object} options - { count, today }
+ * @returns {string[]} Start dates as YYYY-MM-DD
+ */
+export function suggestHolidayFreeDates(eventData, { count = 3, today = getISTToday() } = {}) {
+  const start = parseISODate(eventData?.date);
+  if (!start) return [];
+
+  const days = getEventDates(eventData).length;
+  const preferredDays = getEventTypeProfile(eventData.eventType).preferredDays;
+  const candidates = [];
+
+  for (let offset = 1; offset <= ALTERNATIVE_SEARCH_DAYS; offset++) {
+    for (const shift of [-offset, offset]) {
+      const candidate = addDays(start, shift);
+      const date = formatDate(candidate);
+      if (candidate <= today || !hasHolidayCalendar(date)) continue;
+
+      const shifted = {
+        ...eventData,
+        date,
+        ...(eventData.endDate && { endDate: formatDate(addDays(candidate, days - 1)) })
+      };
+      if (findHolidayConflicts(shifted).length > 0) continue;
+
+      candidates.push({ date, offset, preferred: isPreferredDay(candidate, preferredDays) });
+    }
+  }
+
+  return candidates
+    .sort((a, b) => Number(b.preferred) - Number(a.preferred) || a.offset - b.offset)
+    .slice(0, count)
+    .map(candidate => candidate.date);
+}
+
+/**
+ * Get menu notes for holidays and fasting periods during an event
+ * @param {Object} eventData - Event data
+ * @returns {Array} [{ name, note }] one per holiday with a meal note
+ */
+export function getHolidayMealNotes(eventData) {
+  const notes = [];
+
+  getEventDates(eventData).forEach(date => {
+    getHolidaysOn(date, eventData.location, { includeObservances: true })
+      .filter(holiday => holiday.meal && !notes.some(note => note.name === holiday.name))
+      .forEach(holiday => notes.push({ name: holiday.name, note: HOLIDAY_MEAL_NOTES[holiday.meal] }));
+  });
+
+  return notes;
+}
+
+/**
+ * Describe a holiday conflict as a warning
+ * @param {Object} conflict - Entry from findHolidayConflicts
+ * @param {string} location - Event city
+ * @returns {string} Warning text
+ */
+export function describeHolidayConflict(conflict, location) {
+  const kind = conflict.type === 'regional' ?
+    `${HOLIDAY_TYPES.regional.toLowerCase()} in ${getCityProfile(location).state}` :
+    HOLIDAY_TYPES[conflict.type].toLowerCase();
+  const holiday = `${conflict.name} (${formatDayLabel(conflict.date)}, ${kind})`;
+
+  if (conflict.relation === 'during') {
+    return `The event falls on ${holiday} - expect lower attendance, closed offices and festival rates from venues and vendors`;
+  }
+
+  return `${holiday} is the day ${conflict.relation === 'dayBefore' ? 'before' : 'after'} the event - attendees may be travelling or on leave`;
+}
+
+/**
+ * Format a date with its weekday
+ * @param {string} date - YYYY-MM-DD
+ * @returns {string} e.g. "Tue 10 Nov 2026"
+ */
+export function formatDayLabel(date) {
+  const parsed = parseISODate(date);
+  if (!parsed) return date;
+
+  return `${WEEKDAY_NAMES[parsed.getUTCDay()]} ${parsed.getUTCDate()} ${MONTH_NAMES[parsed.getUTCMonth()]} ${parsed.getUTCFullYear()}`;
+}
+
+function isPreferredDay(date, preferredDays) {
+  const weekend = date.getUTCDay() === 0 || date.getUTCDay() === 6;
+  if (preferredDays === 'weekday') return !weekend;
+  if (preferredDays === 'weekend') return weekend;
+  return true;
+}
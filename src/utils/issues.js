@@ -0,0 +1,93 @@
+/**
+ * Structured validation issues
+ *
+ * Validators report issues instead of plain strings:
+ *   { code, field, severity, category, message, fix }
+ * - code: Stable kebab-case identifier (business rule ids are used as-is)
+ * - field: eventData field the issue is about, null when it is not about one
+ * - severity: error (blocks planning) | warning | info
+ * - category: validation | parsing | external | system; the error handler
+ *   groups failures by it
+ * - message: Text shown to the user
+ * - fix: Machine-readable suggestion or null:
+ *   { action, field, value?, min?, max?, options?, format?, description? }
+ *   action: set (use value) | range (stay within min/max) | oneOf (pick from
+ *   options) | format (match format) | review (no automatic fix; see description)
+ *
+ * state.errors and state.warnings keep the messages for display and older
+ * clients; state.issues holds the structured form.
+ */
+
+export const ISSUE_SEVERITIES = ['error', 'warning', 'info'];
+export const ISSUE_CATEGORIES = ['validation', 'parsing', 'external', 'system'];
+export const FIX_ACTIONS = ['set', 'range', 'oneOf', 'format', 'review'];
+
+/**
+ * Create an issue
+ * @param {string} code - Issue code
+ * @param {string} message - Text shown to the user
+ * @param {Object} options - { field, severity (default error), category (default validation), fix }
+ * @returns {Object} Issue
+ */
+export function createIssue(code, message, { field = null, severity = 'error', category = 'validation', fix = null } = {}) {
+  return { code, field, severity, category, message, fix };
+}
+
+/**
+ * Get the messages of issues, optionally of one severity
+ * @param {Array} issues - Issues
+ * @param {string|string[]} severity - Severity or severities to keep (all when omitted)
+ * @returns {string[]} Messages
+ */
+export function getIssueMessages(issues, severity) {
+  const severities = severity === undefined ? ISSUE_SEVERITIES : [].concat(severity);
+  return issues.filter(issue => severities.includes(issue.severity)).map(issue => issue.message);
+}
+
+/**
+ * Check whether any issue blocks planning
+ * @param {Array} issues - Issues
+ * @returns {boolean} True when an issue has error severity
+ */
+export function hasBlockingIssues(issues) {
+  return issues.some(issue => issue.severity === 'error');
+}
+
+/**
+ * Add issues to graph state, keeping errors and warnings in step
+ * @param {Object} state - Current graph state
+ * @param {Array} issues - Issues to add
+ * @returns {Object} { issues, errors, warnings } for the state update
+ */
+export function withIssues(state, issues) {
+  return {
+    issues: [...(state.issues || []), ...issues],
+    errors: [...(state.errors || []), ...getIssueMessages(issues, 'error')],
+    warnings: [...(state.warnings || []), ...getIssueMessages(issues, ['warning', 'info'])]
+  };
+}
+
+/**
+ * Describe a fix suggestion in words
+ * @param {Object|null} fix - Fix suggestion
+ * @returns {string|null} Description, null when there is no fix
+ */
+export function describeFix(fix) {
+  if (!fix) return null;
+  const field = fix.field || 'the input';
+  const format = value => typeof value === 'number' ? value.toLocaleString() : value;
+
+  switch (fix.action) {
+    case 'set':
+      return `Set ${field} to ${format(fix.value)}`;
+    case 'range':
+      if (fix.min !== undefined && fix.max !== undefined) return `Set ${field} between ${format(fix.min)} and ${format(fix.max)}`;
+      return fix.min !== undefined ? `Set ${field} to at least ${format(fix.min)}` : `Set ${field} to at most ${format(fix.max)}`;
+    case 'oneOf':
+      return `Use one of these for ${field}: ${fix.options.join(', ')}`;
+    case 'format':
+      return `Write ${field} as ${fix.format}`;
+    default:
+      return fix.description || null;
+  }
+}
@@ -0,0 +1,111 @@
+/**
+ * Booking lead-time feasibility
+ *
+ * Compares the days left before the event with how long its bookings take
+ * (config/leadTimes.js), scaled by headcount and city tier. Below the
+ * minimum for any booking the date is infeasible; below the recommended
+ * lead time it is compressed: bookable, but with less choice and rush rates.
+ */
+import { BOOKINGS, EVENT_TYPE_BOOKINGS, HEADCOUNT_FACTORS, CITY_TIER_FACTORS } from '../config/leadTimes.js';
+import { getCityProfile } from '../config/cities.js';
+import { getISTToday, parseISODate, formatDate, addDays } from './dateResolver.js';
+import { estimateAccommodation } from './eventSchedule.js';
+
+const SPEAKER_PATTERN = /speaker|keynote|panel/i;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Count the days from today (IST) to the event
+ * @param {string} date - Event date (YYYY-MM-DD)
+ * @param {Date} today - Today's date (defaults to IST today)
+ * @returns {number|null} Days until the event (0 = today), null without a valid date
+ */
+export function getDaysUntilEvent(date, today = getISTToday()) {
+  const eventDate = parseISODate(date);
+  return eventDate ? Math.round((eventDate - today) / DAY_MS) : null;
+}
+
+/**
+ * Get the lead times of the bookings an event depends on
+ * @param {Object} eventData - Event data with eventType, numberOfAttendees and location
+ * @returns {Array} [{ booking, label, minimumDays, recommendedDays }] scaled to the event
+ */
+export function getBookingLeadTimes(eventData) {
+  const bookings = [...(EVENT_TYPE_BOOKINGS[eventData?.eventType] || ['venue', 'catering'])];
+  if (!bookings.includes('speakers') && (eventData?.requirements || []).some(requirement => SPEAKER_PATTERN.test(requirement))) {
+    bookings.push('speakers');
+  }
+  if (estimateAccommodation(eventData || {})) {
+    bookings.push('accommodation');
+  }
+
+  const headcount = HEADCOUNT_FACTORS.find(band => (eventData?.numberOfAttendees || 0) <= band.upTo);
+  const city = CITY_TIER_FACTORS[getCityProfile(eventData?.location).tier] || CITY_TIER_FACTORS[2];
+
+  return bookings.map(booking => {
+    const { label, minimumDays, recommendedDays, scalesWithHeadcount } = BOOKINGS[booking];
+    const minimumFactor = (scalesWithHeadcount ? headcount.minimum : 1) * city.minimum;
+    const recommendedFactor = (scalesWithHeadcount ? headcount.recommended : 1) * city.recommended;
+
+    return {
+      booking,
+      label,
+      minimumDays: Math.ceil(minimumDays * minimumFactor),
+      recommendedDays: Math.ceil(recommendedDays * recommendedFactor)
+    };
+  });
+}
+
+/**
+ * Assess whether the bookings can be made in the time left
+ * @param {Object} eventData - Event data
+ * @param {Object} options - { today } (defaults to IST today)
+ * @returns {Object} { daysUntilEvent, status: ok | compressed | infeasible | unknown, minimumDays, recommendedDays,
+ *   bookings: [{ booking, label, minimumDays, recommendedDays, status }], earliestFeasibleDate, recommendedDate }
+ */
+export function assessLeadTime(eventData, { today = getISTToday() } = {}) {
+  const daysUntilEvent = getDaysUntilEvent(eventData?.date, today);
+  const bookings = getBookingLeadTimes(eventData).map(item => ({
+    ...item,
+    status: daysUntilEvent === null ? 'unknown' :
+      daysUntilEvent < item.minimumDays ? 'infeasible' :
+      daysUntilEvent < item.recommendedDays ? 'compressed' : 'ok'
+  }));
+  const minimumDays = Math.max(0, ...bookings.map(item => item.minimumDays));
+  const recommendedDays = Math.max(0, ...bookings.map(item => item.recommendedDays));
+
+  return {
+    daysUntilEvent,
+    status: daysUntilEvent === null ? 'unknown' :
+      daysUntilEvent < minimumDays ? 'infeasible' :
+      daysUntilEvent < recommendedDays ? 'compressed' : 'ok',
+    minimumDays,
+    recommendedDays,
+    bookings,
+    earliestFeasibleDate: formatDate(addDays(today, minimumDays)),
+    recommendedDate: formatDate(addDays(today, recommendedDays))
+  };
+}
+
+/**
+ * Describe the bookings that are short of time, most urgent first
+ * @param {Object} assessment - Result of assessLeadTime
+ * @returns {string[]} e.g. "Venue (needs 14 days)"
+ */
+export function describeUrgentBookings(assessment) {
+  return assessment.bookings
+    .filter(item => item.status === 'infeasible' || item.status === 'compressed')
+    .sort((a, b) => b.recommendedDays - a.recommendedDays)
+    .map(item => `${item.label} (needs ${item.status === 'infeasible' ? `at least ${item.minimumDays}` : item.recommendedDays} days)`);
+}
+
+/**
+ * Describe the time left before the event
+ * @param {number} days - Days until the event
+ * @returns {string} e.g. "Less than a day", "1 day", "5 days"
+ */
+export function describeTimeLeft(days) {
+  if (days < 1) return 'Less than a day';
+  return days === 1 ? '1 day' : `${days} days`;
+}
@@ -0,0 +1,126 @@
+/**
+ * Inputs that describe several events, and the budget roll-up across them
+ *
+ * "A leadership offsite in Goa in May and a sales kickoff in Pune in June" is
+ * split into one description per event so each runs through the graph on its
+ * own. The input is cut into clauses (sentences, and "and/plus/then" before a
+ * new article); a clause opens a new event when it names an event with its own
+ * place or date. A later event must also be a top-level event (an offsite, a
+ * kickoff) or state its own headcount or budget, so an outing or dinner in
+ * another town stays part of the event it belongs to. Other clauses belong to
+ * the event before them, lead-in text goes to every event, and clauses saying
+ * "each", "both" or "all events" are shared too (without that word, so "₹2
+ * lakhs each" reads as each event's budget).
+ */
+import { getEventTypeLabel } from '../config/eventTypes.js';
+import { allocateBudget } from './costEngine.js';
+
+const TOP_LEVEL_NOUN = "(?:off-?sites?|retreats?|kick-?offs?|summits?|conferences?|conventions?|trainings?|workshops?|seminars?|meetings?|meet-?ups?|town\\s*halls?|all-hands|hackathons?|launch(?:es)?|galas?|awards?\\s+(?:night|ceremony))";
+// Also happen within a larger event ("day 2: team outing")
+const SUB_ACTIVITY_NOUN = "(?:outings?|dinners?|part(?:y|ies)|celebrations?|events?|sessions?)";
+const EVENT_NOUN = `(?:${TOP_LEVEL_NOUN}|${SUB_ACTIVITY_NOUN})`;
+const EVENT_NOUN_PATTERN = new RegExp(`\\b${EVENT_NOUN}\\b`, 'i');
+const TOP_LEVEL_PATTERN = new RegExp(`\\b${TOP_LEVEL_NOUN}\\b`, 'i');
+// A back-reference ("the offsite", "that workshop") describes an event already mentioned
+const BACK_REFERENCE_PATTERN = new RegExp(`\\b(?:the|this|that|these|those|our|same|both|each)\\s+(?:[\\w-]+\\s+){0,2}?${EVENT_NOUN}\\b`, 'i');
+const INTRODUCTION_PATTERN = new RegExp(`^(?:(?:also|then|plus|and)\\s+)?(?:(?:a|an|another|one|second|third)\\s+)?(?:[\\w-]+\\s+){0,3}?${EVENT_NOUN}\\b`, 'i');
+
+const CLAUSE_SEPARATOR = /(?<=[.!?])\s+(?=[A-Z₹])|[,;]?\s+(?:and|plus|then|followed\s+by|as\s+well\s+as)\s+(?=(?:a|an|another|one|also)\s)/;
+const LEADING_CONNECTOR_PATTERN = /^(?:also|then|plus|and)\s+/i;
+const SHARED_CLAUSE_PATTERN = /\s*\b(?:for\s+)?(?:each(?:\s+event)?|both(?:\s+events)?|all\s+(?:the\s+)?(?:events|of\s+them)|per\s+event|every\s+event)\b/i;
+
+const PLACE_PATTERN = /\b(?:in|at)\s+[A-Z][a-zA-Z]+/;
+const SIZE_PATTERN = /\b\d+\s*(?:people|persons|pax|attendees|participants|guests|members|employees|delegates)\b|₹|\b(?:rs\.?|inr|budget)\b|\b\d+(?:\.\d+)?\s*(?:lakhs?|lacs?|crores?|cr|k)\b/i;
+const DATE_PATTERN = /\b(?:jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?|tomorrow|next\s+\w+|this\s+(?:week|weekend|month|monday|tuesday|wednesday|thursday|friday|saturday|sunday)|q[1-4])\b|\b\d{1,2}[/-]\d{1,2}(?:[/-]\d{2,4})?\b|\b\d{4}-\d{2}-\d{2}\b/i;
+
+/**
+ * Split an input that describes several events into one description per event
+ * @param {string} text - Natural language input
+ * @returns {string[]|null} Event descriptions, or null when the input describes one event
+ */
+export function splitMultiEventInput(text) {
+  if (!text || typeof text !== 'string') return null;
+
+  const clauses = text.split(CLAUSE_SEPARATOR).map(clause => clause.trim()).filter(Boolean);
+  const leadIn = [];
+  const shared = [];
+  const events = [];
+
+  for (const clause of clauses) {
+    if (opensEvent(clause, events.length === 0)) {
+      events.push([clause.replace(LEADING_CONNECTOR_PATTERN, '')]);
+    } else if (events.length === 0) {
+      leadIn.push(clause);
+    } else if (SHARED_CLAUSE_PATTERN.test(clause)) {
+      // "₹2 lakhs each" is per event here, not per person
+      shared.push(clause.replace(new RegExp(SHARED_CLAUSE_PATTERN, 'gi'), ''));
+    } else {
+      events[events.length - 1].push(clause);
+    }
+  }
+
+  if (events.length < 2) return null;
+
+  return events.map(eventClauses => [...leadIn, ...eventClauses, ...shared]
+    .map(clause => clause.charAt(0).toUpperCase() + clause.slice(1))
+    .map(clause => /[.!?]$/.test(clause) ? clause : `${clause}.`)
+    .join(' '));
+}
+
+/**
+ * Roll up the budgets of several planned events
+ * Category amounts use the same split as each plan's cost breakdown
+ * @param {Array} events - [{ eventData, status }] where status is planned | needs-clarification | failed
+ * @returns {Object} { events, totalBudgetInINR, totalAttendees, byCategory, counts }
+ */
+export function buildBudgetRollup(events) {
+  const byCategory = {};
+  const rows = events.map(({ eventData, status }, index) => {
+    const row = {
+      index: index + 1,
+      status,
+      eventType: eventData?.eventType || null,
+      label: eventData?.eventType ? getEventTypeLabel(eventData.eventType) : 'Unparsed event',
+      location: eventData?.location || null,
+      date: eventData?.date || null,
+      attendees: eventData?.numberOfAttendees || 0,
+      budgetInINR: eventData?.budgetInINR || 0
+    };
+    row.perPersonInINR = row.attendees > 0 ? Math.round(row.budgetInINR / row.attendees) : null;
+
+    // Only planned events have a validated budget to split
+    if (status === 'planned' && row.budgetInINR > 0) {
+      allocateBudget(eventData).lines.forEach(({ category, label, amount }) => {
+        byCategory[category] = byCategory[category] || { label, amount: 0 };
+        byCategory[category].amount += amount;
+      });
+    }
+
+    return row;
+  });
+
+  const planned = rows.filter(row => row.status === 'planned');
+
+  return {
+    events: rows,
+    totalBudgetInINR: planned.reduce((sum, row) => sum + row.budgetInINR, 0),
+    totalAttendees: planned.reduce((sum, row) => sum + row.attendees, 0),
+    byCategory,
+    counts: {
+      planned: planned.length,
+      needsClarification: rows.filter(row => row.status === 'needs-clarification').length,
+      failed: rows.filter(row => row.status === 'failed').length
+    }
+  };
+}
+
+function opensEvent(clause, isFirst) {
+  if (!EVENT_NOUN_PATTERN.test(clause) || !(PLACE_PATTERN.test(clause) || DATE_PATTERN.test(clause))) return false;
+
+  if (isFirst) return true;
+
+  // Later events must be introduced as new, not referred back to, and be
+  // more than an activity of the event before
+  return INTRODUCTION_PATTERN.test(clause) && !BACK_REFERENCE_PATTERN.test(clause) &&
+    (TOP_LEVEL_PATTERN.test(clause) || SIZE_PATTERN.test(clause));
+}
@@ -0,0 +1,424 @@
+/**
+ * Structured event plans
+ *
+ * The LLM writes the plan as Markdown in the layout the prompt asks for; it is
+ * parsed into a plan object and every output (Markdown, plain text, the UI) is
+ * rendered from that object:
+ *   { title, overview, brief, itinerary, costs, meals, speakers, logistics,
+ *     activities, sections, notes }
+ * - overview: { attendees, location, dates, timeWindow, budgetInINR }
+ * - itinerary: [{ day, date, items: [{ time, activity, details }] }]
+ * - costs: { lines: [{ label, category, amount, note, items: [{ label, amount }] }], total }
+ *   category is the cost category from config/eventTypes.js when the label
+ *   names one; lines corrected to the budget allocation also carry
+ *   plannedAmount, and overshoot when the plan went over (utils/costEngine.js)
+ * - meals: [{ label, menu }], speakers: [{ name, expertise, availability }],
+ *   logistics: [{ label, details }], activities: [string]
+ * - sections: other sections as Markdown lines ({ key, heading, lines }),
+ *   placed by key: refinements, timeline, accommodation, accessibility,
+ *   weather or other
+ * - notes: closing remarks
+ *
+ * The schema is structuredPlanSchema in graph/state.js.
+ */
+import { COST_CATEGORY_LABELS } from '../config/eventTypes.js';
+
+export const PLAN_SECTION_KEYS = ['refinements', 'timeline', 'accommodation', 'accessibility', 'weather', 'other'];
+
+const PART_HEADINGS = {
+  brief: 'EVENT BRIEF',
+  itinerary: 'DETAILED ITINERARY',
+  costs: 'COST BREAKDOWN',
+  meals: 'MEAL PLAN',
+  speakers: 'SPEAKER RECOMMENDATIONS',
+  logistics: 'LOGISTICS & SETUP',
+  activities: 'ENERGIZER ACTIVITIES'
+};
+
+// Render order of the parts and section keys
+const LAYOUT = ['brief', 'refinements', 'timeline', 'itinerary', 'costs', 'accommodation', 'meals', 'accessibility', 'weather', 'speakers', 'logistics', 'activities', 'other'];
+
+// Headings in LLM output, checked in order (section keys before the parts
+// whose words they share)
+const HEADING_PATTERNS = [
+  ['refinements', /REFINEMENT/],
+  ['timeline', /COMPRESSED TIMELINE/],
+  ['weather', /WEATHER/],
+  ['accessibility', /ACCESSIB/],
+  ['accommodation', /ACCOMMODATION|\bSTAY\b/],
+  ['speakers', /SPEAKER/],
+  ['brief', /BRIEF|OVERVIEW|SUMMARY/],
+  ['itinerary', /ITINERARY|AGENDA|SCHEDULE/],
+  ['costs', /COST|BUDGET/],
+  ['meals', /MEAL|MENU|FOOD/],
+  ['logistics', /LOGISTIC|SETUP/],
+  ['activities', /ENERGI[SZ]ER|ACTIVIT/]
+];
+
+const TIME = '\\d{1,2}[:.]\\d{2}(?:\\s*[AaPp]\\.?[Mm]\\.?)?';
+const ITEM_PATTERN = new RegExp(`^(${TIME}(?:\\s*[-–—]\\s*${TIME})?)\\s*[-–—:|]\\s*(.+)$`);
+const DAY_PATTERN = /^(?:#{3,}|\*\*)\s*Day\s+(\d+)\b/i;
+const AMOUNT_PATTERN = /(?:₹|Rs\.?|INR)\s*\[?\s*(\d[\d,]*(?:\.\d+)?)(\s*(?:lakhs?|lacs?)\b)?\]?/i;
+
+/**
+ * Create a plan with no content yet
+ * @param {Object} header - { title, overview }
+ * @returns {Object} Plan
+ */
+export function createPlan({ title, overview }) {
+  return {
+    title,
+    overview,
+    brief: '',
+    itinerary: [],
+    costs: { lines: [], total: null },
+    meals: [],
+    speakers: [],
+    logistics: [],
+    activities: [],
+    sections: [],
+    notes: []
+  };
+}
+
+/**
+ * Parse LLM Markdown into a plan
+ * Text before the first "## " heading (a title the model added) is dropped;
+ * unrecognised sections are kept with key "other"
+ * @param {string} markdown - Plan Markdown
+ * @param {Object} header - { title, overview, dates } with dates the event days (YYYY-MM-DD) for itinerary days without one
+ * @returns {Object} Plan
+ */
+export function parsePlanMarkdown(markdown, { title, overview, dates = [] }) {
+  const plan = createPlan({ title, overview });
+
+  splitSections(markdown).forEach(({ heading, lines }) => {
+    const key = getSectionKey(heading);
+
+    switch (key) {
+      case 'brief':
+        plan.brief = [plan.brief, ...lines.map(stripMarkdown)].filter(Boolean).join('\n');
+        break;
+      case 'itinerary':
+        plan.itinerary.push(...parseItinerary(lines, dates, plan.itinerary.length));
+        break;
+      case 'costs':
+        parseCosts(lines, plan.costs);
+        break;
+      case 'meals':
+        plan.meals.push(...lines.map(line => {
+          const { label, value } = splitLabel(stripMarkdown(line));
+          return { label, menu: value };
+        }));
+        break;
+      case 'speakers':
+        plan.speakers.push(...lines.map(parseSpeaker));
+        break;
+      case 'logistics':
+        plan.logistics.push(...lines.map(line => {
+          const { label, value } = splitLabel(stripMarkdown(line));
+          return { label, details: value };
+        }));
+        break;
+      case 'activities':
+        plan.activities.push(...lines.map(stripMarkdown).filter(Boolean));
+        break;
+      default:
+        plan.sections.push({ key, heading, lines });
+    }
+  });
+
+  return plan;
+}
+
+/**
+ * Turn a generated "## HEADING" block into a plan section
+ * @param {string} markdown - Section Markdown including its heading
+ * @returns {Object} { key, heading, lines }
+ */
+export function toPlanSection(markdown) {
+  const [section] = splitSections(markdown);
+  return { key: getSectionKey(section.heading), heading: section.heading, lines: section.lines };
+}
+
+/**
+ * Check whether a plan has a section
+ * @param {Object} plan - Plan
+ * @param {string} key - Section key
+ * @returns {boolean} True when present
+ */
+export function hasPlanSection(plan, key) {
+  return plan.sections.some(section => section.key === key);
+}
+
+/**
+ * Find the cost line for a category
+ * @param {Object} plan - Plan
+ * @param {string} category - Cost category (e.g. catering)
+ * @returns {Object|null} Cost line
+ */
+export function getCostLine(plan, category) {
+  return plan?.costs.lines.find(line => line.category === category) || null;
+}
+
+/**
+ * Read a "Label: value" line from a section
+ * @param {Object} plan - Plan
+ * @param {string} key - Section key
+ * @param {string} label - Line label (case-insensitive)
+ * @returns {string|null} Value without Markdown
+ */
+export function getSectionValue(plan, key, label) {
+  const values = (plan?.sections || [])
+    .filter(section => section.key === key)
+    .flatMap(section => section.lines.map(line => splitLabel(stripMarkdown(line))))
+    .filter(line => line.label?.toLowerCase() === label.toLowerCase());
+
+  return values[0]?.value || null;
+}
+
+/**
+ * Render a plan as Markdown
+ * @param {Object} plan - Plan
+ * @returns {string} Markdown
+ */
+export function renderPlanMarkdown(plan) {
+  const { attendees, location, dates, timeWindow, budgetInINR } = plan.overview;
+  const header = `# ${plan.title}\n**${attendees} people • ${location} • ${dates} • ${timeWindow}**\n**Budget: ₹${budgetInINR.toLocaleString()}**`;
+
+  return [
+    header,
+    ...getPlanBlocks(plan).map(block => `## ${block.heading}\n${block.lines.join('\n')}`),
+    ...plan.notes.map(note => `*${note}*`)
+  ].join('\n\n');
+}
+
+/**
+ * Render a plan as plain text
+ * @param {Object} plan - Plan
+ * @returns {string} Text without Markdown
+ */
+export function renderPlanText(plan) {
+  const { attendees, location, dates, timeWindow, budgetInINR } = plan.overview;
+  const header = `${plan.title}\n${'='.repeat(plan.title.length)}\n${attendees} people • ${location} • ${dates} • ${timeWindow}\nBudget: ₹${budgetInINR.toLocaleString()}`;
+
+  return [
+    header,
+    ...getPlanBlocks(plan).map(block => {
+      const heading = toPlainText(block.heading);
+      return `${heading}\n${'-'.repeat(heading.length)}\n${block.lines.map(toPlainText).join('\n')}`;
+    }),
+    ...plan.notes
+  ].join('\n\n');
+}
+
+/**
+ * Lay the plan out as headed blocks of Markdown lines, in render order
+ * Empty parts are left out
+ */
+function getPlanBlocks(plan) {
+  return LAYOUT.flatMap(key => {
+    if (!PART_HEADINGS[key]) {
+      return plan.sections.filter(section => section.key === key);
+    }
+
+    const lines = renderPart(plan, key);
+    return lines.length > 0 ? [{ heading: PART_HEADINGS[key], lines }] : [];
+  });
+}
+
+function renderPart(plan, key) {
+  const labelled = (label, value) => label && value ? `${label}: ${value}` : label || value;
+
+  switch (key) {
+    case 'brief':
+      return plan.brief ? plan.brief.split('\n') : [];
+    case 'itinerary':
+      return renderItinerary(plan.itinerary);
+    case 'costs':
+      return plan.costs.lines.length === 0 ? [] : [
+        ...plan.costs.lines.flatMap(line => [
+          labelled(line.label, [formatAmount(line.amount), line.note, describeOvershoot(line)].filter(Boolean).join(' ')),
+          ...line.items.map(item => `  - ${labelled(item.label, formatAmount(item.amount) || '-')}`)
+        ]),
+        ...(plan.costs.total !== null ? [`Total: ${formatAmount(plan.costs.total)}`] : [])
+      ];
+    case 'meals':
+      return plan.meals.map(meal => labelled(meal.label, meal.menu));
+    case 'speakers':
+      return plan.speakers.map((speaker, index) =>
+        `${index + 1}. ${[speaker.name, speaker.expertise, speaker.availability].filter(Boolean).join(' - ')}`);
+    case 'logistics':
+      return plan.logistics.map(item => labelled(item.label, item.details));
+    case 'activities':
+      return plan.activities.map(activity => `- ${activity}`);
+    default:
+      return [];
+  }
+}
+
+// One block per day for multi-day events, a plain list otherwise
+function renderItinerary(itinerary) {
+  const formatItem = item => `${item.time ? `${item.time} - ` : ''}${item.activity}${item.details ? `: ${item.details}` : ''}`;
+  if (itinerary.length <= 1) {
+    return (itinerary[0]?.items || []).map(formatItem);
+  }
+
+  return itinerary.flatMap(({ day, date, items }, index) => [
+    ...(index > 0 ? [''] : []),
+    `### Day ${day}${date ? ` - ${date}` : ''}`,
+    ...items.map(formatItem)
+  ]);
+}
+
+function describeOvershoot(line) {
+  return line.overshoot ? `(⚠️ planned ${formatAmount(line.plannedAmount)}, ${formatAmount(line.overshoot)} over the allocation)` : '';
+}
+
+function formatAmount(amount) {
+  return amount === null || amount === undefined ? '' : `₹${amount.toLocaleString()}`;
+}
+
+// Split Markdown into "## " sections, dropping blank lines
+function splitSections(markdown) {
+  const sections = [];
+  let current = null;
+
+  markdown.split('\n').forEach(raw => {
+    const line = raw.replace(/\s+$/, '');
+    const heading = /^##\s+(.+)$/.exec(line);
+    if (heading) {
+      current = { heading: heading[1].replace(/[*_`]/g, '').trim(), lines: [] };
+      sections.push(current);
+    } else if (current && line.trim()) {
+      current.lines.push(line);
+    }
+  });
+
+  return sections;
+}
+
+function getSectionKey(heading) {
+  const normalized = heading.toUpperCase();
+  return HEADING_PATTERNS.find(([, pattern]) => pattern.test(normalized))?.[0] || 'other';
+}
+
+function stripMarkdown(line) {
+  return line
+    .replace(/^\s*#{1,6}\s*/, '')
+    .replace(/^\s*(?:[-*•]|\d+[.)])\s+/, '')
+    .replace(/\*\*|__|`/g, '')
+    .replace(/^\*(.+)\*$/, '$1')
+    .trim();
+}
+
+// Drops heading marks and emphasis but keeps bullets, numbering and indentation
+function toPlainText(line) {
+  return line
+    .replace(/^(\s*)#{1,6}\s*/, '$1')
+    .replace(/\*\*|__|`/g, '')
+    .replace(/^(\s*)\*(.+)\*$/, '$1$2');
+}
+
+function splitLabel(text) {
+  const match = /^([^:]{1,60}):\s*(.+)$/.exec(text);
+  return match && !/^\d{1,2}$/.test(match[1].trim()) ?
+    { label: match[1].trim(), value: match[2].trim() } :
+    { label: null, value: text };
+}
+
+function parseItinerary(lines, dates, offset) {
+  const days = [];
+  const currentDay = () => {
+    if (days.length === 0) {
+      days.push({ day: offset + 1, date: dates[offset] || null, items: [] });
+    }
+    return days[days.length - 1];
+  };
+
+  lines.forEach(line => {
+    const dayMatch = DAY_PATTERN.exec(line.trim());
+    if (dayMatch) {
+      const day = parseInt(dayMatch[1], 10);
+      days.push({ day, date: /\d{4}-\d{2}-\d{2}/.exec(line)?.[0] || dates[day - 1] || null, items: [] });
+      return;
+    }
+
+    const text = stripMarkdown(line);
+    const item = ITEM_PATTERN.exec(text);
+    const { items } = currentDay();
+    if (item) {
+      const { label, value } = splitLabel(item[2]);
+      items.push(label ? { time: item[1], activity: label, details: value } : { time: item[1], activity: value, details: null });
+    } else if (items.length > 0) {
+      const last = items[items.length - 1];
+      last.details = [last.details, text].filter(Boolean).join(' ');
+    } else {
+      items.push({ time: null, activity: text, details: null });
+    }
+  });
+
+  return days;
+}
+
+// Indented lines are the items of the line above; the "Total" line sets the total
+function parseCosts(lines, costs) {
+  lines.forEach(line => {
+    const text = stripMarkdown(line);
+    if (/^total\b/i.test(text)) {
+      costs.total = parseAmount(text)?.amount ?? parseLastNumber(text);
+      return;
+    }
+
+    const { label, value } = splitLabel(text);
+    const parsed = parseAmount(value);
+    const parent = costs.lines[costs.lines.length - 1];
+
+    if (/^\s{2,}/.test(line) && parent) {
+      parent.items.push({ label: label || text, amount: parsed?.amount ?? null });
+      return;
+    }
+
+    costs.lines.push({
+      label: label || text,
+      category: label ? findCostCategory(label) : null,
+      amount: parsed?.amount ?? null,
+      note: (parsed ? parsed.rest : label ? value : '') || null,
+      items: []
+    });
+  });
+}
+
+function parseAmount(text) {
+  const match = AMOUNT_PATTERN.exec(text);
+  if (!match) return null;
+
+  const value = parseFloat(match[1].replace(/,/g, ''));
+  return {
+    amount: Math.round(match[2] ? value * 100000 : value),
+    rest: (text.slice(0, match.index) + text.slice(match.index + match[0].length)).trim()
+  };
+}
+
+// For totals written as "₹[sum all amounts = 80,000]"
+function parseLastNumber(text) {
+  const match = /(\d[\d,]*)(?!.*\d)/.exec(text);
+  return match ? parseInt(match[1].replace(/,/g, ''), 10) : null;
+}
+
+function findCostCategory(label) {
+  const normalized = label.toLowerCase();
+  const entries = Object.entries(COST_CATEGORY_LABELS);
+  const match = entries.find(([, categoryLabel]) => normalized.startsWith(categoryLabel.toLowerCase())) ||
+    entries.find(([, categoryLabel]) => normalized.startsWith(categoryLabel.toLowerCase().split(' ')[0]));
+  return match?.[0] || null;
+}
+
+function parseSpeaker(line) {
+  const [name, expertise, ...availability] = stripMarkdown(line).split(/\s+[-–—]\s+/);
+  return {
+    name,
+    expertise: expertise || null,
+    availability: availability.join(' - ') || null
+  };
+}
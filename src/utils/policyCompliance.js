@@ -0,0 +1,207 @@
+/**
+ * Expense policy checks
+ *
+ * Runs twice per plan: on the validated event data (checkEventPolicy) and on
+ * the generated plan and venues (reviewPlanPolicy). Violations do not stop
+ * planning; they are reported with the plan and raise the approver to the
+ * policy's exceptionApprover. See config/expensePolicy.js for the format.
+ */
+import { getEventTypeLabel } from '../config/eventTypes.js';
+import { getEventDays, getScheduledMeals, estimateAccommodation } from './eventSchedule.js';
+import { allocateBudget } from './costEngine.js';
+import { renderPlanText, getCostLine, getSectionValue } from './planModel.js';
+
+const ALCOHOL_PATTERN = /\b(alcohol|alcoholic|open bar|cocktails?|beer|wine|liquor|spirits|whisk(?:e)?y|champagne|prosecco)\b/i;
+// Lines such as "no alcohol" or "non-alcoholic punch" state the rule rather than break it
+const ALCOHOL_NEGATION = /\b(no|non|not|without|free|avoid|excluding)\b|mocktail/i;
+
+/**
+ * Check validated event data against the policy
+ * @param {Object} eventData - Validated event data
+ * @param {Object} policy - Expense policy
+ * @returns {Array} Violations: [{ code, stage: 'validation', message, fix }]
+ */
+export function checkEventPolicy(eventData, policy) {
+  const violations = [];
+
+  const alcohol = (eventData.requirements || []).find(requirement => ALCOHOL_PATTERN.test(requirement));
+  if (alcohol && !isAlcoholAllowed(eventData, policy)) {
+    violations.push(alcoholViolation('validation', `Requirement "${alcohol}"`, eventData, policy));
+  }
+
+  const catering = getPlannedCatering(eventData, policy);
+  const mealCap = checkMealCap(catering, eventData, policy, 'validation');
+  if (mealCap) violations.push(mealCap);
+
+  return violations;
+}
+
+/**
+ * Check the generated plan and venue suggestions against the policy
+ * Marks each venue with preferredVendor when the policy lists venue vendors
+ * @param {Object} result - { eventData, structuredPlan, venues }
+ * @param {Object} policy - Expense policy
+ * @returns {Object} { violations: [{ code, stage: 'plan', message, fix }], venues }
+ */
+export function reviewPlanPolicy({ eventData, structuredPlan = null, venues = [] }, policy) {
+  const violations = [];
+
+  if (structuredPlan && !isAlcoholAllowed(eventData, policy)) {
+    const mention = renderPlanText(structuredPlan).split('\n').find(line => ALCOHOL_PATTERN.test(line) && !ALCOHOL_NEGATION.test(line));
+    if (mention) {
+      violations.push(alcoholViolation('plan', `The plan mentions "${mention.match(ALCOHOL_PATTERN)[0]}"`, eventData, policy));
+    }
+  }
+
+  const catering = getCostLine(structuredPlan, 'catering')?.amount;
+  if (catering) {
+    const mealCap = checkMealCap(catering, eventData, policy, 'plan');
+    if (mealCap) violations.push(mealCap);
+  }
+
+  const hotels = policy.preferredVendors.accommodation;
+  const stay = getSectionValue(structuredPlan, 'accommodation', 'Stay');
+  if (hotels?.length > 0 && stay && !stay.startsWith('[') && !isPreferredVendor(stay, hotels)) {
+    violations.push({
+      code: 'non-preferred-accommodation',
+      stage: 'plan',
+      message: `The planned stay (${stay.replace(/\s+-\s+.*$/, '')}) is not with a preferred hotel vendor`,
+      fix: `Book with a preferred vendor (${hotels.join(', ')}) or get an exception approved`
+    });
+  }
+
+  const venueVendors = policy.preferredVendors.venue;
+  if (!venueVendors?.length) {
+    return { violations, venues };
+  }
+
+  const markedVenues = venues.map(venue => ({ ...venue, preferredVendor: isPreferredVendor(venue.name, venueVendors) }));
+  if (markedVenues.length > 0 && !markedVenues.some(venue => venue.preferredVendor)) {
+    violations.push({
+      code: 'non-preferred-venue',
+      stage: 'plan',
+      message: `None of the ${markedVenues.length} suggested venues is a preferred vendor`,
+      fix: `Look for a venue run by a preferred vendor (${venueVendors.join(', ')}) or get an exception approved`
+    });
+  }
+
+  return { violations, venues: markedVenues };
+}
+
+/**
+ * Work out who has to approve the event
+ * The budget selects a threshold approver; policy violations raise it to the
+ * exception approver when that is more senior
+ * @param {number} budget - Event budget in INR
+ * @param {Object} policy - Expense policy
+ * @param {number} violationCount - Number of policy violations
+ * @returns {Object} { approver, threshold, reason }
+ */
+export function getApprovalRequirement(budget, policy, violationCount = 0) {
+  const thresholds = policy.approvalThresholds;
+  let level = Math.max(0, thresholds.findLastIndex(threshold => budget > threshold.above));
+  let reason = thresholds[level].above > 0 ?
+    `Budget ₹${budget.toLocaleString()} is above ₹${thresholds[level].above.toLocaleString()}` :
+    `Budget ₹${budget.toLocaleString()} is within the standard approval limit`;
+
+  const exceptionLevel = thresholds.findIndex(threshold => threshold.approver === policy.exceptionApprover);
+  if (violationCount > 0 && exceptionLevel > level) {
+    level = exceptionLevel;
+    reason = `${violationCount} policy violation${violationCount > 1 ? 's need' : ' needs'} an exception`;
+  }
+
+  return { approver: thresholds[level].approver, threshold: thresholds[level].above, reason };
+}
+
+/**
+ * Summarise policy compliance for the response
+ * @param {Object} eventData - Event data
+ * @param {Array} violations - Violations found so far
+ * @param {Object} policy - Expense policy
+ * @param {string} stage - Latest stage checked: validation | plan
+ * @returns {Object} { policy, stage, compliant, violations, approvalRequiredBy, approvalThreshold, approvalReason, checkedAt }
+ */
+export function summarizePolicyCompliance(eventData, violations, policy, stage) {
+  const approval = getApprovalRequirement(eventData.budgetInINR, policy, violations.length);
+
+  return {
+    policy: policy.name,
+    stage,
+    compliant: violations.length === 0,
+    violations,
+    approvalRequiredBy: approval.approver,
+    approvalThreshold: approval.threshold,
+    approvalReason: approval.reason,
+    checkedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Describe the policy limits that apply to an event, for the plan prompt
+ * @param {Object} eventData - Event data
+ * @param {Object} policy - Expense policy
+ * @returns {string[]} Instruction lines
+ */
+export function describePolicyLimits(eventData, policy) {
+  const meals = getScheduledMeals(eventData);
+  const caps = meals.map(meal => `${meal} ₹${policy.mealCapsPerHead[meal].toLocaleString()}`).join(', ');
+  const { venue = [], accommodation = [] } = policy.preferredVendors;
+
+  return [
+    `Keep catering within the per-head meal caps (${caps})`,
+    isAlcoholAllowed(eventData, policy) ?
+      `Alcohol is allowed: ${policy.alcohol.conditions || 'within the company policy'}` :
+      'Do not include alcohol; offer mocktails and soft drinks instead',
+    ...(venue.length > 0 ? [`Prefer venues from these vendors: ${venue.join(', ')}`] : []),
+    ...(accommodation.length > 0 && estimateAccommodation(eventData) ? [`Book the stay with one of: ${accommodation.join(', ')}`] : [])
+  ];
+}
+
+/**
+ * Catering amount from the budget allocation, as laid out in the plan prompt
+ * @param {Object} eventData - Event data
+ * @param {Object} policy - Expense policy
+ * @returns {number} Catering budget in INR
+ */
+function getPlannedCatering(eventData, policy) {
+  const line = allocateBudget(eventData, policy).lines.find(item => item.category === 'catering');
+
+  return line?.amount || 0;
+}
+
+function checkMealCap(catering, eventData, policy, stage) {
+  const meals = getScheduledMeals(eventData);
+  const days = getEventDays(eventData);
+  const cap = meals.reduce((sum, meal) => sum + policy.mealCapsPerHead[meal], 0);
+  const perHead = Math.round(catering / eventData.numberOfAttendees / days);
+  if (meals.length === 0 || perHead <= cap) return null;
+
+  const excess = (perHead - cap) * eventData.numberOfAttendees * days;
+  return {
+    code: 'meal-cap-exceeded',
+    stage,
+    message: `${stage === 'plan' ? 'Planned catering' : 'The catering share of the budget'} works out to ₹${perHead.toLocaleString()} per head per day, above the policy cap of ₹${cap.toLocaleString()} for ${meals.join(', ')}`,
+    fix: `Move about ₹${excess.toLocaleString()} from catering to other lines or get an exception approved`
+  };
+}
+
+function isAlcoholAllowed(eventData, policy) {
+  return policy.alcohol.allowedEventTypes.includes(eventData.eventType);
+}
+
+function alcoholViolation(stage, source, eventData, policy) {
+  const allowed = policy.alcohol.allowedEventTypes.map(type => getEventTypeLabel(type).toLowerCase());
+
+  return {
+    code: 'alcohol-not-allowed',
+    stage,
+    message: `${source} - alcohol is not allowed at ${getEventTypeLabel(eventData.eventType).toLowerCase()} events`,
+    fix: allowed.length > 0 ?
+      `Serve soft drinks and mocktails instead; alcohol is only allowed at: ${allowed.join(', ')}` :
+      'Serve soft drinks and mocktails instead'
+  };
+}
+
+function isPreferredVendor(name, vendors) {
+  return vendors.some(vendor => new RegExp(`\\b${vendor.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`, 'i').test(name));
+}
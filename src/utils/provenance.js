@@ -0,0 +1,70 @@
+/**
+ * Where an eventData value came from
+ * - llm: extracted by the LLM parser
+ * - regex: extracted by fallback regex parsing
+ * - default: filled in because the input didn't say
+ * - eventType: the event type's typical value, e.g. its usual duration
+ * - refinement: changed by a refinement (tweak) prompt
+ * - clarification: answered by the user in a follow-up question
+ * - structured: supplied as a typed field by a programmatic client
+ */
+export const FIELD_SOURCES = ['llm', 'regex', 'default', 'eventType', 'refinement', 'clarification', 'structured'];
+
+// Baseline confidence for each source (0-1)
+export const SOURCE_CONFIDENCE = {
+  llm: 0.85,
+  regex: 0.6,
+  default: 0.2,
+  eventType: 0.5,
+  refinement: 0.8,
+  clarification: 1,
+  structured: 1
+};
+
+/**
+ * Record the source of a field value
+ * @param {Object} provenance - Provenance map (field -> entry), mutated
+ * @param {string} field - eventData field name
+ * @param {string} source - One of FIELD_SOURCES
+ * @param {Object} options - Optional confidence override and detail note
+ * @returns {Object} The provenance map
+ */
+export function markField(provenance, field, source, { confidence, detail } = {}) {
+  if (!FIELD_SOURCES.includes(source)) {
+    throw new Error(`Unknown field source: ${source}`);
+  }
+
+  provenance[field] = {
+    source,
+    confidence: confidence ?? SOURCE_CONFIDENCE[source]
+  };
+
+  if (detail) {
+    provenance[field].detail = detail;
+  }
+
+  return provenance;
+}
+
+/**
+ * Get fields whose values were filled in by defaults
+ * @param {Object} provenance - Provenance map
+ * @returns {string[]} Defaulted field names
+ */
+export function getDefaultedFields(provenance = {}) {
+  return Object.entries(provenance)
+    .filter(([, entry]) => entry.source === 'default')
+    .map(([field]) => field);
+}
+
+/**
+ * Get fields below a confidence threshold
+ * @param {Object} provenance - Provenance map
+ * @param {number} threshold - Minimum acceptable confidence
+ * @returns {string[]} Low-confidence field names
+ */
+export function getLowConfidenceFields(provenance = {}, threshold = 0.5) {
+  return Object.entries(provenance)
+    .filter(([, entry]) => entry.confidence < threshold)
+    .map(([field]) => field);
+}
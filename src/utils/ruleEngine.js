@@ -0,0 +1,259 @@
+/**
+ * Declarative business rules
+ *
+ * A rule set is a JSON document:
+ *   { name, version?, description?, rules: [rule] }
+ *
+ * Each rule has:
+ * - id: Unique kebab-case identifier
+ * - when: Condition on facts (event fields plus derived values)
+ * - severity: error (blocks planning) | warning | info
+ * - message: Text shown when the rule matches; {{fact.path}} inserts a fact
+ * - fix: Suggested fix, same placeholders (optional)
+ * - field: Event field the rule is about (optional)
+ * - suggestion: Machine-readable fix (optional):
+ *   { action: set | range | oneOf, field?, value?, min?, max?, options? }
+ *   field defaults to the rule's field; value, min and max are numbers or
+ *   { fact, scale? } for a fact times scale (min rounds up, max rounds down)
+ * - alternatives: Other suggestions that also fix the rule, same shape (optional)
+ * - description, enabled (default true): Optional
+ *
+ * A condition is either a test { field, op, value } / { field, op, valueFrom }
+ * (valueFrom compares against another fact) or a group { all: [...] },
+ * { any: [...] }, { not: condition }. A test on a fact that is missing is
+ * false, except for the "missing" operator.
+ */
+import fs from 'fs';
+import { z } from 'zod';
+
+export const RULE_OPERATORS = ['eq', 'ne', 'lt', 'lte', 'gt', 'gte', 'in', 'notIn', 'includes', 'excludes', 'exists', 'missing'];
+export const RULE_SEVERITIES = ['error', 'warning', 'info'];
+export const SUGGESTION_ACTIONS = ['set', 'range', 'oneOf'];
+
+const scalarSchema = z.union([z.string(), z.number(), z.boolean()]);
+
+const testSchema = z.object({
+  field: z.string().min(1),
+  op: z.enum(RULE_OPERATORS),
+  value: z.union([scalarSchema, z.array(scalarSchema)]).optional(),
+  valueFrom: z.string().min(1).optional()
+}).strict().superRefine((test, ctx) => {
+  const needsValue = !['exists', 'missing'].includes(test.op);
+  const hasValue = test.value !== undefined || test.valueFrom !== undefined;
+
+  if (needsValue && !hasValue) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, message: `"${test.op}" needs value or valueFrom` });
+  }
+  if (test.value !== undefined && test.valueFrom !== undefined) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, message: 'Use value or valueFrom, not both' });
+  }
+  if (['in', 'notIn'].includes(test.op) && test.value !== undefined && !Array.isArray(test.value)) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, message: `"${test.op}" needs a list value` });
+  }
+});
+
+const conditionSchema = z.lazy(() => z.union([
+  z.object({ all: z.array(conditionSchema).min(1) }).strict(),
+  z.object({ any: z.array(conditionSchema).min(1) }).strict(),
+  z.object({ not: conditionSchema }).strict(),
+  testSchema
+]));
+
+const boundSchema = z.union([
+  z.number(),
+  z.object({ fact: z.string().min(1), scale: z.number().default(1) }).strict()
+]);
+
+const suggestionSchema = z.object({
+  action: z.enum(SUGGESTION_ACTIONS),
+  field: z.string().min(1).optional(),
+  value: z.union([scalarSchema, boundSchema]).optional(),
+  min: boundSchema.optional(),
+  max: boundSchema.optional(),
+  options: z.array(scalarSchema).min(1).optional()
+}).strict().superRefine((suggestion, ctx) => {
+  const required = { set: ['value'], oneOf: ['options'] }[suggestion.action];
+  if (required && required.some(key => suggestion[key] === undefined)) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, message: `"${suggestion.action}" needs ${required.join(', ')}` });
+  }
+  if (suggestion.action === 'range' && suggestion.min === undefined && suggestion.max === undefined) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, message: '"range" needs min or max' });
+  }
+});
+
+const ruleSchema = z.object({
+  id: z.string().regex(/^[a-z0-9]+(?:-[a-z0-9]+)*$/, 'id must be kebab-case'),
+  description: z.string().optional(),
+  enabled: z.boolean().default(true),
+  when: conditionSchema,
+  severity: z.enum(RULE_SEVERITIES),
+  message: z.string().min(1),
+  fix: z.string().min(1).optional(),
+  field: z.string().min(1).optional(),
+  suggestion: suggestionSchema.optional(),
+  alternatives: z.array(suggestionSchema).min(1).optional()
+}).strict().superRefine((rule, ctx) => {
+  if (rule.suggestion && !rule.suggestion.field && !rule.field) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['suggestion', 'field'], message: 'A suggestion needs a field when the rule has none' });
+  }
+  (rule.alternatives || []).forEach((alternative, index) => {
+    if (!alternative.field && !rule.field) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['alternatives', index, 'field'], message: 'A suggestion needs a field when the rule has none' });
+    }
+  });
+});
+
+export const ruleSetSchema = z.object({
+  name: z.string().min(1),
+  version: z.union([z.string(), z.number()]).optional(),
+  description: z.string().optional(),
+  rules: z.array(ruleSchema)
+}).strict().superRefine((ruleSet, ctx) => {
+  const seen = new Set();
+  ruleSet.rules.forEach((rule, index) => {
+    if (seen.has(rule.id)) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['rules', index, 'id'], message: `Duplicate rule id "${rule.id}"` });
+    }
+    seen.add(rule.id);
+  });
+});
+
+/**
+ * Validate a rule set document
+ * @param {Object} raw - Parsed rule set
+ * @returns {Object} { success, ruleSet?, errors? } with errors as "path: message"
+ */
+export function parseRuleSet(raw) {
+  const result = ruleSetSchema.safeParse(raw);
+  if (result.success) {
+    return { success: true, ruleSet: result.data };
+  }
+
+  return {
+    success: false,
+    errors: result.error.issues.map(issue => `${issue.path.join('.') || 'ruleSet'}: ${issue.message}`)
+  };
+}
+
+/**
+ * Load and validate a rule set from a JSON file
+ * @param {string} filePath - Path to the rule set
+ * @returns {Object} Rule set
+ * @throws {Error} When the file cannot be read or the rule set is invalid
+ */
+export function loadRuleSet(filePath) {
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to read business rules from ${filePath}: ${error.message}`);
+  }
+
+  const parsed = parseRuleSet(raw);
+  if (!parsed.success) {
+    throw new Error(`Invalid business rules in ${filePath}: ${parsed.errors.join('; ')}`);
+  }
+
+  return parsed.ruleSet;
+}
+
+/**
+ * Evaluate every enabled rule against a set of facts
+ * @param {Object} ruleSet - Validated rule set
+ * @param {Object} facts - Event fields and derived values
+ * @returns {Array} Matched rules in rule set order: [{ ruleId, severity, message, fix?, field?, suggestion?, alternatives? }]
+ */
+export function evaluateRules(ruleSet, facts) {
+  return ruleSet.rules
+    .filter(rule => rule.enabled !== false && matchesCondition(rule.when, facts))
+    .map(rule => ({
+      ruleId: rule.id,
+      severity: rule.severity,
+      message: renderTemplate(rule.message, facts),
+      ...(rule.fix && { fix: renderTemplate(rule.fix, facts) }),
+      ...(rule.field && { field: rule.field }),
+      ...(rule.suggestion && { suggestion: resolveSuggestion(rule.suggestion, rule.field, facts) }),
+      ...(rule.alternatives && { alternatives: rule.alternatives.map(alternative => resolveSuggestion(alternative, rule.field, facts)) })
+    }));
+}
+
+/**
+ * Format a matched rule as a single line
+ * @param {Object} result - Result from evaluateRules
+ * @returns {string} Message, followed by the suggested fix as its own sentence when there is one
+ */
+export function formatRuleResult(result) {
+  if (!result.fix) return result.message;
+
+  const message = /[.!?]$/.test(result.message.trim()) ? result.message.trim() : `${result.message.trim()}.`;
+  return `${message} Suggested fix: ${result.fix}`;
+}
+
+/**
+ * Read a fact by dot path, e.g. "typicalDuration.min"
+ * @param {Object} facts - Facts
+ * @param {string} path - Dot path
+ * @returns {*} Value, undefined when any step is missing
+ */
+export function getFact(facts, path) {
+  return path.split('.').reduce((value, key) => value?.[key], facts);
+}
+
+function matchesCondition(condition, facts) {
+  if (condition.all) return condition.all.every(child => matchesCondition(child, facts));
+  if (condition.any) return condition.any.some(child => matchesCondition(child, facts));
+  if (condition.not) return !matchesCondition(condition.not, facts);
+
+  const actual = getFact(facts, condition.field);
+  const isMissing = actual === undefined || actual === null;
+  if (condition.op === 'missing') return isMissing;
+  if (condition.op === 'exists') return !isMissing;
+  if (isMissing) return false;
+
+  const expected = condition.valueFrom !== undefined ? getFact(facts, condition.valueFrom) : condition.value;
+  if (expected === undefined || expected === null) return false;
+
+  switch (condition.op) {
+    case 'eq': return actual === expected;
+    case 'ne': return actual !== expected;
+    case 'lt': return actual < expected;
+    case 'lte': return actual <= expected;
+    case 'gt': return actual > expected;
+    case 'gte': return actual >= expected;
+    case 'in': return [].concat(expected).includes(actual);
+    case 'notIn': return ![].concat(expected).includes(actual);
+    case 'includes': return Array.isArray(actual) && [].concat(expected).some(value => actual.includes(value));
+    case 'excludes': return Array.isArray(actual) && ![].concat(expected).some(value => actual.includes(value));
+    default: return false;
+  }
+}
+
+// Bounds that depend on a missing fact are dropped
+function resolveSuggestion(suggestion, ruleField, facts) {
+  const resolve = (bound, round) => {
+    if (typeof bound !== 'object' || bound === null) return bound;
+    const value = getFact(facts, bound.fact);
+    return typeof value === 'number' ? round(value * bound.scale) : undefined;
+  };
+
+  const resolved = {
+    action: suggestion.action,
+    field: suggestion.field || ruleField,
+    value: resolve(suggestion.value, Math.round),
+    min: resolve(suggestion.min, Math.ceil),
+    max: resolve(suggestion.max, Math.floor),
+    options: suggestion.options
+  };
+
+  return Object.fromEntries(Object.entries(resolved).filter(([, value]) => value !== undefined));
+}
+
+// Unknown placeholders are left in place so a dry run shows the typo
+function renderTemplate(template, facts) {
+  return template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, path) => {
+    const value = getFact(facts, path);
+    if (value === undefined || value === null) return match;
+    if (typeof value === 'number') return value.toLocaleString(undefined, { maximumFractionDigits: 2 });
+    return Array.isArray(value) ? value.join(', ') : String(value);
+  });
+}
@@ -0,0 +1,255 @@
+/**
+ * Deterministic resolution of event time expressions
+ *
+ * Times are IST wall-clock times, stored as "HH:MM" (24h). Internally a time is
+ * minutes since midnight.
+ *
+ * Conventions:
+ * - Ranges: "6–10pm", "9am to 5pm", "10:00-13:00", "between 2 and 5pm"
+ * - A range takes its meridiem from whichever end states one; a start that
+ *   would then fall after the end is morning ("11-2pm" is 11:00–14:00)
+ * - An end before the start runs past midnight ("8pm-1am")
+ * - Single times need am/pm ("at 7pm") or a 24h clock after at/from ("at 18:30");
+ *   "until 6pm" sets only the end
+ * - Times of meals and breaks ("lunch at 1pm", "11am tea break") are not the
+ *   event's time, unless the meal is the event ("team dinner at 8pm")
+ * - Parts of the day resolve to a usual start: "post-lunch" 14:00, "evening" 18:00
+ * - Bare numbers only count as times in an "N to M" range that reads as
+ *   working hours ("9 to 5" is 09:00–17:00), so "12-14 March" stays a date
+ */
+
+const DAY_MINUTES = 24 * 60;
+
+const TIME_PATTERN = '(\\d{1,2})(?:[:.](\\d{2}))?\\s*(am|pm)?';
+const RANGE_PATTERN = new RegExp(`(between\\s+)?(?<![\\d,.₹])${TIME_PATTERN}\\s*(-|–|—|to|till|until|and)\\s*${TIME_PATTERN}(?![\\d:a-z])`, 'g');
+const SINGLE_PATTERN = new RegExp(`(?:\\b(at|from|by|starting(?:\\s+at)?|starts?\\s+at|begins?\\s+at|until|till)\\s+)?(?<![\\d,.₹])${TIME_PATTERN}(?![\\d:a-z])`, 'g');
+
+// Meals and breaks; a time next to one is when the meal happens
+const MEAL = '(?:breakfast|brunch|lunch|dinner|hi[-\\s]?tea|high\\s+tea|tea|coffee|snacks|cocktails|drinks|(?:tea\\s+|coffee\\s+)?break)';
+const MEAL_BEFORE = new RegExp(`\\b${MEAL}\\s*(?:[:\\-–]\\s*)?(?:(?:is|will\\s+be)\\s+)?(?:(?:at|around|from|by)\\s+)?$`);
+const MEAL_AFTER = new RegExp(`^\\s*(?:[:\\-–]\\s*)?(?:for\\s+)?${MEAL}\\b`);
+// A meal after one of these is the event itself
+const MEAL_EVENT = /\b(?:team|office|company|client|gala|farewell|networking|awards)\s+$/;
+
+// "N to M" without am/pm reads as working hours: a morning start, an
+// afternoon or evening end and a working day's length
+const WORKING_HOURS = { startHours: [7, 11], minHours: 4, maxHours: 12 };
+// Words after a bare range that make it a count or a date ("8 to 10 people")
+const NOT_A_TIME_AFTER = /^\s*(?:people|persons|pax|attendees|participants|guests|members|employees|days?|nights?|hours?|hrs|weeks?|months?|years?|lakhs?|lacs?|crores?|k\b|%|jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)/;
+
+// Usual start for each part of the day, with the window an LLM reading may fall in
+const PARTS_OF_DAY = [
+  { pattern: /\b(?:post|after)[-\s]?lunch\b/, time: '14:00', window: ['13:30', '15:30'] },
+  { pattern: /\bafter\s+(?:office|work)(?:\s+hours)?\b/, time: '18:30', window: ['17:30', '20:00'] },
+  { pattern: /\bbreakfast\s+(?:meeting|session|briefing)\b/, time: '08:30', window: ['07:30', '09:30'] },
+  { pattern: /\bmorning\b/, time: '09:00', window: ['08:00', '11:00'] },
+  { pattern: /\bafternoon\b/, time: '14:00', window: ['12:30', '16:00'] },
+  { pattern: /\bevening\b/, time: '18:00', window: ['17:00', '20:30'] }
+];
+
+/**
+ * Parse an "HH:MM" time
+ * @param {string} time - Time string
+ * @returns {number|null} Minutes since midnight or null if invalid
+ */
+export function parseTime(time) {
+  const match = /^(\d{2}):(\d{2})$/.exec(time || '');
+  if (!match) return null;
+
+  const hours = parseInt(match[1]);
+  const minutes = parseInt(match[2]);
+  return hours < 24 && minutes < 60 ? hours * 60 + minutes : null;
+}
+
+/**
+ * Format minutes since midnight as "HH:MM", wrapping past midnight
+ * @param {number} minutes - Minutes since midnight
+ * @returns {string} Formatted time
+ */
+export function formatTime(minutes) {
+  const wrapped = ((Math.round(minutes) % DAY_MINUTES) + DAY_MINUTES) % DAY_MINUTES;
+  return `${String(Math.floor(wrapped / 60)).padStart(2, '0')}:${String(wrapped % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Shift an "HH:MM" time by a number of minutes
+ * @param {string} time - Time string
+ * @param {number} minutes - Minutes to add (may be negative)
+ * @returns {string|null} Shifted time or null if the time is invalid
+ */
+export function shiftTime(time, minutes) {
+  const start = parseTime(time);
+  return start === null ? null : formatTime(start + minutes);
+}
+
+/**
+ * Get the length of a start–end window
+ * @param {string} startTime - Start "HH:MM"
+ * @param {string} endTime - End "HH:MM" (earlier than the start means next day)
+ * @returns {number|null} Minutes, or null if either time is missing or invalid
+ */
+export function getTimeSpan(startTime, endTime) {
+  const start = parseTime(startTime);
+  const end = parseTime(endTime);
+  if (start === null || end === null) return null;
+
+  return end > start ? end - start : end + DAY_MINUTES - start;
+}
+
+/**
+ * Resolve the event time stated in free text
+ * @param {string} text - Input text
+ * @returns {Object|null} { startTime, endTime, expression, precision, window } or null if no time found
+ */
+export function resolveEventTime(text) {
+  if (!text || typeof text !== 'string') return null;
+
+  const input = text.toLowerCase()
+    .replace(/\b([ap])\.m\.?(?![a-z])/g, '$1m')
+    .replace(/\bnoon\b/g, '12pm')
+    .replace(/\bmidnight\b/g, '12am');
+
+  return resolveRange(input) || resolveSingle(input) || resolvePartOfDay(input);
+}
+
+/**
+ * Compare LLM-provided times with the deterministic resolution of the input
+ * @param {string} text - Original input text
+ * @param {string} llmStart - Start time returned by the LLM
+ * @param {string} llmEnd - End time returned by the LLM
+ * @returns {Object|null} Comparison result or null if the input states no time
+ */
+export function checkTimeAgainstInput(text, llmStart, llmEnd) {
+  const resolved = resolveEventTime(text);
+  if (!resolved) return null;
+
+  const startAgrees = !resolved.startTime || (resolved.window ?
+    isWithin(llmStart, resolved.window) :
+    llmStart === resolved.startTime);
+  const endAgrees = !resolved.endTime || llmEnd === resolved.endTime;
+
+  return {
+    expression: resolved.expression,
+    resolvedStart: resolved.startTime,
+    resolvedEnd: resolved.endTime,
+    precision: resolved.precision,
+    ...(llmStart && { llmStart }),
+    ...(llmEnd && { llmEnd }),
+    agrees: startAgrees && endAgrees
+  };
+}
+
+function resolveRange(input) {
+  for (const match of input.matchAll(RANGE_PATTERN)) {
+    const [raw, between, startHour, startMinute, startMeridiem, separator, endHour, endMinute, endMeridiem] = match;
+
+    if (separator === 'and' && !between) continue;
+    if (isMealTime(input, match)) continue;
+
+    // Without am/pm only a 24h clock on both ends or working hours are a time
+    // ("10:00-13:00", "9 to 5")
+    const bare = !startMeridiem && !endMeridiem && !(startMinute && endMinute);
+    const workingHours = bare && isWorkingHours(input, match);
+    if (bare && !workingHours) continue;
+
+    const end = toMinutes(endHour, endMinute, endMeridiem || startMeridiem || (workingHours && 'pm'));
+    let start = toMinutes(startHour, startMinute, startMeridiem || endMeridiem || (workingHours && 'am'));
+    if (start === null || end === null) continue;
+
+    // "11-2pm": an inferred meridiem that puts the start after the end means morning
+    if (!startMeridiem && endMeridiem === 'pm' && start >= end && start >= 12 * 60) {
+      start -= 12 * 60;
+    }
+    if (start === end) continue;
+
+    return {
+      startTime: formatTime(start),
+      endTime: formatTime(end),
+      expression: raw.trim(),
+      precision: 'exact'
+    };
+  }
+
+  return null;
+}
+
+function resolveSingle(input) {
+  for (const match of input.matchAll(SINGLE_PATTERN)) {
+    const [raw, keyword, hour, minute, meridiem] = match;
+
+    // A bare 24h clock needs a lead-in word ("at 18:30")
+    if (!meridiem && !(minute && keyword)) continue;
+    if (isMealTime(input, match)) continue;
+
+    const minutes = toMinutes(hour, minute, meridiem);
+    if (minutes === null) continue;
+
+    const isEnd = keyword === 'until' || keyword === 'till';
+    return {
+      startTime: isEnd ? null : formatTime(minutes),
+      endTime: isEnd ? formatTime(minutes) : null,
+      expression: raw.trim(),
+      precision: 'exact'
+    };
+  }
+
+  return null;
+}
+
+function resolvePartOfDay(input) {
+  for (const part of PARTS_OF_DAY) {
+    const match = part.pattern.exec(input);
+    if (match) {
+      return {
+        startTime: part.time,
+        endTime: null,
+        expression: match[0],
+        precision: 'part-of-day',
+        window: part.window
+      };
+    }
+  }
+
+  return null;
+}
+
+// "lunch at 1pm", "1-2pm lunch", "tea break: 4pm" - but not "team dinner at 8pm"
+function isMealTime(input, match) {
+  const before = input.slice(0, match.index);
+  const after = input.slice(match.index + match[0].length);
+  const meal = MEAL_BEFORE.exec(before);
+
+  if (meal) return !MEAL_EVENT.test(before.slice(0, meal.index));
+  return MEAL_AFTER.test(after);
+}
+
+function isWorkingHours(input, match) {
+  const [, , startHour, startMinute, , separator, endHour, endMinute] = match;
+  if (separator !== 'to' || startMinute || endMinute) return false;
+  if (NOT_A_TIME_AFTER.test(input.slice(match.index + match[0].length))) return false;
+
+  const [start, end] = [parseInt(startHour), parseInt(endHour)];
+  const hours = end + 12 - start;
+  return start >= WORKING_HOURS.startHours[0] && start <= WORKING_HOURS.startHours[1] && end >= 1 && end < start &&
+    hours >= WORKING_HOURS.minHours && hours <= WORKING_HOURS.maxHours;
+}
+
+function toMinutes(hour, minute, meridiem) {
+  let hours = parseInt(hour);
+  const minutes = minute ? parseInt(minute) : 0;
+  if (minutes > 59) return null;
+
+  if (meridiem) {
+    if (hours < 1 || hours > 12) return null;
+    hours = hours % 12 + (meridiem === 'pm' ? 12 : 0);
+  } else if (hours > 23) {
+    return null;
+  }
+
+  return hours * 60 + minutes;
+}
+
+function isWithin(time, [from, to]) {
+  const minutes = parseTime(time);
+  return minutes !== null && minutes >= parseTime(from) && minutes <= parseTime(to);
+}
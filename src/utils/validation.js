@@ -1,22 +1,35 @@
 import { config } from '../config/config.js';
+import { EVENT_TYPE_NAMES } from '../config/eventTypes.js';
+import { normalizeCityName } from '../config/cities.js';
+import { getEventDays, normalizeSchedule, MAX_DAILY_HOURS } from './eventSchedule.js';
+import { parseTime, getTimeSpan, shiftTime } from './timeResolver.js';
+import { getISTToday, formatDate, addDays, parseISODate } from './dateResolver.js';
+import { createIssue, getIssueMessages, hasBlockingIssues } from './issues.js';
+import { DIETARY_FIELDS, normalizeDietaryProfile } from './dietaryProfile.js';
+import { ACCESSIBILITY_NEED_NAMES, normalizeAccessibilityNeeds } from './accessibility.js';
+import { DOCUMENT_EXTENSIONS, getDocumentExtension } from './documentText.js';
+
+// Latest event date accepted, matching the two-year check below
+const MAX_DAYS_AHEAD = 730;
 
 /**
  * Validate parsed event input data
  * @param {Object} eventData - Parsed event data
- * @returns {Array} Array of validation errors (empty if valid)
+ * @returns {Array} Error issues (empty if valid); see utils/issues.js
  */
 export function validateEventInput(eventData) {
-  const errors = [];
+  const issues = [];
+  const error = (code, field, message, fix = null) => issues.push(createIssue(code, message, { field, fix }));
 
   if (!eventData || typeof eventData !== 'object') {
-    errors.push('Event data must be an object');
-    return errors;
+    error('invalid-event-data', null, 'Event data must be an object');
+    return issues;
   }
 
   // Validate event type
-  const validEventTypes = ['training', 'conference', 'offsite', 'seminar', 'workshop', 'meeting'];
-  if (!eventData.eventType || !validEventTypes.includes(eventData.eventType)) {
-    errors.push(`Event type must be one of: ${validEventTypes.join(', ')}`);
+  if (!eventData.eventType || !EVENT_TYPE_NAMES.includes(eventData.eventType)) {
+    error('invalid-event-type', 'eventType', `Event type must be one of: ${EVENT_TYPE_NAMES.join(', ')}`,
+      { action: 'oneOf', field: 'eventType', options: EVENT_TYPE_NAMES });
   }
 
   // Validate number of attendees
@@ -24,31 +37,35 @@ export function validateEventInput(eventData) {
       !Number.isInteger(eventData.numberOfAttendees) || 
       eventData.numberOfAttendees < 1 || 
       eventData.numberOfAttendees > config.maxAttendees) {
-    errors.push(`Number of attendees must be between 1 and ${config.maxAttendees}`);
+    error('attendees-out-of-range', 'numberOfAttendees', `Number of attendees must be between 1 and ${config.maxAttendees}`,
+      { action: 'range', field: 'numberOfAttendees', min: 1, max: config.maxAttendees });
   }
 
   // Validate location
   if (!eventData.location || typeof eventData.location !== 'string' || eventData.location.trim().length < 2) {
-    errors.push('Location must be a valid city name (at least 2 characters)');
+    error('invalid-location', 'location', 'Location must be a valid city name (at least 2 characters)',
+      { action: 'review', field: 'location', description: 'Enter the city the event takes place in' });
   }
 
   // Validate date
   if (!eventData.date || !isValidDate(eventData.date)) {
-    errors.push('Date must be in YYYY-MM-DD format');
+    error('invalid-date', 'date', 'Date must be in YYYY-MM-DD format', { action: 'format', field: 'date', format: 'YYYY-MM-DD' });
   } else {
     const eventDate = new Date(eventData.date);
     const today = new Date();
     today.setHours(0, 0, 0, 0);
     
     if (eventDate < today) {
-      errors.push('Event date cannot be in the past');
+      error('date-in-past', 'date', 'Event date cannot be in the past',
+        { action: 'range', field: 'date', min: formatDate(getISTToday()) });
     }
     
     const maxFutureDate = new Date();
     maxFutureDate.setFullYear(maxFutureDate.getFullYear() + 2);
     
     if (eventDate > maxFutureDate) {
-      errors.push('Event date cannot be more than 2 years in the future');
+      error('date-too-far', 'date', 'Event date cannot be more than 2 years in the future',
+        { action: 'range', field: 'date', max: formatDate(addDays(getISTToday(), MAX_DAYS_AHEAD)) });
     }
   }
 
@@ -56,46 +73,105 @@ export function validateEventInput(eventData) {
   if (!eventData.budgetInINR || 
       !Number.isInteger(eventData.budgetInINR) || 
       eventData.budgetInINR < config.minBudget) {
-    errors.push(`Budget must be at least ₹${config.minBudget.toLocaleString()}`);
+    error('budget-below-minimum', 'budgetInINR', `Budget must be at least ₹${config.minBudget.toLocaleString()}`,
+      { action: 'range', field: 'budgetInINR', min: config.minBudget });
   }
 
-  // Validate duration
+  // Validate multi-day schedule
+  if (eventData.endDate !== undefined) {
+    if (!isValidDate(eventData.endDate) || eventData.endDate < eventData.date) {
+      error('invalid-end-date', 'endDate', 'End date must be in YYYY-MM-DD format and not before the start date',
+        isValidDate(eventData.date) ? { action: 'range', field: 'endDate', min: eventData.date } : { action: 'format', field: 'endDate', format: 'YYYY-MM-DD' });
+    } else if (getEventDays(eventData) > config.maxEventDays) {
+      error('too-many-days', 'endDate', `Events can span at most ${config.maxEventDays} days`,
+        { action: 'range', field: 'endDate', max: formatDate(addDays(parseISODate(eventData.date), config.maxEventDays - 1)) });
+    }
+  }
+
+  if (eventData.hoursPerDay !== undefined &&
+      (!Number.isInteger(eventData.hoursPerDay) || eventData.hoursPerDay < 1 || eventData.hoursPerDay > MAX_DAILY_HOURS)) {
+    error('hours-per-day-out-of-range', 'hoursPerDay', `Hours per day must be between 1 and ${MAX_DAILY_HOURS}`,
+      { action: 'range', field: 'hoursPerDay', min: 1, max: MAX_DAILY_HOURS });
+  }
+
+  // Validate daily time window
+  ['startTime', 'endTime'].forEach(field => {
+    if (eventData[field] !== undefined && parseTime(eventData[field]) === null) {
+      error('invalid-time', field, `${field === 'startTime' ? 'Start' : 'End'} time must be in HH:MM format`,
+        { action: 'format', field, format: 'HH:MM' });
+    }
+  });
+  if (getTimeSpan(eventData.startTime, eventData.endTime) > MAX_DAILY_HOURS * 60) {
+    error('time-window-too-long', 'endTime', `The daily time window cannot exceed ${MAX_DAILY_HOURS} hours`,
+      { action: 'set', field: 'endTime', value: shiftTime(eventData.startTime, MAX_DAILY_HOURS * 60) });
+  }
+
+  // Validate duration (total across all days)
+  const maxDuration = config.maxEventDays * MAX_DAILY_HOURS;
   if (!eventData.durationInHours || 
       !Number.isInteger(eventData.durationInHours) || 
       eventData.durationInHours < 1 || 
-      eventData.durationInHours > 12) {
-    errors.push('Duration must be between 1 and 12 hours');
+      eventData.durationInHours > maxDuration) {
+    error('duration-out-of-range', 'durationInHours', `Duration must be between 1 and ${maxDuration} hours`,
+      { action: 'range', field: 'durationInHours', min: 1, max: maxDuration });
+  } else if (eventData.endDate && eventData.durationInHours > getEventDays(eventData) * MAX_DAILY_HOURS) {
+    error('duration-exceeds-daily-limit', 'durationInHours', `Duration cannot exceed ${MAX_DAILY_HOURS} hours per day`,
+      { action: 'range', field: 'durationInHours', max: getEventDays(eventData) * MAX_DAILY_HOURS });
   }
 
   // Validate requirements array
   if (eventData.requirements && !Array.isArray(eventData.requirements)) {
-    errors.push('Requirements must be an array');
+    error('invalid-requirements', 'requirements', 'Requirements must be an array',
+      { action: 'format', field: 'requirements', format: 'string[]' });
+  }
+
+  // Validate dietary counts
+  if (eventData.dietary !== undefined) {
+    if (!eventData.dietary || typeof eventData.dietary !== 'object' || Array.isArray(eventData.dietary)) {
+      error('invalid-dietary', 'dietary', 'Dietary profile must be an object of counts',
+        { action: 'format', field: 'dietary', format: `{ ${DIETARY_FIELDS.join(', ')} }` });
+    } else if (DIETARY_FIELDS.some(field => eventData.dietary[field] !== undefined &&
+        (!Number.isInteger(eventData.dietary[field]) || eventData.dietary[field] < 0 || eventData.dietary[field] > config.maxAttendees))) {
+      error('dietary-count-out-of-range', 'dietary', `Dietary counts must be whole numbers between 0 and ${config.maxAttendees}`,
+        { action: 'range', field: 'dietary', min: 0, max: config.maxAttendees });
+    }
   }
 
-  return errors;
+  // Validate accessibility needs
+  if (eventData.accessibility !== undefined &&
+      (!Array.isArray(eventData.accessibility) || eventData.accessibility.some(need => !ACCESSIBILITY_NEED_NAMES.includes(need)))) {
+    error('invalid-accessibility', 'accessibility', `Accessibility needs must be a list of: ${ACCESSIBILITY_NEED_NAMES.join(', ')}`,
+      { action: 'oneOf', field: 'accessibility', options: ACCESSIBILITY_NEED_NAMES });
+  }
+
+  return issues;
 }
 
 /**
  * Validate natural language input
  * @param {string} input - User input
- * @returns {Array} Array of validation errors (empty if valid)
+ * @returns {Array} Error issues (empty if valid)
  */
 export function validateNaturalInput(input) {
-  const errors = [];
+  const issues = [];
 
   if (!input || typeof input !== 'string') {
-    errors.push('Input must be a non-empty string');
-    return errors;
+    issues.push(createIssue('input-missing', 'Input must be a non-empty string'));
+    return issues;
   }
 
   const trimmedInput = input.trim();
 
   if (trimmedInput.length < config.minInputLength) {
-    errors.push(`Input must be at least ${config.minInputLength} characters long`);
+    issues.push(createIssue('input-too-short', `Input must be at least ${config.minInputLength} characters long`, {
+      fix: { action: 'review', field: null, description: 'Include the event type, number of people, city, date and budget' }
+    }));
   }
 
   if (trimmedInput.length > config.maxInputLength) {
-    errors.push(`Input must not exceed ${config.maxInputLength} characters`);
+    issues.push(createIssue('input-too-long', `Input must not exceed ${config.maxInputLength} characters`, {
+      fix: { action: 'review', field: null, description: `Shorten the description to ${config.maxInputLength} characters or upload it as a brief` }
+    }));
   }
 
   // Check for potentially malicious content
@@ -110,12 +186,54 @@ export function validateNaturalInput(input) {
 
   for (const pattern of suspiciousPatterns) {
     if (pattern.test(trimmedInput)) {
-      errors.push('Input contains potentially unsafe content');
+      issues.push(createIssue('unsafe-input', 'Input contains potentially unsafe content'));
       break;
     }
   }
 
-  return errors;
+  return issues;
+}
+
+/**
+ * Validate an uploaded brief document before text extraction
+ * @param {string} filename - File name
+ * @param {string} content - Raw file content
+ * @returns {Array} Error issues (empty if valid)
+ */
+export function validateDocumentInput(filename, content) {
+  const issues = [];
+
+  if (!filename || typeof filename !== 'string' || !DOCUMENT_EXTENSIONS.includes(getDocumentExtension(filename))) {
+    issues.push(createIssue('unsupported-document', `Document must be one of: ${DOCUMENT_EXTENSIONS.join(', ')}`, {
+      fix: { action: 'oneOf', field: null, options: DOCUMENT_EXTENSIONS }
+    }));
+  }
+
+  if (!content || typeof content !== 'string' || content.trim().length === 0) {
+    issues.push(createIssue('document-empty', 'Document content must be a non-empty string'));
+  }
+
+  return issues;
+}
+
+/**
+ * Validate the brief text extracted from a document
+ * @param {string} text - Cleaned document text
+ * @returns {Array} Error issues (empty if valid)
+ */
+export function validateDocumentText(text) {
+  const issues = [];
+  const length = (text || '').trim().length;
+
+  if (length < config.minInputLength) {
+    issues.push(createIssue('document-no-details', 'Document has no event details left after removing quoted text and signatures'));
+  }
+
+  if (length > config.maxDocumentLength) {
+    issues.push(createIssue('document-too-long', `Document text must not exceed ${config.maxDocumentLength} characters`));
+  }
+
+  return issues;
 }
 
 /**
@@ -146,20 +264,16 @@ function isValidDate(dateString) {
  * @returns {Object} Sanitized event data
  */
 export function sanitizeEventData(eventData) {
-  const sanitized = { ...eventData };
+  let sanitized = { ...eventData };
 
   // Sanitize strings
   if (sanitized.eventType) {
-    sanitized.eventType = sanitized.eventType.toString().toLowerCase().trim();
+    sanitized.eventType = sanitized.eventType.toString().toLowerCase().trim().replace(/[\s-]+/g, '_');
   }
 
   if (sanitized.location) {
-    sanitized.location = sanitized.location.toString().trim();
-    // Capitalize first letter of each word
-    sanitized.location = sanitized.location
-      .split(' ')
-      .map(word => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase())
-      .join(' ');
+    // Aliases ("Bengaluru", "Gurgaon") become the city dataset's name
+    sanitized.location = normalizeCityName(sanitized.location);
   }
 
   // Sanitize numbers
@@ -174,8 +288,8 @@ export function sanitizeEventData(eventData) {
   }
 
   if (sanitized.durationInHours) {
-    sanitized.durationInHours = Math.max(1, Math.min(12, 
-      parseInt(sanitized.durationInHours) || config.defaultEventDuration));
+    // Spreads long durations over consecutive days and clamps daily hours
+    sanitized = normalizeSchedule(sanitized);
   }
 
   // Sanitize requirements array
@@ -186,6 +300,26 @@ export function sanitizeEventData(eventData) {
       .slice(0, 10); // Limit to 10 requirements
   }
 
+  // Drop unknown and zero dietary counts
+  if (sanitized.dietary !== undefined) {
+    const dietary = normalizeDietaryProfile(sanitized.dietary);
+    if (dietary) {
+      sanitized.dietary = dietary;
+    } else {
+      delete sanitized.dietary;
+    }
+  }
+
+  // Keep known accessibility needs, once each
+  if (sanitized.accessibility !== undefined) {
+    const needs = normalizeAccessibilityNeeds(sanitized.accessibility);
+    if (needs.length > 0) {
+      sanitized.accessibility = needs;
+    } else {
+      delete sanitized.accessibility;
+    }
+  }
+
   return sanitized;
 }
 
@@ -212,11 +346,12 @@ export function validateApiResponse(response) {
 /**
  * Get validation summary for debugging
  * @param {Object} data - Data to validate
- * @returns {Object} Validation summary
+ * @returns {Object} { isValid, issues, errors, warnings, sanitized } with errors and warnings as messages
  */
 export function getValidationSummary(data) {
   const summary = {
     isValid: true,
+    issues: [],
     errors: [],
     warnings: [],
     sanitized: null
@@ -225,30 +360,38 @@ export function getValidationSummary(data) {
   try {
     // Validate input type
     if (typeof data === 'string') {
-      summary.errors = validateNaturalInput(data);
+      summary.issues = validateNaturalInput(data);
     } else if (typeof data === 'object') {
-      summary.errors = validateEventInput(data);
+      summary.issues = validateEventInput(data);
       summary.sanitized = sanitizeEventData(data);
     } else {
-      summary.errors = ['Invalid data type'];
+      summary.issues = [createIssue('invalid-data-type', 'Invalid data type')];
     }
 
-    summary.isValid = summary.errors.length === 0;
-
     // Add warnings for edge cases
     if (data.numberOfAttendees && data.numberOfAttendees > 200) {
-      summary.warnings.push('Large events may require special arrangements');
+      summary.issues.push(createIssue('large-event', 'Large events may require special arrangements', {
+        field: 'numberOfAttendees',
+        severity: 'info'
+      }));
     }
 
     if (data.budgetInINR && data.numberOfAttendees && 
         (data.budgetInINR / data.numberOfAttendees) < 1000) {
-      summary.warnings.push('Budget per person is quite low - may limit options');
+      summary.issues.push(createIssue('low-budget-per-person', 'Budget per person is quite low - may limit options', {
+        field: 'budgetInINR',
+        severity: 'warning',
+        fix: { action: 'range', field: 'budgetInINR', min: data.numberOfAttendees * 1000 }
+      }));
     }
 
   } catch (error) {
-    summary.isValid = false;
-    summary.errors = [`Validation error: ${error.message}`];
+    summary.issues = [createIssue('validation-error', `Validation error: ${error.message}`, { category: 'system' })];
   }
 
+  summary.isValid = !hasBlockingIssues(summary.issues);
+  summary.errors = getIssueMessages(summary.issues, 'error');
+  summary.warnings = getIssueMessages(summary.issues, ['warning', 'info']);
+
   return summary;
-}
\ No newline at end of file
+}
@@ -0,0 +1,103 @@
+/**
+ * Seasonal weather risk for outdoor and destination events
+ *
+ * Uses the offline climate table in config/climate.js. Outdoor parts of an
+ * event (open-air sessions, beach and water activities) are at risk in their
+ * city's monsoon, heat, cold-wave or cyclone months; destination events are
+ * also exposed to travel disruption in those months.
+ */
+import { CLIMATE_RISKS, CITY_CLIMATE } from '../config/climate.js';
+import { findCity } from '../config/cities.js';
+import { getEventDates } from './eventSchedule.js';
+import { allocateBudget } from './costEngine.js';
+
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+
+const OUTDOOR_PATTERN = /outdoor|open[- ]air|garden|lawn|terrace|rooftop|poolside|trek|hike|bonfire|camp/i;
+const BEACH_PATTERN = /beach|water sports?|seaside|sea ?front|cruise|kayak|rafting|snorkel|scuba/i;
+
+// Share of the venue rental held for a covered hall or marquee
+const INDOOR_BACKUP_SHARE = 0.3;
+
+/**
+ * Detect outdoor and beach elements in the event requirements
+ * @param {Object} eventData - Event data
+ * @returns {Object} { outdoor, beach } - beach and water activities count as outdoor
+ */
+export function getOutdoorElements(eventData) {
+  const requirements = eventData?.requirements || [];
+  const beach = requirements.some(requirement => BEACH_PATTERN.test(requirement));
+
+  return {
+    outdoor: beach || requirements.some(requirement => OUTDOOR_PATTERN.test(requirement)),
+    beach
+  };
+}
+
+/**
+ * Check whether the climate table covers a city
+ * @param {string} location - City name or alias
+ * @returns {boolean} True when seasonal hazards are listed for the city
+ */
+export function hasClimateData(location) {
+  return !!CITY_CLIMATE[findCity(location)?.name];
+}
+
+/**
+ * List the seasonal hazards in the event's city during its dates
+ * @param {Object} eventData - Event data with location and dates
+ * @returns {Array} [{ risk, label, city, month, outdoor, beach?, travel? }] one per hazard, in the first month it applies
+ */
+export function getSeasonalRisks(eventData) {
+  const city = findCity(eventData?.location);
+  const climate = city && CITY_CLIMATE[city.name];
+  if (!climate) return [];
+
+  const months = [...new Set(getEventDates(eventData).map(date => parseInt(date.slice(5, 7), 10)))];
+
+  return Object.entries(climate).flatMap(([risk, riskMonths]) => {
+    const month = months.find(item => riskMonths.includes(item));
+    return month ? [{ risk, city: city.name, month: MONTH_NAMES[month - 1], ...CLIMATE_RISKS[risk] }] : [];
+  });
+}
+
+/**
+ * Assess seasonal weather risk for an event
+ * Outdoor events get a warning per hazard that affects open-air or beach
+ * plans; destination events without outdoor plans only for travel hazards
+ * @param {Object} eventData - Event data
+ * @returns {Object} { risks: [{ risk, label, month }], outdoor, warnings }
+ */
+export function assessWeatherRisk(eventData) {
+  const { outdoor, beach } = getOutdoorElements(eventData);
+  const destination = !!findCity(eventData?.location)?.destination;
+  const risks = getSeasonalRisks(eventData);
+  const warnings = [];
+
+  risks.forEach(risk => {
+    const where = `${risk.city} in ${risk.month} (${risk.label})`;
+    if (outdoor) {
+      const impact = beach && risk.beach ? risk.beach : risk.outdoor;
+      warnings.push(`${where}: ${impact} - plan an indoor backup for the ${beach ? 'beach and outdoor' : 'outdoor'} parts`);
+    } else if (destination && risk.travel) {
+      warnings.push(`${where}: ${risk.travel} - allow buffer time for arrivals and departures`);
+    }
+  });
+
+  return {
+    risks: risks.map(({ risk, label, month }) => ({ risk, label, month })),
+    outdoor,
+    warnings
+  };
+}
+
+/**
+ * Estimate what an indoor backup (covered hall hold or marquee) costs
+ * @param {Object} eventData - Event data
+ * @returns {number} Amount in INR, rounded to ₹1,000
+ */
+export function estimateIndoorBackupCost(eventData) {
+  const venue = allocateBudget(eventData).lines.find(line => line.category === 'venue');
+
+  return Math.max(1000, Math.round((venue?.amount || 0) * INDOOR_BACKUP_SHARE / 1000) * 1000);
+}
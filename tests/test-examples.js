@@ -0,0 +1,317 @@
+/**
+ * Regression cases for the deterministic helpers
+ *
+ * Runs with the built-in test runner: npm test
+ */
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveEventDate } from '../src/utils/dateResolver.js';
+import { resolveEventTime } from '../src/utils/timeResolver.js';
+import { cleanBriefText, chunkText } from '../src/utils/documentText.js';
+import { splitMultiEventInput } from '../src/utils/multiEvent.js';
+import { InputParser } from '../src/core/InputParser.js';
+import { getResolutionIssues } from '../src/agents/inputParser.js';
+import { parseAmount, parseBudget } from '../src/utils/amountParser.js';
+import { proposeFixes, performBusinessValidation } from '../src/agents/validator.js';
+import { buildFixCandidates, applyFixProposal } from '../src/utils/autoFix.js';
+import { sanitizeEventData } from '../src/utils/validation.js';
+import { allocateBudget, reconcileCosts } from '../src/utils/costEngine.js';
+import { getISTToday, addDays, formatDate } from '../src/utils/dateResolver.js';
+import { eventDataSchema, parsedEventDataSchema } from '../src/graph/state.js';
+import { parseRuleSet, evaluateRules, formatRuleResult } from '../src/utils/ruleEngine.js';
+import { buildTierEventData, getUnavailableTierReason, compareBudgetTiers } from '../src/utils/budgetTiers.js';
+
+// Dates resolve against a fixed IST day
+const today = new Date(Date.UTC(2026, 9, 19));
+
+test('date ranges across the year end finish in the next year', () => {
+  const cases = [
+    ['Dec 30 - Jan 2', '2026-12-30', '2027-01-02'],
+    ['30 Dec - 2 Jan', '2026-12-30', '2027-01-02'],
+    ['December 30th to January 2nd 2027', '2026-12-30', '2027-01-02']
+  ];
+
+  cases.forEach(([text, date, endDate]) => {
+    const resolved = resolveEventDate(text, { today });
+    assert.equal(resolved?.date, date, text);
+    assert.equal(resolved?.endDate, endDate, text);
+  });
+});
+
+test('29 February without a year resolves to the next leap year', () => {
+  assert.equal(resolveEventDate('February 29', { today })?.date, '2028-02-29');
+  assert.equal(resolveEventDate('offsite on 29 Feb', { today })?.date, '2028-02-29');
+});
+
+test('"may" as a verb is not the month', () => {
+  assert.equal(resolveEventDate('Team of 5 may attend', { today }), null);
+  assert.equal(resolveEventDate('We may be 40 people', { today }), null);
+  assert.equal(resolveEventDate('40 people may join, offsite on 12 May', { today })?.date, '2027-05-12');
+  assert.equal(resolveEventDate('The week of 5 May', { today })?.date, '2027-05-05');
+  assert.equal(resolveEventDate('May 5', { today })?.date, '2027-05-05');
+});
+
+test('meal and break times are not the event time', () => {
+  assert.equal(resolveEventTime('Workshop for 30 people on 12 Nov, lunch at 1pm'), null);
+  assert.equal(resolveEventTime('Meeting at 10am, lunch at 1pm')?.startTime, '10:00');
+  assert.equal(resolveEventTime('11am tea break, session until 6pm')?.startTime, null);
+  assert.equal(resolveEventTime('Team dinner at 8pm')?.startTime, '20:00');
+});
+
+test('bare "N to M" ranges read as working hours', () => {
+  const nineToFive = resolveEventTime('Training 9 to 5 in Pune');
+  assert.equal(nineToFive?.startTime, '09:00');
+  assert.equal(nineToFive?.endTime, '17:00');
+  assert.equal(resolveEventTime('Training from 10 to 6, lunch 1-2pm')?.endTime, '18:00');
+  assert.equal(resolveEventTime('Offsite for 8 to 10 people'), null);
+  assert.equal(resolveEventTime('Conference from 9 to 11 March'), null);
+});
+
+test('a quoted reply is chunked apart from the latest message', () => {
+  const thread = [
+    'Quick update - we are now 60 people. Budget 10 lakhs.',
+    '',
+    'On Mon, 5 Oct 2026 at 10:12, Rahul <rahul@example.com> wrote:',
+    '> Team offsite in Goa for 40 people on 12 December.',
+    '>',
+    '> Budget 8 lakhs.'
+  ].join('\n');
+
+  const chunks = chunkText(cleanBriefText(thread), 1500);
+  assert.equal(chunks.length, 2);
+  assert.match(chunks[0], /60 people/);
+  assert.match(chunks[1], /^Team offsite in Goa for 40 people on 12 December\.\n\nBudget 8 lakhs\.$/);
+});
+
+test('activities of one event do not split it into several', () => {
+  assert.equal(splitMultiEventInput('3-day offsite in Goa for 40 people from 12-14 March. Day 2: team outing in North Goa. Budget 8 lakhs.'), null);
+  assert.equal(splitMultiEventInput('Team offsite in Coorg for 30 people next month; a dinner in Bangalore on the way back.'), null);
+});
+
+test('separate events still split', () => {
+  assert.deepEqual(splitMultiEventInput('A leadership offsite in Goa in May and a sales kickoff in Pune in June'), [
+    'A leadership offsite in Goa in May.',
+    'A sales kickoff in Pune in June.'
+  ]);
+  assert.equal(splitMultiEventInput('Offsite in Goa for 40 people in May. Also a team dinner in Mumbai in June for 25 people.')?.length, 2);
+});
+
+test('a cheaper budget tier stays at the lowest budget the rules accept', () => {
+  const eventData = { eventType: 'workshop', numberOfAttendees: 100, budgetInINR: 60000, location: 'Pune' };
+
+  const economy = buildTierEventData(eventData, 'economy', 50000);
+  assert.equal(economy.budgetInINR, 50000);
+  assert.deepEqual(economy.requirements, ['budget-friendly']);
+  assert.equal(getUnavailableTierReason(eventData, economy, 'economy'), null);
+
+  const atFloor = { ...eventData, budgetInINR: 50000 };
+  assert.match(getUnavailableTierReason(atFloor, buildTierEventData(atFloor, 'economy', 50000), 'economy'), /^Not possible for 100 attendees/);
+  assert.equal(getUnavailableTierReason(atFloor, buildTierEventData(atFloor, 'premium', 50000), 'premium'), null);
+});
+
+test('the tier comparison reports tiers that are not possible and shared venues', () => {
+  const eventData = { eventType: 'workshop', numberOfAttendees: 100, budgetInINR: 50000, location: 'Pune' };
+  const planned = amount => ({
+    success: true,
+    venues: [{ name: 'Hall A' }, { name: 'Hall B' }],
+    structuredPlan: { costs: { lines: [{ category: 'catering', label: 'Catering', amount }] } },
+    approvalRequiredBy: null
+  });
+
+  const comparison = compareBudgetTiers([
+    { tier: 'economy', eventData, result: { success: false, unavailable: true, error: 'Not possible for 100 attendees' } },
+    { tier: 'standard', eventData, result: planned(12000) },
+    { tier: 'premium', eventData: { ...eventData, budgetInINR: 70000 }, result: planned(18000) }
+  ]);
+
+  assert.deepEqual(comparison.tiers.map(tier => tier.status), ['unavailable', 'planned', 'planned']);
+  assert.equal(comparison.tiers[0].budgetInINR, null);
+  assert.deepEqual(comparison.costs[0].amounts, { economy: null, standard: 12000, premium: 18000 });
+  assert.equal(comparison.sharedVenues, true);
+  assert.deepEqual(comparison.changes.map(change => [change.from, change.to]), [['standard', 'premium']]);
+});
+
+test('LLM parse output is checked for shape, not business limits', () => {
+  const parsed = { budgetInINR: 8000, numberOfAttendees: 5000, durationInHours: 200 };
+  assert.equal(parsedEventDataSchema.safeParse(parsed).success, true);
+  assert.equal(eventDataSchema.safeParse(parsed).success, false);
+  assert.equal(parsedEventDataSchema.safeParse({ budgetInINR: '8000' }).success, false);
+  assert.equal(parsedEventDataSchema.safeParse({ date: '12/10/2026' }).success, false);
+});
+
+test('rule sets with unknown operators, missing values or duplicate ids are rejected', () => {
+  const rule = { id: 'small-team', when: { field: 'numberOfAttendees', op: 'lt', value: 5 }, severity: 'warning', message: 'Small team' };
+
+  assert.equal(parseRuleSet({ name: 'ok', rules: [rule] }).success, true);
+  assert.match(parseRuleSet({ name: 'bad', rules: [{ ...rule, when: { field: 'numberOfAttendees', op: 'below', value: 5 } }] }).errors.join('\n'), /rules\.0\.when/);
+  assert.match(parseRuleSet({ name: 'bad', rules: [{ ...rule, when: { field: 'numberOfAttendees', op: 'lt' } }] }).errors.join('\n'), /"lt" needs value or valueFrom/);
+  assert.match(parseRuleSet({ name: 'bad', rules: [rule, rule] }).errors.join('\n'), /Duplicate rule id "small-team"/);
+  assert.match(parseRuleSet({ name: 'bad', rules: [{ ...rule, id: 'Small Team' }] }).errors.join('\n'), /kebab-case/);
+});
+
+test('rule conditions, templates and suggestions are evaluated against the facts', () => {
+  const { ruleSet } = parseRuleSet({
+    name: 'test',
+    rules: [
+      {
+        id: 'per-person',
+        when: { all: [{ field: 'budgetPerPerson', op: 'lt', value: 500 }, { not: { field: 'requirements', op: 'includes', value: 'sponsored' } }] },
+        field: 'budgetInINR',
+        severity: 'error',
+        message: 'Only ₹{{budgetPerPerson}} per person for {{city.name}}',
+        fix: 'Raise the budget',
+        suggestion: { action: 'range', min: { fact: 'numberOfAttendees', scale: 500 } }
+      },
+      { id: 'over-optimal', when: { field: 'durationInHours', op: 'gt', valueFrom: 'optimalDuration' }, severity: 'info', message: 'Longer than {{optimalDuration}} hours' },
+      { id: 'no-date', when: { field: 'date', op: 'missing' }, severity: 'warning', message: 'No date ({{unknown.fact}})' },
+      { id: 'city-list', when: { field: 'city.name', op: 'in', value: ['Goa', 'Pune'] }, severity: 'info', message: 'Listed city', enabled: false }
+    ]
+  });
+  const facts = { budgetPerPerson: 400.5, numberOfAttendees: 41, requirements: [], city: { name: 'Pune' }, durationInHours: 6 };
+
+  const results = evaluateRules(ruleSet, facts);
+  assert.deepEqual(results.map(result => result.ruleId), ['per-person', 'no-date']);
+  assert.equal(results[0].message, 'Only ₹400.5 per person for Pune');
+  assert.deepEqual(results[0].suggestion, { action: 'range', field: 'budgetInINR', min: 20500 });
+  assert.equal(results[1].message, 'No date ({{unknown.fact}})');
+  assert.deepEqual(evaluateRules(ruleSet, { ...facts, requirements: ['sponsored'], date: '2026-12-10' }), []);
+});
+
+test('a suggested fix follows the rule message as its own sentence', () => {
+  assert.equal(formatRuleResult({ message: 'Budget is too low', fix: 'Raise the budget' }), 'Budget is too low. Suggested fix: Raise the budget');
+  assert.equal(formatRuleResult({ message: 'Budget is too low.', fix: 'Raise the budget' }), 'Budget is too low. Suggested fix: Raise the budget');
+  assert.equal(formatRuleResult({ message: 'Budget is too low' }), 'Budget is too low');
+});
+
+test('regex parsing takes the daily hours from stated times', () => {
+  const parser = new InputParser({});
+
+  const offsite = parser.fallbackParsing('3-day offsite for 30 people in Goa on 10 December 2026, 10am to 2pm daily');
+  assert.equal(offsite.startTime, '10:00');
+  assert.equal(offsite.endTime, '14:00');
+  assert.equal(offsite.hoursPerDay, 4);
+  assert.equal(offsite.durationInHours, 12);
+
+  const workshop = parser.fallbackParsing('Workshop for 20 people in Pune on 10 December 2026 from 2pm to 5pm');
+  assert.equal(workshop.durationInHours, 3);
+  assert.equal(workshop.hoursPerDay, undefined);
+
+  assert.equal(parser.fallbackParsing('2-day offsite for 30 people in Goa on 10 December 2026').hoursPerDay, 8);
+});
+
+test('amounts read with Indian units and grouping', () => {
+  assert.equal(parseAmount('1.5 crore'), 15000000);
+  assert.equal(parseAmount('Rs. 1,50,000/-'), 150000);
+  assert.equal(parseAmount('150,000'), 150000);
+  assert.equal(parseAmount('₹2.5L'), 250000);
+  assert.equal(parseAmount('80k'), 80000);
+});
+
+test('budget ranges plan on the lower bound and per-head amounts scale by headcount', () => {
+  const range = parseBudget('Budget 1.5–2 lakhs', { attendees: 40 });
+  assert.equal(range.totalBudget, 150000);
+  assert.deepEqual(range.range, { min: 150000, max: 200000 });
+  assert.deepEqual(parseBudget('Budget ₹80k to ₹1L')?.range, { min: 80000, max: 100000 });
+
+  const perHead = parseBudget('₹2,000 per person', { attendees: 40 });
+  assert.equal(perHead.totalBudget, 80000);
+  assert.equal(perHead.basis, 'per-person');
+
+  assert.equal(parseBudget('Budget 5 lakhs, revised budget 6 lakhs').totalBudget, 600000);
+  assert.equal(parseBudget('Team of 40 people in 2027'), null);
+});
+
+test('a budget below the minimum is raised and reported', () => {
+  const data = new InputParser({}).fallbackParsing('Team lunch for 10 people in Pune on 10 December 2026, budget ₹8,000');
+  assert.equal(data.budgetInINR, 10000);
+  assert.deepEqual(data.budgetRaise, { requestedBudget: 8000, minimumBudget: 10000 });
+  assert.match(data.provenance.budgetInINR.detail, /raised from ₹8000 to the ₹10000 minimum budget/);
+
+  const [issue] = getResolutionIssues({ budgetRaise: data.budgetRaise }, data);
+  assert.equal(issue.code, 'budget-raised');
+  assert.equal(issue.severity, 'warning');
+  assert.match(issue.message, /₹8,000 is below the ₹10,000 minimum/);
+});
+
+test('fix proposals raise the budget or cut the headcount to the per-person minimum', () => {
+  const eventData = { eventType: 'workshop', numberOfAttendees: 100, budgetInINR: 30000, location: 'Pune', date: formatDate(addDays(getISTToday(), 120)), durationInHours: 6 };
+  const { issues, results } = performBusinessValidation(sanitizeEventData(eventData));
+
+  const proposals = proposeFixes(eventData, issues, results);
+  assert.deepEqual(proposals.map(proposal => [proposal.changes, proposal.resolvesAll]), [
+    [{ budgetInINR: 50000 }, true],
+    [{ numberOfAttendees: 60 }, true]
+  ]);
+  assert.equal(proposals[0].label, 'Raise the budget to ₹50,000');
+  assert.equal(applyFixProposal(eventData, proposals[0]).budgetInINR, 50000);
+});
+
+test('a fix that leaves another blocking issue does not resolve all', () => {
+  const date = formatDate(addDays(getISTToday(), 1));
+  const eventData = { eventType: 'conference', numberOfAttendees: 300, budgetInINR: 100000, location: 'Pune', date, endDate: formatDate(addDays(getISTToday(), 3)), durationInHours: 24 };
+  const { issues, results } = performBusinessValidation(sanitizeEventData(eventData));
+
+  const proposals = proposeFixes(eventData, issues, results);
+  assert.deepEqual(proposals.map(proposal => proposal.issueCode), ['budget-per-person-minimum', 'budget-per-person-minimum', 'lead-time-infeasible']);
+  assert.ok(proposals.every(proposal => !proposal.resolvesAll));
+});
+
+test('moving the start date keeps the length of the event', () => {
+  const eventData = { date: '2026-12-10', endDate: '2026-12-12' };
+  const [candidate] = buildFixCandidates(eventData, { code: 'holiday-conflict' }, [{ action: 'oneOf', field: 'date', options: ['2026-12-17'] }]);
+
+  assert.deepEqual(candidate.changes, { date: '2026-12-17', endDate: '2026-12-19' });
+  assert.equal(buildFixCandidates(eventData, { code: 'holiday-conflict' }, [{ action: 'oneOf', field: 'date', options: ['a', 'b', 'c', 'd'] }]).length, 0);
+  assert.equal(buildFixCandidates(eventData, { code: 'invalid' }, [{ action: 'review', field: 'date' }]).length, 0);
+});
+
+const mealCaps = { mealCapsPerHead: { breakfast: 400, lunch: 900, snacks: 250, dinner: 1800 } };
+const sumLines = lines => lines.reduce((sum, line) => sum + line.amount, 0);
+
+test('allocated cost lines always add up to the budget', () => {
+  const cases = [
+    { eventType: 'offsite', numberOfAttendees: 40, location: 'Goa', date: '2026-12-10', endDate: '2026-12-12', budgetInINR: 800000 },
+    { eventType: 'training', numberOfAttendees: 50, location: 'Bangalore', date: '2026-12-10', budgetInINR: 150000, requirements: ['premium'] },
+    { eventType: 'workshop', numberOfAttendees: 7, location: 'Indore', date: '2026-12-10', budgetInINR: 12345, accessibility: ['wheelchair'] }
+  ];
+
+  cases.forEach(eventData => {
+    [mealCaps, null].forEach(policy => {
+      const { budget, lines } = allocateBudget(eventData, policy);
+      assert.equal(sumLines(lines), budget, eventData.eventType);
+      assert.ok(lines.every(line => line.amount > 0), eventData.eventType);
+    });
+  });
+});
+
+test('catering is held to the meal caps and the excess goes to the other lines', () => {
+  const eventData = { eventType: 'team_dinner', numberOfAttendees: 20, location: 'Mumbai', date: '2026-12-10', budgetInINR: 400000, startTime: '19:00', endTime: '23:00' };
+  const line = (allocation, category) => allocation.lines.find(item => item.category === category).amount;
+
+  const uncapped = allocateBudget(eventData, null);
+  const capped = allocateBudget(eventData, mealCaps);
+
+  // Snacks and dinner: 20 people × (₹250 + ₹1,800)
+  assert.equal(line(capped, 'catering'), 41000);
+  assert.match(capped.lines.find(item => item.category === 'catering').basis, /₹2,050 policy meal cap/);
+  assert.ok(line(capped, 'venue') > line(uncapped, 'venue'));
+  assert.ok(line(capped, 'entertainment') > line(uncapped, 'entertainment'));
+  assert.equal(line(capped, 'contingency'), line(uncapped, 'contingency'));
+  assert.equal(sumLines(capped.lines), 400000);
+});
+
+test('reconciled costs keep the allocation and flag overshoots', () => {
+  const allocation = allocateBudget({ eventType: 'training', numberOfAttendees: 50, location: 'Bangalore', date: '2026-12-10', budgetInINR: 150000 }, null);
+  const catering = allocation.lines.find(item => item.category === 'catering');
+
+  const { costs, overshoots } = reconcileCosts({
+    lines: [
+      { label: 'Catering', category: 'catering', amount: catering.amount * 2, items: [] },
+      { label: 'Photography', category: null, amount: 5000, items: [] }
+    ]
+  }, allocation);
+
+  assert.equal(sumLines(costs.lines), 150000);
+  assert.deepEqual(overshoots.map(item => [item.category, item.overshoot]), [['catering', catering.amount]]);
+  assert.ok(costs.lines.find(item => item.category === 'contingency').items.some(item => item.label === 'Photography'));
+});